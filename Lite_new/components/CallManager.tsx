@@ -97,6 +97,8 @@ const CallManager: React.FC<CallManagerProps> = ({ leads, logs, setLogs, agent }
 
     // Initialize Socket.IO connection
     const socket: Socket = io(apiBase, {
+      // The handshake is authenticated; read the JWT on every (re)connect so a refreshed token is used
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
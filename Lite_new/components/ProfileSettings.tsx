@@ -20,6 +20,7 @@ import {
   purchaseAddOn,
   generateApiKey,
   listApiKeys,
+  listApiKeyScopes,
   revokeApiKey
 } from '../services/api';
 
@@ -94,6 +95,8 @@ const ProfileSettings: React.FC = () => {
   // API Key State
   const [apiKeys, setApiKeys] = useState<any[]>([]);
   const [newKeyName, setNewKeyName] = useState('');
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [newKeyScopes, setNewKeyScopes] = useState<string[]>([]);
   const [generatedKey, setGeneratedKey] = useState<string | null>(null);
   const [isLoadingApiKeys, setIsLoadingApiKeys] = useState(false);
   const [isGeneratingKey, setIsGeneratingKey] = useState(false);
@@ -178,6 +181,9 @@ const ProfileSettings: React.FC = () => {
   useEffect(() => {
     if (activeTab === 'API') {
       loadApiKeys();
+      listApiKeyScopes()
+        .then((data) => setAvailableScopes(data.scopes || []))
+        .catch((error) => console.error('Failed to load API key scopes:', error));
     }
   }, [activeTab]);
 
@@ -196,9 +202,10 @@ const ProfileSettings: React.FC = () => {
   const handleGenerateKey = async () => {
     setIsGeneratingKey(true);
     try {
-      const result = await generateApiKey(newKeyName || undefined);
+      const result = await generateApiKey(newKeyName || undefined, newKeyScopes);
       setGeneratedKey(result.key);
       setNewKeyName('');
+      setNewKeyScopes([]);
       await loadApiKeys();
     } catch (error: any) {
       alert(error.message || 'Failed to generate API key');
@@ -207,6 +214,10 @@ const ProfileSettings: React.FC = () => {
     }
   };
 
+  const toggleNewKeyScope = (scope: string) => {
+    setNewKeyScopes((prev) => prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]);
+  };
+
   const handleRevokeKey = async (id: string) => {
     if (!window.confirm('Are you sure you want to revoke this API key? Any integrations using it will stop working.')) return;
     try {
@@ -640,7 +651,7 @@ const ProfileSettings: React.FC = () => {
                        />
                        <button
                           onClick={handleGenerateKey}
-                          disabled={isGeneratingKey}
+                          disabled={isGeneratingKey || newKeyScopes.length === 0}
                           className="bg-blue-600 text-white px-6 py-2.5 rounded-lg text-sm font-bold hover:bg-blue-700 disabled:opacity-50 flex items-center"
                        >
                           {isGeneratingKey ? (
@@ -651,6 +662,29 @@ const ProfileSettings: React.FC = () => {
                        </button>
                     </div>
 
+                    {/* Scopes (at least one) */}
+                    <div className="mt-4">
+                       <p className="text-xs font-medium text-slate-600 mb-2">Scopes - pick what this key may access</p>
+                       <div className="flex flex-wrap gap-2">
+                          {availableScopes.map((scope) => (
+                             <label
+                                key={scope}
+                                className={`flex items-center px-3 py-1.5 rounded-lg border text-xs font-mono cursor-pointer ${
+                                   newKeyScopes.includes(scope) ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-slate-200 text-slate-600 hover:bg-slate-50'
+                                }`}
+                             >
+                                <input
+                                   type="checkbox"
+                                   checked={newKeyScopes.includes(scope)}
+                                   onChange={() => toggleNewKeyScope(scope)}
+                                   className="mr-2"
+                                />
+                                {scope}
+                             </label>
+                          ))}
+                       </div>
+                    </div>
+
                     {/* Newly Generated Key (shown once) */}
                     {generatedKey && (
                        <div className="mt-4 bg-green-50 border border-green-200 rounded-lg p-4">
@@ -706,6 +740,9 @@ const ProfileSettings: React.FC = () => {
                                       )}
                                    </div>
                                    <code className="text-xs text-slate-500 font-mono mt-1 block">{key.prefix}...••••••••</code>
+                                   {key.scopes?.length > 0 && (
+                                      <p className="text-xs text-slate-500 font-mono mt-1">{key.scopes.join(', ')}</p>
+                                   )}
                                    <p className="text-xs text-slate-400 mt-1">
                                       Created {new Date(key.createdAt).toLocaleDateString()}
                                       {key.lastUsedAt && ` • Last used ${new Date(key.lastUsedAt).toLocaleDateString()}`}
@@ -330,12 +330,15 @@ export const activateUser = (userId: string) =>
 // ==============================
 // API KEY MANAGEMENT (SETTINGS)
 // ==============================
-export const generateApiKey = (name?: string) =>
+export const generateApiKey = (name: string | undefined, scopes: string[]) =>
   apiFetch("/settings/api-keys", {
     method: "POST",
-    body: JSON.stringify({ name }),
+    body: JSON.stringify({ name, scopes }),
   }, "core");
 
+export const listApiKeyScopes = () =>
+  apiFetch("/settings/api-keys/scopes", undefined, "core");
+
 export const listApiKeys = () =>
   apiFetch("/settings/api-keys", undefined, "core");
 
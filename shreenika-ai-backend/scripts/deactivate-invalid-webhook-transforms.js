@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * deactivate-invalid-webhook-transforms.js
+ * ============================================================
+ * Deactivates webhooks whose saved transformations no longer compile
+ * Usage: node scripts/deactivate-invalid-webhook-transforms.js [--dry-run]
+ *
+ * Custom transformations used to be JavaScript run with new Function(); they are now
+ * expressions (see src/modules/webhook/webhook.transform.js). Most simple scripts are
+ * valid expressions, but statements (return, var, if...) are not - such a webhook would
+ * fail every delivery. Each one is deactivated with a disabledReason naming the
+ * transformations to rewrite, so the owner sees why on the Integrations page; saving
+ * fixed transformations and re-enabling the webhook puts it back in service.
+ * Already inactive webhooks are listed but left alone. Safe to re-run.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Webhook } from '../src/modules/webhook/webhook.model.js';
+import { validateTransformations } from '../src/modules/webhook/webhook.transform.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? ' (dry run - nothing is written)' : ''}`);
+
+  let checked = 0;
+  let invalid = 0;
+  let deactivated = 0;
+
+  const cursor = Webhook.find({ 'transformations.0': { $exists: true } })
+    .select('name url userId isActive transformations')
+    .lean()
+    .cursor();
+
+  for await (const webhook of cursor) {
+    checked++;
+    const errors = validateTransformations(webhook.transformations);
+    if (errors.length === 0) continue;
+
+    invalid++;
+    const details = errors
+      .map(({ index, error }) => (index === null ? error : `#${index + 1} (${webhook.transformations[index]?.targetField || 'no target'}): ${error}`))
+      .join('; ');
+    console.log(`⚠️  ${webhook._id} "${webhook.name}" (${webhook.url})${webhook.isActive ? '' : ' [inactive]'}: ${details}`);
+
+    if (DRY_RUN || !webhook.isActive) continue;
+
+    const result = await Webhook.updateOne(
+      { _id: webhook._id, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          disabledAt: new Date(),
+          disabledReason: `Deactivated: transformations use scripts that are no longer supported - rewrite them as expressions, then re-enable the webhook (${details})`,
+        },
+      }
+    );
+    deactivated += result.modifiedCount;
+  }
+
+  console.log('\n📊 Migration summary');
+  console.log(`   ├─ Webhooks with transformations: ${checked}`);
+  console.log(`   ├─ With invalid transformations:  ${invalid}`);
+  console.log(`   └─ Deactivated:                   ${deactivated}`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * migrate-dnc-phone-keys.js
+ * ============================================================
+ * Re-keys DNC entries on the full E.164 number
+ * Usage: node scripts/migrate-dnc-phone-keys.js [--dry-run]
+ *
+ * Entries used to be matched on the last 10 digits of the number, so the same national
+ * number in two countries collided. Every entry already stores its E.164 form in
+ * phoneNumber - this copies it into phoneKey. Safe to re-run.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import DncEntry from '../src/modules/dnc/dnc.model.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? ' (dry run - nothing is written)' : ''}`);
+
+  const outdated = { $expr: { $ne: ['$phoneKey', '$phoneNumber'] } };
+  let updated = await DncEntry.countDocuments(outdated);
+
+  if (!DRY_RUN && updated > 0) {
+    const result = await DncEntry.collection.updateMany(outdated, [{ $set: { phoneKey: '$phoneNumber' } }]);
+    updated = result.modifiedCount;
+  }
+
+  console.log('\n📊 Migration summary');
+  console.log(`   └─ Entries re-keyed:        ${updated}`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * migrate-leads-to-contacts.js
+ * ============================================================
+ * Moves the former Lead collection onto Contact (the single CRM entity)
+ * Usage: node scripts/migrate-leads-to-contacts.js [--dry-run]
+ *
+ * For every lead not migrated yet:
+ * - a contact with the same owner and phone (or email) exists → missing fields are
+ *   filled in on that contact, and calls / call logs / retries / campaigns that point at
+ *   the lead are re-pointed to it
+ * - otherwise → a contact is created with the lead's _id, so existing references keep working
+ *
+ * Lead statuses are mapped onto new / contacted / qualified / closed; a status with no
+ * equivalent is kept in customFields.leadStatus. Migrated leads get migratedToContactId,
+ * so the script can be re-run safely. The leads collection is left in place - drop it
+ * once the result has been checked.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Contact from '../src/modules/contacts/contact.model.js';
+import Call from '../src/modules/call/call.model.js';
+import CallLog from '../src/modules/call/callLog.model.js';
+import CampaignRetry from '../src/modules/call/campaignRetry.model.js';
+import Campaign from '../src/modules/call/campaign.model.js';
+import { normalizeLegacyStatus } from '../src/modules/contacts/contact-status.service.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FILLABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'address'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Contact document for a lead (raw insert: keeps the lead's _id and timestamps)
+ */
+const toContactDocument = (lead) => {
+  const status = normalizeLegacyStatus(lead.status);
+  const customFields = !status && !isEmpty(lead.status) ? { leadStatus: lead.status } : undefined;
+
+  return {
+    _id: lead._id,
+    ownerUserId: lead.userId,
+    firstName: lead.firstName,
+    lastName: lead.lastName,
+    email: lead.email?.toLowerCase(),
+    phone: lead.phone,
+    address: lead.address,
+    company: lead.company,
+    status: status || 'new',
+    source: 'lead',
+    ...(customFields && { customFields }),
+    tags: [],
+    lists: [],
+    isArchived: lead.isArchived || false,
+    archivedAt: lead.archivedAt,
+    archivedBy: lead.archivedBy,
+    createdAt: lead.createdAt || new Date(),
+    updatedAt: lead.updatedAt || new Date()
+  };
+};
+
+/**
+ * Existing contact for the same person (phone first, then email)
+ */
+const findMatchingContact = async (lead) => {
+  if (lead.phone) {
+    const byPhone = await Contact.findOne({ ownerUserId: lead.userId, phone: lead.phone }).lean();
+    if (byPhone) return byPhone;
+  }
+  if (lead.email) {
+    return Contact.findOne({ ownerUserId: lead.userId, email: lead.email.toLowerCase() }).lean();
+  }
+  return null;
+};
+
+/**
+ * Point every reference to the lead at the contact it was merged into
+ */
+const repointReferences = async (fromId, toId) => {
+  const [calls, logs, retries, campaigns] = await Promise.all([
+    Call.updateMany({ leadId: fromId }, { $set: { leadId: toId } }),
+    CallLog.updateMany({ leadId: fromId }, { $set: { leadId: toId } }),
+    CampaignRetry.updateMany({ leadId: fromId }, { $set: { leadId: toId } }),
+    Campaign.updateMany(
+      { leads: fromId },
+      { $set: { 'leads.$[lead]': toId } },
+      { arrayFilters: [{ lead: fromId }] }
+    )
+  ]);
+  return calls.modifiedCount + logs.modifiedCount + retries.modifiedCount + campaigns.modifiedCount;
+};
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? ' (dry run - nothing is written)' : ''}`);
+
+  const leads = mongoose.connection.db.collection('leads');
+  const cursor = leads.find({ migratedToContactId: { $exists: false } });
+  const stats = { created: 0, merged: 0, alreadyPresent: 0, references: 0, failed: 0 };
+
+  for await (const lead of cursor) {
+    try {
+      let contactId = lead._id;
+
+      if (await Contact.exists({ _id: lead._id })) {
+        stats.alreadyPresent++;
+      } else {
+        const match = await findMatchingContact(lead);
+
+        if (match) {
+          contactId = match._id;
+          const fill = {};
+          for (const field of FILLABLE_FIELDS) {
+            if (isEmpty(match[field]) && !isEmpty(lead[field])) fill[field] = lead[field];
+          }
+          if (isEmpty(match.company?.name) && lead.company?.name) fill.company = lead.company;
+
+          if (!DRY_RUN) {
+            if (Object.keys(fill).length) {
+              await Contact.collection.updateOne({ _id: match._id }, { $set: fill });
+            }
+            stats.references += await repointReferences(lead._id, match._id);
+          }
+          stats.merged++;
+        } else {
+          if (!DRY_RUN) {
+            await Contact.collection.insertOne(toContactDocument(lead));
+          }
+          stats.created++;
+        }
+      }
+
+      if (!DRY_RUN) {
+        await leads.updateOne({ _id: lead._id }, { $set: { migratedToContactId: contactId } });
+      }
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ Lead ${lead._id}: ${err.message}`);
+    }
+  }
+
+  console.log('\n📊 Migration summary');
+  console.log(`   ├─ Contacts created:        ${stats.created}`);
+  console.log(`   ├─ Merged into contacts:    ${stats.merged}`);
+  console.log(`   ├─ Already migrated:        ${stats.alreadyPresent}`);
+  console.log(`   ├─ References re-pointed:   ${stats.references}`);
+  console.log(`   └─ Failed:                  ${stats.failed}`);
+  if (!DRY_RUN && stats.failed === 0) {
+    console.log('\nℹ️  Check the contacts, then drop the "leads" collection.');
+  }
+
+  await mongoose.disconnect();
+  process.exit(stats.failed ? 1 : 0);
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -11,6 +11,8 @@ import WebSocket from 'ws';
 import { EventEmitter } from 'events';
 import { calculateProsodyProfile, generateProsodyInstructions } from '../modules/voice/prosody.service.js';
 import { sharedCachingService } from '../modules/voice/context-caching.service.js';
+import { buildTransferInstructions } from '../modules/call/call-transfer.service.js';
+import { buildToolDeclarations, KNOWLEDGE_TOOL_NAME } from '../modules/call/agent-tools.service.js';
 
 const GEMINI_LIVE_ENDPOINT = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
 
@@ -158,6 +160,7 @@ export const buildSystemInstruction = (agent, knowledgeDocs = [], voiceConfig =
   // REMOVED: Acoustic steering (~800 chars) - Gemini 2.0-flash handles tone natively
   // REMOVED: Knowledge base (~10-20K chars) - Causes 5-6s latency spikes
   // Voice customization (40-60 ratio) above is sufficient for tone + personality control
+  // Knowledge is retrieved per question instead (search_knowledge tool, top passages only)
 
   // Custom prompt - TRUNCATE to 1500 chars max for real-time performance
   if (agent.prompt) {
@@ -218,6 +221,18 @@ export const buildSystemInstruction = (agent, knowledgeDocs = [], voiceConfig =
     parts.push(`- This call should not exceed ${minutes} minutes`);
   }
 
+  if (hasIndexedKnowledge(knowledgeDocs)) {
+    parts.push('\n\nKnowledge base:');
+    parts.push(`- For questions about the company, its products, pricing or policies, call ${KNOWLEDGE_TOOL_NAME} first and answer only from the passages it returns`);
+    parts.push('- If nothing relevant comes back, say you will check and have someone follow up - never make details up');
+  }
+
+  // Live transfer rules (only when the agent has a transfer target)
+  const transferInstructions = buildTransferInstructions(agent);
+  if (transferInstructions) {
+    parts.push(transferInstructions);
+  }
+
   const systemInstruction = parts.join('\n');
   const totalChars = systemInstruction.length;
   const safeMargin = totalChars < 25000 ? '✅' : totalChars < 30000 ? '⚠️' : '❌';
@@ -226,6 +241,13 @@ export const buildSystemInstruction = (agent, knowledgeDocs = [], voiceConfig =
   return systemInstruction;
 };
 
+/**
+ * True if any of the agent's documents is searchable (indexed into KnowledgeChunk)
+ * @param {Array} knowledgeDocs - Knowledge documents from DB
+ */
+const hasIndexedKnowledge = (knowledgeDocs = []) =>
+  (knowledgeDocs || []).some((doc) => doc.indexStatus === 'READY');
+
 /**
  * Gemini Live Session
  * Manages a single real-time conversation session
@@ -246,6 +268,7 @@ export class GeminiLiveSession extends EventEmitter {
     this.voice = options.voice || process.env.GEMINI_LIVE_VOICE || GEMINI_VOICES.AOEDE;
     this.systemInstruction = options.systemInstruction || '';
     this.cacheId = options.cacheId || null; // Context Caching support
+    this.tools = options.tools || []; // Function declarations the model may call
 
     this.ws = null;
     this.isConnected = false;
@@ -487,6 +510,10 @@ export class GeminiLiveSession extends EventEmitter {
       }
     }
 
+    if (this.tools.length > 0) {
+      setupMessage.setup.tools = [{ function_declarations: this.tools }];
+    }
+
     // 🔴 DIAGNOSTIC: Log the exact setup message being sent to Gemini (snake_case format)
     console.log(`\n🔧 GEMINI LIVE SETUP MESSAGE:`);
     console.log(`   ├─ Model: ${setupMessage.setup.model}`);
@@ -494,6 +521,7 @@ export class GeminiLiveSession extends EventEmitter {
     console.log(`   ├─ Voice Name: ${this.voice}`);
     console.log(`   ├─ Audio Output: ENABLED ✅`);
     console.log(`   ├─ System Instruction: ${setupMessage.setup.system_instruction ? `${setupMessage.setup.system_instruction.parts[0].text.length} chars` : 'OMITTED'}`);
+    console.log(`   ├─ Tools: ${this.tools.length > 0 ? this.tools.map(t => t.name).join(', ') : 'NONE'}`);
     console.log(`   └─ Cache ID: ${validCacheId || 'NONE'}\n`);
 
     this._send(setupMessage);
@@ -683,8 +711,10 @@ export class GeminiLiveSession extends EventEmitter {
   /**
    * Send text message to Gemini Live
    * @param {string} text - Text message
+   * @param {Object} [options]
+   * @param {boolean} [options.turnComplete=true] - false adds context without prompting a reply
    */
-  sendText(text) {
+  sendText(text, { turnComplete = true } = {}) {
     if (!this.isConnected) {
       console.warn('⚠️ Cannot send text: not connected');
       return;
@@ -696,7 +726,7 @@ export class GeminiLiveSession extends EventEmitter {
           role: 'user',
           parts: [{ text }]
         }],
-        turnComplete: true
+        turnComplete
       }
     };
 
@@ -707,14 +737,16 @@ export class GeminiLiveSession extends EventEmitter {
    * Send tool response back to Gemini
    * @param {string} functionCallId - Function call ID
    * @param {object} response - Function response
+   * @param {string} [name] - Function name
    */
-  sendToolResponse(functionCallId, response) {
+  sendToolResponse(functionCallId, response, name = undefined) {
     if (!this.isConnected) return;
 
     const message = {
       toolResponse: {
         functionResponses: [{
           id: functionCallId,
+          ...(name && { name }),
           response
         }]
       }
@@ -810,7 +842,8 @@ export const createGeminiLiveSession = async (agent, knowledgeDocs = [], voiceCo
   return new GeminiLiveSession(apiKey, {
     systemInstruction,
     voice,
-    cacheId  // Pass cache ID to session
+    cacheId,  // Pass cache ID to session
+    tools: buildToolDeclarations(agent, { hasKnowledge: hasIndexedKnowledge(knowledgeDocs) })  // Function calling (agent-tools.service.js)
   });
 };
 
@@ -12,6 +12,20 @@ const upload = multer({
   }
 });
 
+/**
+ * Multer config for contact import jobs (CSV / XLSX)
+ * Kept in memory: the import service stores the file in MongoDB
+ */
+export const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(csv|xlsx)$/i.test(file.originalname));
+  }
+});
+
 /**
  * CSV parsing middleware
  */
@@ -3,10 +3,10 @@ import Subscription from "../billing/subscription.model.js";
 import Contact from "../contacts/contact.model.js";
 import Call from "../call/call.model.js";
 import Agent from "../agent/agent.model.js";
-import Lead from "../lead/lead.model.js";
 import { VoipProvider, VoipNumber } from "../voip/voip.model.js";
 import CMS from "../cms/cms.model.js";
 import { Parser } from "json2csv";
+import { campaignScheduler } from "../call/campaign-scheduler.service.js";
 
 /**
  * Dashboard stats for Super Admin
@@ -221,7 +221,7 @@ export const getContactCalls = async (req, res) => {
     res.json({
       contact: {
         _id: contact._id,
-        name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim() || 'Unknown',
+        name: contact.fullName,
         phone: contact.phone,
         email: contact.email,
         company: contact.company?.name,
@@ -401,7 +401,7 @@ export const exportUserData = async (req, res) => {
           const calls = await Call.find({ leadId: contact._id });
           return {
             _id: contact._id,
-            name: `${contact.firstName} ${contact.lastName}`,
+            name: contact.fullName,
             phone: contact.phone,
             email: contact.email,
             company: contact.company?.name || "N/A",
@@ -521,12 +521,12 @@ export const getUserLeads = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const leads = await Lead.find({ userId })
+    const leads = await Contact.find({ ownerUserId: userId })
       .sort({ createdAt: -1 });
 
     const formattedLeads = leads.map((lead) => ({
       _id: lead._id,
-      name: `${lead.firstName} ${lead.lastName}`,
+      name: lead.fullName,
       phone: lead.phone,
       email: lead.email,
       status: lead.status,
@@ -551,7 +551,7 @@ export const getLeadDetails = async (req, res) => {
   try {
     const { leadId } = req.params;
 
-    const lead = await Lead.findById(leadId);
+    const lead = await Contact.findById(leadId);
     if (!lead) {
       return res.status(404).json({ message: "Lead not found" });
     }
@@ -563,7 +563,7 @@ export const getLeadDetails = async (req, res) => {
     return res.json({
       lead: {
         _id: lead._id,
-        name: `${lead.firstName} ${lead.lastName}`,
+        name: lead.fullName,
         phone: lead.phone,
         email: lead.email,
         company: lead.company?.name || "N/A",
@@ -586,3 +586,41 @@ export const getLeadDetails = async (req, res) => {
     res.status(500).json({ error: "Failed to fetch lead details" });
   }
 };
+
+/**
+ * SUPER ADMIN: List RUNNING campaigns that no scheduler instance is progressing
+ * (no job, expired lease, stale heartbeat or never claimed)
+ */
+export const listStuckCampaigns = async (req, res) => {
+  try {
+    const staleMs = req.query.staleMs ? parseInt(req.query.staleMs) : undefined;
+    const stuck = await campaignScheduler.listStuck(staleMs);
+
+    return res.json({
+      campaigns: stuck.map(({ campaign, job, reason }) => ({
+        _id: campaign._id,
+        name: campaign.name,
+        userId: campaign.userId,
+        agent: campaign.agentId?.name || "N/A",
+        totalLeads: campaign.totalLeads,
+        currentBatchIndex: campaign.currentBatchIndex,
+        startedAt: campaign.startedAt,
+        reason,
+        job: job
+          ? {
+              status: job.status,
+              leaseOwner: job.leaseOwner,
+              leaseExpiresAt: job.leaseExpiresAt,
+              heartbeatAt: job.heartbeatAt,
+              attempts: job.attempts,
+              lastError: job.lastError || null
+            }
+          : null
+      })),
+      total: stuck.length
+    });
+  } catch (error) {
+    console.error("❌ listStuckCampaigns error:", error);
+    res.status(500).json({ error: "Failed to fetch stuck campaigns" });
+  }
+};
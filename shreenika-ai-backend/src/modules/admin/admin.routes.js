@@ -15,7 +15,8 @@ import {
   getCMSContent,
   updateCMSContent,
   getUserLeads,
-  getLeadDetails
+  getLeadDetails,
+  listStuckCampaigns
 } from "./admin.controller.js";
 import {
   resetUsage,
@@ -54,6 +55,9 @@ router.get("/users/:userId/contacts/:contactId/calls", getContactCalls);
 // Lead Management - Specific lead details
 router.get("/leads/:leadId", getLeadDetails);
 
+// Campaign scheduler health
+router.get("/campaigns/stuck", listStuckCampaigns);
+
 // CMS Management
 router.get("/cms/:type", getCMSContent);
 router.post("/cms/:type", updateCMSContent);
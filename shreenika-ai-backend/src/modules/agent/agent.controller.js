@@ -1,4 +1,9 @@
 import Agent from "./agent.model.js";
+import { normalizeTransferTarget } from "../call/call-transfer.service.js";
+import { validateAgentTools, validateAgentProviderSupport } from "../call/agent-tools.service.js";
+import { getAgentProvider } from "../call/helpers/getAgentProvider.js";
+import { validateExtractionSchema } from "../call/call-extraction.service.js";
+import { getPhoneCountry } from "../../utils/phone.js";
 
 // Helper: Flatten nested agent schema to flat frontend format
 const flattenAgent = (agent) => ({
@@ -24,6 +29,18 @@ const flattenAgent = (agent) => ({
   voicemailDetection: agent.callSettings?.voicemailDetection ?? false,
   voicemailAction: agent.callSettings?.voicemailAction || "hang-up",
   voicemailMessage: agent.callSettings?.voicemailMessage || "",
+  transferSettings: {
+    enabled: agent.transferSettings?.enabled ?? false,
+    target: agent.transferSettings?.target || "",
+    rules: {
+      onHumanRequest: agent.transferSettings?.rules?.onHumanRequest ?? true,
+      qualifiedIntents: agent.transferSettings?.rules?.qualifiedIntents || [],
+    },
+    handoffMessage: agent.transferSettings?.handoffMessage || "Let me transfer you to a specialist.",
+    summaryDelivery: agent.transferSettings?.summaryDelivery || "spoken",
+  },
+  tools: agent.tools || [],
+  extractionSchema: agent.extractionSchema || [],
   createdAt: agent.createdAt,
   updatedAt: agent.updatedAt,
 });
@@ -152,9 +169,53 @@ const restructurePayload = (b) => {
     if (b.voicemailMessage !== undefined) data.callSettings.voicemailMessage = b.voicemailMessage;
   }
 
+  // Live transfer to a human (target validated via normalizeAgentIntegrations)
+  if (b.transferSettings !== undefined) {
+    data.transferSettings = b.transferSettings;
+  }
+
+  // Function-calling tools (validated via normalizeAgentIntegrations)
+  if (b.tools !== undefined) {
+    data.tools = b.tools;
+  }
+
+  // Post-call extraction fields (validated via normalizeAgentIntegrations)
+  if (b.extractionSchema !== undefined) {
+    data.extractionSchema = b.extractionSchema;
+  }
+
   return data;
 };
 
+// Validate tools / extraction schema and normalize the transfer target in place; throws on the first invalid setting
+// agentId (updates): the settings are also checked against the provider of the agent's number
+const normalizeAgentIntegrations = async (data, user, agentId = null) => {
+  if (data.tools !== undefined) {
+    await validateAgentTools(data.tools);
+  }
+  if (data.extractionSchema !== undefined) {
+    validateExtractionSchema(data.extractionSchema);
+  }
+  // A machine cannot be handed to a human - the voicemail handler hangs up instead
+  if (data.callSettings?.voicemailAction === "transfer") {
+    throw new Error('voicemailAction "transfer" is not supported; use "leave-message" or "hang-up"');
+  }
+
+  if (agentId) {
+    const voipProvider = await getAgentProvider(agentId);
+    validateAgentProviderSupport(data, voipProvider?.provider || null);
+  }
+
+  const settings = data.transferSettings;
+  if (!settings) return;
+
+  if (settings.target) {
+    settings.target = normalizeTransferTarget(settings.target, getPhoneCountry(user));
+  } else if (settings.enabled) {
+    throw new Error("transferSettings.target is required when transfer is enabled");
+  }
+};
+
 /* =========================
    CREATE AGENT
 ========================= */
@@ -177,6 +238,12 @@ export const createAgent = async (req, res) => {
     const structured = restructurePayload(req.body);
     structured.userId = req.user._id;
 
+    try {
+      await normalizeAgentIntegrations(structured, req.user);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
     console.log("   ✅ Payload restructured");
     console.log("   Structured data keys:", Object.keys(structured));
 
@@ -258,6 +325,13 @@ export const updateAgent = async (req, res) => {
     console.log("   Received data keys:", Object.keys(req.body));
 
     const updateData = restructurePayload(req.body);
+
+    try {
+      await normalizeAgentIntegrations(updateData, req.user, req.params.id);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
     console.log("   ✅ Payload restructured");
     console.log("   Update data keys:", Object.keys(updateData));
 
@@ -88,6 +88,7 @@ const AgentSchema = new mongoose.Schema(
         default: true
       },
 
+      // "transfer" is only kept for agents saved before it was refused (handled as hang-up)
       voicemailAction: {
         type: String,
         enum: ["leave-message", "hang-up", "transfer"],
@@ -95,7 +96,109 @@ const AgentSchema = new mongoose.Schema(
       },
 
       voicemailMessage: String
-    }
+    },
+
+    // ===== LIVE TRANSFER (WARM HANDOFF) =====
+    transferSettings: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+
+      // E.164 number or SIP URI (sip:sales@pbx.example.com)
+      target: String,
+
+      // When the AI hands the call to a human
+      rules: {
+        onHumanRequest: {
+          type: Boolean,
+          default: true
+        },
+        // Plain-language intents, e.g. "wants pricing for more than 50 seats"
+        qualifiedIntents: {
+          type: [String],
+          default: []
+        }
+      },
+
+      // Said to the caller right before the transfer
+      handoffMessage: {
+        type: String,
+        default: "Let me transfer you to a specialist."
+      },
+
+      // How the human receives the AI's call summary
+      summaryDelivery: {
+        type: String,
+        enum: ["spoken", "webhook", "both"],
+        default: "spoken"
+      }
+    },
+
+    // ===== TOOLS (GEMINI LIVE FUNCTION CALLING) =====
+    // Built-ins run in-process; "http" tools POST the arguments to the tenant's endpoint
+    tools: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          match: /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/
+        },
+        type: {
+          type: String,
+          enum: ["builtin", "http"],
+          default: "builtin"
+        },
+        enabled: {
+          type: Boolean,
+          default: true
+        },
+        // Overrides the built-in description; required for http tools
+        description: String,
+        // JSON schema of the arguments (http tools)
+        parameters: mongoose.Schema.Types.Mixed,
+        http: {
+          url: String,
+          method: {
+            type: String,
+            enum: ["GET", "POST"],
+            default: "POST"
+          },
+          headers: mongoose.Schema.Types.Mixed
+        },
+        timeoutMs: {
+          type: Number,
+          min: 1000,
+          max: 30000,
+          default: 8000
+        }
+      }
+    ],
+
+    // ===== POST-CALL DATA EXTRACTION =====
+    // Fields the post-call analyzer fills into Call.extractedData (see call-extraction.service.js)
+    extractionSchema: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          match: /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/
+        },
+        type: {
+          type: String,
+          enum: ["string", "number", "boolean", "date", "enum"],
+          default: "string"
+        },
+        description: {
+          type: String,
+          maxlength: 500
+        },
+        // Allowed values for "enum" fields
+        enum: [String]
+      }
+    ]
   },
   { timestamps: true }
 );
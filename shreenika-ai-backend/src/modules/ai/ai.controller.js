@@ -1,13 +1,8 @@
 import crypto from "crypto";
 import PromptCache from "../cache/promptCache.model.js";
-import Usage from "../usage/usage.model.js";
+import { recordUsage } from "../usage/usage.service.js";
 import { getGeminiClient } from "../../config/google.client.js";
 
-const getMonthKey = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-};
-
 /**
  * LATENCY OPTIMIZATION ARCHITECTURE
  * 
@@ -90,18 +85,9 @@ export const runAgentPrompt = async (req, res) => {
 
     // Phase 4: Track usage (async, don't block response)
     const userId = req.user._id || req.user.id;
-    const month = getMonthKey();
-    
-    Usage.findOneAndUpdate(
-      { userId, month },
-      { 
-        $inc: { 
-          llmTokensUsed: tokensUsed,
-          llmCallsCount: 1 
-        } 
-      },
-      { upsert: true }
-    ).catch(err => console.error("Usage tracking failed:", err));
+
+    recordUsage(userId, { llmTokensUsed: tokensUsed, llmCallsCount: 1 })
+      .catch(err => console.error("Usage tracking failed:", err));
 
     res.json({
       cached: false,
@@ -1,5 +1,5 @@
 import express from "express";
-import { requireApiKey } from "./apikey.middleware.js";
+import { requireApiKey, requireScope } from "./apikey.middleware.js";
 
 // Import existing controllers (reuse all existing logic)
 import { getAgents, getAgentById } from "../agent/agent.controller.js";
@@ -11,44 +11,65 @@ import {
   updateContact,
   deleteContact,
 } from "../contacts/contact.controller.js";
-import { listKnowledge } from "../knowledge/knowledge.controller.js";
+import {
+  listKnowledge,
+  uploadKnowledgeFile,
+  deleteKnowledge,
+} from "../knowledge/knowledge.controller.js";
+import { upload } from "../knowledge/upload.middleware.js";
+import {
+  listDncEntries,
+  addDncEntry,
+  removeDncEntry,
+  checkDncNumber,
+} from "../dnc/dnc.controller.js";
 import { getCurrentUsage } from "../billing/billing.controller.js";
 import { getBillingStatus } from "../billing/billing.controller.js";
 
 const router = express.Router();
 
-// All v1 routes require API key authentication
+// All v1 routes require API key authentication; each route also requires a scope on the key
 router.use(requireApiKey);
 
 /* ========================================
    AGENTS
 ======================================== */
-router.get("/agents", getAgents);
-router.get("/agents/:id", getAgentById);
+router.get("/agents", requireScope("agents:read"), getAgents);
+router.get("/agents/:id", requireScope("agents:read"), getAgentById);
 
 /* ========================================
    CALLS
 ======================================== */
-router.post("/calls/outbound", startOutboundCall);
-router.get("/calls", listCalls);
+router.post("/calls/outbound", requireScope("calls:write"), startOutboundCall);
+router.get("/calls", requireScope("calls:read"), listCalls);
 
 /* ========================================
    CONTACTS
 ======================================== */
-router.get("/contacts", getContacts);
-router.post("/contacts", createContact);
-router.put("/contacts/:id", updateContact);
-router.delete("/contacts/:id", deleteContact);
+router.get("/contacts", requireScope("contacts:read"), getContacts);
+router.post("/contacts", requireScope("contacts:write"), createContact);
+router.put("/contacts/:id", requireScope("contacts:write"), updateContact);
+router.delete("/contacts/:id", requireScope("contacts:write"), deleteContact);
+
+/* ========================================
+   DO-NOT-CALL / CONSENT
+======================================== */
+router.get("/dnc", requireScope("dnc:read"), listDncEntries);
+router.get("/dnc/check", requireScope("dnc:read"), checkDncNumber);
+router.post("/dnc", requireScope("dnc:write"), addDncEntry);
+router.delete("/dnc/:id", requireScope("dnc:write"), removeDncEntry);
 
 /* ========================================
    KNOWLEDGE BASE
 ======================================== */
-router.get("/knowledge", listKnowledge);
+router.get("/knowledge", requireScope("knowledge:read"), listKnowledge);
+router.post("/knowledge/upload", requireScope("knowledge:write"), upload.single("file"), uploadKnowledgeFile);
+router.delete("/knowledge/:id", requireScope("knowledge:write"), deleteKnowledge);
 
 /* ========================================
    USAGE & BILLING
 ======================================== */
-router.get("/usage", getCurrentUsage);
-router.get("/billing", getBillingStatus);
+router.get("/usage", requireScope("usage:read"), getCurrentUsage);
+router.get("/billing", requireScope("billing:read"), getBillingStatus);
 
 export default router;
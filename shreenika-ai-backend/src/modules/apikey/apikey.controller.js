@@ -1,14 +1,90 @@
 import crypto from "crypto";
-import ApiKey from "./apikey.model.js";
+import mongoose from "mongoose";
+import ApiKey, {
+  ApiKeyRequestLog,
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+} from "./apikey.model.js";
+import { parseIpRule } from "./apikey.middleware.js";
+
+const MAX_ALLOWED_IPS = 20;
+const KEY_FIELDS = "name prefix isActive lastUsedAt scopes allowedIps expiresAt rateLimitPerMinute createdAt";
+
+/**
+ * Validate the access settings of a key (scopes, IP allow-list, expiry, rate limit)
+ * Only fields present in the body are returned, so it serves both create and update
+ * @returns {Object} - { settings, error }
+ */
+const parseKeySettings = (body) => {
+  const settings = {};
+
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      return { error: "scopes must be a non-empty array" };
+    }
+    const unknown = body.scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length) {
+      return { error: `Unknown scopes: ${unknown.join(", ")}` };
+    }
+    settings.scopes = [...new Set(body.scopes)];
+  }
+
+  if (body.allowedIps !== undefined) {
+    if (!Array.isArray(body.allowedIps) || body.allowedIps.length > MAX_ALLOWED_IPS) {
+      return { error: `allowedIps must be an array of at most ${MAX_ALLOWED_IPS} IP addresses or CIDR ranges` };
+    }
+    const invalid = body.allowedIps.filter((entry) => !parseIpRule(entry));
+    if (invalid.length) {
+      return { error: `Invalid IP addresses or CIDR ranges: ${invalid.join(", ")}` };
+    }
+    settings.allowedIps = [...new Set(body.allowedIps.map((entry) => entry.trim()))];
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      settings.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { error: "expiresAt must be a future date (or null for no expiry)" };
+      }
+      settings.expiresAt = expiresAt;
+    }
+  }
+
+  if (body.rateLimitPerMinute !== undefined) {
+    const limit = Number(body.rateLimitPerMinute);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT_PER_MINUTE) {
+      return { error: `rateLimitPerMinute must be a whole number between 1 and ${MAX_RATE_LIMIT_PER_MINUTE}` };
+    }
+    settings.rateLimitPerMinute = limit;
+  }
+
+  return { settings, error: null };
+};
 
 /**
  * Generate a new API key for the authenticated user.
  * Returns the raw key ONCE — it is never stored in plain text.
+ * Body: { name, scopes, allowedIps?, expiresAt?, rateLimitPerMinute? }
+ * scopes is required (see GET /settings/api-keys/scopes); only keys created
+ * before scopes existed hold every scope.
  */
 export const generateApiKey = async (req, res) => {
   try {
     const { name } = req.body;
 
+    const { settings, error } = parseKeySettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!settings.scopes) {
+      return res.status(400).json({
+        error: "scopes is required - pick the scopes this key needs (GET /settings/api-keys/scopes)",
+      });
+    }
+
     // Limit: max 3 active keys per user
     const activeCount = await ApiKey.countDocuments({
       userId: req.user.id,
@@ -25,18 +101,27 @@ export const generateApiKey = async (req, res) => {
     const keyHash = crypto.createHash("sha256").update(rawKey).digest("hex");
     const prefix = rawKey.slice(0, 12);
 
-    await ApiKey.create({
+    const apiKey = await ApiKey.create({
       userId: req.user.id,
       name: name || "Default API Key",
       keyHash,
       prefix,
+      scopes: settings.scopes,
+      allowedIps: settings.allowedIps || [],
+      expiresAt: settings.expiresAt || null,
+      rateLimitPerMinute: settings.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
     });
 
     // Return the raw key — user must copy it now
     res.status(201).json({
+      id: apiKey._id,
       key: rawKey,
       prefix,
-      name: name || "Default API Key",
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      allowedIps: apiKey.allowedIps,
+      expiresAt: apiKey.expiresAt,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
       message: "Copy this key now. It will not be shown again.",
     });
   } catch (err) {
@@ -51,7 +136,7 @@ export const generateApiKey = async (req, res) => {
 export const listApiKeys = async (req, res) => {
   try {
     const keys = await ApiKey.find({ userId: req.user.id })
-      .select("name prefix isActive lastUsedAt createdAt")
+      .select(KEY_FIELDS)
       .sort({ createdAt: -1 });
 
     res.json(keys);
@@ -61,12 +146,149 @@ export const listApiKeys = async (req, res) => {
   }
 };
 
+/**
+ * List the scopes a key can be granted.
+ */
+export const listApiKeyScopes = async (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES });
+};
+
+/**
+ * Change a key's name, scopes, IP allow-list, expiry or rate limit.
+ * The key itself stays the same.
+ */
+export const updateApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    const { settings, error } = parseKeySettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.name !== undefined) {
+      settings.name = String(req.body.name).trim() || "Default API Key";
+    }
+
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: id, userId: req.user.id },
+      { $set: settings },
+      { new: true }
+    ).select(KEY_FIELDS);
+
+    if (!key) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    res.json(key);
+  } catch (err) {
+    console.error("Update API key error:", err);
+    res.status(500).json({ error: "Failed to update API key" });
+  }
+};
+
+/**
+ * Request log and usage analytics of one key.
+ * Query: ?limit=50&skip=0&status=4xx|429&hours=24 (analytics window, max 30 days)
+ */
+export const getApiKeyRequests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    const { limit = 50, skip = 0, status } = req.query;
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+
+    const key = await ApiKey.findOne({ _id: id, userId: req.user.id }).select("_id");
+    if (!key) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    // status: exact code (429) or class (4xx)
+    const filter = { apiKeyId: key._id };
+    if (/^[1-5]xx$/i.test(status || "")) {
+      const base = Number(status[0]) * 100;
+      filter.status = { $gte: base, $lt: base + 100 };
+    } else if (!isNaN(parseInt(status))) {
+      filter.status = parseInt(status);
+    }
+
+    // Analytics cover the last `hours`, whatever the log filter
+    const recent = { apiKeyId: key._id, createdAt: { $gte: new Date(Date.now() - hours * 3600 * 1000) } };
+
+    const [logs, total, summary, endpoints] = await Promise.all([
+      ApiKeyRequestLog.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || 50, 200))
+        .skip(parseInt(skip) || 0),
+      ApiKeyRequestLog.countDocuments(filter),
+      ApiKeyRequestLog.aggregate([
+        { $match: recent },
+        {
+          $group: {
+            _id: null,
+            requests: { $sum: 1 },
+            errors: { $sum: { $cond: [{ $gte: ["$status", 400] }, 1, 0] } },
+            rateLimited: { $sum: { $cond: [{ $eq: ["$status", 429] }, 1, 0] } },
+            avgLatencyMs: { $avg: "$latencyMs" },
+            maxLatencyMs: { $max: "$latencyMs" },
+          },
+        },
+      ]),
+      ApiKeyRequestLog.aggregate([
+        { $match: recent },
+        {
+          $group: {
+            _id: { method: "$method", endpoint: "$endpoint" },
+            requests: { $sum: 1 },
+            errors: { $sum: { $cond: [{ $gte: ["$status", 400] }, 1, 0] } },
+            avgLatencyMs: { $avg: "$latencyMs" },
+          },
+        },
+        { $sort: { requests: -1 } },
+        { $limit: 50 },
+      ]),
+    ]);
+
+    const totals = summary[0] || { requests: 0, errors: 0, rateLimited: 0, avgLatencyMs: null, maxLatencyMs: null };
+
+    res.json({
+      analytics: {
+        hours,
+        requests: totals.requests,
+        errors: totals.errors,
+        rateLimited: totals.rateLimited,
+        avgLatencyMs: totals.avgLatencyMs === null ? null : Math.round(totals.avgLatencyMs),
+        maxLatencyMs: totals.maxLatencyMs,
+        endpoints: endpoints.map((row) => ({
+          method: row._id.method,
+          endpoint: row._id.endpoint,
+          requests: row.requests,
+          errors: row.errors,
+          avgLatencyMs: Math.round(row.avgLatencyMs),
+        })),
+      },
+      total,
+      logs,
+    });
+  } catch (err) {
+    console.error("API key requests error:", err);
+    res.status(500).json({ error: "Failed to load API key requests" });
+  }
+};
+
 /**
  * Revoke (deactivate) an API key.
  */
 export const revokeApiKey = async (req, res) => {
   try {
     const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
 
     const key = await ApiKey.findOneAndUpdate(
       { _id: id, userId: req.user.id },
@@ -1,10 +1,211 @@
 import crypto from "crypto";
-import ApiKey from "./apikey.model.js";
+import net from "net";
+import ApiKey, { ApiKeyRequestLog } from "./apikey.model.js";
 import User from "../auth/user.model.js";
 
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Parse an allow-list entry: an IP address or a CIDR range (IPv4 or IPv6)
+ * @param {string} entry - e.g. "203.0.113.7" or "203.0.113.0/24"
+ * @returns {Object|null} - { address, bits, family } or null if invalid
+ */
+export const parseIpRule = (entry) => {
+  if (typeof entry !== "string") return null;
+
+  const [address, bits, extra] = entry.trim().split("/");
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const family = version === 6 ? "ipv6" : "ipv4";
+  if (bits === undefined) return { address, bits: null, family };
+
+  const prefixLength = Number(bits);
+  const maxBits = version === 6 ? 128 : 32;
+  if (!/^\d+$/.test(bits) || prefixLength > maxBits) return null;
+
+  return { address, bits: prefixLength, family };
+};
+
+/**
+ * Is a client IP covered by a key's allow-list?
+ * @param {string} ip - req.ip (IPv4-mapped IPv6 addresses are unwrapped)
+ * @param {Array} allowedIps - Entries accepted by parseIpRule
+ * @returns {boolean}
+ */
+export const isIpAllowed = (ip, allowedIps = []) => {
+  if (allowedIps.length === 0) return true;
+  if (!ip) return false;
+
+  const address = ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+
+  const list = new net.BlockList();
+  for (const rule of allowedIps.map(parseIpRule).filter(Boolean)) {
+    if (rule.bits === null) list.addAddress(rule.address, rule.family);
+    else list.addSubnet(rule.address, rule.bits, rule.family);
+  }
+
+  return list.check(address, family);
+};
+
+/**
+ * Does the key carry a scope?
+ * @param {Object} apiKey - ApiKey document
+ * @param {string} scope - e.g. "contacts:read"
+ * @returns {boolean}
+ */
+export const hasScope = (apiKey, scope) => Boolean(apiKey?.scopes?.includes(scope));
+
+/**
+ * Look up a raw API key and its owner (no IP / rate limit checks - see checkApiKey)
+ * @param {string} rawKey - Key as sent by the client
+ * @returns {Promise<Object>} - { apiKey, user, error } - apiKey null if invalid/revoked/expired, user null if missing/suspended
+ */
+export const findApiKeyUser = async (rawKey) => {
+  const keyHash = crypto.createHash("sha256").update(rawKey).digest("hex");
+
+  const apiKey = await ApiKey.findOne({ keyHash, isActive: true });
+  if (!apiKey) {
+    return { apiKey: null, user: null, error: "Invalid or revoked API key." };
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { apiKey: null, user: null, error: "API key has expired." };
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) {
+    return { apiKey, user: null, error: "Account not found or suspended." };
+  }
+
+  // Update last used timestamp (non-blocking)
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+  return { apiKey, user, error: null };
+};
+
+/**
+ * Count a request against the key's per-minute limit
+ * The counter lives on the key so every backend instance shares it
+ * @private
+ */
+const consumeRateLimit = async (apiKey) => {
+  const now = Date.now();
+  const windowStart = new Date(now - (now % RATE_WINDOW_MS));
+
+  // One atomic update: same window -> +1, new window -> restart at 1
+  const updated = await ApiKey.findOneAndUpdate(
+    { _id: apiKey._id },
+    [
+      {
+        $set: {
+          rateWindow: {
+            $cond: [
+              { $eq: ["$rateWindow.start", windowStart] },
+              { start: windowStart, count: { $add: ["$rateWindow.count", 1] } },
+              { start: windowStart, count: 1 },
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, projection: { rateWindow: 1 } }
+  ).lean();
+
+  const limit = apiKey.rateLimitPerMinute;
+  const count = updated?.rateWindow?.count ?? 1;
+
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetAt: windowStart.getTime() + RATE_WINDOW_MS,
+  };
+};
+
+/**
+ * Check a raw API key for one request or connection: active and unexpired key, active
+ * owner, client IP on the allow-list, and one request counted against the rate limit
+ * Shared by REST (requireApiKey), the Socket.IO handshake and the supervisor WebSocket;
+ * scopes are checked by the caller
+ * @param {string} rawKey - Key as sent by the client
+ * @param {string} ip - Client address
+ * @returns {Promise<Object>} - { apiKey, user, rate, status, error, rejectedReason }
+ *   user is set only when the key may be used; apiKey is set whenever the attempt should be logged
+ */
+export const checkApiKey = async (rawKey, ip) => {
+  const { apiKey, user, error } = await findApiKeyUser(rawKey);
+  if (!apiKey || !user) {
+    return { apiKey: null, user: null, rate: null, status: 401, error, rejectedReason: null };
+  }
+
+  if (!isIpAllowed(ip, apiKey.allowedIps)) {
+    return {
+      apiKey,
+      user: null,
+      rate: null,
+      status: 403,
+      error: "Requests from this IP address are not allowed for this API key.",
+      rejectedReason: "ip",
+    };
+  }
+
+  const rate = await consumeRateLimit(apiKey);
+  if (!rate.allowed) {
+    return {
+      apiKey,
+      user: null,
+      rate,
+      status: 429,
+      error: `Rate limit exceeded: ${rate.limit} requests per minute for this API key.`,
+      rejectedReason: "rate_limit",
+    };
+  }
+
+  return { apiKey, user, rate, status: 200, error: null, rejectedReason: null };
+};
+
+/**
+ * Add a request to the key's log
+ * @param {Object} apiKey - ApiKey document
+ * @param {Object} entry - { method, endpoint, path, status, latencyMs, ip, rejectedReason }
+ */
+export const logApiKeyRequest = (apiKey, entry) => {
+  ApiKeyRequestLog.create({
+    apiKeyId: apiKey._id,
+    userId: apiKey.userId,
+    rejectedReason: null,
+    ...entry,
+  }).catch((err) => console.error("API key request log error:", err.message));
+};
+
+/**
+ * Record the request in the key's log once the response is sent
+ * @private
+ */
+const logRequestOnFinish = (req, res, apiKey) => {
+  const startedAt = Date.now();
+
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0];
+
+    logApiKeyRequest(apiKey, {
+      method: req.method,
+      endpoint: req.route ? `${req.baseUrl}${req.route.path}` : path,
+      path,
+      status: res.statusCode,
+      latencyMs: Date.now() - startedAt,
+      ip: req.ip,
+      rejectedReason: res.locals.apiKeyRejection || null,
+    });
+  });
+};
+
 /**
  * Middleware: authenticate requests via x-api-key header.
- * Sets req.user just like JWT auth so downstream controllers work unchanged.
+ * Enforces the key's expiry, IP allow-list and rate limit, and logs every request.
+ * Sets req.user just like JWT auth so downstream controllers work unchanged,
+ * and req.apiKey for requireScope.
  */
 export const requireApiKey = async (req, res, next) => {
   try {
@@ -16,26 +217,45 @@ export const requireApiKey = async (req, res, next) => {
       });
     }
 
-    const keyHash = crypto.createHash("sha256").update(rawKey).digest("hex");
-
-    const apiKey = await ApiKey.findOne({ keyHash, isActive: true });
-    if (!apiKey) {
-      return res.status(401).json({ error: "Invalid or revoked API key." });
+    const { apiKey, user, rate, status, error, rejectedReason } = await checkApiKey(rawKey, req.ip);
+    if (apiKey) {
+      logRequestOnFinish(req, res, apiKey);
     }
-
-    const user = await User.findById(apiKey.userId);
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: "Account not found or suspended." });
+    if (rate) {
+      res.set({
+        "X-RateLimit-Limit": String(rate.limit),
+        "X-RateLimit-Remaining": String(rate.remaining),
+        "X-RateLimit-Reset": String(Math.ceil(rate.resetAt / 1000)),
+      });
+      if (!rate.allowed) {
+        res.set("Retry-After", String(Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000))));
+      }
+    }
+    if (!user) {
+      res.locals.apiKeyRejection = rejectedReason;
+      return res.status(status).json({ error });
     }
-
-    // Update last used timestamp (non-blocking)
-    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
 
     // Set req.user for downstream controllers (same shape as JWT auth)
     req.user = user;
+    req.apiKey = apiKey;
     next();
   } catch (err) {
     console.error("API key auth error:", err);
     res.status(500).json({ error: "Authentication failed" });
   }
 };
+
+/**
+ * Middleware: require a scope on the API key (use after requireApiKey)
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (hasScope(req.apiKey, scope)) return next();
+
+  res.locals.apiKeyRejection = "scope";
+  res.status(403).json({
+    error: `This API key is missing the "${scope}" scope.`,
+    requiredScope: scope,
+  });
+};
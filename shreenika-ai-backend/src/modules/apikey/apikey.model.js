@@ -1,5 +1,26 @@
 import mongoose from "mongoose";
 
+/**
+ * Permissions an API key can be granted, checked per route in api-v1.routes.js
+ * Keys created before scopes existed load with every scope (their old full access)
+ */
+export const API_KEY_SCOPES = [
+  "agents:read",
+  "calls:read",
+  "calls:write",
+  "contacts:read",
+  "contacts:write",
+  "dnc:read",
+  "dnc:write",
+  "knowledge:read",
+  "knowledge:write",
+  "usage:read",
+  "billing:read",
+];
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+
 const apiKeySchema = new mongoose.Schema(
   {
     userId: {
@@ -29,11 +50,78 @@ const apiKeySchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+
+    /* ===== ACCESS CONTROL ===== */
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      default: () => [...API_KEY_SCOPES],
+    },
+    // Client IPs or IPv4 CIDR ranges; empty = any IP
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      default: DEFAULT_RATE_LIMIT_PER_MINUTE,
+      min: 1,
+      max: MAX_RATE_LIMIT_PER_MINUTE,
+    },
+    // Fixed one-minute window, shared by every backend instance
+    rateWindow: {
+      start: { type: Date, default: null },
+      count: { type: Number, default: 0 },
+    },
   },
   { timestamps: true }
 );
 
-apiKeySchema.index({ keyHash: 1 });
 apiKeySchema.index({ userId: 1, isActive: 1 });
 
+/**
+ * One request made with an API key (v1 API)
+ * Kept for 30 days
+ */
+const apiKeyRequestLogSchema = new mongoose.Schema(
+  {
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: String,
+    // Route pattern (e.g. /api/v1/contacts/:id) so requests group by endpoint
+    endpoint: String,
+    path: String,
+    status: Number,
+    latencyMs: Number,
+    ip: String,
+    // Why the request was refused before reaching the route (scope, ip, rate_limit)
+    rejectedReason: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 30 * 24 * 60 * 60,
+    },
+  },
+  { versionKey: false }
+);
+
+apiKeyRequestLogSchema.index({ apiKeyId: 1, createdAt: -1 });
+
+export const ApiKeyRequestLog = mongoose.model("ApiKeyRequestLog", apiKeyRequestLogSchema);
+
 export default mongoose.model("ApiKey", apiKeySchema);
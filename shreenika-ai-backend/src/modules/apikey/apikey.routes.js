@@ -3,6 +3,9 @@ import { requireAuth } from "../auth/auth.middleware.js";
 import {
   generateApiKey,
   listApiKeys,
+  listApiKeyScopes,
+  updateApiKey,
+  getApiKeyRequests,
   revokeApiKey,
 } from "./apikey.controller.js";
 
@@ -11,6 +14,9 @@ const router = express.Router();
 // All routes require JWT auth (user must be logged in to manage keys)
 router.post("/", requireAuth, generateApiKey);
 router.get("/", requireAuth, listApiKeys);
+router.get("/scopes", requireAuth, listApiKeyScopes);
+router.patch("/:id", requireAuth, updateApiKey);
+router.get("/:id/requests", requireAuth, getApiKeyRequests);
 router.delete("/:id", requireAuth, revokeApiKey);
 
 export default router;
@@ -5,6 +5,7 @@ import User from "./user.model.js";
 import Agent from "../agent/agent.model.js";
 import Subscription from "../billing/subscription.model.js";
 import { sendMail } from "../../utils/mailer.js";
+import { isValidPhoneCountry } from "../../utils/phone.js";
 
 
 /* =========================
@@ -315,7 +316,8 @@ export const getMe = async (req, res) => {
         name: user.name || user.email.split('@')[0],
         email: user.email,
         role: user.role,
-        emailVerified: user.emailVerified
+        emailVerified: user.emailVerified,
+        defaultPhoneCountry: user.defaultPhoneCountry
       }
     });
   } catch (err) {
@@ -349,6 +351,34 @@ export const markOnboarded = async (req, res) => {
   }
 };
 
+/* =========================
+   UPDATE DEFAULT PHONE COUNTRY
+========================= */
+export const updatePhoneCountry = async (req, res) => {
+  try {
+    const { country } = req.body;
+
+    if (!isValidPhoneCountry(country)) {
+      return res.status(400).json({ message: "A valid ISO country code is required (e.g. IN, US, GB)" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { defaultPhoneCountry: country.toUpperCase() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    return res.json({ defaultPhoneCountry: user.defaultPhoneCountry });
+  } catch (err) {
+    console.error("UPDATE PHONE COUNTRY ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 /* =========================
    PROMOTE USER TO ADMIN
 ========================= */
@@ -10,6 +10,7 @@ import {
   resetPassword,
   getMe,
   markOnboarded,
+  updatePhoneCountry,
   promoteToAdmin
 } from "./auth.controller.js";
 
@@ -33,6 +34,11 @@ router.get("/me", requireAuth, getMe);
 ========================= */
 router.post("/mark-onboarded", requireAuth, markOnboarded);
 
+/* =========================
+   DEFAULT PHONE COUNTRY
+========================= */
+router.put("/me/phone-country", requireAuth, updatePhoneCountry);
+
 /* =========================
    PROMOTE USER TO ADMIN
 ========================= */
@@ -60,6 +60,57 @@ const userSchema = new mongoose.Schema(
     hasOnboarded: {
       type: Boolean,
       default: false
+    },
+
+    // ISO country used to read national-format phone numbers (e.g. 09876543210)
+    defaultPhoneCountry: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "IN"
+    },
+
+    // Backend call recordings (see recording.service.js)
+    recordingSettings: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Recordings older than this are deleted; null keeps them forever
+      retentionDays: {
+        type: Number,
+        min: 1,
+        max: 3650,
+        default: null
+      }
+    },
+
+    // Call outcome → contact status rules (see contact-status.service.js);
+    // unset uses the built-in defaults
+    outcomeStatusRules: {
+      type: [
+        {
+          _id: false,
+          outcome: {
+            type: String,
+            enum: ["meeting_booked", "callback_requested", "not_interested", "voicemail", "no_outcome"],
+            required: true
+          },
+          contactStatus: {
+            type: String,
+            enum: ["new", "contacted", "qualified", "closed", null],
+            default: null
+          },
+          // Only apply while the current status is one of these (empty = any)
+          fromStatuses: [
+            {
+              type: String,
+              enum: ["new", "contacted", "qualified", "closed"]
+            }
+          ]
+        }
+      ],
+      default: undefined
     }
   },
   { timestamps: true }
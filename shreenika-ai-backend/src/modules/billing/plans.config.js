@@ -10,7 +10,8 @@ export const PLAN_LIMITS = {
     docsPerAgent: 0,
     knowledgeBase: false,
     addOns: false,
-    activationFee: 0
+    activationFee: 0,
+    concurrentCallLimit: 2 // Simultaneous live calls across all campaigns
   },
   Pro: {
     agentLimit: 5,
@@ -18,7 +19,8 @@ export const PLAN_LIMITS = {
     docsPerAgent: 5,
     knowledgeBase: true,
     addOns: true,
-    activationFee: 20
+    activationFee: 20,
+    concurrentCallLimit: 10
   },
   Enterprise: {
     agentLimit: Infinity,
@@ -26,7 +28,8 @@ export const PLAN_LIMITS = {
     docsPerAgent: Infinity,
     knowledgeBase: true,
     addOns: true,
-    activationFee: null // Talk to sales
+    activationFee: null, // Talk to sales
+    concurrentCallLimit: 50
   }
 };
 
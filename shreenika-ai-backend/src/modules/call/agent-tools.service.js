@@ -0,0 +1,569 @@
+/**
+ * Agent Tools Service
+ * Function calling for Gemini Live: declares an agent's tools in the session setup,
+ * runs the model's function calls server-side and records every invocation on the Call
+ *
+ * Tool types (Agent.tools):
+ * - builtin: book_meeting, update_lead_status, end_call, send_sms
+ * - http: custom tool - arguments are sent to the tenant's endpoint, its JSON reply goes back to the model
+ *
+ * Added automatically:
+ * - transfer_to_human when Agent.transferSettings is enabled (see call-transfer.service.js)
+ * - search_knowledge when the agent has indexed knowledge documents (see knowledge-index.service.js)
+ *
+ * Every call has a timeout (Agent.tools[].timeoutMs, default 8s). Actions that must
+ * happen after the model has spoken (hang up, transfer) are deferred until the
+ * function response has been sent.
+ */
+
+import Call from './call.model.js';
+import Contact from '../contacts/contact.model.js';
+import { CONTACT_STATUSES, recordContactActivity } from '../contacts/contact-status.service.js';
+import { ProviderFactory } from './providers/ProviderFactory.js';
+import { getAgentProviderOrFallback, getAgentPhoneNumber } from './helpers/getAgentProvider.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
+import {
+  TRANSFER_TOOL_NAME,
+  buildTransferTool,
+  transferCall
+} from './call-transfer.service.js';
+import { searchKnowledge } from '../knowledge/knowledge-index.service.js';
+import { assertPublicUrl, requestPublicUrl } from '../../utils/outbound-http.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+// Keep tool results small - they go back into the model's context
+const MAX_RESULT_CHARS = 4000;
+const MAX_SMS_CHARS = 480;
+// Let the model finish its goodbye before hanging up
+const END_CALL_DELAY_MS = 4000;
+
+export const KNOWLEDGE_TOOL_NAME = 'search_knowledge';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+class ToolTimeoutError extends Error {
+  constructor(ms) {
+    super(`Tool timed out after ${ms}ms`);
+    this.name = 'ToolTimeoutError';
+  }
+}
+
+/* =========================
+   HELPERS
+========================= */
+
+/**
+ * Provider for the call's agent
+ * @private
+ */
+const getCallProvider = async (call) => {
+  const voipProvider = await getAgentProviderOrFallback(call.agentId);
+  if (!voipProvider) {
+    throw new Error('No phone provider is assigned to this agent');
+  }
+  return ProviderFactory.createProvider(voipProvider);
+};
+
+/**
+ * Require a real (non-test) call for tools that act on it
+ * @private
+ */
+const requireCall = (ctx) => {
+  if (!ctx.call) {
+    throw new Error('This action is not available in test calls');
+  }
+  return ctx.call;
+};
+
+/**
+ * Call details sent to tenant endpoints
+ * @private
+ */
+const describeCall = (call, agent) => ({
+  callId: call?._id || null,
+  agentId: agent?._id || null,
+  leadId: call?.leadId || null,
+  leadName: call?.leadName || null,
+  phoneNumber: call?.phoneNumber || null,
+  direction: call?.direction || null
+});
+
+/**
+ * Cap a tool result at MAX_RESULT_CHARS
+ * @private
+ */
+const limitResult = (value) => {
+  const json = JSON.stringify(value ?? null);
+  if (json.length <= MAX_RESULT_CHARS) return value ?? null;
+  return { truncated: true, text: json.slice(0, MAX_RESULT_CHARS) };
+};
+
+/**
+ * Call a tenant endpoint with the tool arguments
+ * Only public addresses are reached and redirects are not followed (see utils/outbound-http.js)
+ * @private
+ */
+const callToolEndpoint = async (tool, args, ctx) => {
+  const method = tool.http?.method || 'POST';
+  const headers = { 'Content-Type': 'application/json', ...(tool.http?.headers || {}) };
+
+  const response = await requestPublicUrl({
+    url: tool.http.url,
+    method,
+    headers,
+    ...(method === 'GET'
+      ? { params: { tool: tool.name, callId: ctx.call?._id?.toString(), ...args } }
+      : { data: { tool: tool.name, arguments: args, call: describeCall(ctx.call, ctx.agent) } }),
+    signal: ctx.signal,
+    validateStatus: () => true
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Tool endpoint returned ${response.status}`);
+  }
+  return response.data;
+};
+
+/**
+ * Convert a JSON schema to the Gemini OpenAPI subset (upper-case types, known keys only)
+ * @private
+ */
+const toGeminiSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return undefined;
+
+  const out = {};
+  if (schema.type) out.type = schema.type.toString().toUpperCase();
+  if (schema.description) out.description = schema.description;
+  if (Array.isArray(schema.enum)) out.enum = schema.enum.map(String);
+  if (schema.format) out.format = schema.format;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (Array.isArray(schema.required) && schema.required.length > 0) out.required = schema.required;
+  return out;
+};
+
+/* =========================
+   BUILT-IN TOOLS
+========================= */
+
+export const BUILTIN_TOOLS = {
+  book_meeting: {
+    description: 'Book a meeting or demo with the caller once they have agreed to a specific date and time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startTime: { type: 'string', description: 'Meeting start as ISO 8601 date-time with timezone offset, e.g. 2026-03-02T15:30:00+05:30' },
+        durationMinutes: { type: 'integer', description: 'Meeting length in minutes (default 30)' },
+        attendeeEmail: { type: 'string', description: 'Caller email for the invite, if they gave one' },
+        notes: { type: 'string', description: 'What the meeting is about' }
+      },
+      required: ['startTime']
+    },
+    handler: async (args, ctx) => {
+      const call = requireCall(ctx);
+      const start = new Date(args.startTime);
+      if (Number.isNaN(start.getTime())) {
+        throw new Error('startTime must be an ISO 8601 date-time');
+      }
+      if (start.getTime() < Date.now()) {
+        throw new Error('startTime is in the past');
+      }
+
+      const meeting = {
+        startTime: start.toISOString(),
+        durationMinutes: parseInt(args.durationMinutes) || 30,
+        attendeeEmail: args.attendeeEmail || null,
+        notes: args.notes || null,
+        leadName: call.leadName || null,
+        phoneNumber: call.phoneNumber
+      };
+
+      // Forward to the tenant's calendar system when configured
+      const confirmation = ctx.tool.http?.url
+        ? await callToolEndpoint(ctx.tool, meeting, ctx)
+        : null;
+
+      await Call.updateOne({ _id: call._id }, { $set: { outcome: 'meeting_booked' } });
+
+      return { booked: true, ...meeting, ...(confirmation && { confirmation }) };
+    }
+  },
+
+  update_lead_status: {
+    description: 'Update the status of the lead you are talking to in the CRM.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['contacted', 'qualified', 'closed'],
+          description: 'New lead status: contacted (spoke, no decision yet), qualified (good fit / interested), closed (not interested or done)'
+        }
+      },
+      required: ['status']
+    },
+    handler: async (args, ctx) => {
+      const call = requireCall(ctx);
+      if (!call.leadId) {
+        throw new Error('No lead is linked to this call');
+      }
+
+      const allowed = ctx.tool.parameters?.properties?.status?.enum
+        || BUILTIN_TOOLS.update_lead_status.parameters.properties.status.enum;
+      if (!allowed.includes(args.status) || !CONTACT_STATUSES.includes(args.status)) {
+        throw new Error(`status must be one of: ${allowed.filter((s) => CONTACT_STATUSES.includes(s)).join(', ')}`);
+      }
+
+      const previous = await Contact.findOneAndUpdate(
+        { _id: call.leadId, ownerUserId: call.userId },
+        { $set: { status: args.status } }
+      ).select('status').lean();
+      if (!previous) {
+        throw new Error('Lead not found');
+      }
+
+      const lead = await Contact.findById(call.leadId);
+      if (previous.status !== lead.status) {
+        await recordContactActivity({
+          ownerUserId: call.userId,
+          contactId: lead._id,
+          type: 'status_change',
+          callId: call._id,
+          fromStatus: previous.status,
+          toStatus: lead.status,
+          source: 'agent_tool'
+        });
+      }
+
+      webhookEmitter.onLeadUpdated(call.userId, lead.toObject(), ['status']).catch((err) =>
+        console.error('❌ Webhook error:', err.message)
+      );
+
+      return { updated: true, status: lead.status };
+    }
+  },
+
+  end_call: {
+    description: 'Hang up after you have said goodbye, when the conversation is clearly over.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the call is ending' }
+      }
+    },
+    handler: async (args, ctx) => {
+      const call = requireCall(ctx);
+
+      ctx.defer(async () => {
+        await new Promise(resolve => setTimeout(resolve, END_CALL_DELAY_MS));
+        await Call.updateOne({ _id: call._id }, { $set: { endReason: `ai_end_call${args.reason ? `: ${args.reason}` : ''}` } });
+        const provider = await getCallProvider(call);
+        await provider.endCall(call.providerCallId || call.twilioCallSid);
+      });
+
+      return { ending: true, instruction: 'The call will end in a few seconds. Do not say anything else.' };
+    }
+  },
+
+  send_sms: {
+    description: 'Send a text message to the caller, e.g. a link, address or booking confirmation they asked for.',
+    parameters: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: `Text to send (max ${MAX_SMS_CHARS} characters)` }
+      },
+      required: ['message']
+    },
+    handler: async (args, ctx) => {
+      const call = requireCall(ctx);
+      const body = (args.message || '').toString().trim();
+      if (!body) {
+        throw new Error('message is required');
+      }
+      if (body.length > MAX_SMS_CHARS) {
+        throw new Error(`message is longer than ${MAX_SMS_CHARS} characters`);
+      }
+
+      const from = await getAgentPhoneNumber(call.agentId);
+      if (!from) {
+        throw new Error('This agent has no phone number to send SMS from');
+      }
+
+      const provider = await getCallProvider(call);
+      const { messageId } = await provider.sendSms({ to: call.phoneNumber, from, body });
+
+      return { sent: true, messageId };
+    }
+  }
+};
+
+/**
+ * transfer_to_human - declared from Agent.transferSettings rather than Agent.tools
+ * @private
+ */
+const TRANSFER_TOOL = {
+  handler: async (args, ctx) => {
+    const call = requireCall(ctx);
+
+    // Redirect after the model has said its handoff line
+    ctx.defer(async () => {
+      const result = await transferCall({
+        call,
+        reason: args.reason || 'human_request',
+        summary: args.summary,
+        requestedBy: 'ai',
+        delayMs: 2000
+      });
+      if (!result.success) {
+        ctx.notify(`[System] The transfer failed (${result.error}). Apologise to the caller, and offer to have a colleague call them back.`);
+      }
+    });
+
+    return { started: true, instruction: 'Transfer started. Do not say anything else.' };
+  }
+};
+
+/**
+ * search_knowledge - declared when the agent has an indexed knowledge base
+ * @private
+ */
+const KNOWLEDGE_TOOL = {
+  declaration: {
+    name: KNOWLEDGE_TOOL_NAME,
+    description: 'Search the company knowledge base (product, pricing, policy documents). Use it before answering any factual question about the company or its products.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: { type: 'STRING', description: 'The question to look up, as a full sentence' }
+      },
+      required: ['query']
+    }
+  },
+  handler: async (args, ctx) => {
+    const passages = await searchKnowledge(ctx.agent._id, args.query);
+    if (passages.length === 0) {
+      return { passages: [], instruction: 'Nothing relevant found. Do not guess - offer to have a colleague follow up.' };
+    }
+    return { passages: passages.map(({ title, text }) => ({ source: title, text })) };
+  }
+};
+
+/* =========================
+   DECLARATION & VALIDATION
+========================= */
+
+/**
+ * Validate Agent.tools from an API payload
+ * HTTP tool URLs must resolve to public addresses
+ * @param {Array} tools
+ * @returns {Promise<void>}
+ * @throws {Error} - First problem found
+ */
+export const validateAgentTools = async (tools) => {
+  if (!Array.isArray(tools)) {
+    throw new Error('tools must be an array');
+  }
+
+  const seen = new Set();
+  for (const tool of tools) {
+    const name = tool?.name;
+    if (!name || !TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid tool name "${name}": use letters, digits and underscores (max 64)`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Duplicate tool "${name}"`);
+    }
+    seen.add(name);
+
+    if (name === TRANSFER_TOOL_NAME) {
+      throw new Error(`${TRANSFER_TOOL_NAME} is configured through transferSettings`);
+    }
+    if (name === KNOWLEDGE_TOOL_NAME) {
+      throw new Error(`${KNOWLEDGE_TOOL_NAME} is added automatically when the agent has knowledge documents`);
+    }
+
+    const type = tool.type || 'builtin';
+    if (type === 'builtin' && !BUILTIN_TOOLS[name]) {
+      throw new Error(`Unknown built-in tool "${name}" (available: ${Object.keys(BUILTIN_TOOLS).join(', ')})`);
+    }
+    if (type === 'http') {
+      if (BUILTIN_TOOLS[name]) {
+        throw new Error(`"${name}" is a built-in tool name`);
+      }
+      if (!/^https?:\/\//i.test(tool.http?.url || '')) {
+        throw new Error(`Tool "${name}" needs an http(s) URL`);
+      }
+      await assertPublicUrl(tool.http.url).catch((err) => {
+        throw new Error(`Tool "${name}" URL is not allowed: ${err.message}`);
+      });
+      if (!tool.description) {
+        throw new Error(`Tool "${name}" needs a description so the AI knows when to use it`);
+      }
+    }
+    if (tool.parameters !== undefined && (tool.parameters?.type || '').toString().toLowerCase() !== 'object') {
+      throw new Error(`Tool "${name}" parameters must be a JSON schema of type "object"`);
+    }
+  }
+};
+
+/**
+ * Check an agent's transfer settings and send_sms tool against the provider of its phone number
+ * @param {Object} agent - Agent (or the fields being saved)
+ * @param {string|null} providerName - VoipProvider.provider of the agent's number (null = none assigned)
+ * @throws {Error} - When the provider can't do what the agent is set up for
+ */
+export const validateAgentProviderSupport = (agent, providerName) => {
+  if (!providerName) return;
+
+  if (agent.transferSettings?.enabled && !ProviderFactory.supports(providerName, 'transferCall')) {
+    throw new Error(`${providerName} does not support call transfer; disable transferSettings for this agent`);
+  }
+
+  const sendsSms = (agent.tools || []).some((tool) => tool?.name === 'send_sms' && (tool.type || 'builtin') === 'builtin');
+  if (sendsSms && !ProviderFactory.supports(providerName, 'sendSms')) {
+    throw new Error(`${providerName} does not support SMS; remove the send_sms tool from this agent`);
+  }
+};
+
+/**
+ * Gemini function declarations for an agent
+ * @param {Agent} agent
+ * @param {Object} options - { hasKnowledge } - agent has indexed knowledge documents
+ * @returns {Array} - [{ name, description, parameters }]
+ */
+export const buildToolDeclarations = (agent, { hasKnowledge = false } = {}) => {
+  const declarations = [];
+
+  for (const tool of agent?.tools || []) {
+    if (tool.enabled === false) continue;
+
+    const builtin = tool.type !== 'http' ? BUILTIN_TOOLS[tool.name] : null;
+    if (tool.type !== 'http' && !builtin) continue;
+
+    const parameters = toGeminiSchema(tool.parameters || builtin?.parameters);
+    declarations.push({
+      name: tool.name,
+      description: tool.description || builtin?.description || '',
+      ...(parameters?.properties && Object.keys(parameters.properties).length > 0 && { parameters })
+    });
+  }
+
+  const transferTool = buildTransferTool(agent);
+  if (transferTool) declarations.push(transferTool);
+
+  if (hasKnowledge) declarations.push(KNOWLEDGE_TOOL.declaration);
+
+  return declarations;
+};
+
+/**
+ * Find the tool the model called
+ * @private
+ */
+const resolveTool = (agent, name) => {
+  if (name === TRANSFER_TOOL_NAME) {
+    return buildTransferTool(agent) ? { config: { name, timeoutMs: DEFAULT_TIMEOUT_MS }, handler: TRANSFER_TOOL.handler } : null;
+  }
+
+  if (name === KNOWLEDGE_TOOL_NAME) {
+    return { config: { name, timeoutMs: DEFAULT_TIMEOUT_MS }, handler: KNOWLEDGE_TOOL.handler };
+  }
+
+  const config = (agent?.tools || []).find(t => t.name === name && t.enabled !== false);
+  if (!config) return null;
+
+  if (config.type === 'http') {
+    return { config, handler: (args, ctx) => callToolEndpoint(config, args, ctx) };
+  }
+  return BUILTIN_TOOLS[name] ? { config, handler: BUILTIN_TOOLS[name].handler } : null;
+};
+
+/* =========================
+   EXECUTION
+========================= */
+
+/**
+ * Run a function call from the model
+ * @param {Object} params
+ * @param {string} params.name - Function name
+ * @param {Object} params.args - Arguments from the model
+ * @param {Agent} params.agent - Agent document
+ * @param {Call|null} params.call - Call document (null in test mode)
+ * @param {Function} params.notify - Send a system note to the model later (deferred actions)
+ * @returns {Promise<Object>} - { response, afterResponse } - send response to the model, then await afterResponse()
+ */
+export const executeToolCall = async ({ name, args = {}, agent, call = null, notify = () => {} }) => {
+  const startedAt = new Date();
+  const deferred = [];
+  const tool = resolveTool(agent, name);
+
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  if (!tool) {
+    status = 'error';
+    error = `Unknown tool: ${name}`;
+  } else {
+    const timeoutMs = tool.config.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    let timer;
+
+    const ctx = {
+      agent,
+      call,
+      tool: tool.config,
+      signal: controller.signal,
+      notify,
+      defer: (fn) => deferred.push(fn)
+    };
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new ToolTimeoutError(timeoutMs));
+        }, timeoutMs);
+      });
+      result = limitResult(await Promise.race([tool.handler(args, ctx), timeout]));
+    } catch (err) {
+      status = err instanceof ToolTimeoutError ? 'timeout' : 'error';
+      error = err.message;
+      deferred.length = 0;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const durationMs = Date.now() - startedAt.getTime();
+  console.log(`🔧 [Tools] ${name} → ${status} in ${durationMs}ms${error ? ` (${error})` : ''}`);
+
+  if (call) {
+    await Call.updateOne(
+      { _id: call._id },
+      { $push: { toolInvocations: { name, args, status, result, error, durationMs, invokedAt: startedAt } } }
+    ).catch((err) => console.error('❌ Failed to record tool invocation:', err.message));
+  }
+
+  return {
+    response: status === 'success' ? { result } : { error },
+    afterResponse: async () => {
+      for (const fn of deferred) {
+        await fn().catch((err) => console.error(`❌ [Tools] ${name} follow-up failed:`, err.message));
+      }
+    }
+  };
+};
+
+export default {
+  KNOWLEDGE_TOOL_NAME,
+  BUILTIN_TOOLS,
+  validateAgentTools,
+  validateAgentProviderSupport,
+  buildToolDeclarations,
+  executeToolCall
+};
@@ -0,0 +1,276 @@
+/**
+ * Answering Machine Service
+ * Detects voicemail on streamed calls and runs the agent's configured voicemail action
+ *
+ * Detection sources:
+ * - provider: Twilio async AMD callback (AnsweredBy)
+ * - audio: greeting-length heuristic on the caller's media stream (all providers)
+ *
+ * Actions (Agent.callSettings.voicemailAction):
+ * - leave-message: mute the AI, play voicemailMessage through TTS after the greeting, hang up
+ * - hang-up: end the call immediately
+ * - transfer: not available for machines, falls back to hang-up
+ *
+ * The call is marked outcome "voicemail" so campaign retry rules can redial it later.
+ */
+
+import Call from './call.model.js';
+import CallLog from './callLog.model.js';
+import Agent from '../agent/agent.model.js';
+import { ProviderFactory } from './providers/ProviderFactory.js';
+import { getAgentProviderOrFallback } from './helpers/getAgentProvider.js';
+import { TTSService } from '../voice/tts.service.js';
+
+// Twilio AnsweredBy values that mean "not a person"
+export const MACHINE_ANSWERS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+// Continuous speech longer than this is a recorded greeting, not "Hello?"
+const MACHINE_SPEECH_MS = parseInt(process.env.AMD_MACHINE_SPEECH_MS) || 4000;
+// A first utterance this short followed by a pause is a person waiting for a reply
+const HUMAN_GREETING_MS = 2500;
+// Frame RMS (fraction of full scale) that counts as speech - stricter than the VAD so line noise is not a "greeting"
+const SPEECH_RMS = 0.02;
+// Gap that ends an utterance
+const UTTERANCE_GAP_MS = 800;
+// Give up deciding after this long (the call continues as if human)
+const DECISION_WINDOW_MS = parseInt(process.env.AMD_DECISION_WINDOW_MS) || 8000;
+// Silence after the greeting that means "speak now" (beep + silence)
+const GREETING_END_SILENCE_MS = 1200;
+const GREETING_END_TIMEOUT_MS = 20000;
+
+// Gemini/TTS output format: PCM 16-bit mono 24kHz
+const TTS_SAMPLE_RATE = 24000;
+const TTS_CHUNK_BYTES = TTS_SAMPLE_RATE * 2 / 10; // 100ms
+
+/**
+ * Greeting-length heuristic on the caller's audio
+ * Feed every inbound frame; verdict becomes 'human' or 'machine' once, or stays null
+ */
+export class AnsweringMachineDetector {
+  constructor() {
+    this.verdict = null;
+    this.elapsedMs = 0;
+    this.speechMs = 0;       // Current utterance length
+    this.lastUtteranceMs = 0;
+    this.silenceMs = 0;      // Silence since the last voiced frame
+    this.heardSpeech = false;
+  }
+
+  /**
+   * Feed a caller audio frame
+   * @param {Buffer} pcmBuffer - PCM 16-bit mono
+   * @param {number} sampleRate - Sample rate of pcmBuffer
+   * @returns {string|null} - Newly reached verdict, or null
+   */
+  processAudio(pcmBuffer, sampleRate = 16000) {
+    const samples = Math.floor(pcmBuffer.length / 2);
+    if (samples === 0) return null;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples; i++) {
+      const sample = pcmBuffer.readInt16LE(i * 2) / 32768.0;
+      sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / samples);
+
+    return this.processFrame(rms > SPEECH_RMS, samples / sampleRate * 1000);
+  }
+
+  /**
+   * @param {boolean} voiced - Frame contains speech
+   * @param {number} frameMs - Frame duration in milliseconds
+   * @returns {string|null} - Newly reached verdict, or null
+   */
+  processFrame(voiced, frameMs) {
+    this.elapsedMs += frameMs;
+
+    if (voiced) {
+      this.heardSpeech = true;
+      this.speechMs += this.silenceMs < UTTERANCE_GAP_MS ? this.silenceMs + frameMs : frameMs;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += frameMs;
+      if (this.silenceMs >= UTTERANCE_GAP_MS && this.speechMs > 0) {
+        this.lastUtteranceMs = this.speechMs;
+        this.speechMs = 0;
+      }
+    }
+
+    if (this.verdict) return null;
+
+    if (this.speechMs >= MACHINE_SPEECH_MS) {
+      return this.decide('machine');
+    }
+    if (this.heardSpeech && this.lastUtteranceMs > 0 && this.lastUtteranceMs <= HUMAN_GREETING_MS) {
+      return this.decide('human');
+    }
+    if (this.elapsedMs >= DECISION_WINDOW_MS) {
+      return this.decide('human');
+    }
+    return null;
+  }
+
+  decide(verdict) {
+    if (this.verdict) return null;
+    this.verdict = verdict;
+    console.log(`📧 [AMD] Audio heuristic verdict: ${verdict} (after ${this.elapsedMs}ms)`);
+    return verdict;
+  }
+
+  /**
+   * Resolve until the caller side has been quiet long enough to leave a message
+   */
+  async waitForGreetingEnd() {
+    const started = Date.now();
+    while (this.silenceMs < GREETING_END_SILENCE_MS && Date.now() - started < GREETING_END_TIMEOUT_MS) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+}
+
+/**
+ * Create a detector for a call if the agent has voicemail detection on
+ * Only outbound calls can reach a voicemail box
+ * @param {Agent} agent - Agent document (may be null)
+ * @param {Call} call - Call document
+ * @returns {AnsweringMachineDetector|null}
+ */
+export const createAnsweringMachineDetector = (agent, call) => {
+  if (call?.direction !== 'OUTBOUND') return null;
+  if (agent?.callSettings?.voicemailDetection === false) return null;
+  return new AnsweringMachineDetector();
+};
+
+/**
+ * Strip the WAV header Google TTS puts on LINEAR16 output
+ * @private
+ */
+const toRawPcm = (audioContent) => {
+  const buffer = Buffer.from(audioContent);
+  if (buffer.length > 44 && buffer.toString('ascii', 0, 4) === 'RIFF') {
+    return buffer.subarray(44);
+  }
+  return buffer;
+};
+
+/**
+ * Synthesize the voicemail message and play it through the session's AudioRouter
+ * @private
+ * @returns {Promise<boolean>} - True if the message was played
+ */
+const playVoicemailMessage = async (agent, session, message) => {
+  const tts = new TTSService(agent, { audioEncoding: 'LINEAR16', sampleRateHertz: TTS_SAMPLE_RATE });
+  const result = await tts.synthesize(message);
+  if (!result.audioContent) {
+    console.error(`❌ [AMD] Voicemail TTS failed: ${result.error}`);
+    return false;
+  }
+
+  const pcm = toRawPcm(result.audioContent);
+  for (let offset = 0; offset < pcm.length; offset += TTS_CHUNK_BYTES) {
+    session.audioRouter.routeAudio(pcm.subarray(offset, offset + TTS_CHUNK_BYTES));
+  }
+
+  // Providers buffer the audio; wait for it to finish playing before hanging up
+  const playbackMs = Math.ceil(pcm.length / (TTS_SAMPLE_RATE * 2) * 1000);
+  await new Promise(resolve => setTimeout(resolve, playbackMs + 500));
+  return true;
+};
+
+/**
+ * Hang up through the agent's VOIP provider
+ * @private
+ */
+const hangUp = async (call) => {
+  const callSid = call.providerCallId || call.twilioCallSid;
+  if (!callSid) return false;
+
+  const voipProvider = await getAgentProviderOrFallback(call.agentId);
+  if (!voipProvider) return false;
+
+  const provider = await ProviderFactory.createProvider(voipProvider);
+  return provider.endCall(callSid);
+};
+
+/**
+ * Record a voicemail detection and run the agent's voicemail action (once per call)
+ * @param {Object} params
+ * @param {Call} params.call - Call document
+ * @param {Object|null} params.session - Media stream session on this instance ({ audioRouter, amdDetector, voicemailDrop })
+ * @param {string} params.source - 'provider' | 'audio'
+ * @param {string} [params.answeredBy] - Provider AMD result (Twilio AnsweredBy)
+ * @returns {Promise<string|null>} - Action taken, or null if already handled
+ */
+export const handleAnsweringMachine = async ({ call, session = null, source, answeredBy = null }) => {
+  // Claim the call so provider + audio detections never both act
+  const claimed = await Call.findOneAndUpdate(
+    { _id: call._id, 'amd.result': { $ne: 'machine' } },
+    {
+      $set: {
+        outcome: 'voicemail',
+        dialStatus: 'Voicemail detected',
+        amd: { result: 'machine', source, answeredBy, detectedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const agent = await Agent.findById(claimed.agentId);
+  const { voicemailAction = 'hang-up', voicemailMessage = '' } = agent?.callSettings || {};
+
+  console.log(`📧 [AMD] Voicemail on call ${claimed._id} (${source}${answeredBy ? `: ${answeredBy}` : ''}) → ${voicemailAction}`);
+
+  // Stop the AI talking to (and listening to) the machine
+  if (session) session.voicemailDrop = true;
+
+  let action = 'hang-up';
+  if (voicemailAction === 'leave-message' && voicemailMessage.trim() && session?.audioRouter) {
+    // Provider results other than machine_start arrive after the beep already
+    if (answeredBy === null || answeredBy === 'machine_start') {
+      await session.amdDetector?.waitForGreetingEnd();
+    }
+    const played = await playVoicemailMessage(agent, session, voicemailMessage.trim()).catch((err) => {
+      console.error(`❌ [AMD] Voicemail playback failed: ${err.message}`);
+      return false;
+    });
+    if (played) action = 'leave-message';
+  } else if (voicemailAction === 'leave-message') {
+    console.warn(`⚠️ [AMD] Cannot leave message on call ${claimed._id} (${voicemailMessage.trim() ? 'no media stream on this instance' : 'no voicemailMessage set'}), hanging up`);
+  } else if (voicemailAction === 'transfer') {
+    console.warn(`⚠️ [AMD] Transfer is not possible for a machine on call ${claimed._id}, hanging up`);
+  }
+
+  const ended = await hangUp(claimed).catch((err) => {
+    console.error(`❌ [AMD] Hang-up failed for call ${claimed._id}: ${err.message}`);
+    return false;
+  });
+
+  await Call.updateOne(
+    { _id: claimed._id },
+    { $set: { 'amd.action': action, endReason: action === 'leave-message' ? 'voicemail-message-left' : 'voicemail-detected-hangup' } }
+  );
+
+  await CallLog.create({
+    callId: claimed._id,
+    campaignId: claimed.campaignId,
+    userId: claimed.userId,
+    leadId: claimed.leadId,
+    leadName: claimed.leadName,
+    phoneNumber: claimed.phoneNumber,
+    event: 'VOICEMAIL',
+    details: action === 'leave-message'
+      ? 'Voicemail detected: message left and call ended'
+      : `Voicemail detected: call ${ended ? 'ended' : 'could not be ended'}`,
+    data: { source, answeredBy, action }
+  }).catch((err) => console.error('❌ Failed to log VOICEMAIL:', err.message));
+
+  return action;
+};
+
+export default {
+  MACHINE_ANSWERS,
+  AnsweringMachineDetector,
+  createAnsweringMachineDetector,
+  handleAnsweringMachine
+};
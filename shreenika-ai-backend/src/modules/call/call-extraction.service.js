@@ -0,0 +1,261 @@
+/**
+ * Call Extraction Service
+ * Structured post-call data defined per agent (Agent.extractionSchema → Call.extractedData)
+ *
+ * Schema field: { name, type: string | number | boolean | date | enum, description, enum: [values] }
+ * The analyzer asks the LLM for exactly these fields; every value is validated against
+ * its type and stored as-is, or null when the call did not reveal it / the value is invalid.
+ *
+ * Filtering (GET /calls): ?extracted[budget][gte]=5000&extracted[interest]=solar
+ *   operators: eq (default), ne, gt, gte, lt, lte, in (comma separated), exists (true | false)
+ */
+
+import { getGeminiClient } from '../../config/google.client.js';
+
+export const EXTRACTION_FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum'];
+
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const MAX_FIELDS = 30;
+const MAX_ENUM_VALUES = 50;
+const MAX_STRING_CHARS = 500;
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+
+/* =========================
+   SCHEMA
+========================= */
+
+/**
+ * Validate an agent's extraction schema (throws on the first invalid field)
+ * @param {Array} schema - Agent.extractionSchema
+ */
+export const validateExtractionSchema = (schema) => {
+  if (!Array.isArray(schema)) {
+    throw new Error('extractionSchema must be an array');
+  }
+  if (schema.length > MAX_FIELDS) {
+    throw new Error(`extractionSchema can have at most ${MAX_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+  for (const field of schema) {
+    const name = field?.name;
+    if (!name || !FIELD_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid extraction field name "${name}": start with a letter, then letters, digits and underscores (max 40)`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Duplicate extraction field "${name}"`);
+    }
+    seen.add(name);
+
+    const type = field.type || 'string';
+    if (!EXTRACTION_FIELD_TYPES.includes(type)) {
+      throw new Error(`Extraction field "${name}" type must be one of: ${EXTRACTION_FIELD_TYPES.join(', ')}`);
+    }
+
+    if (type === 'enum') {
+      const values = field.enum;
+      if (!Array.isArray(values) || values.length === 0 || values.length > MAX_ENUM_VALUES) {
+        throw new Error(`Extraction field "${name}" needs 1-${MAX_ENUM_VALUES} enum values`);
+      }
+      if (values.some((v) => typeof v !== 'string' || !v.trim())) {
+        throw new Error(`Extraction field "${name}" enum values must be non-empty strings`);
+      }
+    } else if (field.enum?.length) {
+      throw new Error(`Extraction field "${name}" has enum values but is not of type "enum"`);
+    }
+  }
+};
+
+/* =========================
+   VALUES
+========================= */
+
+const BOOLEAN_WORDS = {
+  true: true, yes: true, y: true, '1': true,
+  false: false, no: false, n: false, '0': false
+};
+
+/**
+ * Validate one extracted value against its field
+ * @private
+ * @returns {*} - Normalized value, or null when missing / invalid
+ */
+const coerceValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (field.type || 'string') {
+    case 'number': {
+      const number = typeof value === 'number'
+        ? value
+        : Number(String(value).replace(/[,\s]/g, ''));
+      return Number.isFinite(number) ? number : null;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const word = String(value).trim().toLowerCase();
+      return word in BOOLEAN_WORDS ? BOOLEAN_WORDS[word] : null;
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    case 'enum': {
+      const wanted = String(value).trim().toLowerCase();
+      return (field.enum || []).find((option) => option.toLowerCase() === wanted) ?? null;
+    }
+
+    default:
+      if (typeof value === 'object') return null;
+      return String(value).trim().slice(0, MAX_STRING_CHARS) || null;
+  }
+};
+
+/**
+ * Validate raw analyzer output against the schema
+ * Every schema field is present in the result; unknown keys are dropped.
+ * @param {Array} schema - Agent.extractionSchema
+ * @param {Object} raw - Values returned by the LLM
+ * @returns {Object} - { fieldName: value | null }
+ */
+export const coerceExtractedData = (schema, raw) => {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const data = {};
+  for (const field of schema) {
+    data[field.name] = coerceValue(field, source[field.name]);
+  }
+  return data;
+};
+
+/* =========================
+   ANALYZER
+========================= */
+
+const describeType = (field) => {
+  switch (field.type || 'string') {
+    case 'number': return 'number';
+    case 'boolean': return 'true | false';
+    case 'date': return 'ISO 8601 date or date-time string';
+    case 'enum': return field.enum.map((v) => JSON.stringify(v)).join(' | ');
+    default: return 'string';
+  }
+};
+
+/**
+ * Prompt asking for the schema's fields as JSON
+ * @param {Array} schema - Agent.extractionSchema
+ * @param {string} transcriptText - Call transcript
+ * @param {Date} [callDate] - Anchor for relative dates ("tomorrow", "next Monday")
+ */
+export const buildExtractionPrompt = (schema, transcriptText, callDate = new Date()) => {
+  const fields = schema
+    .map((field) => `- "${field.name}" (${describeType(field)})${field.description ? `: ${field.description}` : ''}`)
+    .join('\n');
+
+  return `
+Extract the following fields from this phone call transcript (Agent = our AI agent, Lead = the person called).
+The call took place on ${new Date(callDate).toISOString()}; resolve relative dates against it.
+
+Fields:
+${fields}
+
+Transcript:
+"${transcriptText}"
+
+Return ONLY valid JSON (no markdown) with exactly these keys.
+Use null for any field the call does not clearly answer - do not guess.
+`;
+};
+
+/**
+ * Run the extraction for one call
+ * @param {Array} schema - Agent.extractionSchema (non-empty)
+ * @param {string} transcriptText - Call transcript
+ * @param {Date} [callDate] - When the call happened
+ * @returns {Promise<Object>} - Validated { fieldName: value | null }
+ */
+export const extractCallData = async (schema, transcriptText, callDate) => {
+  const { llm } = getGeminiClient();
+  const result = await llm.generateContent(buildExtractionPrompt(schema, transcriptText, callDate));
+
+  const cleanJson = result.response.text().replace(/```json\n?|\n?```/g, '').trim();
+  return coerceExtractedData(schema, JSON.parse(cleanJson));
+};
+
+/* =========================
+   FILTERING
+========================= */
+
+/**
+ * Interpret a query-string value: booleans, numbers and ISO dates keep their type
+ * @private
+ * @returns {Array} - Candidate values (a numeric string also matches the string itself)
+ */
+const parseFilterValue = (value) => {
+  const text = String(value).trim();
+  if (text === 'true' || text === 'false') return [text === 'true'];
+  if (text !== '' && Number.isFinite(Number(text))) return [Number(text), text];
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(new Date(text).getTime())) return [new Date(text)];
+  return [text];
+};
+
+/**
+ * Mongo filter for ?extracted[...] query parameters
+ * @param {Object} query - req.query.extracted
+ * @returns {Object} - { "extractedData.<field>": condition } (empty without filters)
+ */
+export const buildExtractedDataFilter = (query) => {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new Error('extracted filters look like extracted[field]=value or extracted[field][gte]=value');
+  }
+
+  const filter = {};
+  for (const [name, condition] of Object.entries(query)) {
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid extracted field "${name}"`);
+    }
+    const path = `extractedData.${name}`;
+
+    // extracted[field]=value
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+      const values = [condition].flat().flatMap(parseFilterValue);
+      filter[path] = values.length === 1 ? values[0] : { $in: values };
+      continue;
+    }
+
+    // extracted[field][op]=value
+    const clause = {};
+    for (const [op, value] of Object.entries(condition)) {
+      if (!FILTER_OPERATORS.includes(op)) {
+        throw new Error(`Unknown filter operator "${op}" (use: ${FILTER_OPERATORS.join(', ')})`);
+      }
+      if (op === 'exists') {
+        // A field the call did not answer is stored as null
+        clause[value === 'false' ? '$eq' : '$ne'] = null;
+      } else if (op === 'in') {
+        clause.$in = String(value).split(',').flatMap(parseFilterValue);
+      } else if (op === 'eq' || op === 'ne') {
+        const values = parseFilterValue(value);
+        clause[op === 'eq' ? '$in' : '$nin'] = values;
+      } else {
+        // Ranges compare like with like: the first (typed) candidate
+        clause[`$${op}`] = parseFilterValue(value)[0];
+      }
+    }
+    filter[path] = clause;
+  }
+
+  return filter;
+};
+
+export default {
+  EXTRACTION_FIELD_TYPES,
+  validateExtractionSchema,
+  coerceExtractedData,
+  buildExtractionPrompt,
+  extractCallData,
+  buildExtractedDataFilter
+};
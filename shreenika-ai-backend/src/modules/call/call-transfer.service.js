@@ -0,0 +1,241 @@
+/**
+ * Call Transfer Service
+ * Warm handoff of a live AI call to a human (phone number or SIP URI)
+ *
+ * Triggers:
+ * - The AI calls the transfer_to_human tool when one of the agent's transfer rules
+ *   matches (caller asks for a person, or a qualified intent is detected)
+ * - A user calls POST /calls/:callId/transfer
+ *
+ * Before bridging, the human gets the AI's summary: spoken to them when they pick up
+ * (whisper, via /twilio/transfer-whisper/:callId) and/or as a call.transferred webhook.
+ */
+
+import Call from './call.model.js';
+import CallLog from './callLog.model.js';
+import Agent from '../agent/agent.model.js';
+import { ProviderFactory } from './providers/ProviderFactory.js';
+import { getAgentProviderOrFallback, getAgentPhoneNumber } from './helpers/getAgentProvider.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
+import { normalizePhone } from '../../utils/phone.js';
+
+export const TRANSFER_TOOL_NAME = 'transfer_to_human';
+
+const SIP_URI_PATTERN = /^sips?:[^@\s]+@[^\s]+$/i;
+
+/**
+ * Validate a transfer target and return its canonical form
+ * @param {string} target - Phone number (any format) or SIP URI
+ * @param {string} country - Tenant's default phone country
+ * @returns {string} - E.164 number or SIP URI
+ * @throws {Error} - When the target is neither
+ */
+export const normalizeTransferTarget = (target, country) => {
+  const value = (target || '').toString().trim();
+  if (/^sips?:/i.test(value)) {
+    if (!SIP_URI_PATTERN.test(value)) {
+      throw new Error(`Invalid SIP URI: ${value}`);
+    }
+    return value;
+  }
+  return normalizePhone(value, country);
+};
+
+/**
+ * True if the agent can hand calls to a human
+ * @param {Agent} agent
+ */
+export const isTransferEnabled = (agent) =>
+  agent?.transferSettings?.enabled === true && !!agent.transferSettings.target;
+
+/**
+ * Gemini Live function declaration for the agent's transfer rules
+ * @param {Agent} agent
+ * @returns {Object|null} - null when transfer is disabled
+ */
+export const buildTransferTool = (agent) => {
+  if (!isTransferEnabled(agent)) return null;
+
+  return {
+    name: TRANSFER_TOOL_NAME,
+    description: 'Transfer the live call to a human colleague. Only call this when one of the transfer rules in your instructions applies.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        reason: {
+          type: 'STRING',
+          enum: ['human_request', 'qualified_intent'],
+          description: 'Which transfer rule applies'
+        },
+        summary: {
+          type: 'STRING',
+          description: 'Two or three sentences for the human taking over: who the caller is, what they want, and anything already agreed'
+        }
+      },
+      required: ['reason', 'summary']
+    }
+  };
+};
+
+/**
+ * System instruction lines telling the AI when to transfer
+ * @param {Agent} agent
+ * @returns {string|null}
+ */
+export const buildTransferInstructions = (agent) => {
+  if (!isTransferEnabled(agent)) return null;
+
+  const { rules = {}, handoffMessage } = agent.transferSettings;
+  const lines = ['\n\nTransferring to a human:'];
+
+  if (rules.onHumanRequest !== false) {
+    lines.push('- If the caller asks to speak to a human, a real person, a manager or a specialist, transfer the call (reason "human_request").');
+  }
+  for (const intent of rules.qualifiedIntents || []) {
+    lines.push(`- If the caller ${intent}, transfer the call (reason "qualified_intent").`);
+  }
+  lines.push(`- Before transferring, say: "${handoffMessage || 'Let me transfer you to a specialist.'}" Then call ${TRANSFER_TOOL_NAME} with a short summary.`);
+  lines.push('- Do not transfer for any other reason.');
+
+  return lines.join('\n');
+};
+
+/**
+ * Text the human hears before being bridged
+ * @param {Call} call
+ * @returns {string}
+ */
+export const buildWhisperText = (call) => {
+  const caller = call.leadName?.trim() || call.phoneNumber || 'a caller';
+  const summary = call.transfer?.summary || 'No summary was provided.';
+  return `Incoming transfer from your AI agent. You are about to speak with ${caller}. ${summary}`;
+};
+
+/**
+ * Log a transfer event against the call
+ * @private
+ */
+const logTransferEvent = (call, event, details, data = {}) => CallLog.create({
+  callId: call._id,
+  campaignId: call.campaignId,
+  userId: call.userId,
+  leadId: call.leadId,
+  leadName: call.leadName,
+  phoneNumber: call.phoneNumber,
+  event,
+  details,
+  data
+}).catch((err) => console.error(`❌ Failed to log ${event}:`, err.message));
+
+/**
+ * Bridge a live call to the agent's transfer target
+ * @param {Object} params
+ * @param {Call|string} params.call - Call document or ID
+ * @param {string} params.reason - human_request | qualified_intent | manual
+ * @param {string} params.summary - Handoff summary for the human
+ * @param {string} [params.requestedBy] - 'ai' or a user ID
+ * @param {number} [params.delayMs] - Let the AI finish its handoff line before redirecting
+ * @returns {Promise<Object>} - { success, target?, error? }
+ */
+export const transferCall = async ({ call, reason, summary, requestedBy = 'ai', delayMs = 0 }) => {
+  const callId = call?._id || call;
+
+  const agentId = call?.agentId || (await Call.findById(callId).select('agentId').lean())?.agentId;
+  const agent = agentId ? await Agent.findById(agentId) : null;
+  if (!isTransferEnabled(agent)) {
+    return { success: false, error: 'Transfer is not configured for this agent' };
+  }
+
+  // One transfer per call: claim it before touching the provider
+  const claimed = await Call.findOneAndUpdate(
+    { _id: callId, 'transfer.status': { $nin: ['REQUESTED', 'TRANSFERRED'] } },
+    {
+      $set: {
+        transfer: {
+          status: 'REQUESTED',
+          target: agent.transferSettings.target,
+          reason,
+          summary: (summary || '').trim(),
+          requestedBy: requestedBy.toString(),
+          requestedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, error: 'A transfer is already in progress for this call' };
+  }
+
+  const { target, summaryDelivery = 'spoken' } = agent.transferSettings;
+  console.log(`🔀 [Transfer] Call ${claimed._id} → ${target} (${reason}, requested by ${requestedBy})`);
+
+  if (summaryDelivery === 'webhook' || summaryDelivery === 'both') {
+    webhookEmitter.onCallTransferred(claimed.userId, {
+      callId: claimed._id,
+      agentId: claimed.agentId,
+      leadId: claimed.leadId,
+      leadName: claimed.leadName,
+      phoneNumber: claimed.phoneNumber,
+      target,
+      reason,
+      summary: claimed.transfer.summary
+    }).catch((err) => console.error('❌ Webhook error:', err.message));
+  }
+
+  try {
+    const callSid = claimed.providerCallId || claimed.twilioCallSid;
+    if (!callSid) {
+      throw new Error('Call has no provider call ID');
+    }
+
+    const voipProvider = await getAgentProviderOrFallback(claimed.agentId);
+    if (!voipProvider) {
+      throw new Error(`Agent ${claimed.agentId} has no VOIP provider assigned`);
+    }
+    const provider = await ProviderFactory.createProvider(voipProvider);
+
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    const whisperUrl = summaryDelivery === 'webhook'
+      ? null
+      : `${process.env.PUBLIC_BASE_URL}/twilio/transfer-whisper/${claimed._id}`;
+
+    await provider.transferCall({
+      callSid,
+      target,
+      whisperUrl,
+      callerId: await getAgentPhoneNumber(claimed.agentId)
+    });
+
+    await Call.updateOne(
+      { _id: claimed._id },
+      { $set: { 'transfer.status': 'TRANSFERRED', 'transfer.transferredAt': new Date(), endReason: 'transferred' } }
+    );
+    await logTransferEvent(claimed, 'TRANSFERRED', `Call transferred to ${target} (${reason})`, { target, reason, requestedBy });
+
+    return { success: true, target };
+  } catch (err) {
+    console.error(`❌ [Transfer] Call ${claimed._id} transfer failed: ${err.message}`);
+
+    await Call.updateOne(
+      { _id: claimed._id },
+      { $set: { 'transfer.status': 'FAILED', 'transfer.error': err.message } }
+    );
+    await logTransferEvent(claimed, 'TRANSFER_FAILED', `Transfer to ${target} failed: ${err.message}`, { target, reason, requestedBy });
+
+    return { success: false, error: err.message };
+  }
+};
+
+export default {
+  TRANSFER_TOOL_NAME,
+  normalizeTransferTarget,
+  isTransferEnabled,
+  buildTransferTool,
+  buildTransferInstructions,
+  buildWhisperText,
+  transferCall
+};
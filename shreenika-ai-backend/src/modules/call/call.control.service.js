@@ -5,7 +5,7 @@
  */
 
 import Call from './call.model.js';
-import { io } from '../../server.js';
+import { emitToCall, REALTIME_EVENTS } from '../realtime/realtime.service.js';
 
 export class CallControlService {
   constructor(callId, agentId, callSettings = {}) {
@@ -253,7 +253,7 @@ export class CallControlService {
     const status = this.getCallStatus();
 
     // Emit to frontend via Socket.IO
-    io.to(this.callId).emit('call:status-update', status);
+    emitToCall(null, this.callId, REALTIME_EVENTS.CALL_STATUS_UPDATE, status);
 
     // Log warnings (track to avoid spam)
     if (status.warning === 'critical' && !this.durationWarningsSent.includes('critical')) {
@@ -321,7 +321,7 @@ export class CallControlService {
       );
 
       // Emit event to frontend
-      io.to(callId).emit('call:ended', {
+      emitToCall(null, callId, REALTIME_EVENTS.CALL_ENDED, {
         callId,
         reason,
         duration: elapsedSeconds,
@@ -1,39 +1,90 @@
+import mongoose from "mongoose";
 import Call from "./call.model.js";
-import Lead from "../lead/lead.model.js";
 import Contact from "../contacts/contact.model.js";
-import Usage from "../usage/usage.model.js";
 import Campaign from "./campaign.model.js";
 import CallLog from "./callLog.model.js";
 import { processCallAI } from "./call.processor.js";
-import { io } from "../../server.js";
+import { buildExtractedDataFilter } from "./call-extraction.service.js";
+import { emitToCall, emitToCampaign, REALTIME_EVENTS } from "../realtime/realtime.service.js";
+import { recordUsage } from "../usage/usage.service.js";
 import { ProviderFactory } from "./providers/ProviderFactory.js";
 import { getAgentProviderOrFallback, getAgentPhoneNumber } from "./helpers/getAgentProvider.js";
 import { webhookEmitter } from "../webhook/webhook.emitter.js";
 import Agent from "../agent/agent.model.js";
+import User from "../auth/user.model.js";
 import { rateLimitService } from "./rate-limit.service.js";
-
-// Track active campaigns by ID (for pause/resume)
-let activeCampaigns = new Map(); // campaignId -> { active: boolean, paused: boolean }
-
-const getMonthKey = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-};
+import { campaignScheduler } from "./campaign-scheduler.service.js";
+import { normalizeSchedule, isWithinCallingWindow, getNextWindowStart } from "./calling-window.service.js";
+import { normalizeRetryPolicy, scheduleRetry, claimDueRetries, markRetryDispatched, getNextRetryDueAt, cancelPendingRetries } from "./campaign-retry.service.js";
+import CampaignRetry from "./campaignRetry.model.js";
+import { getFreeCallSlots } from "./concurrency.service.js";
+import { checkDncBeforeDial } from "../dnc/dnc.service.js";
+import { previewAudience, resolveAudience } from "../contacts/contact-audience.service.js";
+import { normalizePhone, getPhoneCountry } from "../../utils/phone.js";
+import { transferCall as transferLiveCall } from "./call-transfer.service.js";
 
 /**
  * Start Campaign (Batch Processing with Real Webhooks)
  * - Uses 5 concurrent calls instead of sequential
  * - Waits for real webhook updates instead of hardcoded 5-second timeout
  * - Creates detailed call logs for transparency
- * - Persists campaign state to database
+ * - Persists campaign state to database; dialing runs on whichever instance leases the job
  */
 export const startCampaign = async (req, res) => {
   try {
-    const { agentId, leadIds, campaignName } = req.body;
+    const { agentId, leadIds, audience, campaignName, schedule, retryPolicy, maxConcurrentCalls } = req.body;
     const userId = req.user._id;
 
-    if (!leadIds || leadIds.length === 0) {
-      return res.status(400).json({ error: "No leads selected" });
+    // Target: explicit leadIds, or a saved list / segment the dialer resolves when it starts
+    let campaignAudience;
+    let leadCount;
+    if (audience) {
+      if (leadIds?.length) {
+        return res.status(400).json({ error: "Send either leadIds or audience, not both" });
+      }
+      if (!["list", "segment"].includes(audience.type)) {
+        return res.status(400).json({ error: 'audience must be { type: "list", listId } or { type: "segment", segmentId }' });
+      }
+
+      campaignAudience = audience.type === "list"
+        ? { type: "list", listId: audience.listId }
+        : { type: "segment", segmentId: audience.segmentId };
+      try {
+        leadCount = (await previewAudience(userId, campaignAudience)).count;
+      } catch (audienceError) {
+        return res.status(400).json({ error: audienceError.message });
+      }
+      if (leadCount === 0) {
+        return res.status(400).json({ error: "The selected audience has no contacts" });
+      }
+    } else {
+      if (!leadIds || leadIds.length === 0) {
+        return res.status(400).json({ error: "No leads selected" });
+      }
+
+      // Every lead must be one of the tenant's contacts
+      const uniqueLeadIds = [...new Set(leadIds.map(String))];
+      const knownLeads = uniqueLeadIds.every((id) => mongoose.isValidObjectId(id))
+        ? await Contact.countDocuments({ _id: { $in: uniqueLeadIds }, ownerUserId: userId })
+        : 0;
+      if (knownLeads !== uniqueLeadIds.length) {
+        return res.status(400).json({ error: `${uniqueLeadIds.length - knownLeads} selected lead(s) are not contacts of this account` });
+      }
+      leadCount = leadIds.length;
+    }
+
+    // Validate calling window (defaults: Mon–Sat 09:00–21:00 Asia/Kolkata) and retry policy
+    let campaignSchedule;
+    let campaignRetryPolicy;
+    try {
+      campaignSchedule = normalizeSchedule(schedule);
+      campaignRetryPolicy = normalizeRetryPolicy(retryPolicy);
+    } catch (configError) {
+      return res.status(400).json({ error: configError.message });
+    }
+
+    if (maxConcurrentCalls !== undefined && (!Number.isInteger(maxConcurrentCalls) || maxConcurrentCalls < 1 || maxConcurrentCalls > 50)) {
+      return res.status(400).json({ error: "maxConcurrentCalls must be an integer between 1 and 50" });
     }
 
     // Validate PUBLIC_BASE_URL
@@ -46,41 +97,49 @@ export const startCampaign = async (req, res) => {
       userId,
       agentId,
       name: campaignName || `Campaign-${Date.now()}`,
-      leads: leadIds,
-      totalLeads: leadIds.length,
+      // Audience campaigns get their leads when the dialer first runs (totalLeads is the preview count until then)
+      leads: campaignAudience ? [] : leadIds,
+      totalLeads: leadCount,
+      ...(campaignAudience && { audience: campaignAudience }),
       status: "RUNNING",
+      schedule: campaignSchedule,
+      retryPolicy: campaignRetryPolicy,
+      ...(maxConcurrentCalls !== undefined && { maxConcurrentCalls }),
       startedAt: new Date()
     });
 
-    // Track campaign as active
-    activeCampaigns.set(campaign._id.toString(), {
-      active: true,
-      paused: false
-    });
+    // Queue durable job - any instance's scheduler may pick it up
+    await campaignScheduler.enqueue(campaign);
 
     console.log(`\n📞 [Campaign] Starting campaign: ${campaign._id}`);
     console.log(`   Name: ${campaign.name}`);
     console.log(`   Agent: ${agentId}`);
-    console.log(`   Total Leads: ${leadIds.length}`);
-    console.log(`   Concurrent Calls: 3 (reduced from 5 for Gemini API stability)\n`);
+    console.log(`   Total Leads: ${leadCount}${campaignAudience ? ` (${campaignAudience.type} audience)` : ""}`);
+    console.log(`   Concurrent Calls: ${campaign.maxConcurrentCalls} (also capped by plan)`);
+    console.log(`   Calling Window: ${campaignSchedule.startTime}–${campaignSchedule.endTime} ${campaignSchedule.timezone}\n`);
+
+    const windowOpen = isWithinCallingWindow(campaignSchedule);
 
     // Respond immediately (async processing)
     res.json({
       success: true,
       campaignId: campaign._id,
-      message: `Campaign started with ${leadIds.length} leads`,
-      estimatedTime: `~${Math.ceil((leadIds.length / 5) * 1)}min (batch of 5)`
+      message: windowOpen
+        ? `Campaign started with ${leadCount} leads`
+        : `Campaign scheduled with ${leadCount} leads - dialing starts when the calling window opens`,
+      nextWindowAt: windowOpen ? null : getNextWindowStart(campaignSchedule),
+      estimatedTime: `~${Math.ceil(leadCount / campaign.maxConcurrentCalls)}min (${campaign.maxConcurrentCalls} concurrent)`
     });
 
     // Emit campaign started event
-    io.emit("campaign:started", {
+    emitToCampaign(userId, campaign._id, REALTIME_EVENTS.CAMPAIGN_STARTED, {
       userId: userId.toString(),
       campaignId: campaign._id.toString(),
-      totalLeads: leadIds.length
+      totalLeads: leadCount
     });
-
-    // Process campaign asynchronously (batch processor)
-    processCampaignBatches(campaign._id, leadIds, agentId, userId);
+    webhookEmitter.onCampaignStarted(userId, campaign, leadCount).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
   } catch (err) {
     console.error("❌ Campaign error:", err);
@@ -89,119 +148,329 @@ export const startCampaign = async (req, res) => {
 };
 
 /**
- * Process campaign leads in batches (5 concurrent calls)
+ * Run a leased campaign job (called by the campaign scheduler)
+ * Picks up from currentBatchIndex so a crashed/redeployed run resumes where it stopped
  */
-async function processCampaignBatches(campaignId, leadIds, agentId, userId) {
-  // CRITICAL FIX (2026-02-18): Reduced from 5 to 3 concurrent calls
-  // Reason: Gemini API rate limiting + timeout issues under high load
-  // With retry logic added, 3 concurrent calls are more reliable than 5
-  const BATCH_SIZE = 3;
-  const CALL_TIMEOUT = 120000; // 2 minutes max wait for call to complete
-  const MAX_RETRIES = 2;
-
+export const runCampaignJob = async (campaignId, scheduler) => {
   const campaign = await Campaign.findById(campaignId);
-  if (!campaign) return;
+  if (!campaign) {
+    console.warn(`[Campaign] Campaign ${campaignId} not found - dropping job`);
+    return;
+  }
+
+  if (campaign.status !== "RUNNING") {
+    console.log(`[Campaign] Campaign ${campaignId} is ${campaign.status} - nothing to run`);
+    return;
+  }
+
+  if (campaign.audience?.type && !campaign.audience.resolvedAt) {
+    try {
+      await resolveCampaignAudience(campaign);
+    } catch (err) {
+      console.error(`❌ [Campaign] ${campaignId}: audience could not be resolved - ${err.message}`);
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { status: "FAILED", completedAt: new Date() } });
+      return;
+    }
+  }
+
+  if (campaign.currentBatchIndex > 0) {
+    console.log(`🔁 [Campaign] Resuming ${campaignId} from lead ${campaign.currentBatchIndex}/${campaign.leads.length}`);
+  }
+
+  await processCampaignBatches(campaign, scheduler);
+};
+
+/**
+ * Turn a list / segment audience into the campaign's leads (once - later runs keep the snapshot)
+ * Contacts without a phone number are left out.
+ */
+async function resolveCampaignAudience(campaign) {
+  const leads = await resolveAudience(campaign.userId, campaign.audience);
+
+  campaign.leads = leads;
+  campaign.totalLeads = leads.length;
+  campaign.audience.resolvedAt = new Date();
+  await campaign.save();
+
+  console.log(`🎯 [Campaign] ${campaign._id}: ${campaign.audience.type} audience resolved to ${leads.length} leads`);
+}
+
+/**
+ * Re-queue a campaign for the next calling window instead of dialing outside allowed hours
+ * Campaign stays RUNNING; the scheduler won't claim the job before nextWindowAt
+ */
+async function waitForCallingWindow(campaign) {
+  const nextWindowAt = getNextWindowStart(campaign.schedule);
+
+  if (!nextWindowAt) {
+    // Every remaining day is blocked - nothing will ever open, so pause for the user to fix the schedule
+    console.warn(`⚠️ Campaign ${campaign._id}: no calling window in the schedule - pausing`);
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status: "PAUSED", pausedAt: new Date(), nextWindowAt: null } }
+    );
+    emitToCampaign(campaign.userId, campaign._id, REALTIME_EVENTS.CAMPAIGN_PAUSED, {
+      userId: campaign.userId.toString(),
+      campaignId: campaign._id.toString(),
+      reason: "NO_CALLING_WINDOW"
+    });
+    webhookEmitter.onCampaignPaused(campaign.userId, campaign, "NO_CALLING_WINDOW").catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
+    return;
+  }
+
+  await Campaign.updateOne({ _id: campaign._id }, { $set: { nextWindowAt } });
+  await campaignScheduler.enqueue(campaign, nextWindowAt);
+
+  console.log(`🌙 Campaign ${campaign._id} outside calling window - resuming at ${nextWindowAt.toISOString()}`);
+
+  emitToCampaign(campaign.userId, campaign._id, REALTIME_EVENTS.CAMPAIGN_WAITING, {
+    userId: campaign.userId.toString(),
+    campaignId: campaign._id.toString(),
+    nextWindowAt
+  });
+}
+
+/**
+ * Checks run before every batch: campaign still RUNNING, lease still ours, calling window open
+ * Returns false when the dialer should stop for now (it parks the job itself if needed)
+ */
+async function canKeepDialing(campaign, scheduler) {
+  const campaignId = campaign._id;
+
+  // Pause/stop is persisted on the campaign, so check the database, not local state
+  const current = await Campaign.findById(campaignId).select("status").lean();
+  if (!current || current.status !== "RUNNING") {
+    console.log(`⏸️ Campaign ${campaignId} is ${current?.status || "deleted"} - stopping dialer`);
+    return false;
+  }
+
+  // Another instance took over (our heartbeats stalled) - let it continue
+  if (!scheduler.holdsLease(campaignId)) {
+    console.warn(`⚠️ Campaign ${campaignId}: lease lost, handing over`);
+    return false;
+  }
+
+  // Outside allowed hours / DND day - park the job until the window reopens
+  if (!isWithinCallingWindow(campaign.schedule)) {
+    await waitForCallingWindow(campaign);
+    return false;
+  }
+  if (campaign.nextWindowAt) {
+    campaign.nextWindowAt = null;
+    await Campaign.updateOne({ _id: campaignId }, { $set: { nextWindowAt: null } });
+  }
+
+  return true;
+}
+
+/**
+ * Count a finished lead and broadcast campaign progress
+ */
+async function reportLeadFinished(campaignId, userId) {
+  const progress = await Campaign.findByIdAndUpdate(
+    campaignId,
+    { $inc: { completedLeads: 1 } },
+    { new: true }
+  );
+  if (!progress) return;
+
+  const completedCount = progress.completedLeads;
+  const successRate = progress.successfulCalls > 0
+    ? Math.round((progress.successfulCalls / completedCount) * 100)
+    : 0;
+
+  emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_PROGRESS, {
+    userId: userId.toString(),
+    campaignId: campaignId.toString(),
+    current: completedCount,
+    total: progress.totalLeads,
+    successfulCalls: progress.successfulCalls,
+    failedCalls: progress.failedCalls,
+    successRate
+  });
+
+  console.log(`   ✅ Progress: ${completedCount}/${progress.totalLeads} leads processed (${successRate}% success)`);
+}
+
+/**
+ * Sliding-window dialer: keeps up to maxConcurrentCalls calls in flight and refills a slot
+ * as soon as any call ends, within the tenant's plan-wide concurrent call cap.
+ * Fresh leads are dialed first, then retries as they fall due.
+ */
+async function processCampaignBatches(campaign, scheduler) {
+  const CALL_TIMEOUT = 120000; // 2 minutes max wait for call to complete
+  const SLOT_POLL_MS = 5000; // Re-check caps/retries while waiting for a slot to free up
+
+  const campaignId = campaign._id;
+  const { agentId, userId } = campaign;
+  const leadIds = campaign.leads;
+
+  const inFlight = new Set();
+  let nextIndex = campaign.currentBatchIndex || 0;
+  let stopped = false;
+
+  // Track one call in a slot; progress is reported as each fresh lead finishes
+  // A claimed retry is released once its attempt has run - if this instance dies first, its lease lapses
+  const launch = (leadId, attempt = 1, retryId = null) => {
+    const slot = processSingleCall(campaignId, leadId, agentId, userId, CALL_TIMEOUT, attempt)
+      .catch(err => {
+        console.error(`❌ Call error for lead ${leadId}:`, err.message);
+        // Keep dialing other leads on error
+      })
+      .then(() => (retryId ? markRetryDispatched(retryId) : null))
+      .then(() => (attempt === 1 ? reportLeadFinished(campaignId, userId) : null))
+      .catch(err => console.error(`❌ Progress update failed for campaign ${campaignId}:`, err.message))
+      .finally(() => inFlight.delete(slot));
+    inFlight.add(slot);
+  };
 
   try {
-    // Process leads in batches
-    for (let batchIndex = 0; batchIndex < leadIds.length; batchIndex += BATCH_SIZE) {
-      // Check if campaign is paused
-      const activeCampaign = activeCampaigns.get(campaignId.toString());
-      if (!activeCampaign || !activeCampaign.active) {
-        console.log(`⏸️ Campaign paused: ${campaignId}`);
-        campaign.status = "PAUSED";
-        campaign.pausedAt = new Date();
-        await campaign.save();
+    while (true) {
+      if (!(await canKeepDialing(campaign, scheduler))) {
+        stopped = true;
         break;
       }
 
-      const batch = leadIds.slice(batchIndex, batchIndex + BATCH_SIZE);
-
-      console.log(`\n📦 Batch ${Math.floor(batchIndex / BATCH_SIZE) + 1}: Processing ${batch.length} calls concurrently (3 max for stability)...`);
-
-      // Process 3 calls in parallel
-      await Promise.all(
-        batch.map(leadId =>
-          processSingleCall(
-            campaignId,
-            leadId,
-            agentId,
-            userId,
-            CALL_TIMEOUT,
-            MAX_RETRIES
-          ).catch(err => {
-            console.error(`❌ Batch error for lead ${leadId}:`, err.message);
-            // Continue with next call on error
-          })
-        )
-      );
+      const { free, campaignLimit, tenantCap, tenantActive } = await getFreeCallSlots(campaign, inFlight.size);
+      let launched = 0;
 
-      // Update campaign progress
-      const completedCount = Math.min(batchIndex + BATCH_SIZE, leadIds.length);
-      campaign.completedLeads = completedCount;
-      await campaign.save();
+      // Fill free slots with fresh leads, resuming where the last run left off
+      while (launched < free && nextIndex < leadIds.length) {
+        const leadId = leadIds[nextIndex];
+        nextIndex += 1;
 
-      // Calculate stats
-      const successRate = campaign.successfulCalls > 0
-        ? Math.round((campaign.successfulCalls / completedCount) * 100)
-        : 0;
+        // After a crash this lead may already have been dialed - don't call it twice
+        if (await Call.exists({ campaignId, leadId })) {
+          console.log(`   ↪️ Skipping lead ${leadId} - already called before restart`);
+          continue;
+        }
 
-      // Emit progress update
-      io.emit("campaign:progress", {
-        userId: userId.toString(),
-        campaignId: campaignId.toString(),
-        current: completedCount,
-        total: campaign.totalLeads,
-        successfulCalls: campaign.successfulCalls,
-        failedCalls: campaign.failedCalls,
-        successRate
-      });
+        launch(leadId);
+        launched += 1;
+      }
+
+      if (launched > 0) {
+        // Persist dispatch position so a restart resumes after the leads already started
+        await Campaign.updateOne({ _id: campaignId }, { $set: { currentBatchIndex: nextIndex } });
+      }
+
+      // Fresh leads exhausted - hand remaining slots to due retries
+      if (nextIndex >= leadIds.length && launched < free) {
+        const retries = await claimDueRetries(campaign, free - launched);
+        for (const retry of retries) {
+          console.log(`   🔁 Redialing lead ${retry.leadId} (attempt ${retry.attempt})`);
+          launch(retry.leadId, retry.attempt, retry._id);
+          launched += 1;
+        }
+      }
+
+      if (launched > 0) {
+        console.log(`📞 Campaign ${campaignId}: ${inFlight.size}/${campaignLimit} slots busy (tenant ${tenantActive + launched}/${tenantCap})`);
+      }
 
-      console.log(`   ✅ Batch completed: ${completedCount}/${campaign.totalLeads} leads processed (${successRate}% success)`);
+      if (inFlight.size === 0 && nextIndex >= leadIds.length) {
+        const nextRetryAt = await getNextRetryDueAt(campaignId);
+        if (!nextRetryAt) break; // Nothing left to dial
+
+        // Park the job until the earliest retry is due - campaign stays RUNNING
+        await campaignScheduler.enqueue(campaign, nextRetryAt);
+        console.log(`🔁 Campaign ${campaignId}: waiting for retries due at ${nextRetryAt.toISOString()}`);
+        return;
+      }
+
+      // Wait for any call to end (frees a slot) or re-poll: other campaigns may free tenant capacity
+      await Promise.race([
+        ...inFlight,
+        new Promise(resolve => setTimeout(resolve, SLOT_POLL_MS))
+      ]);
     }
 
-    // Campaign complete
-    campaign.status = "COMPLETED";
-    campaign.completedAt = new Date();
-    await campaign.save();
+    // Let calls already on the line finish before giving up the lease
+    if (inFlight.size > 0) {
+      await Promise.all(inFlight);
+    }
+    if (stopped) return;
 
-    activeCampaigns.delete(campaignId.toString());
+    // Campaign complete (unless it was stopped/paused while the last batch ran)
+    const finished = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: "RUNNING" },
+      { $set: { status: "COMPLETED", completedAt: new Date() } },
+      { new: true }
+    );
+    if (!finished) return;
 
     console.log(`\n✅ Campaign completed: ${campaignId}`);
-    console.log(`   Total: ${campaign.totalLeads}`);
-    console.log(`   Successful: ${campaign.successfulCalls}`);
-    console.log(`   Failed: ${campaign.failedCalls}`);
-    console.log(`   Average Duration: ${campaign.averageDuration}s\n`);
+    console.log(`   Total: ${finished.totalLeads}`);
+    console.log(`   Successful: ${finished.successfulCalls}`);
+    console.log(`   Failed: ${finished.failedCalls}`);
+    console.log(`   Average Duration: ${finished.averageDuration}s\n`);
 
-    io.emit("campaign:completed", {
+    emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_COMPLETED, {
       userId: userId.toString(),
       campaignId: campaignId.toString(),
       stats: {
-        total: campaign.totalLeads,
-        successful: campaign.successfulCalls,
-        failed: campaign.failedCalls,
-        missed: campaign.missedCalls,
-        successRate: campaign.successRate
+        total: finished.totalLeads,
+        successful: finished.successfulCalls,
+        failed: finished.failedCalls,
+        missed: finished.missedCalls,
+        successRate: finished.successRate
       }
     });
+    webhookEmitter.onCampaignCompleted(userId, finished).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
   } catch (err) {
     console.error(`❌ Campaign processing failed: ${err.message}`);
-    campaign.status = "FAILED";
-    await campaign.save();
-    activeCampaigns.delete(campaignId.toString());
-    io.emit("campaign:failed", {
+    await Campaign.updateOne({ _id: campaignId }, { $set: { status: "FAILED" } });
+    emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_FAILED, {
       userId: userId.toString(),
       campaignId: campaignId.toString(),
       error: err.message
     });
+    throw err;
   }
 }
 
 /**
- * Process a single call - wait for real webhook instead of mock data
+ * Add a finished call to its campaign's counters
+ * One atomic update: several calls of a campaign end concurrently, and saving the whole
+ * campaign document would overwrite their counts (and a pause/stop saved meanwhile)
  */
-async function processSingleCall(campaignId, leadId, agentId, userId, callTimeout, maxRetries = 2) {
+async function recordCampaignCallOutcome(campaignId, call, { timedOut = false } = {}) {
+  const inc = {};
+  if (timedOut) inc.noAnswerCalls = 1;
+
+  if (call.status === "COMPLETED" && call.durationSeconds > 0) {
+    inc.successfulCalls = 1;
+    inc.totalDuration = call.durationSeconds;
+  } else if (call.status === "FAILED") {
+    inc.failedCalls = 1;
+  } else if (call.status === "MISSED" || call.status === "NO_ANSWER" || call.status === "BUSY") {
+    inc.missedCalls = 1;
+  }
+  if (Object.keys(inc).length === 0) return;
+
+  const stages = [{
+    $set: Object.fromEntries(
+      Object.entries(inc).map(([field, amount]) => [field, { $add: [{ $ifNull: [`$${field}`, 0] }, amount] }])
+    )
+  }];
+  // averageDuration is otherwise kept by the schema's save hook
+  if (inc.successfulCalls) {
+    stages.push({ $set: { averageDuration: { $round: [{ $divide: ["$totalDuration", "$successfulCalls"] }, 0] } } });
+  }
+
+  await Campaign.updateOne({ _id: campaignId }, stages);
+}
+
+/**
+ * Process a single call attempt - wait for real webhook instead of mock data
+ * Unsuccessful attempts are redialed later via the campaign's retry policy, not in-line
+ */
+async function processSingleCall(campaignId, leadId, agentId, userId, callTimeout, attempt = 1) {
   const campaign = await Campaign.findById(campaignId);
   const agent = await Agent.findById(agentId);
 
@@ -223,7 +492,7 @@ async function processSingleCall(campaignId, leadId, agentId, userId, callTimeou
     console.error(`❌ UNAUTHORIZED: User ${userId} does not own agent ${agentId}`);
     return;
   }
-  if (!campaign.agentIds || !campaign.agentIds.map(id => id.toString()).includes(agentId.toString())) {
+  if (!campaign.agentId || campaign.agentId.toString() !== agentId.toString()) {
     console.error(`❌ UNAUTHORIZED: Agent ${agentId} is not assigned to campaign ${campaignId}`);
     return;
   }
@@ -238,264 +507,233 @@ async function processSingleCall(campaignId, leadId, agentId, userId, callTimeou
   }
   console.log(`✅ Rate limit OK: User ${userId} can initiate calls (${rateLimitStatus.remaining} remaining of ${rateLimitStatus.limit})`);
 
-  // CRITICAL FIX (2026-02-18): Search in both Contact and Lead collections
-  // Frontend may send either Contact IDs or Lead IDs
-  let lead = await Lead.findById(leadId);
+  // Campaign leads are contacts (former Lead records were migrated with their ids)
+  const lead = await Contact.findOne({ _id: leadId, ownerUserId: userId });
   if (!lead) {
-    lead = await Contact.findById(leadId);
+    console.warn(`   ⚠️ Contact not found: ${leadId}`);
+    return;
   }
 
-  if (!lead) {
-    console.warn(`   ⚠️ Lead/Contact not found: ${leadId}`);
+  // National-format numbers are read in the tenant's default country
+  const owner = await User.findById(userId).select("defaultPhoneCountry").lean();
+  const country = getPhoneCountry(owner);
+
+  // Never dial a number on the tenant's Do-Not-Call list
+  const dncEntry = await checkDncBeforeDial({
+    userId,
+    phone: lead.phone,
+    country,
+    campaignId,
+    leadId,
+    leadName: lead.fullName,
+    source: "campaign"
+  });
+  if (dncEntry) {
     return;
   }
 
   let call = null;
-  let retryCount = 0;
+  let outcomeRecorded = false;
+  try {
+    // Create call record
+    call = await Call.create({
+      userId,
+      agentId,
+      leadId,
+      campaignId,
+      attempt,
+      direction: "OUTBOUND",
+      status: "INITIATED",
+      phoneNumber: lead.phone,
+      leadName: lead.fullName
+    });
 
-  while (retryCount < maxRetries) {
-    try {
-      // Create call record
-      call = await Call.create({
-        userId,
-        agentId,
-        leadId,
-        direction: "OUTBOUND",
-        status: "INITIATED",
-        phoneNumber: lead.phone,
-        leadName: `${lead.firstName} ${lead.lastName}`
-      });
+    // Create initial log
+    await CallLog.create({
+      callId: call._id,
+      campaignId,
+      userId,
+      leadId,
+      leadName: call.leadName,
+      phoneNumber: lead.phone,
+      event: "INITIATED",
+      details: `Campaign call initiated for lead ${lead.fullName}`,
+      voipProvider: null
+    });
 
-      // Create initial log
-      await CallLog.create({
-        callId: call._id,
-        campaignId,
-        userId,
-        leadId,
-        leadName: call.leadName,
-        phoneNumber: lead.phone,
-        event: "INITIATED",
-        details: `Campaign call initiated for lead ${lead.firstName} ${lead.lastName}`,
-        voipProvider: null
-      });
+    // Get agent's VOIP provider
+    const voipProvider = await getAgentProviderOrFallback(agentId);
+    if (!voipProvider) {
+      throw new Error(`Agent ${agentId} has no VOIP provider assigned`);
+    }
 
-      // Get agent's VOIP provider
-      const voipProvider = await getAgentProviderOrFallback(agentId);
-      if (!voipProvider) {
-        throw new Error(`Agent ${agentId} has no VOIP provider assigned`);
+    const fromPhone = await getAgentPhoneNumber(agentId);
+    // CRITICAL: SansPBX MUST have a DID assigned - cannot use fallback
+    if (!fromPhone) {
+      if (voipProvider.provider === 'SansPBX') {
+        throw new Error(`CRITICAL: Agent ${agentId} is configured for SansPBX but has NO DID assigned. Please assign a DID in VOIP settings.`);
       }
-
-      const fromPhone = await getAgentPhoneNumber(agentId);
-      // CRITICAL: SansPBX MUST have a DID assigned - cannot use fallback
-      if (!fromPhone) {
-        if (voipProvider.provider === 'SansPBX') {
-          throw new Error(`CRITICAL: Agent ${agentId} is configured for SansPBX but has NO DID assigned. Please assign a DID in VOIP settings.`);
-        }
-        if (voipProvider.provider !== 'Twilio') {
-          throw new Error(`Agent ${agentId} has no phone number assigned for ${voipProvider.provider}`);
-        }
+      if (voipProvider.provider !== 'Twilio') {
+        throw new Error(`Agent ${agentId} has no phone number assigned for ${voipProvider.provider}`);
       }
+    }
 
-      // Create VOIP provider instance (CRITICAL: must await async createProvider)
-      const provider = await ProviderFactory.createProvider(voipProvider);
-
-      // Convert phone number format based on provider
-      // Inputs: +918888888888 or 08888888888 or 8888888888
-      let phoneForProvider = lead.phone;
-
-      if (voipProvider.provider === 'Twilio') {
-        // Twilio needs E.164 format: +918888888888
-        if (!phoneForProvider.startsWith('+')) {
-          // If starts with 0 or just digits, add country code
-          if (phoneForProvider.startsWith('0')) {
-            phoneForProvider = '+91' + phoneForProvider.substring(1);
-          } else if (!phoneForProvider.startsWith('+91')) {
-            phoneForProvider = '+91' + phoneForProvider;
-          }
-        }
-        console.log(`   📞 Twilio format: ${lead.phone} → ${phoneForProvider}`);
-      }
-      else if (voipProvider.provider === 'SansPBX') {
-        // SansPBX tech team requirement: Remove 91/+91, then ADD 0 prefix
-        // Examples: +918888888888 → 08888888888, 918888888888 → 08888888888, 8888888888 → 08888888888
-
-        // Step 1: Remove +91 or 91 prefix if present
-        if (phoneForProvider.startsWith('+91')) {
-          phoneForProvider = phoneForProvider.substring(3); // +918888888888 → 8888888888
-        } else if (phoneForProvider.startsWith('91') && phoneForProvider.length === 12) {
-          phoneForProvider = phoneForProvider.substring(2); // 918888888888 → 8888888888
-        }
+    // Create VOIP provider instance (CRITICAL: must await async createProvider)
+    const provider = await ProviderFactory.createProvider(voipProvider);
 
-        // Step 2: Remove leading 0 if present (to normalize)
-        if (phoneForProvider.startsWith('0')) {
-          phoneForProvider = phoneForProvider.substring(1); // 08888888888 → 8888888888
-        }
+    // Canonical E.164 (read in the tenant's default country); the provider formats its own dial string
+    const phoneForProvider = normalizePhone(lead.phone, country);
+    console.log(`   📞 Dial number: ${lead.phone} → ${phoneForProvider}`);
 
-        // Step 3: Add 0 prefix (SansPBX requirement)
-        if (!phoneForProvider.startsWith('0')) {
-          phoneForProvider = '0' + phoneForProvider; // 8888888888 → 08888888888
-        }
+    // Initiate call via VOIP
+    const callResult = await provider.initiateCall({
+      toPhone: phoneForProvider,
+      fromPhone: fromPhone || process.env.TWILIO_FROM_NUMBER,
+      webhookUrl: `${process.env.PUBLIC_BASE_URL}/twilio/voice`,
+      statusCallbackUrl: `${process.env.PUBLIC_BASE_URL}/twilio/status`
+    });
 
-        // Now phoneForProvider should be 0-prefixed 11 digits like 08888888888
-        console.log(`   📞 SansPBX format: ${lead.phone} → ${phoneForProvider}`);
-      }
+    // 🔴 GAP 12: Record this call attempt for rate limiting
+    rateLimitService.recordCall(userId);
+    const updatedStatus = rateLimitService.getStatus(userId);
+    console.log(`📊 Rate limit status: ${updatedStatus.attempted}/${updatedStatus.limit} calls in last minute`);
+
+    call.twilioCallSid = callResult.callSid;
+    call.providerCallId = callResult.providerCallId;
+    call.voipProvider = callResult.provider;
+    call.status = "DIALING";
+    await call.save();
+    webhookEmitter.onCallInitiated(userId, call).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
-      // Initiate call via VOIP
-      const callResult = await provider.initiateCall({
-        toPhone: phoneForProvider,
-        fromPhone: fromPhone || process.env.TWILIO_FROM_NUMBER,
-        webhookUrl: `${process.env.PUBLIC_BASE_URL}/twilio/voice`,
-        statusCallbackUrl: `${process.env.PUBLIC_BASE_URL}/twilio/status`
-      });
+    // Log dialing event
+    await CallLog.create({
+      callId: call._id,
+      campaignId,
+      userId,
+      leadId,
+      leadName: call.leadName,
+      phoneNumber: lead.phone,
+      event: "DIALING",
+      details: `Call initiated via ${callResult.provider}. Waiting for connection...`,
+      voipProvider: callResult.provider
+    });
+
+    console.log(`   📞 ${lead.fullName} (${lead.phone}) - DIALING via ${callResult.provider}`);
+
+    // Wait for call to complete (webhook will update status)
+    // Maximum wait time is 2 minutes
+    const startTime = Date.now();
+    let callCompleted = false;
 
-      // 🔴 GAP 12: Record this call attempt for rate limiting
-      rateLimitService.recordCall(userId);
-      const updatedStatus = rateLimitService.getStatus(userId);
-      console.log(`📊 Rate limit status: ${updatedStatus.attempted}/${updatedStatus.limit} calls in last minute`);
+    while (Date.now() - startTime < callTimeout) {
+      // Refresh call from database
+      call = await Call.findById(call._id);
 
-      call.twilioCallSid = callResult.callSid;
-      call.providerCallId = callResult.providerCallId;
-      call.voipProvider = callResult.provider;
-      call.status = "DIALING";
+      // Check if call has completed
+      if (["COMPLETED", "FAILED", "MISSED", "NO_ANSWER", "BUSY"].includes(call.status)) {
+        callCompleted = true;
+        break;
+      }
+
+      // Wait 1 second before checking again
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    // If call didn't complete within timeout, mark as failed
+    if (!callCompleted) {
+      console.warn(`   ⏱️ Call timeout for lead ${leadId}. Marking as no-answer.`);
+      call.status = "NO_ANSWER";
+      call.endedAt = new Date();
+      call.durationSeconds = Math.floor((call.endedAt - call.createdAt) / 1000);
       await call.save();
 
-      // Log dialing event
       await CallLog.create({
         callId: call._id,
         campaignId,
         userId,
         leadId,
-        leadName: call.leadName,
-        phoneNumber: lead.phone,
-        event: "DIALING",
-        details: `Call initiated via ${callResult.provider}. Waiting for connection...`,
-        voipProvider: callResult.provider
+        event: "NO_ANSWER",
+        details: "Call timeout - no answer after 2 minutes",
+        callStatus: call.status,
+        durationSeconds: call.durationSeconds
       });
+      webhookEmitter.onCallStatusChanged(userId, call, "No answer within the call timeout").catch((err) =>
+        console.error("❌ Webhook error:", err.message)
+      );
 
-      console.log(`   📞 ${lead.firstName} ${lead.lastName} (${lead.phone}) - DIALING via ${callResult.provider}`);
-
-      // Wait for call to complete (webhook will update status)
-      // Maximum wait time is 2 minutes
-      const startTime = Date.now();
-      let callCompleted = false;
-
-      while (Date.now() - startTime < callTimeout) {
-        // Refresh call from database
-        call = await Call.findById(call._id);
-
-        // Check if call has completed
-        if (call.status === "COMPLETED" || call.status === "FAILED" || call.status === "MISSED") {
-          callCompleted = true;
-          break;
-        }
-
-        // Wait 1 second before checking again
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-
-      // If call didn't complete within timeout, mark as failed
-      if (!callCompleted) {
-        console.warn(`   ⏱️ Call timeout for lead ${leadId}. Marking as no-answer.`);
-        call.status = "NO_ANSWER";
-        call.endedAt = new Date();
-        call.durationSeconds = Math.floor((call.endedAt - call.createdAt) / 1000);
-        await call.save();
-
-        await CallLog.create({
-          callId: call._id,
-          campaignId,
-          userId,
-          leadId,
-          event: "NO_ANSWER",
-          details: "Call timeout - no answer after 2 minutes",
-          callStatus: call.status,
-          durationSeconds: call.durationSeconds
-        });
-
-        campaign.noAnswerCalls += 1;
-      }
-
-      // Update campaign stats based on final call status
-      if (call.status === "COMPLETED" && call.durationSeconds > 0) {
-        campaign.successfulCalls += 1;
-        campaign.totalDuration += call.durationSeconds;
-      } else if (call.status === "FAILED") {
-        campaign.failedCalls += 1;
-      } else if (call.status === "MISSED" || call.status === "NO_ANSWER") {
-        campaign.missedCalls += 1;
-      }
+    }
 
-      await campaign.save();
+    // Update campaign stats based on final call status
+    await recordCampaignCallOutcome(campaignId, call, { timedOut: !callCompleted });
+    outcomeRecorded = true;
 
-      // Emit call update
-      io.emit("call:updated", {
-        callId: call._id.toString(),
-        leadName: lead.firstName,
-        status: call.status,
-        duration: call.durationSeconds,
-        campaignId: campaignId.toString()
-      });
+    // Emit call update
+    emitToCall(userId, call._id, REALTIME_EVENTS.CALL_UPDATED, {
+      userId: userId.toString(),
+      callId: call._id.toString(),
+      leadName: lead.fullName,
+      status: call.status,
+      duration: call.durationSeconds,
+      campaignId: campaignId.toString()
+    });
 
-      // AI processing (non-blocking)
-      if (!call.aiProcessed && call.status === "COMPLETED") {
-        processCallAI(call._id).catch(err =>
-          console.error(`❌ AI processing failed for call ${call._id}:`, err.message)
-        );
-      }
+    // AI processing (non-blocking)
+    if (!call.aiProcessed && call.status === "COMPLETED") {
+      processCallAI(call._id).catch(err =>
+        console.error(`❌ AI processing failed for call ${call._id}:`, err.message)
+      );
+    }
 
-      // Usage tracking
-      if (call.durationSeconds > 0) {
-        const minutes = Math.ceil(call.durationSeconds / 60);
-        const month = getMonthKey();
-        await Usage.findOneAndUpdate(
-          { userId, month },
-          { $inc: { voiceMinutesUsed: minutes, callsCount: 1 } },
-          { upsert: true }
-        );
-      }
+    // Usage tracking
+    if (call.durationSeconds > 0) {
+      const minutes = Math.ceil(call.durationSeconds / 60);
+      await recordUsage(userId, { voiceMinutesUsed: minutes, callsCount: 1 });
+    }
 
-      // Trigger webhook event
+    // Trigger webhook event (completed calls get it from the processor, after analysis)
+    if (call.status !== "COMPLETED" || call.aiProcessed) {
       await webhookEmitter.onCallCompleted(userId, call.toObject()).catch(err =>
         console.error("❌ Webhook error:", err.message)
       );
+    }
 
-      // Log completion
-      console.log(`   ✅ ${lead.firstName} - ${call.status} (${call.durationSeconds || 0}s)`);
+    // Log completion
+    console.log(`   ✅ ${lead.fullName} - ${call.status} (${call.durationSeconds || 0}s)`);
 
-      // Success - exit retry loop
-      return;
+  } catch (err) {
+    console.error(`   ❌ Call attempt ${attempt} failed for lead ${leadId}: ${err.message}`);
 
-    } catch (err) {
-      retryCount += 1;
-      console.error(`   ❌ Call attempt ${retryCount}/${maxRetries} failed: ${err.message}`);
-
-      if (call) {
-        call.status = "FAILED";
-        await call.save();
-
-        await CallLog.create({
-          callId: call._id,
-          campaignId,
-          userId,
-          leadId,
-          event: "FAILED",
-          details: `Call failed: ${err.message}`,
-          callStatus: call.status
-        });
-
-        campaign.failedCalls += 1;
-        await campaign.save();
-      }
+    if (call) {
+      call.status = "FAILED";
+      await call.save();
 
-      if (retryCount >= maxRetries) {
-        console.error(`   ⛔ Max retries exceeded for lead ${leadId}`);
-        return;
-      }
+      await CallLog.create({
+        callId: call._id,
+        campaignId,
+        userId,
+        leadId,
+        event: "FAILED",
+        details: `Call failed: ${err.message}`,
+        callStatus: call.status
+      });
+      webhookEmitter.onCallStatusChanged(userId, call, err.message).catch((webhookErr) =>
+        console.error("❌ Webhook error:", webhookErr.message)
+      );
 
-      // Wait 2 seconds before retry
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      if (!outcomeRecorded) {
+        await recordCampaignCallOutcome(campaignId, call);
+      }
     }
   }
+
+  // Redial later according to the campaign's retry policy (NO_ANSWER, BUSY, FAILED...)
+  if (call) {
+    await scheduleRetry(campaign, call).catch(err =>
+      console.error(`❌ Retry scheduling failed for lead ${leadId}:`, err.message)
+    );
+  }
 }
 
 /**
@@ -515,20 +753,18 @@ export const pauseCampaign = async (req, res) => {
       return res.status(400).json({ error: "Campaign is not running" });
     }
 
-    // Mark campaign as paused
-    const activeCampaign = activeCampaigns.get(campaignId);
-    if (activeCampaign) {
-      activeCampaign.paused = true;
-    }
-
+    // Persisted status is what the scheduled dialer checks between batches
     campaign.status = "PAUSED";
     campaign.pausedAt = new Date();
     await campaign.save();
 
-    io.emit("campaign:paused", {
+    emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_PAUSED, {
       userId: userId.toString(),
       campaignId: campaignId
     });
+    webhookEmitter.onCampaignPaused(userId, campaign, "USER").catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
     res.json({ success: true, campaign });
   } catch (err) {
@@ -558,24 +794,10 @@ export const resumeCampaign = async (req, res) => {
     campaign.pausedAt = null;
     await campaign.save();
 
-    // Mark as active
-    activeCampaigns.set(campaignId, {
-      active: true,
-      paused: false
-    });
+    // Re-queue the job; the dialer resumes from currentBatchIndex
+    await campaignScheduler.enqueue(campaign);
 
-    // Resume processing from where it left off
-    const remainingLeads = campaign.leads.slice(campaign.currentBatchIndex);
-    if (remainingLeads.length > 0) {
-      processCampaignBatches(
-        campaign._id,
-        remainingLeads,
-        campaign.agentId,
-        userId
-      );
-    }
-
-    io.emit("campaign:resumed", {
+    emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_RESUMED, {
       userId: userId.toString(),
       campaignId: campaignId
     });
@@ -587,6 +809,87 @@ export const resumeCampaign = async (req, res) => {
   }
 };
 
+/**
+ * Update Campaign Calling Window
+ * Takes effect before the next batch; a campaign waiting for its window is re-queued
+ */
+export const updateCampaignSchedule = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const userId = req.user._id;
+
+    const campaign = await Campaign.findOne({ _id: campaignId, userId });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    let schedule;
+    try {
+      // Merge over the stored values as-is, so a schedule saved before stricter checks can be corrected
+      schedule = normalizeSchedule({ ...campaign.toObject().schedule, ...req.body });
+    } catch (scheduleError) {
+      return res.status(400).json({ error: scheduleError.message });
+    }
+
+    campaign.schedule = schedule;
+    const wasWaiting = !!campaign.nextWindowAt;
+    campaign.nextWindowAt = null;
+    await campaign.save();
+
+    // Waiting job was parked for the old window - let the dialer re-evaluate now
+    if (campaign.status === "RUNNING" && wasWaiting) {
+      await campaignScheduler.enqueue(campaign);
+    }
+
+    res.json({
+      success: true,
+      schedule: campaign.schedule,
+      windowOpen: isWithinCallingWindow(schedule),
+      nextWindowAt: getNextWindowStart(schedule)
+    });
+  } catch (err) {
+    console.error("❌ Update campaign schedule error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Update Campaign Retry Policy
+ * Applies to attempts that finish from now on; already scheduled retries keep their due time
+ */
+export const updateCampaignRetryPolicy = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const userId = req.user._id;
+
+    const campaign = await Campaign.findOne({ _id: campaignId, userId });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    // Partial update: delayMinutes entries are merged too; a null delay removes that rule
+    let retryPolicy;
+    try {
+      const current = normalizeRetryPolicy(campaign.retryPolicy);
+      const delayMinutes = { ...current.delayMinutes, ...(req.body.delayMinutes || {}) };
+      for (const [key, minutes] of Object.entries(delayMinutes)) {
+        if (minutes === null) delete delayMinutes[key];
+      }
+      retryPolicy = normalizeRetryPolicy({ ...current, ...req.body, delayMinutes });
+    } catch (policyError) {
+      return res.status(400).json({ error: policyError.message });
+    }
+
+    campaign.retryPolicy = retryPolicy;
+    await campaign.save();
+
+    res.json({ success: true, retryPolicy: normalizeRetryPolicy(campaign.retryPolicy) });
+  } catch (err) {
+    console.error("❌ Update campaign retry policy error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
 /**
  * Stop Campaign
  */
@@ -600,14 +903,15 @@ export const stopCampaign = async (req, res) => {
       return res.status(404).json({ error: "Campaign not found" });
     }
 
-    // Mark campaign as inactive
-    activeCampaigns.delete(campaignId);
-
     campaign.status = "COMPLETED";
     campaign.completedAt = new Date();
     await campaign.save();
 
-    io.emit("campaign:stopped", {
+    // Retire the job so no instance picks the campaign up again
+    await campaignScheduler.finish(campaign._id);
+    await cancelPendingRetries(campaign._id, "Campaign stopped");
+
+    emitToCampaign(userId, campaignId, REALTIME_EVENTS.CAMPAIGN_STOPPED, {
       userId: userId.toString(),
       campaignId: campaignId
     });
@@ -674,9 +978,16 @@ export const getCampaignLogs = async (req, res) => {
 
     const total = await CallLog.countDocuments({ campaignId });
 
+    // Upcoming redials (their RETRY_SCHEDULED entries are in logs)
+    const pendingRetries = await CampaignRetry.find({ campaignId, status: "PENDING" })
+      .sort({ dueAt: 1 })
+      .select("leadId attempt reason dueAt previousCallId")
+      .lean();
+
     res.json({
       logs,
       total,
+      pendingRetries,
       limit: parseInt(limit),
       skip: parseInt(skip)
     });
@@ -732,6 +1043,18 @@ export const redialCall = async (req, res) => {
       return res.status(404).json({ error: "Call not found" });
     }
 
+    const dncEntry = await checkDncBeforeDial({
+      userId: req.user._id,
+      phone: originalCall.phoneNumber,
+      country: getPhoneCountry(req.user),
+      leadId: originalCall.leadId,
+      leadName: originalCall.leadName,
+      source: "redial"
+    });
+    if (dncEntry) {
+      return res.status(403).json({ error: "This number is on your Do-Not-Call list", code: "BLOCKED_DNC" });
+    }
+
     const newCall = await Call.create({
       userId: req.user._id,
       agentId: originalCall.agentId,
@@ -745,7 +1068,7 @@ export const redialCall = async (req, res) => {
     res.json({ success: true, callId: newCall._id });
 
     // Emit to WebSocket
-    io.emit("call:started", {
+    emitToCall(req.user._id, newCall._id, REALTIME_EVENTS.CALL_STARTED, {
       userId: req.user._id.toString(),
       callId: newCall._id,
       phone: originalCall.phoneNumber,
@@ -755,6 +1078,42 @@ export const redialCall = async (req, res) => {
   }
 };
 
+/**
+ * Transfer a live call to the agent's human transfer target
+ * Body: { summary } - optional handoff summary for the human
+ */
+export const transferCall = async (req, res) => {
+  try {
+    const call = await Call.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!call) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    if (call.status !== "ANSWERED") {
+      return res.status(409).json({ error: `Only live calls can be transferred (call is ${call.status})` });
+    }
+
+    const result = await transferLiveCall({
+      call,
+      reason: "manual",
+      summary: req.body.summary || "",
+      requestedBy: req.user._id,
+    });
+
+    if (!result.success) {
+      return res.status(422).json({ error: result.error });
+    }
+
+    res.json({ success: true, target: result.target });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 /**
  * List Calls with Search, Filter, and Sort
  * Query params:
@@ -806,6 +1165,15 @@ export const listCalls = async (req, res) => {
       }
     }
 
+    // Extracted data filter (?extracted[budget][gte]=5000)
+    if (req.query.extracted !== undefined) {
+      try {
+        Object.assign(filter, buildExtractedDataFilter(req.query.extracted));
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
     // Count total matching documents
     const total = await Call.countDocuments(filter);
 
@@ -836,8 +1204,13 @@ export const listCalls = async (req, res) => {
       summary: call.summary,
       sentiment: call.sentiment,
       outcome: call.outcome,
+      extractedData: call.extractedData || null,
       rating: call.rating,
       recordingUrl: call.recordingUrl,
+      // Backend recording - play via /recordings/:callId/audio
+      recording: call.recording?.key && !call.recording.deletedAt
+        ? { durationSeconds: call.recording.durationSeconds, sizeBytes: call.recording.sizeBytes, format: call.recording.format }
+        : null,
       usageCost: call.usageCost,
       dialStatus: call.dialStatus,
       endReason: call.endReason,
@@ -909,180 +1282,18 @@ export const completeCall = async (req, res) => {
   await call.save();
 
   const minutes = Math.ceil(call.durationSeconds / 60);
-  const month = getMonthKey();
-
-  await Usage.findOneAndUpdate(
-    { userId: req.user._id, month },
-    { $inc: { voiceMinutesUsed: minutes } },
-    { upsert: true }
-  );
-
-  // Trigger webhook event for completed call
-  webhookEmitter.onCallCompleted(req.user._id, call.toObject()).catch((err) =>
-    console.error("❌ Webhook error:", err.message)
-  );
+  await recordUsage(req.user._id, { voiceMinutesUsed: minutes });
 
+  // The processor sends the call.completed webhook once the analysis is stored
   if (!call.aiProcessed) {
     processCallAI(call._id).catch((err) =>
       console.error("❌ AI processing failed:", err.message)
     );
+  } else {
+    webhookEmitter.onCallCompleted(req.user._id, call.toObject()).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
   }
 
   res.json({ success: true });
 };
-
-/**
- * Process Campaign Next Call (StatusCallback-driven recursive queuing)
- * Called from twilioStatus when a campaign call completes/fails/no-answer
- * Initiates the next pending lead in the campaign if < 5 concurrent calls
- */
-export const processCampaignNextCall = async (campaignId, agentId, userId) => {
-  try {
-    const campaign = await Campaign.findById(campaignId);
-    if (!campaign) {
-      console.warn(`[Campaign] Campaign ${campaignId} not found`);
-      return;
-    }
-
-    // Check if campaign is still active (not paused/stopped)
-    const campaignState = activeCampaigns.get(campaignId.toString());
-    if (!campaignState || !campaignState.active || campaignState.paused) {
-      console.log(`[Campaign] Campaign ${campaignId} is paused or stopped. Skipping next call.`);
-      return;
-    }
-
-    // Count currently active/in-progress calls for this campaign
-    const activeCalls = await Call.countDocuments({
-      campaignId,
-      status: { $in: ['INITIATED', 'DIALING', 'RINGING', 'ANSWERED'] }
-    });
-
-    console.log(`[Campaign] ${campaignId}: ${activeCalls} active calls. Max concurrent: 3`);
-
-    // If we have room for more concurrent calls
-    if (activeCalls < 3) {
-      // Find next call that's not yet been attempted in this campaign
-      // We track this by checking if call exists for the lead in this campaign
-      const attemptedLeadIds = await Call.find({ campaignId }).select('leadId').lean();
-      const attemptedLeadSet = new Set(attemptedLeadIds.map(c => c.leadId?.toString()));
-
-      // Find next lead in campaign.leads that hasn't been called yet
-      let nextLeadId = null;
-      for (const leadId of campaign.leads) {
-        if (!attemptedLeadSet.has(leadId.toString())) {
-          nextLeadId = leadId;
-          break;
-        }
-      }
-
-      if (nextLeadId) {
-        console.log(`[Campaign] ${campaignId}: Initiating next call for lead ${nextLeadId}`);
-
-        // Create call for next lead (reuse processSingleCall logic)
-        const lead = await Lead.findById(nextLeadId);
-        if (!lead) {
-          console.warn(`[Campaign] Lead ${nextLeadId} not found`);
-          return;
-        }
-
-        const call = await Call.create({
-          userId,
-          agentId,
-          leadId: nextLeadId,
-          campaignId,
-          direction: 'OUTBOUND',
-          status: 'INITIATED',
-          phoneNumber: lead.phone,
-          leadName: `${lead.firstName} ${lead.lastName}`
-        });
-
-        // Get VOIP provider and initiate call
-        const voipProvider = await getAgentProviderOrFallback(agentId);
-        if (!voipProvider) {
-          console.error(`[Campaign] Agent ${agentId} has no VOIP provider`);
-          return;
-        }
-
-        const fromPhone = await getAgentPhoneNumber(agentId);
-        // CRITICAL: SansPBX MUST have a DID assigned
-        if (!fromPhone && voipProvider.provider === 'SansPBX') {
-          console.error(`[Campaign] CRITICAL: Agent ${agentId} is configured for SansPBX but has NO DID assigned`);
-          return;
-        }
-
-        const provider = await ProviderFactory.createProvider(voipProvider);
-
-        // Convert phone number format based on provider
-        let phoneForProvider = lead.phone;
-
-        if (voipProvider.provider === 'Twilio') {
-          // Twilio needs E.164 format: +918888888888
-          if (!phoneForProvider.startsWith('+')) {
-            if (phoneForProvider.startsWith('0')) {
-              phoneForProvider = '+91' + phoneForProvider.substring(1);
-            } else if (!phoneForProvider.startsWith('+91')) {
-              phoneForProvider = '+91' + phoneForProvider;
-            }
-          }
-        }
-        else if (voipProvider.provider === 'SansPBX') {
-          // SansPBX tech team requirement: Remove 91/+91, then ADD 0 prefix
-          // Examples: +918888888888 → 08888888888, 918888888888 → 08888888888, 8888888888 → 08888888888
-
-          // Step 1: Remove +91 or 91 prefix if present
-          if (phoneForProvider.startsWith('+91')) {
-            phoneForProvider = phoneForProvider.substring(3); // +918888888888 → 8888888888
-          } else if (phoneForProvider.startsWith('91') && phoneForProvider.length === 12) {
-            phoneForProvider = phoneForProvider.substring(2); // 918888888888 → 8888888888
-          }
-
-          // Step 2: Remove leading 0 if present (to normalize)
-          if (phoneForProvider.startsWith('0')) {
-            phoneForProvider = phoneForProvider.substring(1); // 08888888888 → 8888888888
-          }
-
-          // Step 3: Add 0 prefix (SansPBX requirement)
-          if (!phoneForProvider.startsWith('0')) {
-            phoneForProvider = '0' + phoneForProvider; // 8888888888 → 08888888888
-          }
-
-          // Now phoneForProvider should be 0-prefixed 11 digits like 08888888888
-        }
-
-        const callResult = await provider.initiateCall({
-          toPhone: phoneForProvider,
-          fromPhone: fromPhone || process.env.TWILIO_FROM_NUMBER,
-          webhookUrl: `${process.env.PUBLIC_BASE_URL}/twilio/voice`,
-          statusCallbackUrl: `${process.env.PUBLIC_BASE_URL}/twilio/status`
-        });
-
-        call.twilioCallSid = callResult.callSid;
-        call.providerCallId = callResult.providerCallId;
-        call.voipProvider = callResult.provider;
-        call.status = 'DIALING';
-        await call.save();
-
-        console.log(`   📞 [Campaign] ${lead.firstName} ${lead.lastName} (${lead.phone}) - DIALING`);
-      } else {
-        // All leads have been attempted - mark campaign as COMPLETED
-        console.log(`[Campaign] ${campaignId}: All leads attempted. Marking campaign as COMPLETED.`);
-        campaign.status = 'COMPLETED';
-        campaign.completedAt = new Date();
-        await campaign.save();
-        activeCampaigns.delete(campaignId.toString());
-
-        io.emit('campaign:completed', {
-          userId: userId.toString(),
-          campaignId: campaignId.toString(),
-          totalLeads: campaign.leads.length,
-          successfulCalls: campaign.successfulCalls,
-          failedCalls: campaign.failedCalls
-        });
-      }
-    } else {
-      console.log(`[Campaign] ${campaignId}: Already at 5 concurrent calls. Waiting for next completion.`);
-    }
-  } catch (err) {
-    console.error(`[Campaign] Error processing next call for campaign ${campaignId}:`, err);
-  }
-};
\ No newline at end of file
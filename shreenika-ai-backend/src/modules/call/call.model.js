@@ -30,7 +30,7 @@ const callSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["INITIATED", "DIALING", "RINGING", "ANSWERED", "COMPLETED", "FAILED", "MISSED", "NO_ANSWER"],
+      enum: ["INITIATED", "DIALING", "RINGING", "ANSWERED", "COMPLETED", "FAILED", "MISSED", "NO_ANSWER", "BUSY"],
       default: "INITIATED",
       index: true
     },
@@ -78,14 +78,58 @@ const callSchema = new mongoose.Schema(
       index: true
     },
 
+    // Attempt number for this lead within the campaign (1 = first dial)
+    attempt: {
+      type: Number,
+      default: 1
+    },
+
+    // Recording hosted by the VoIP provider (Twilio RecordingUrl / SansPBX recfile)
     recordingUrl: {
       type: String
     },
 
+    // Mixed caller + agent audio captured by the backend (see recording.service.js)
+    recording: {
+      // RECORDING while the call is live; post-call processing waits for READY
+      status: {
+        type: String,
+        enum: ["RECORDING", "READY", "EMPTY", "FAILED"]
+      },
+      storage: {
+        type: String,
+        enum: ["local", "s3"]
+      },
+      key: String,
+      format: {
+        type: String,
+        enum: ["wav"]
+      },
+      contentType: String,
+      sampleRate: Number,
+      // 2 = caller on the left channel, agent on the right (older recordings: 1, mixed)
+      channels: Number,
+      durationSeconds: Number,
+      sizeBytes: Number,
+      recordedAt: Date,
+      deletedAt: Date,
+      deleteReason: {
+        type: String,
+        enum: ["retention", "user", null]
+      }
+    },
+
     transcript: {
       type: String
     },
 
+    // Where transcript / conversationTurns came from: the live Gemini session or post-call STT
+    transcriptSource: {
+      type: String,
+      enum: ["live", "recording", null],
+      default: null
+    },
+
     // Real-time conversation turns from Gemini Live
     conversationTurns: [{
       role: {
@@ -115,6 +159,13 @@ const callSchema = new mongoose.Schema(
       index: true
     },
 
+    // Fields from the agent's extractionSchema, filled by the post-call analyzer
+    // ({ fieldName: value | null }; dates are stored as Date)
+    extractedData: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+
     rating: {
       type: Number,
       min: 0,
@@ -126,10 +177,60 @@ const callSchema = new mongoose.Schema(
       type: String
     },
 
+    // Answering-machine detection result (see answering-machine.service.js)
+    amd: {
+      result: {
+        type: String,
+        enum: ["human", "machine", null],
+        default: null
+      },
+      source: {
+        type: String,
+        enum: ["provider", "audio", null],
+        default: null
+      },
+      answeredBy: String,
+      action: String,
+      detectedAt: Date
+    },
+
     endReason: {
       type: String
     },
 
+    // Live transfer to a human (see call-transfer.service.js)
+    transfer: {
+      status: {
+        type: String,
+        enum: ["REQUESTED", "TRANSFERRED", "FAILED", null],
+        default: null
+      },
+      target: String,
+      reason: String,
+      summary: String,
+      requestedBy: String,
+      requestedAt: Date,
+      transferredAt: Date,
+      error: String
+    },
+
+    // Functions the AI ran during the call (see agent-tools.service.js)
+    toolInvocations: [
+      {
+        _id: false,
+        name: String,
+        args: mongoose.Schema.Types.Mixed,
+        status: {
+          type: String,
+          enum: ["success", "error", "timeout"]
+        },
+        result: mongoose.Schema.Types.Mixed,
+        error: String,
+        durationMs: Number,
+        invokedAt: Date
+      }
+    ],
+
     usageCost: {
       type: String
     },
@@ -139,6 +240,11 @@ const callSchema = new mongoose.Schema(
       default: false,
       index: true
     },
+    // Set while one instance runs post-call processing (claim, see call.processor.js)
+    processingAt: {
+      type: Date,
+      default: null
+    },
 
     archived: {
       type: Boolean,
@@ -149,4 +255,7 @@ const callSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Recording retention sweep (recording.service.js)
+callSchema.index({ userId: 1, "recording.recordedAt": 1 });
+
 export default mongoose.model("Call", callSchema);
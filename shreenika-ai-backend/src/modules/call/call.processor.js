@@ -1,7 +1,22 @@
 import Call from "./call.model.js";
+import Agent from "../agent/agent.model.js";
 import PromptCache from "../cache/promptCache.model.js";
 import { getGeminiClient } from "../../config/google.client.js";
 import { runCallAI } from "../ai/call.ai.js";
+import { optOutFromCall } from "../dnc/dnc.service.js";
+import { isRecordingPending, PENDING_RECORDING_MAX_MS } from "../recording/recording.service.js";
+import { transcribeCallRecording } from "../recording/recording-transcription.service.js";
+import { extractCallData } from "./call-extraction.service.js";
+import { webhookEmitter } from "../webhook/webhook.emitter.js";
+import { applyCallOutcome } from "../contacts/contact-status.service.js";
+
+// A claim older than this belongs to an instance that died while processing
+const PROCESSING_LEASE_MS = 10 * 60 * 1000;
+const PROCESSING_SWEEP_INTERVAL_MS = 60 * 1000;
+const PROCESSING_SWEEP_BATCH = 50;
+// Older unprocessed calls are left alone (e.g. from before processing existed)
+const PROCESSING_SWEEP_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+let processingSweepTimer = null;
 
 /**
  * Hash helper (simple + deterministic)
@@ -10,28 +25,86 @@ const hashText = (text) => {
   return Buffer.from(text).toString("base64").slice(0, 64);
 };
 
+/* =========================
+   PROCESSING CLAIM
+========================= */
+
+/**
+ * Fields needed to decide whether a call can be processed now
+ * @private
+ */
+const loadProcessingState = (callId) =>
+  Call.findById(callId)
+    .select({ status: 1, aiProcessed: 1, recording: 1, endedAt: 1, updatedAt: 1, conversationTurns: { $slice: 1 } })
+    .lean();
+
+/**
+ * Claim a call's post-call processing for this instance (one atomic update, so two
+ * triggers for the same call never both run it)
+ * @private
+ * @returns {Promise<Call|null>} - The claimed call, or null when processed or claimed elsewhere
+ */
+const claimCallProcessing = (callId) =>
+  Call.findOneAndUpdate(
+    {
+      _id: callId,
+      aiProcessed: { $ne: true },
+      $or: [
+        { processingAt: null },
+        { processingAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+      ]
+    },
+    { $set: { processingAt: new Date() } },
+    { new: true }
+  );
+
+/**
+ * Run processing under a claim; the claim is given back if it throws
+ * @private
+ */
+const withProcessingClaim = async (callId, run) => {
+  const call = await claimCallProcessing(callId);
+  if (!call) return;
+
+  try {
+    await run(call);
+  } catch (err) {
+    await Call.updateOne({ _id: call._id, aiProcessed: { $ne: true } }, { $set: { processingAt: null } })
+      .catch((releaseErr) => console.error(`❌ Failed to release processing of call ${call._id}:`, releaseErr.message));
+    throw err;
+  }
+};
+
 /**
  * MAIN AI PROCESSOR
  * Runs ONCE per call
  */
 export const processCallAI = async (callId) => {
-  const call = await Call.findById(callId);
-  if (!call) return;
+  const state = await loadProcessingState(callId);
+  if (!state) return;
 
   // Safety locks
-  if (call.aiProcessed) return;
-  if (!call.recordingUrl) return;
+  if (state.aiProcessed) return;
+  if (!state.conversationTurns?.length && isRecordingPending(state)) return;
+
+  await withProcessingClaim(callId, analyzeCallAI);
+};
 
+/**
+ * @private
+ */
+const analyzeCallAI = async (call) => {
   const { llm } = getGeminiClient();
 
-  // -------- TRANSCRIPTION (SIMULATED PLACEHOLDER) --------
-  // Real STT will be plugged here later
-  const transcriptText = `
-Agent: Hello, this is Shreenika AI calling.
-Lead: Yes, I received your call.
-Agent: We wanted to discuss our service briefly.
-Lead: Sounds good.
-`;
+  const agent = await loadCallAgent(call);
+
+  // -------- TRANSCRIPTION (live turns, else recording STT) --------
+  const transcriptText = await resolveTranscript(call, agent);
+  if (!transcriptText) {
+    console.log(`⚠️ No transcript available for call: ${call._id}`);
+    await finishCallProcessing(call);
+    return;
+  }
 
   // -------- CACHE CHECK --------
   const transcriptHash = hashText(transcriptText);
@@ -74,13 +147,68 @@ Return JSON:
   call.transcript = transcriptText;
   call.summary = summary;
   call.sentiment = sentiment;
-  call.aiProcessed = true;
 
-  await call.save();
+  await applyExtraction(call, agent, transcriptText);
+  await finishCallProcessing(call);
 
   console.log(`✅ AI processed call ${call._id}`);
 };
 
+/**
+ * Agent settings used by post-call processing (STT language, extraction schema)
+ * @private
+ */
+const loadCallAgent = (call) => {
+  if (!call.agentId) return null;
+  return Agent.findById(call.agentId)
+    .select("voiceProfile speechSettings extractionSchema")
+    .lean()
+    .catch(() => null);
+};
+
+/**
+ * Fill call.extractedData from the agent's extractionSchema (no-op without one)
+ * A failed extraction leaves extractedData unset; the rest of the analysis is kept.
+ * @private
+ */
+const applyExtraction = async (call, agent, transcriptText) => {
+  const schema = agent?.extractionSchema || [];
+  if (schema.length === 0) return;
+
+  try {
+    call.extractedData = await extractCallData(schema, transcriptText, call.answeredAt || call.createdAt);
+    const filled = Object.values(call.extractedData).filter((v) => v !== null).length;
+    console.log(`📋 Extracted ${filled}/${schema.length} fields for call ${call._id}`);
+  } catch (error) {
+    console.error(`❌ Data extraction failed for call ${call._id}:`, error.message);
+  }
+};
+
+/**
+ * Mark the call processed, apply the outcome → status rules and send the call.completed webhook
+ * (sent here, after analysis, so it carries summary, outcome and extractedData)
+ * call.analyzed follows when there was a transcript to analyze
+ * @private
+ */
+const finishCallProcessing = async (call) => {
+  call.aiProcessed = true;
+  call.processingAt = null;
+  await call.save();
+
+  await applyCallOutcome(call).catch((err) =>
+    console.error(`❌ Status update failed for call ${call._id}:`, err.message)
+  );
+
+  webhookEmitter.onCallCompleted(call.userId, call.toObject()).catch((err) =>
+    console.error("❌ Webhook error:", err.message)
+  );
+  if (call.summary) {
+    webhookEmitter.onCallAnalyzed(call.userId, call).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
+  }
+};
+
 /**
  * Format conversation turns into readable transcript
  */
@@ -93,52 +221,82 @@ const formatConversationTurns = (turns) => {
 };
 
 /**
- * This function is the SINGLE SOURCE OF TRUTH
- * for post-call processing.
+ * Fill call.transcript (and conversationTurns) before analysis
  *
  * Priority:
- * 1. Use real-time conversationTurns from Gemini Live (if available)
- * 2. Fall back to recording URL processing with STT
+ * 1. Real-time conversationTurns from Gemini Live
+ * 2. Speaker-separated STT of the call recording (backend recording, else provider recordingUrl)
+ *
+ * @param {Call} call - Call document (modified, not saved)
+ * @param {Object|null} agent - Call's agent (for the STT language)
+ * @returns {Promise<string|null>} - Transcript text, or null if there is none
  */
-export const processCompletedCall = async (callId) => {
-  const call = await Call.findById(callId);
-
-  if (!call) return;
-  if (call.aiProcessed === true) return; // idempotent guard
-
-  console.log(`🔄 Processing completed call: ${call._id}`);
-
-  let transcriptText = null;
-
-  // ===== PRIORITY 1: Use real-time transcript from Gemini Live =====
+const resolveTranscript = async (call, agent) => {
   // BUG 4.5 FIX (2026-02-20): This is the PRIMARY transcript source - captured during call
   if (call.conversationTurns && call.conversationTurns.length > 0) {
     console.log(`📝 Using real-time transcript from Gemini Live (${call.conversationTurns.length} turns)`);
     console.log(`   └─ Sample: "${call.conversationTurns[0]?.content?.substring(0, 50)}..."`);
-    transcriptText = formatConversationTurns(call.conversationTurns);
-    call.transcript = transcriptText;
-    console.log(`✅ Transcript formatted: ${transcriptText.length} characters`);
-  } else {
-    console.warn(`⚠️  No conversationTurns found for call ${callId} - falling back to recording`);
+    call.transcript = formatConversationTurns(call.conversationTurns);
+    call.transcriptSource = "live";
+    console.log(`✅ Transcript formatted: ${call.transcript.length} characters`);
+    return call.transcript;
   }
 
-  // ===== PRIORITY 2: Fall back to recording + STT =====
-  // BUG 4.5 FIX (2026-02-20): runCallAI was trying to transcribe URL string with text API (broken)
-  // Only use if recording exists - but note: manual transcription would need to be implemented
-  // For now, if no conversationTurns and no manual STT, mark as complete and skip
-  if (!transcriptText && call.recordingUrl) {
-    console.log(`🎙️ Recording available: ${call.recordingUrl}`);
-    console.warn(`⚠️  Recording transcription not implemented - conversationTurns are the primary transcript source`);
-    // TODO: Implement proper STT via Google Speech-to-Text API
-    // For now, create a placeholder indicating recording exists but isn't transcribed
-    transcriptText = '[Recording transcription pending - use Gemini Live conversationTurns instead]';
+  console.warn(`⚠️  No conversationTurns found for call ${call._id} - falling back to recording`);
+
+  try {
+    const result = await transcribeCallRecording(call, agent);
+    if (!result || result.turns.length === 0) return null;
+
+    call.conversationTurns = result.turns;
+    call.transcript = formatConversationTurns(result.turns);
+    call.transcriptSource = "recording";
+    console.log(`✅ Transcript from ${result.source} recording: ${call.transcript.length} characters`);
+    return call.transcript;
+  } catch (err) {
+    console.error(`❌ Recording transcription failed for call ${call._id}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * This function is the SINGLE SOURCE OF TRUTH
+ * for post-call processing.
+ *
+ * Transcript: see resolveTranscript (live turns, else recording STT).
+ * Extraction: the agent's extractionSchema fields go to call.extractedData.
+ * Sends the call.completed webhook once the analysis is stored.
+ * While the backend recording is still being stored, processing is deferred;
+ * resumeDeferredCallProcessing() picks it up once the file is saved.
+ */
+export const processCompletedCall = async (callId) => {
+  const state = await loadProcessingState(callId);
+
+  if (!state) return;
+  if (state.aiProcessed === true) return; // idempotent guard
+
+  // Without live turns the recording is the transcript source - wait until it is stored
+  if (!state.conversationTurns?.length && isRecordingPending(state)) {
+    console.log(`⏳ Recording for call ${callId} not stored yet - processing deferred`);
+    return;
   }
 
+  await withProcessingClaim(callId, analyzeCompletedCall);
+};
+
+/**
+ * @private
+ */
+const analyzeCompletedCall = async (call) => {
+  console.log(`🔄 Processing completed call: ${call._id}`);
+
+  const agent = await loadCallAgent(call);
+  const transcriptText = await resolveTranscript(call, agent);
+
   // ===== No transcript available =====
   if (!transcriptText) {
     console.log(`⚠️ No transcript available for call: ${call._id}`);
-    call.aiProcessed = true;
-    await call.save();
+    await finishCallProcessing(call);
     return;
   }
 
@@ -159,13 +317,15 @@ Return ONLY valid JSON (no markdown):
 {
   "summary": "1-2 sentence summary of the call",
   "sentiment": "Positive" | "Neutral" | "Negative",
-  "outcome": "meeting_booked" | "callback_requested" | "not_interested" | "voicemail" | null
+  "outcome": "meeting_booked" | "callback_requested" | "not_interested" | "voicemail" | null,
+  "doNotCall": true | false
 }
 
 Meeting booking indicators: "let's schedule", "calendar invite", "send you a meeting link", "next week/month", "set up a demo", "book a time", "confirm our appointment", "scheduled".
 Callback indicators: "call me back", "try again later", "I'll think about it", "get back to you".
 Not interested indicators: "not interested", "remove me from list", "don't call again", "we're good".
 Set null if none of these outcomes clearly apply.
+Set doNotCall to true only if the person asks not to be called again or to be removed from the list.
 `;
 
       const result = await llm.generateContent(prompt);
@@ -177,12 +337,26 @@ Set null if none of these outcomes clearly apply.
 
       call.summary = parsed.summary;
       call.sentiment = parsed.sentiment;
-      call.outcome = parsed.outcome || null;
+      // A detected answering machine stays "voicemail", and a meeting the AI actually booked
+      // (book_meeting tool) stays "meeting_booked", whatever the transcript suggests
+      const bookedMeeting = (call.toolInvocations || []).some(
+        (t) => t.name === "book_meeting" && t.status === "success"
+      );
+      call.outcome = call.amd?.result === "machine"
+        ? "voicemail"
+        : bookedMeeting ? "meeting_booked" : (parsed.outcome || null);
 
       console.log(`✅ AI analysis complete:`);
       console.log(`   ├─ Sentiment: ${parsed.sentiment}`);
       console.log(`   ├─ Outcome: ${parsed.outcome || 'none'}`);
       console.log(`   └─ Summary: ${parsed.summary.substring(0, 50)}...`);
+
+      // Honour opt-outs: stop-calling requests and not_interested leads go on the DNC list
+      if (parsed.doNotCall === true || call.outcome === "not_interested") {
+        await optOutFromCall(call, parsed.doNotCall === true ? "caller_request" : "not_interested").catch(err =>
+          console.error(`❌ DNC opt-out failed for call ${call._id}:`, err.message)
+        );
+      }
     }
 
   } catch (error) {
@@ -192,8 +366,86 @@ Set null if none of these outcomes clearly apply.
     call.sentiment = "Neutral";
   }
 
-  call.aiProcessed = true;
-  await call.save();
+  // ===== AGENT-DEFINED FIELDS =====
+  await applyExtraction(call, agent, transcriptText);
+
+  await finishCallProcessing(call);
 
   console.log(`✅ Processed call: ${call._id}`);
-};
\ No newline at end of file
+};
+
+/**
+ * Run post-call processing that was deferred while the recording was stored
+ * (no-op unless the call already completed and has not been processed)
+ * @param {string} callId
+ */
+export const resumeDeferredCallProcessing = async (callId) => {
+  const call = await Call.findById(callId).select("status aiProcessed").lean();
+  if (!call || call.aiProcessed || call.status !== "COMPLETED") return;
+  await processCompletedCall(callId);
+};
+
+/* =========================
+   STALLED PROCESSING SWEEP
+========================= */
+
+/**
+ * Process completed calls that nothing else will pick up: the instance holding the
+ * recording (deferred processing) or running the processing died
+ * @returns {Promise<number>} - Calls picked up
+ */
+export const sweepStalledCallProcessing = async () => {
+  const now = Date.now();
+  const stalled = await Call.find({
+    status: "COMPLETED",
+    aiProcessed: { $ne: true },
+    updatedAt: {
+      $lt: new Date(now - PENDING_RECORDING_MAX_MS),
+      $gt: new Date(now - PROCESSING_SWEEP_MAX_AGE_MS)
+    },
+    $or: [
+      { processingAt: null },
+      { processingAt: { $lt: new Date(now - PROCESSING_LEASE_MS) } }
+    ]
+  })
+    .select("_id recording.status")
+    .sort({ updatedAt: 1 })
+    .limit(PROCESSING_SWEEP_BATCH)
+    .lean();
+
+  for (const call of stalled) {
+    // The recording was never stored - process from whatever else there is
+    if (call.recording?.status === "RECORDING") {
+      await Call.updateOne({ _id: call._id, "recording.status": "RECORDING" }, { $set: { "recording.status": "FAILED" } });
+    }
+    await processCompletedCall(call._id).catch((err) =>
+      console.error(`❌ Stalled processing failed for call ${call._id}:`, err.message)
+    );
+  }
+
+  if (stalled.length > 0) {
+    console.log(`🧹 Picked up processing of ${stalled.length} stalled call(s)`);
+  }
+  return stalled.length;
+};
+
+/**
+ * Run the stalled-processing sweep periodically (call once MongoDB is connected)
+ */
+export const startCallProcessingSweep = () => {
+  if (processingSweepTimer) return;
+
+  const sweep = () => sweepStalledCallProcessing().catch((err) =>
+    console.error("❌ Call processing sweep failed:", err.message)
+  );
+  processingSweepTimer = setInterval(sweep, PROCESSING_SWEEP_INTERVAL_MS);
+  processingSweepTimer.unref();
+  sweep();
+};
+
+export const stopCallProcessingSweep = () => {
+  if (processingSweepTimer) {
+    clearInterval(processingSweepTimer);
+    processingSweepTimer = null;
+  }
+};
@@ -8,10 +8,13 @@ import {
   stopCampaign,
   pauseCampaign,
   resumeCampaign,
+  updateCampaignSchedule,
+  updateCampaignRetryPolicy,
   getCampaign,
   getCampaignLogs,
   listCampaigns,
   redialCall,
+  transferCall,
   archiveCall,
 } from "./call.controller.js";
 
@@ -26,6 +29,8 @@ router.get("/campaigns/:id", getCampaign);
 router.get("/campaigns/:id/logs", getCampaignLogs);
 router.post("/campaigns/:id/pause", pauseCampaign);
 router.post("/campaigns/:id/resume", resumeCampaign);
+router.put("/campaigns/:campaignId/schedule", updateCampaignSchedule);
+router.put("/campaigns/:campaignId/retry-policy", updateCampaignRetryPolicy);
 router.post("/campaigns/stop", stopCampaign);
 
 // Call endpoints
@@ -33,6 +38,7 @@ router.get("/", listCalls);
 router.post("/", createCall);
 router.post("/:id/complete", completeCall);
 router.post("/:id/redial", redialCall);
+router.post("/:id/transfer", transferCall);
 router.delete("/:id", archiveCall);
 
 export default router;
\ No newline at end of file
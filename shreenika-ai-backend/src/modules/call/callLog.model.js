@@ -5,7 +5,10 @@ const callLogSchema = new mongoose.Schema(
     callId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Call",
-      required: true,
+      // Blocked dials never create a Call
+      required: function () {
+        return this.event !== "BLOCKED_DNC";
+      },
       index: true
     },
 
@@ -30,7 +33,17 @@ const callLogSchema = new mongoose.Schema(
         "COMPLETED",
         "FAILED",
         "MISSED",
-        "NO_ANSWER"
+        "NO_ANSWER",
+        "BUSY",
+        "RETRY_SCHEDULED",
+        "RETRY_CANCELLED",
+        "BLOCKED_DNC",
+        "VOICEMAIL",
+        "TRANSFERRED",
+        "TRANSFER_FAILED",
+        "SUPERVISOR_JOINED",
+        "SUPERVISOR_WHISPER",
+        "SUPERVISOR_BARGE_IN"
       ],
       required: true,
       index: true
@@ -50,7 +63,7 @@ const callLogSchema = new mongoose.Schema(
     // For easier querying
     leadId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "Lead"
+      ref: "Contact"
     },
 
     leadName: String,
@@ -0,0 +1,196 @@
+/**
+ * Calling Window Service
+ * Decides whether a campaign may dial right now according to its schedule
+ * (allowed weekdays, local calling hours, time zone and blackout dates)
+ *
+ * All wall-clock maths uses Intl with IANA time zones, so no offsets are hard-coded
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const LOOKAHEAD_DAYS = 400; // Enough to get past a long run of blackout dates
+
+/**
+ * Default schedule for Indian outbound telemarketing: Mon–Sat, 09:00–21:00 IST
+ */
+export const DEFAULT_SCHEDULE = {
+  enabled: true,
+  timezone: 'Asia/Kolkata',
+  days: [1, 2, 3, 4, 5, 6],
+  startTime: '09:00',
+  endTime: '21:00',
+  blackoutDates: []
+};
+
+// 00:00-23:59 and real calendar dates - blackoutDates are compared to local YYYY-MM-DD keys
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Whether a string is an existing date in YYYY-MM-DD form
+ * @private
+ */
+const isDateKey = (value) => {
+  const match = DATE_PATTERN.exec(typeof value === 'string' ? value : '');
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Whether a string is a time of day in HH:mm form (00:00-23:59)
+ * @private
+ */
+const isTimeOfDay = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const toMinutes = (hhmm) => {
+  const [h, m] = (hhmm || '00:00').split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @private
+ */
+const getLocalParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: DAY_NAMES.indexOf(get('weekday')),
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`
+  };
+};
+
+/**
+ * Instant at which the given local wall-clock time occurs in a time zone
+ * @private
+ */
+const localTimeToDate = (year, month, day, minutes, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const local = getLocalParts(new Date(guess), timezone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return new Date(guess - (localAsUtc - guess));
+};
+
+/**
+ * Merge a campaign's stored schedule with defaults and validate the time zone
+ * @param {Object} schedule - Campaign.schedule (may be partial or a mongoose subdoc)
+ * @returns {Object} - Complete schedule
+ */
+export const normalizeSchedule = (schedule = {}) => {
+  const raw = schedule?.toObject ? schedule.toObject() : (schedule || {});
+  const merged = { ...DEFAULT_SCHEDULE };
+  for (const [key, value] of Object.entries(raw)) {
+    if (value !== undefined && value !== null) merged[key] = value;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: merged.timezone });
+  } catch {
+    throw new Error(`Invalid schedule timezone: ${merged.timezone}`);
+  }
+
+  if (!isTimeOfDay(merged.startTime) || !isTimeOfDay(merged.endTime)) {
+    throw new Error('Schedule startTime/endTime must be HH:mm between 00:00 and 23:59');
+  }
+  if (toMinutes(merged.startTime) >= toMinutes(merged.endTime)) {
+    throw new Error('Schedule startTime must be before endTime');
+  }
+  if (!Array.isArray(merged.days) || merged.days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new Error('Schedule days must be weekday numbers 0 (Sunday) to 6 (Saturday)');
+  }
+  if (!Array.isArray(merged.blackoutDates)) {
+    throw new Error('Schedule blackoutDates must be a list of YYYY-MM-DD dates');
+  }
+  const badDate = merged.blackoutDates.find((date) => !isDateKey(date));
+  if (badDate !== undefined) {
+    throw new Error(`Invalid blackout date "${badDate}" - use YYYY-MM-DD`);
+  }
+
+  return merged;
+};
+
+/**
+ * Whether the schedule allows dialing at the given instant
+ * @param {Object} schedule - Campaign.schedule
+ * @param {Date} at - Instant to check (default now)
+ * @returns {boolean}
+ */
+export const isWithinCallingWindow = (schedule, at = new Date()) => {
+  const s = normalizeSchedule(schedule);
+  if (!s.enabled) return true;
+
+  const local = getLocalParts(at, s.timezone);
+  if (!s.days.includes(local.weekday)) return false;
+  if (s.blackoutDates.includes(local.dateKey)) return false;
+
+  const minutes = local.hour * 60 + local.minute;
+  return minutes >= toMinutes(s.startTime) && minutes < toMinutes(s.endTime);
+};
+
+/**
+ * Next instant the calling window opens (returns `from` if it is already open)
+ * @param {Object} schedule - Campaign.schedule
+ * @param {Date} from - Starting instant (default now)
+ * @returns {Date | null} - null if no allowed day exists within the lookahead
+ */
+export const getNextWindowStart = (schedule, from = new Date()) => {
+  const s = normalizeSchedule(schedule);
+  if (!s.enabled || isWithinCallingWindow(s, from)) return from;
+
+  const startMinutes = toMinutes(s.startTime);
+  const today = getLocalParts(from, s.timezone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    // Walk local calendar dates (not 24h steps) so DST changes can't skip a day
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const dateKey = date.toISOString().slice(0, 10);
+    if (!s.days.includes(date.getUTCDay()) || s.blackoutDates.includes(dateKey)) continue;
+
+    const opensAt = localTimeToDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), startMinutes, s.timezone);
+    if (opensAt > from) return opensAt;
+  }
+
+  return null;
+};
+
+/**
+ * Instant the current window closes (null if the window is not open)
+ * @param {Object} schedule - Campaign.schedule
+ * @param {Date} at - Instant inside the window (default now)
+ * @returns {Date | null}
+ */
+export const getWindowEnd = (schedule, at = new Date()) => {
+  const s = normalizeSchedule(schedule);
+  if (!s.enabled || !isWithinCallingWindow(s, at)) return null;
+
+  const local = getLocalParts(at, s.timezone);
+  return localTimeToDate(local.year, local.month, local.day, toMinutes(s.endTime), s.timezone);
+};
+
+export default {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  isWithinCallingWindow,
+  getNextWindowStart,
+  getWindowEnd
+};
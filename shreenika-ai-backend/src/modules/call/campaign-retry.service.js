@@ -0,0 +1,247 @@
+/**
+ * Campaign Retry Service
+ * Applies a campaign's retryPolicy to finished attempts and schedules redials durably
+ *
+ * Rules are keyed by call status (NO_ANSWER, BUSY, MISSED, FAILED) or call outcome
+ * (voicemail, callback_requested); an outcome rule wins over a status rule.
+ * Every scheduling decision is written to CallLog so it shows in the campaign logs.
+ */
+
+import Call from './call.model.js';
+import CallLog from './callLog.model.js';
+import CampaignRetry from './campaignRetry.model.js';
+
+// A claimed retry goes back in play if its attempt has not been made by then (dialing instance died)
+const DISPATCH_LEASE_MS = 10 * 60 * 1000;
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  delayMinutes: { NO_ANSWER: 120, BUSY: 15, MISSED: 60, FAILED: 30, voicemail: 240 },
+  neverRetryOutcomes: ['not_interested', 'meeting_booked']
+};
+
+/**
+ * Merge a stored/requested retry policy with defaults and validate it
+ * @param {Object} policy - Campaign.retryPolicy (may be partial or a mongoose subdoc)
+ * @returns {Object} - { maxAttempts, delayMinutes, neverRetryOutcomes } with plain objects
+ */
+export const normalizeRetryPolicy = (policy = {}) => {
+  const raw = policy?.toObject ? policy.toObject() : (policy || {});
+  const delayMinutes = raw.delayMinutes instanceof Map
+    ? Object.fromEntries(raw.delayMinutes)
+    : (raw.delayMinutes ?? DEFAULT_RETRY_POLICY.delayMinutes);
+
+  const merged = {
+    maxAttempts: raw.maxAttempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+    delayMinutes: { ...delayMinutes },
+    neverRetryOutcomes: raw.neverRetryOutcomes ?? DEFAULT_RETRY_POLICY.neverRetryOutcomes
+  };
+
+  if (!Number.isInteger(merged.maxAttempts) || merged.maxAttempts < 1 || merged.maxAttempts > 10) {
+    throw new Error('retryPolicy.maxAttempts must be an integer between 1 and 10');
+  }
+  for (const [key, minutes] of Object.entries(merged.delayMinutes)) {
+    if (typeof minutes !== 'number' || minutes < 0) {
+      throw new Error(`retryPolicy.delayMinutes.${key} must be a non-negative number`);
+    }
+  }
+  if (!Array.isArray(merged.neverRetryOutcomes) || merged.neverRetryOutcomes.some((o) => typeof o !== 'string')) {
+    throw new Error('retryPolicy.neverRetryOutcomes must be an array of outcome names');
+  }
+
+  return merged;
+};
+
+/**
+ * Log a retry decision against the attempt it relates to
+ * @private
+ */
+const logRetryEvent = (campaign, call, event, details, data = {}) => CallLog.create({
+  callId: call._id,
+  campaignId: campaign._id,
+  userId: campaign.userId,
+  leadId: call.leadId,
+  leadName: call.leadName,
+  phoneNumber: call.phoneNumber,
+  event,
+  details,
+  callStatus: call.status,
+  data
+});
+
+/**
+ * Schedule the next attempt for a finished call if the campaign's policy allows it
+ * @param {Campaign} campaign - Campaign document
+ * @param {Call} call - The finished attempt
+ * @returns {Promise<CampaignRetry | null>}
+ */
+export const scheduleRetry = async (campaign, call) => {
+  if (!call?.leadId) return null;
+
+  const policy = normalizeRetryPolicy(campaign.retryPolicy);
+
+  if (call.outcome && policy.neverRetryOutcomes.includes(call.outcome)) {
+    return null;
+  }
+
+  const reason = call.outcome && policy.delayMinutes[call.outcome] !== undefined ? call.outcome : call.status;
+  const delay = policy.delayMinutes[reason];
+  if (delay === undefined) {
+    return null; // Successful or non-retryable result
+  }
+
+  const attempts = await Call.countDocuments({ campaignId: campaign._id, leadId: call.leadId });
+  if (attempts >= policy.maxAttempts) {
+    await logRetryEvent(
+      campaign,
+      call,
+      'RETRY_CANCELLED',
+      `No retry: ${reason} after ${attempts}/${policy.maxAttempts} attempts`,
+      { reason, attempts, maxAttempts: policy.maxAttempts }
+    );
+    return null;
+  }
+
+  // A lead only ever has one pending retry
+  const pending = await CampaignRetry.findOne({ campaignId: campaign._id, leadId: call.leadId, status: 'PENDING' });
+  if (pending) return pending;
+
+  const dueAt = new Date(Date.now() + delay * 60000);
+  const retry = await CampaignRetry.create({
+    campaignId: campaign._id,
+    userId: campaign.userId,
+    leadId: call.leadId,
+    previousCallId: call._id,
+    attempt: attempts + 1,
+    reason,
+    dueAt
+  });
+
+  await logRetryEvent(
+    campaign,
+    call,
+    'RETRY_SCHEDULED',
+    `Retry ${attempts + 1}/${policy.maxAttempts} scheduled for ${dueAt.toISOString()} (${reason}, +${delay}min)`,
+    { retryId: retry._id, reason, attempt: retry.attempt, dueAt }
+  );
+
+  console.log(`🔁 [Retry] Lead ${call.leadId}: ${reason} → attempt ${retry.attempt} at ${dueAt.toISOString()}`);
+
+  return retry;
+};
+
+/**
+ * Mark a claimed retry as done once its attempt has run (or was given up on)
+ * @param {string} retryId - CampaignRetry ID
+ */
+export const markRetryDispatched = (retryId) => CampaignRetry.updateOne(
+  { _id: retryId, status: 'DISPATCHING' },
+  { $set: { status: 'DISPATCHED', dispatchedAt: new Date(), leaseExpiresAt: null } }
+);
+
+/**
+ * Atomically claim up to `limit` retries that are due now, leased for DISPATCH_LEASE_MS
+ * Call markRetryDispatched after the attempt; retries whose lease lapsed are claimed again
+ * Retries for leads that have since reached a never-retry outcome are cancelled instead
+ * @param {Campaign} campaign - Campaign document
+ * @param {number} limit - Max retries to claim
+ * @returns {Promise<Array<CampaignRetry>>}
+ */
+export const claimDueRetries = async (campaign, limit) => {
+  const policy = normalizeRetryPolicy(campaign.retryPolicy);
+  const claimed = [];
+
+  while (claimed.length < limit) {
+    const now = new Date();
+    const retry = await CampaignRetry.findOneAndUpdate(
+      {
+        campaignId: campaign._id,
+        $or: [
+          { status: 'PENDING', dueAt: { $lte: now } },
+          { status: 'DISPATCHING', leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      { $set: { status: 'DISPATCHING', leaseExpiresAt: new Date(now.getTime() + DISPATCH_LEASE_MS) } },
+      { sort: { dueAt: 1 }, new: true }
+    );
+    if (!retry) break;
+
+    // A lapsed claim may have dialed before its instance died - the provider accepted it if the call has an id
+    const dialed = await Call.exists({
+      campaignId: campaign._id,
+      leadId: retry.leadId,
+      attempt: retry.attempt,
+      twilioCallSid: { $ne: null }
+    });
+    if (dialed) {
+      await markRetryDispatched(retry._id);
+      continue;
+    }
+
+    // Post-call analysis runs after the attempt ends, so the outcome may have arrived since scheduling
+    const closingCall = await Call.findOne({
+      campaignId: campaign._id,
+      leadId: retry.leadId,
+      outcome: { $in: policy.neverRetryOutcomes }
+    });
+
+    if (closingCall) {
+      retry.status = 'CANCELLED';
+      retry.cancelReason = `Outcome ${closingCall.outcome}`;
+      await retry.save();
+      await logRetryEvent(campaign, closingCall, 'RETRY_CANCELLED', `Retry ${retry.attempt} cancelled: lead outcome is ${closingCall.outcome}`, {
+        retryId: retry._id
+      });
+      continue;
+    }
+
+    claimed.push(retry);
+  }
+
+  return claimed;
+};
+
+/**
+ * Earliest pending retry for a campaign (or claim lapsing, so a dead instance's retry is picked up)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Date | null>}
+ */
+export const getNextRetryDueAt = async (campaignId) => {
+  const [next, lease] = await Promise.all([
+    CampaignRetry.findOne({ campaignId, status: 'PENDING' }).sort({ dueAt: 1 }).select('dueAt').lean(),
+    CampaignRetry.findOne({ campaignId, status: 'DISPATCHING' }).sort({ leaseExpiresAt: 1 }).select('leaseExpiresAt').lean()
+  ]);
+
+  const candidates = [next?.dueAt, lease?.leaseExpiresAt].filter(Boolean);
+  return candidates.length ? new Date(Math.min(...candidates.map((date) => date.getTime()))) : null;
+};
+
+/**
+ * Cancel all pending retries, and claims that lapsed without dialing (campaign stopped)
+ * @param {string} campaignId - Campaign ID
+ * @param {string} reason - Why they were cancelled
+ * @returns {Promise<number>} - Number cancelled
+ */
+export const cancelPendingRetries = async (campaignId, reason) => {
+  const result = await CampaignRetry.updateMany(
+    {
+      campaignId,
+      $or: [
+        { status: 'PENDING' },
+        { status: 'DISPATCHING', leaseExpiresAt: { $lt: new Date() } }
+      ]
+    },
+    { $set: { status: 'CANCELLED', cancelReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  scheduleRetry,
+  claimDueRetries,
+  markRetryDispatched,
+  getNextRetryDueAt,
+  cancelPendingRetries
+};
@@ -0,0 +1,350 @@
+/**
+ * Campaign Scheduler Service
+ * Durable, crash-safe replacement for the in-memory activeCampaigns map
+ *
+ * Every RUNNING campaign has a CampaignJob in MongoDB. Each backend instance polls for
+ * claimable jobs, takes a time-limited lease and renews it with heartbeats while it dials.
+ * If an instance crashes or is redeployed its leases expire and another instance resumes
+ * the campaign from Campaign.currentBatchIndex. A job whose run keeps dying (lease expired
+ * maxAttempts times in a row) is failed together with its campaign instead of re-leased forever.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import Campaign from './campaign.model.js';
+import CampaignJob from './campaignJob.model.js';
+import { emitToCampaign, REALTIME_EVENTS } from '../realtime/realtime.service.js';
+
+class CampaignScheduler {
+  constructor({ leaseMs = 60000, heartbeatMs = 15000, pollMs = 5000, maxJobs = 2, maxAttempts = 5 } = {}) {
+    this.leaseMs = leaseMs; // How long a claimed job stays owned without a heartbeat
+    this.heartbeatMs = heartbeatMs; // How often running jobs renew their lease
+    this.pollMs = pollMs; // How often this instance looks for claimable jobs
+    this.maxJobs = maxJobs; // Max campaigns this instance runs at once
+    this.maxAttempts = maxAttempts; // Claims per queued run before an abandoned job is failed
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.runningJobs = new Map(); // campaignId -> { heartbeatTimer, leaseLost }
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Queue a campaign for processing (start or resume)
+   * @param {Campaign} campaign - Campaign document
+   * @param {Date} runAfter - Earliest time a worker may pick it up
+   */
+  async enqueue(campaign, runAfter = new Date()) {
+    const job = await CampaignJob.findOneAndUpdate(
+      { campaignId: campaign._id },
+      {
+        $set: {
+          userId: campaign.userId,
+          status: 'QUEUED',
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          runAfter,
+          lastError: null,
+          finishedAt: null,
+          attempts: 0 // Parking for a window / retry is progress, not a crash
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    console.log(`🗂️ [Scheduler] Campaign ${campaign._id} queued (run after ${runAfter.toISOString()})`);
+
+    // Don't wait for the next poll if the job is due now
+    if (runAfter <= new Date()) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Mark a campaign's job finished so no worker picks it up again (stop/complete)
+   * @param {string} campaignId - Campaign ID
+   * @param {string} status - DONE or FAILED
+   * @param {string} error - Optional failure reason
+   */
+  async finish(campaignId, status = 'DONE', error = null) {
+    await CampaignJob.updateOne(
+      { campaignId },
+      {
+        $set: {
+          status,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: error,
+          finishedAt: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Whether this instance still owns the campaign's lease
+   * Runners check this between batches and stop dialing once the lease is lost
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean}
+   */
+  holdsLease(campaignId) {
+    const entry = this.runningJobs.get(campaignId.toString());
+    return !!entry && !entry.leaseLost;
+  }
+
+  /**
+   * Atomically claim the next due or abandoned job
+   * @private
+   */
+  async claimNext() {
+    const now = new Date();
+    await this.failExhausted(now);
+
+    return CampaignJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'QUEUED', runAfter: { $lte: now } },
+          { status: 'LEASED', leaseExpiresAt: { $lt: now }, attempts: { $lt: this.maxAttempts } }
+        ]
+      },
+      {
+        $set: {
+          status: 'LEASED',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs),
+          heartbeatAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAfter: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fail abandoned jobs that already used up their attempts, and their campaigns
+   * Every run of such a job ended without releasing its lease (worker crash / OOM / redeploy loop)
+   * @private
+   */
+  async failExhausted(now) {
+    const exhausted = await CampaignJob.find({
+      status: 'LEASED',
+      leaseExpiresAt: { $lt: now },
+      attempts: { $gte: this.maxAttempts }
+    }).select('campaignId userId attempts').lean();
+
+    for (const job of exhausted) {
+      const reason = `Campaign run was abandoned ${job.attempts} times without finishing - giving up`;
+      const result = await CampaignJob.updateOne(
+        { _id: job._id, status: 'LEASED', leaseExpiresAt: { $lt: now } },
+        {
+          $set: {
+            status: 'FAILED',
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            lastError: reason,
+            finishedAt: now
+          }
+        }
+      );
+      if (result.modifiedCount === 0) continue; // Another instance got there first
+
+      console.error(`❌ [Scheduler] Campaign ${job.campaignId}: ${reason}`);
+      await Campaign.updateOne(
+        { _id: job.campaignId, status: 'RUNNING' },
+        { $set: { status: 'FAILED', completedAt: now } }
+      );
+      emitToCampaign(job.userId, job.campaignId, REALTIME_EVENTS.CAMPAIGN_FAILED, {
+        userId: job.userId.toString(),
+        campaignId: job.campaignId.toString(),
+        error: reason
+      });
+    }
+  }
+
+  /**
+   * Renew the lease for a running job
+   * @private
+   */
+  async heartbeat(campaignId) {
+    const entry = this.runningJobs.get(campaignId);
+    if (!entry) return;
+
+    try {
+      const now = new Date();
+      const result = await CampaignJob.updateOne(
+        { campaignId, status: 'LEASED', leaseOwner: this.workerId },
+        { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + this.leaseMs) } }
+      );
+
+      if (result.matchedCount === 0) {
+        console.warn(`⚠️ [Scheduler] Lease lost for campaign ${campaignId} - another worker owns it now`);
+        entry.leaseLost = true;
+        clearInterval(entry.heartbeatTimer);
+      }
+    } catch (err) {
+      // Transient DB error - keep trying until the lease actually expires
+      console.error(`❌ [Scheduler] Heartbeat failed for campaign ${campaignId}:`, err.message);
+    }
+  }
+
+  /**
+   * Run a claimed job to completion
+   * @private
+   */
+  async runJob(job) {
+    const campaignId = job.campaignId.toString();
+    const entry = { leaseLost: false, heartbeatTimer: null };
+    entry.heartbeatTimer = setInterval(() => this.heartbeat(campaignId), this.heartbeatMs);
+    this.runningJobs.set(campaignId, entry);
+
+    console.log(`🔒 [Scheduler] ${this.workerId} leased campaign ${campaignId} (attempt ${job.attempts})`);
+
+    try {
+      // Dynamic import avoids a circular dependency with the controller
+      const { runCampaignJob } = await import('./call.controller.js');
+      await runCampaignJob(campaignId, this);
+
+      if (!entry.leaseLost) {
+        await this.finishIfOwned(campaignId, 'DONE');
+      }
+    } catch (err) {
+      console.error(`❌ [Scheduler] Campaign ${campaignId} job failed:`, err.message);
+      if (!entry.leaseLost) {
+        await this.finishIfOwned(campaignId, 'FAILED', err.message);
+      }
+    } finally {
+      clearInterval(entry.heartbeatTimer);
+      this.runningJobs.delete(campaignId);
+    }
+  }
+
+  /**
+   * Finish a job only if this instance still holds it (a resume may have re-queued it meanwhile)
+   * @private
+   */
+  async finishIfOwned(campaignId, status, error = null) {
+    await CampaignJob.updateOne(
+      { campaignId, status: 'LEASED', leaseOwner: this.workerId },
+      {
+        $set: {
+          status,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          lastError: error,
+          finishedAt: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Claim jobs until this instance is at capacity
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.pollTimer && this.runningJobs.size < this.maxJobs) {
+        const job = await this.claimNext();
+        if (!job) break;
+        // Not awaited - the job runs while we claim more; a lost lease expires and is re-claimed
+        this.runJob(job).catch((err) =>
+          console.error(`❌ [Scheduler] Campaign ${job.campaignId} job errored:`, err.message)
+        );
+      }
+    } catch (err) {
+      console.error('❌ [Scheduler] Poll failed:', err.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start polling (call once MongoDB is connected)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+    console.log(`🗂️ [Scheduler] Campaign scheduler started (worker ${this.workerId})`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and hand leases back so another instance can resume immediately
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    for (const entry of this.runningJobs.values()) {
+      entry.leaseLost = true;
+      clearInterval(entry.heartbeatTimer);
+    }
+
+    const result = await CampaignJob.updateMany(
+      { status: 'LEASED', leaseOwner: this.workerId },
+      {
+        $set: { status: 'QUEUED', leaseOwner: null, leaseExpiresAt: null, runAfter: new Date() },
+        $inc: { attempts: -1 } // Handed back, not abandoned
+      }
+    );
+
+    console.log(`🗂️ [Scheduler] Stopped - released ${result.modifiedCount} campaign lease(s)`);
+  }
+
+  /**
+   * List RUNNING campaigns that no worker is making progress on
+   * @param {number} staleMs - How long a queued job may wait / a lease may go without heartbeat
+   * @returns {Promise<Array>} - [{ campaign, job, reason }]
+   */
+  async listStuck(staleMs = this.leaseMs * 2) {
+    const now = Date.now();
+    const campaigns = await Campaign.find({ status: 'RUNNING' })
+      .select('userId agentId name totalLeads completedLeads currentBatchIndex startedAt updatedAt')
+      .populate('agentId', 'name')
+      .lean();
+
+    const jobs = await CampaignJob.find({ campaignId: { $in: campaigns.map(c => c._id) } }).lean();
+    const jobsByCampaign = new Map(jobs.map(job => [job.campaignId.toString(), job]));
+
+    const stuck = [];
+    for (const campaign of campaigns) {
+      const job = jobsByCampaign.get(campaign._id.toString()) || null;
+      let reason = null;
+
+      if (!job) {
+        reason = 'NO_JOB';
+      } else if (job.status === 'DONE' || job.status === 'FAILED') {
+        reason = `JOB_${job.status}`;
+      } else if (job.status === 'LEASED' && job.leaseExpiresAt && job.leaseExpiresAt.getTime() < now) {
+        reason = 'LEASE_EXPIRED';
+      } else if (job.status === 'LEASED' && job.heartbeatAt && now - job.heartbeatAt.getTime() > staleMs) {
+        reason = 'HEARTBEAT_STALE';
+      } else if (job.status === 'QUEUED' && job.runAfter && now - job.runAfter.getTime() > staleMs) {
+        reason = 'NOT_CLAIMED';
+      }
+
+      if (reason) {
+        stuck.push({ campaign, job, reason });
+      }
+    }
+
+    return stuck;
+  }
+}
+
+// Create singleton instance
+export const campaignScheduler = new CampaignScheduler({
+  leaseMs: parseInt(process.env.CAMPAIGN_LEASE_MS || '60000'),
+  heartbeatMs: parseInt(process.env.CAMPAIGN_HEARTBEAT_MS || '15000'),
+  pollMs: parseInt(process.env.CAMPAIGN_POLL_MS || '5000'),
+  maxJobs: parseInt(process.env.CAMPAIGN_MAX_JOBS_PER_WORKER || '2'),
+  maxAttempts: parseInt(process.env.CAMPAIGN_MAX_JOB_ATTEMPTS || '5')
+});
+
+export default CampaignScheduler;
@@ -32,10 +32,28 @@ const campaignSchema = new mongoose.Schema(
     leads: [
       {
         type: mongoose.Schema.Types.ObjectId,
-        ref: "Lead"
+        ref: "Contact"
       }
     ],
 
+    // Saved audience the dialer resolves into leads when the campaign first runs
+    // (campaigns started with raw leadIds have no audience)
+    audience: {
+      type: {
+        type: String,
+        enum: ["list", "segment"]
+      },
+      listId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ContactList"
+      },
+      segmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ContactSegment"
+      },
+      resolvedAt: Date
+    },
+
     totalLeads: {
       type: Number,
       default: 0
@@ -89,6 +107,64 @@ const campaignSchema = new mongoose.Schema(
       default: 5
     },
 
+    // Calling window / do-not-disturb rules (evaluated in the leads' time zone)
+    schedule: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      timezone: {
+        type: String,
+        default: "Asia/Kolkata"
+      },
+      // Allowed weekdays: 0 = Sunday ... 6 = Saturday
+      days: {
+        type: [Number],
+        default: [1, 2, 3, 4, 5, 6]
+      },
+      startTime: {
+        type: String,
+        default: "09:00"
+      },
+      endTime: {
+        type: String,
+        default: "21:00"
+      },
+      // Local dates (YYYY-MM-DD) never to dial, e.g. public holidays
+      blackoutDates: {
+        type: [String],
+        default: []
+      }
+    },
+
+    // Automatic redial rules for unsuccessful attempts
+    retryPolicy: {
+      // Total dials per lead, including the first
+      maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 10
+      },
+      // Minutes to wait before retrying, keyed by call status or outcome
+      delayMinutes: {
+        type: Map,
+        of: Number,
+        default: () => ({ NO_ANSWER: 120, BUSY: 15, MISSED: 60, FAILED: 30, voicemail: 240 })
+      },
+      // Outcomes that end the lead's attempts for good
+      neverRetryOutcomes: {
+        type: [String],
+        default: ["not_interested", "meeting_booked"]
+      }
+    },
+
+    // Set while the dialer is waiting for the calling window to reopen
+    nextWindowAt: {
+      type: Date,
+      default: null
+    },
+
     // Notes
     notes: String,
 
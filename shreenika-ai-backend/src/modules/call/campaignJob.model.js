@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+/**
+ * Campaign Job
+ * Durable work item for the campaign scheduler - one per campaign.
+ * A worker instance owns a job while its lease is valid and keeps it alive with heartbeats;
+ * an expired lease means the owner crashed and any instance may pick the campaign up again.
+ */
+const campaignJobSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+      unique: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    status: {
+      type: String,
+      enum: ["QUEUED", "LEASED", "DONE", "FAILED"],
+      default: "QUEUED",
+      index: true
+    },
+
+    // Lease ownership
+    leaseOwner: {
+      type: String,
+      default: null
+    },
+
+    leaseExpiresAt: {
+      type: Date,
+      default: null
+    },
+
+    heartbeatAt: Date,
+
+    // Earliest time a worker may claim the job
+    runAfter: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Claims since the job was last queued (crash recoveries show up here); capped by the scheduler's maxAttempts
+    attempts: {
+      type: Number,
+      default: 0
+    },
+
+    lastError: String,
+    finishedAt: Date
+  },
+  { timestamps: true }
+);
+
+campaignJobSchema.index({ status: 1, runAfter: 1 });
+campaignJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+export default mongoose.model("CampaignJob", campaignJobSchema);
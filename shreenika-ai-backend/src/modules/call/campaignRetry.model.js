@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * Campaign Retry
+ * A scheduled redial of one lead, created from the campaign's retryPolicy.
+ * Stored durably so retries survive restarts and are picked up by whichever
+ * instance runs the campaign job once dueAt passes.
+ *
+ * PENDING → DISPATCHING (claimed by a dialer, leased) → DISPATCHED once the attempt ran.
+ * A lease that expires (the instance died before dialing) puts the retry back in play.
+ */
+const campaignRetrySchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+
+    // The attempt that failed and triggered this retry
+    previousCallId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Call"
+    },
+
+    // Attempt number the retry will make (2 = first retry)
+    attempt: {
+      type: Number,
+      required: true
+    },
+
+    // Status or outcome that matched the policy (NO_ANSWER, BUSY, voicemail...)
+    reason: String,
+
+    dueAt: {
+      type: Date,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ["PENDING", "DISPATCHING", "DISPATCHED", "CANCELLED"],
+      default: "PENDING"
+    },
+
+    // While DISPATCHING: when the claim lapses if the attempt was never made
+    leaseExpiresAt: Date,
+
+    dispatchedAt: Date,
+    cancelReason: String
+  },
+  { timestamps: true }
+);
+
+campaignRetrySchema.index({ campaignId: 1, status: 1, dueAt: 1 });
+campaignRetrySchema.index({ campaignId: 1, leadId: 1, status: 1 });
+
+export default mongoose.model("CampaignRetry", campaignRetrySchema);
@@ -0,0 +1,69 @@
+/**
+ * Call Concurrency Service
+ * Works out how many more calls a campaign may place right now
+ *
+ * Two limits apply: the campaign's own maxConcurrentCalls and a per-tenant cap from the
+ * billing plan (PLAN_LIMITS.concurrentCallLimit), shared by every campaign and inbound call
+ * of that user. Live calls are counted in MongoDB so the cap holds across instances.
+ */
+
+import Call from './call.model.js';
+import Subscription from '../billing/subscription.model.js';
+import { getPlanLimits } from '../billing/plans.config.js';
+
+// Statuses that occupy a line
+export const ACTIVE_CALL_STATUSES = ['INITIATED', 'DIALING', 'RINGING', 'ANSWERED'];
+
+// Calls stuck in an active status longer than this (missed status callback) stop counting
+const ACTIVE_CALL_STALE_MS = 60 * 60 * 1000;
+
+/**
+ * Count live calls matching a filter
+ * @param {Object} filter - e.g. { userId } or { campaignId }
+ * @returns {Promise<number>}
+ */
+export const countActiveCalls = (filter) => Call.countDocuments({
+  ...filter,
+  status: { $in: ACTIVE_CALL_STATUSES },
+  createdAt: { $gte: new Date(Date.now() - ACTIVE_CALL_STALE_MS) }
+});
+
+/**
+ * Tenant-wide concurrent call cap from the user's billing plan
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getTenantCallCap = async (userId) => {
+  const subscription = await Subscription.findOne({ userId }).select('plan').lean();
+  return getPlanLimits(subscription?.plan).concurrentCallLimit;
+};
+
+/**
+ * Free call slots for a campaign, honouring both the campaign and tenant limits
+ * @param {Campaign} campaign - Campaign document
+ * @param {number} localInFlight - Calls the lease holder has in flight for this campaign.
+ *   Authoritative when given, since a just-launched call may not have its Call record yet
+ * @returns {Promise<{ free: number, campaignLimit: number, tenantCap: number, tenantActive: number }>}
+ */
+export const getFreeCallSlots = async (campaign, localInFlight = null) => {
+  const campaignLimit = Math.max(1, campaign.maxConcurrentCalls || 1);
+
+  const [campaignActive, otherActive, tenantCap] = await Promise.all([
+    localInFlight === null ? countActiveCalls({ campaignId: campaign._id }) : Promise.resolve(localInFlight),
+    // Other campaigns, inbound and manual calls of the same tenant
+    countActiveCalls({ userId: campaign.userId, campaignId: { $ne: campaign._id } }),
+    getTenantCallCap(campaign.userId)
+  ]);
+
+  const tenantActive = otherActive + campaignActive;
+  const free = Math.max(0, Math.min(campaignLimit - campaignActive, tenantCap - tenantActive));
+
+  return { free, campaignLimit, tenantCap, tenantActive };
+};
+
+export default {
+  ACTIVE_CALL_STATUSES,
+  countActiveCalls,
+  getTenantCallCap,
+  getFreeCallSlots
+};
@@ -0,0 +1,238 @@
+/**
+ * Inbound Call Service
+ * Routes calls that arrive on a tenant's DID to the agent assigned to that VoipNumber
+ *
+ * Creates the INBOUND Call record that /twilio/voice and the media stream
+ * handler attach a VoiceService to (Twilio + SansPBX)
+ *
+ * Both endpoints are public, so a call is only created when the request comes from the
+ * provider account that owns the dialled DID (Twilio: X-Twilio-Signature made with that
+ * account's auth token; SansPBX: its app id) and the tenant is within its plan limits.
+ */
+
+import twilio from 'twilio';
+import Call from './call.model.js';
+import Agent from '../agent/agent.model.js';
+import Contact from '../contacts/contact.model.js';
+import Usage from '../usage/usage.model.js';
+import Subscription from '../billing/subscription.model.js';
+import { VoipNumber, VoipProvider } from '../voip/voip.model.js';
+import { getMonthKey } from '../usage/usage.service.js';
+import { countActiveCalls, getTenantCallCap } from './concurrency.service.js';
+
+// Field names providers use for the dialled DID and the caller's number
+const TO_FIELDS = ['To', 'to', 'Called', 'did', 'DID', 'called_number', 'call_to', 'dnis'];
+const FROM_FIELDS = ['From', 'from', 'Caller', 'caller_id', 'callerid', 'cli', 'ani'];
+// Provider account the webhook came from (Twilio AccountSid, SansPBX app id)
+const ACCOUNT_FIELDS = ['AccountSid', 'appid', 'appId', 'app_id'];
+// Credential that holds that account id, per provider
+const ACCOUNT_CREDENTIALS = { Twilio: 'accountSid', SansPBX: 'appId' };
+
+const digitsOnly = (phone) => (phone || '').toString().replace(/\D/g, '');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pull the dialled DID and caller number out of a provider webhook/event payload
+ * @param {Object} payload - Twilio webhook body or SansPBX event
+ * @returns {Object} - { toPhone, fromPhone, accountId }
+ */
+export const extractInboundParties = (payload = {}) => {
+  const pick = (fields) => {
+    const key = fields.find((field) => payload[field]);
+    return key ? payload[key].toString() : null;
+  };
+
+  return {
+    toPhone: pick(TO_FIELDS),
+    fromPhone: pick(FROM_FIELDS),
+    accountId: pick(ACCOUNT_FIELDS)
+  };
+};
+
+/**
+ * Sender check for a Twilio webhook: X-Twilio-Signature must be made with the account's auth token
+ * @param {Object} req - Express request of the webhook
+ * @returns {Function} - (credentials) => boolean
+ */
+export const twilioSignatureVerifier = (req) => {
+  const signature = req.headers['x-twilio-signature'];
+  // Twilio signs the URL it was configured with - the public one, not what the proxy forwards
+  const url = `${process.env.PUBLIC_BASE_URL}${req.originalUrl}`;
+
+  return (credentials) => Boolean(signature && credentials?.authToken) &&
+    twilio.validateRequest(credentials.authToken, signature, url, req.body || {});
+};
+
+/**
+ * VoipProviders of the account that sent a webhook
+ * @param {string} provider - Twilio / SansPBX
+ * @param {string} accountId - Account id from the payload
+ * @param {Function} verifySender - Optional (credentials) => boolean, e.g. a signature check
+ * @private
+ */
+const findSendingProviderIds = async (provider, accountId, verifySender = null) => {
+  const credentialField = ACCOUNT_CREDENTIALS[provider];
+  if (!credentialField || !accountId) return [];
+
+  const providers = await VoipProvider.find({ provider, isActive: true });
+  return providers
+    .filter((voipProvider) => {
+      const credentials = voipProvider.getDecryptedCredentials();
+      return credentials?.[credentialField] === accountId && (!verifySender || verifySender(credentials));
+    })
+    .map((voipProvider) => voipProvider._id);
+};
+
+/**
+ * Find the active, agent-assigned VoipNumber for a dialled DID
+ * DIDs are stored in whatever format the provider returned (E.164, 0-prefixed, 7-digit),
+ * so exact forms are tried first, then a suffix match on the trailing digits.
+ * Only numbers of the provider account that sent the webhook are considered (a DID is
+ * public - anyone can name it), so nothing matches when the sender can't be verified.
+ * @param {string} toPhone - Dialled number as reported by the provider
+ * @param {Object} sender - { provider, accountId, verifySender } - who sent the webhook
+ * @returns {Promise<VoipNumber | null>}
+ */
+export const findInboundNumber = async (toPhone, { provider = null, accountId = null, verifySender = null } = {}) => {
+  const digits = digitsOnly(toPhone);
+  if (!digits) return null;
+
+  const providerIds = await findSendingProviderIds(provider, accountId, verifySender);
+  if (providerIds.length === 0) {
+    console.warn(`⚠️ [Inbound] ${provider || 'Unknown'} request for ${toPhone} does not come from a connected account (${accountId || 'no account id'})`);
+    return null;
+  }
+
+  const baseQuery = { status: 'active', assignedAgentId: { $ne: null }, providerId: { $in: providerIds } };
+
+  let voipNumber = await VoipNumber.findOne({
+    ...baseQuery,
+    phoneNumber: { $in: [toPhone, digits, `+${digits}`] }
+  }).populate('providerId');
+
+  if (!voipNumber && digits.length >= 7) {
+    const suffix = digits.slice(-Math.min(digits.length, 10));
+    voipNumber = await VoipNumber.findOne({
+      ...baseQuery,
+      phoneNumber: { $regex: `${escapeRegex(suffix)}$` }
+    }).populate('providerId');
+  }
+
+  return voipNumber;
+};
+
+/**
+ * Why the tenant may not take another call right now, or null when it may
+ * Same limits as outbound calling: active subscription, monthly usage (see
+ * enforceUsageLimits) and the plan's concurrent call cap
+ * @private
+ */
+const getCallRefusal = async (userId) => {
+  const [sub, usage, activeCalls, callCap] = await Promise.all([
+    Subscription.findOne({ userId }).lean(),
+    Usage.findOne({ userId, month: getMonthKey() }).lean(),
+    countActiveCalls({ userId }),
+    getTenantCallCap(userId)
+  ]);
+
+  if (activeCalls >= callCap) return `concurrent call limit reached (${activeCalls}/${callCap})`;
+
+  // Free tier - no usage limits (as enforceUsageLimits)
+  if (!sub || sub.plan === 'FREE') return null;
+  if (sub.status !== 'ACTIVE') return `account is ${sub.status}`;
+  if (!usage) return null;
+  if (usage.hardStopped) return 'usage hard stopped';
+  if (sub.monthlyMinuteLimit && usage.voiceMinutesUsed >= sub.monthlyMinuteLimit) return 'voice minute limit exceeded';
+  if (sub.monthlyTokenLimit && usage.llmTokensUsed >= sub.monthlyTokenLimit) return 'token limit exceeded';
+
+  return null;
+};
+
+/**
+ * Match the caller against the tenant's contacts (caller-ID lookup)
+ * @private
+ */
+const findCallerContact = async (userId, fromPhone) => {
+  const digits = digitsOnly(fromPhone);
+  if (digits.length < 7) return null;
+
+  return Contact.findOne({
+    ownerUserId: userId,
+    phone: { $regex: `${escapeRegex(digits.slice(-10))}$` }
+  });
+};
+
+/**
+ * Create (or return the existing) INBOUND Call for a call hitting one of our DIDs
+ * Idempotent: providers may retry the voice webhook for the same call
+ * @param {Object} params - { callSid, providerCallId, toPhone, fromPhone, accountId, provider, verifySender }
+ *   verifySender: (credentials) => boolean - provider signature check (see twilioSignatureVerifier)
+ * @returns {Promise<Call | null>} - null when the DID is unknown, the sender unverified,
+ *   the tenant over its limits or the DID has no usable agent
+ */
+export const createInboundCall = async ({ callSid, providerCallId, toPhone, fromPhone, accountId, provider, verifySender }) => {
+  const externalId = providerCallId || callSid;
+
+  const existing = await Call.findOne({
+    $or: [{ twilioCallSid: externalId }, { providerCallId: externalId }]
+  });
+  if (existing) return existing;
+
+  if (!toPhone) {
+    console.warn(`⚠️ [Inbound] No dialled number in payload for call ${externalId}`);
+    return null;
+  }
+
+  const voipNumber = await findInboundNumber(toPhone, { provider, accountId, verifySender });
+  if (!voipNumber) {
+    console.warn(`⚠️ [Inbound] No active DID with an assigned agent matches ${toPhone}`);
+    return null;
+  }
+
+  const refusal = await getCallRefusal(voipNumber.userId);
+  if (refusal) {
+    console.warn(`⚠️ [Inbound] Refusing call to DID ${voipNumber.phoneNumber}: ${refusal}`);
+    return null;
+  }
+
+  const agent = await Agent.findById(voipNumber.assignedAgentId);
+  if (!agent || agent.isActive === false) {
+    console.warn(`⚠️ [Inbound] Agent ${voipNumber.assignedAgentId} for DID ${voipNumber.phoneNumber} is missing or frozen`);
+    return null;
+  }
+
+  let contact = null;
+  try {
+    contact = await findCallerContact(voipNumber.userId, fromPhone);
+  } catch (err) {
+    console.warn(`⚠️ [Inbound] Caller lookup failed: ${err.message}`);
+  }
+
+  const call = await Call.create({
+    userId: voipNumber.userId,
+    agentId: agent._id,
+    leadId: contact?._id,
+    leadName: contact?.fullName,
+    direction: 'INBOUND',
+    status: 'ANSWERED',
+    answeredAt: new Date(),
+    phoneNumber: fromPhone,
+    twilioCallSid: callSid || externalId,
+    providerCallId: externalId,
+    voipProvider: voipNumber.providerId?.provider || provider || 'Other'
+  });
+
+  console.log(`📲 [Inbound] ${fromPhone || 'unknown caller'} → DID ${voipNumber.phoneNumber} routed to agent ${agent.name}`);
+  console.log(`   ├─ Call: ${call._id}`);
+  console.log(`   └─ Provider: ${call.voipProvider}`);
+
+  return call;
+};
+
+export default {
+  extractInboundParties,
+  twilioSignatureVerifier,
+  findInboundNumber,
+  createInboundCall
+};
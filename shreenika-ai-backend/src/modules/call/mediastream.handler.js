@@ -14,7 +14,13 @@ import { createCallControl, analyzeAudioLevel } from './call.control.service.js'
 import AudioRouter from '../voice/audio.router.js';
 import Call from './call.model.js';
 import Agent from '../agent/agent.model.js';
+import { createInboundCall, extractInboundParties } from './inbound.service.js';
 import { handleTestAgentUpgrade } from './test-agent.handler.js';
+import { createAnsweringMachineDetector, handleAnsweringMachine } from './answering-machine.service.js';
+import { handleSupervisorUpgrade, streamCallerAudio, isBargedIn } from './supervisor.service.js';
+import { createCallRecorder, saveCallRecording } from '../recording/recording.service.js';
+import { resumeDeferredCallProcessing } from './call.processor.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
 
 // Store active sessions
 // CRITICAL FIX (2026-02-19): Export for use by twilio.controller.js pre-initialization
@@ -78,6 +84,54 @@ function isVoiceActive(audioBuffer) {
   return rms > VOICE_THRESHOLD; // Voice active if RMS exceeds threshold
 }
 
+/**
+ * Answering-machine detection on caller audio
+ * A machine verdict hands the call to the agent's voicemail action
+ *
+ * @param {string} callSid - Session key in activeSessions
+ * @param {Object} call - Call document
+ * @param {Buffer} pcmBuffer - Caller audio (PCM 16-bit 16kHz)
+ */
+function detectAnsweringMachine(callSid, call, pcmBuffer) {
+  const session = activeSessions.get(callSid);
+  if (!session?.amdDetector || !call) return;
+
+  const verdict = session.amdDetector.processAudio(pcmBuffer, 16000);
+  if (verdict === 'machine') {
+    handleAnsweringMachine({ call, session, source: 'audio' }).catch((err) =>
+      console.error(`❌ Voicemail handling failed for call ${call._id}:`, err.message)
+    );
+  }
+}
+
+/**
+ * True while a voicemail is being handled (AI muted, caller audio not forwarded)
+ * @param {string} callSid - Session key in activeSessions
+ */
+function isVoicemailDrop(callSid) {
+  return activeSessions.get(callSid)?.voicemailDrop === true;
+}
+
+/**
+ * Hand decoded caller audio to listening supervisors and the call recorder
+ * @param {string} callSid - Session key in activeSessions
+ * @param {Buffer} pcmBuffer - Caller audio (PCM 16-bit 16kHz)
+ */
+function tapCallerAudio(callSid, pcmBuffer) {
+  const session = activeSessions.get(callSid);
+  if (!session) return;
+  streamCallerAudio(session, pcmBuffer);
+  session.recorder?.addCallerAudio(pcmBuffer);
+}
+
+/**
+ * True while the AI must stay silent and deaf: voicemail handling or a supervisor barge
+ * @param {string} callSid - Session key in activeSessions
+ */
+function isAgentMuted(callSid) {
+  return isVoicemailDrop(callSid) || isBargedIn(activeSessions.get(callSid));
+}
+
 /**
  * Handle WebSocket upgrade for Media Streams
  * @param {http.IncomingMessage} request - HTTP request
@@ -120,6 +174,7 @@ export const createMediaStreamServer = (httpServer) => {
     let audioRouter = null;
     let durationInterval = null;
     let isClosing = false;
+    let activeCall = null;
 
     // SansPBX AudioSocket metadata
     let sansPbxMetadata = {
@@ -145,7 +200,9 @@ export const createMediaStreamServer = (httpServer) => {
               // Manager confirmed from SansPBX tech team logs: incoming is 44100 Hz
               // Downsample to 16kHz for Gemini Live
               const pcm16k = downsample44100to16k(data);
-              if (isVoiceActive(pcm16k)) {
+              detectAnsweringMachine(callSid, activeCall, pcm16k);
+              tapCallerAudio(callSid, pcm16k);
+              if (isVoiceActive(pcm16k) && !isAgentMuted(callSid)) {
                 voiceService.sendAudio(pcm16k);
               }
             }
@@ -186,17 +243,40 @@ export const createMediaStreamServer = (httpServer) => {
 
             // Initialize voice service for SansPBX
             try {
-              const call = await Call.findOne({ providerCallId: message.callId });
+              let call = await Call.findOne({ providerCallId: message.callId });
+              if (!call) {
+                // No outbound record → inbound call on one of our SansPBX DIDs
+                call = await createInboundCall({
+                  callSid: message.callId,
+                  providerCallId: message.callId,
+                  ...extractInboundParties(message),
+                  provider: 'SansPBX'
+                });
+              }
               if (!call) {
                 console.error(`❌ Call not found for SansPBX callId: ${message.callId}`);
                 ws.close();
                 return;
               }
 
+              activeCall = call;
+
+              // SansPBX has no status callbacks: the AudioSocket answer is the outbound call being answered
+              // (there is no ringing signal, so call.ringing is never sent for SansPBX)
+              if (['INITIATED', 'DIALING', 'RINGING'].includes(call.status)) {
+                call.status = 'ANSWERED';
+                call.answeredAt = new Date();
+                await call.save();
+                webhookEmitter.onCallStatusChanged(call.userId, call).catch((err) =>
+                  console.error('❌ Webhook error:', err.message)
+                );
+              }
+
               // Load agent voice config
               let voiceConfig = null;
+              let agent = null;
               try {
-                const agent = await Agent.findById(call.agentId);
+                agent = await Agent.findById(call.agentId);
                 if (agent && agent.speechSettings) {
                   voiceConfig = {
                     characteristics40: {
@@ -233,6 +313,8 @@ export const createMediaStreamServer = (httpServer) => {
               // Set up audio event handler - uses AudioRouter for delivery
               voiceService.on('audio', (audioBuffer) => {
                 if (!sansPbxMetadata.isSansPBX || !audioRouter) return;
+                if (isAgentMuted(callSid)) return; // Voicemail message or supervisor is speaking instead
+                activeSessions.get(callSid)?.recorder?.addAgentAudio(audioBuffer);
 
                 // 🔴 DIAGNOSTIC: Log audio routing
                 const success = audioRouter.routeAudio(audioBuffer);
@@ -292,11 +374,16 @@ export const createMediaStreamServer = (httpServer) => {
               }
 
               // Store session
+              // Not awaited: the recorder takes audio at once and checks the tenant's settings itself
+              const recorder = createCallRecorder(call);
               activeSessions.set(callSid, {
                 streamSid: message.streamId,
                 voiceService,
                 callControl,
                 audioRouter,
+                amdDetector: createAnsweringMachineDetector(agent, call),
+                voicemailDrop: false,
+                recorder,
                 ws,
                 startTime: Date.now(),
                 provider: 'SansPBX'
@@ -355,15 +442,17 @@ export const createMediaStreamServer = (httpServer) => {
                 ws.close();
                 return;
               }
+              activeCall = call;
 
               // Load agent to get speech settings (with timeout protection)
               let voiceConfig = null;
+              let agent = null;
               try {
                 const loadAgentPromise = Agent.findById(call.agentId);
                 const timeoutPromise = new Promise((_, reject) =>
                   setTimeout(() => reject(new Error('Agent load timeout')), 5000)
                 );
-                const agent = await Promise.race([loadAgentPromise, timeoutPromise]);
+                agent = await Promise.race([loadAgentPromise, timeoutPromise]);
 
                 // Build voiceConfig from agent settings (40% characteristics + 60% speech settings)
                 if (agent && agent.speechSettings) {
@@ -417,6 +506,8 @@ export const createMediaStreamServer = (httpServer) => {
                   console.warn(`⚠️ AudioRouter not initialized for Twilio`);
                   return;
                 }
+                if (isAgentMuted(callSid)) return; // Voicemail message or supervisor is speaking instead
+                activeSessions.get(callSid)?.recorder?.addAgentAudio(audioBuffer);
 
                 // 🔴 DIAGNOSTIC: Log audio routing
                 const success = audioRouter.routeAudio(audioBuffer);
@@ -471,11 +562,16 @@ export const createMediaStreamServer = (httpServer) => {
               }, 30000);
 
               // Store session
+              // Not awaited: the recorder takes audio at once and checks the tenant's settings itself
+              const recorder = createCallRecorder(call);
               activeSessions.set(callSid, {
                 streamSid,
                 voiceService,
                 callControl,
                 audioRouter,
+                amdDetector: createAnsweringMachineDetector(agent, call),
+                voicemailDrop: false,
+                recorder,
                 ws,
                 startTime: Date.now()
               });
@@ -555,6 +651,12 @@ export const createMediaStreamServer = (httpServer) => {
 
               if (!voiceService || !pcmBuffer) return;
 
+              // Answering-machine detection and supervisor listen-in; while a voicemail is handled
+              // or a supervisor has barged in, the AI hears nothing
+              detectAnsweringMachine(callSid, activeCall, pcmBuffer);
+              tapCallerAudio(callSid, pcmBuffer);
+              if (isAgentMuted(callSid)) return;
+
               // Silence detection on each chunk (if CallControl enabled)
               if (callControl) {
                 const audioLevel = analyzeAudioLevel(pcmBuffer);
@@ -634,6 +736,7 @@ export const createMediaStreamServer = (httpServer) => {
     ws.on('close', async () => {
       const provider = sansPbxMetadata.isSansPBX ? 'SansPBX' : 'Twilio';
       console.log(`🔌 ${provider} Media Stream disconnected: ${callSid}`);
+      const endedSession = activeSessions.get(callSid);
 
       if (!isClosing) {
         isClosing = true;
@@ -697,6 +800,17 @@ export const createMediaStreamServer = (httpServer) => {
 
         activeSessions.delete(callSid);
       }
+
+      // Store the backend recording (also when 'stop' already ran the cleanup above), then run
+      // post-call processing if it was waiting for this recording
+      if (endedSession?.recorder && activeCall) {
+        const { recorder } = endedSession;
+        endedSession.recorder = null;
+        saveCallRecording(activeCall, recorder)
+          .catch((err) => console.error(`❌ Failed to save recording for call ${activeCall._id}:`, err.message))
+          .then(() => resumeDeferredCallProcessing(activeCall._id))
+          .catch((err) => console.error(`❌ Deferred processing failed for call ${activeCall._id}:`, err.message));
+      }
     });
 
     // Handle WebSocket errors
@@ -731,6 +845,16 @@ export const registerUnifiedUpgradeHandler = (httpServer, mediaStreamWss) => {
       return;
     }
 
+    // Handle supervisor listen / whisper / barge connections
+    if (pathname.startsWith('/supervisor/')) {
+      const callId = pathname.split('/')[2]; // Extract callId from /supervisor/{callId}
+      const supervisorWss = new WebSocketServer({ noServer: true });
+      supervisorWss.handleUpgrade(request, socket, head, (ws) => {
+        handleSupervisorUpgrade(ws, request, callId, findSessionByCallId);
+      });
+      return;
+    }
+
     // Handle test agent WebSocket connections
     if (pathname.startsWith('/test-agent/')) {
       const sessionId = pathname.split('/')[2]; // Extract sessionId from /test-agent/{sessionId}
@@ -745,7 +869,7 @@ export const registerUnifiedUpgradeHandler = (httpServer, mediaStreamWss) => {
     socket.destroy();
   });
 
-  console.log('✅ Unified WebSocket upgrade handler registered (media-stream + test-agent)');
+  console.log('✅ Unified WebSocket upgrade handler registered (media-stream + supervisor + test-agent)');
 };
 
 /**
@@ -757,6 +881,22 @@ export const getActiveSession = (callSid) => {
   return activeSessions.get(callSid) || null;
 };
 
+/**
+ * Find the live media stream session of a call
+ * Sessions are keyed by provider call SID, so match on the VoiceService's call
+ * @param {string} callId - Call document ID
+ * @returns {Object|null} - Session object or null
+ */
+export const findSessionByCallId = (callId) => {
+  for (const session of activeSessions.values()) {
+    // Pre-initialized sessions (twilio.controller) have no media stream yet
+    if (session.audioRouter && session.voiceService?.callId?.toString() === callId.toString()) {
+      return session;
+    }
+  }
+  return null;
+};
+
 /**
  * Get count of active sessions
  * @returns {number} - Number of active sessions
@@ -788,6 +928,7 @@ export default {
   createMediaStreamServer,
   handleMediaStreamUpgrade,
   getActiveSession,
+  findSessionByCallId,
   getActiveSessionCount,
   closeAllSessions
 };
@@ -1,3 +1,5 @@
+import { normalizePhone } from '../../../utils/phone.js';
+
 /**
  * Abstract base class for VOIP providers
  * All provider implementations must extend this class
@@ -17,6 +19,16 @@ export class BaseProvider {
     throw new Error('initiateCall() must be implemented by subclass');
   }
 
+  /**
+   * Format a canonical E.164 number as this provider's dial string
+   * Default: E.164 as-is (Twilio and most SIP/HTTP APIs); override for providers with local formats
+   * @param {string} phone - E.164 number (e.g. +919876543210)
+   * @returns {string}
+   */
+  formatDialNumber(phone) {
+    return normalizePhone(phone);
+  }
+
   /**
    * Get call status
    * @param {string} callSid
@@ -35,6 +47,26 @@ export class BaseProvider {
     throw new Error('endCall() must be implemented by subclass');
   }
 
+  /**
+   * Transfer (bridge) a live call to a human
+   * @param {Object} params - { callSid, target, whisperUrl, callerId }
+   *   target: E.164 number or SIP URI
+   *   whisperUrl: played to the human before the caller is bridged (optional)
+   * @returns {Promise<boolean>}
+   */
+  async transferCall(params) {
+    throw new Error(`transferCall() is not supported by ${this.providerConfig?.provider || 'this provider'}`);
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} params - { to, from, body }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async sendSms(params) {
+    throw new Error(`sendSms() is not supported by ${this.providerConfig?.provider || 'this provider'}`);
+  }
+
   /**
    * Generate TwiML or equivalent for real-time conversation
    * @param {Object} params - { callSid, agentConfig }
@@ -6,7 +6,7 @@ export class GenericProvider extends BaseProvider {
       const fetch = (await import('node-fetch')).default;
 
       const payload = {
-        to: toPhone,
+        to: this.formatDialNumber(toPhone),
         from: fromPhone,
         callback_url: webhookUrl,
         status_callback: statusCallbackUrl,
@@ -83,6 +83,51 @@ export class GenericProvider extends BaseProvider {
     }
   }
 
+  async transferCall({ callSid, target, whisperUrl, callerId }) {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(`${this.credentials.endpointUrl}/calls/${callSid}/transfer`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.credentials.apiKey}:${this.credentials.secretKey}`,
+        'Content-Type': 'application/json',
+        ...(this.credentials.headers || {})
+      },
+      body: JSON.stringify({
+        to: /^sips?:/i.test(target) ? target : this.formatDialNumber(target),
+        from: callerId || null,
+        whisper_url: whisperUrl || null
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Provider transfer API returned ${response.status}`);
+    }
+    return true;
+  }
+
+  async sendSms({ to, from, body }) {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(`${this.credentials.endpointUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.credentials.apiKey}:${this.credentials.secretKey}`,
+        'Content-Type': 'application/json',
+        ...(this.credentials.headers || {})
+      },
+      body: JSON.stringify({
+        to: this.formatDialNumber(to),
+        from,
+        body
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Provider SMS API returned ${response.status}`);
+    }
+    const data = await response.json().catch(() => ({}));
+    return { messageId: data.id || data.message_id || null };
+  }
+
   generateVoiceResponse({ callSid, publicBaseUrl }) {
     // Return custom script if provided, otherwise generic JSON response
     if (this.providerConfig.customScript) {
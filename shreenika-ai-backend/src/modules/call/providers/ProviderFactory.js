@@ -1,7 +1,13 @@
+import { BaseProvider } from './BaseProvider.js';
 import { TwilioProvider } from './TwilioProvider.js';
 import { GenericProvider } from './GenericProvider.js';
 import { SansPBXProvider } from './SansPBXProvider.js';
 
+const PROVIDER_CLASSES = {
+  Twilio: TwilioProvider,
+  SansPBX: SansPBXProvider
+};
+
 /**
  * Factory to instantiate correct provider based on VoipProvider config
  * CRITICAL: Validates that all required credentials exist AND performs API validation
@@ -111,6 +117,18 @@ export class ProviderFactory {
     }
   }
 
+  /**
+   * Does a provider type implement an optional operation (transferCall, sendSms)?
+   * Operations a provider doesn't override are rejected by BaseProvider at call time
+   * @param {string} providerName - VoipProvider.provider (e.g. 'Twilio', 'SansPBX')
+   * @param {string} method - Provider method name
+   * @returns {boolean}
+   */
+  static supports(providerName, method) {
+    const ProviderClass = PROVIDER_CLASSES[providerName] || GenericProvider;
+    return ProviderClass.prototype[method] !== BaseProvider.prototype[method];
+  }
+
   /**
    * Synchronous version for backward compatibility
    * Use createProvider() for new code
@@ -1,4 +1,5 @@
 import { BaseProvider } from './BaseProvider.js';
+import { parsePhone } from '../../../utils/phone.js';
 
 /**
  * SansPBX Provider - Handles San Software's VOIP API
@@ -95,6 +96,22 @@ export class SansPBXProvider extends BaseProvider {
     }
   }
 
+  /**
+   * SansPBX dials from an Indian trunk:
+   * - Domestic: trunk prefix 0 + 10-digit national number (e.g., 08888888888)
+   * - International: 00 + country code + number (e.g., 00447911123456)
+   */
+  formatDialNumber(phone) {
+    const parsed = parsePhone(phone);
+    if (!parsed.valid) {
+      throw new Error(parsed.error);
+    }
+    if (parsed.country === 'IN') {
+      return `0${parsed.nationalNumber}`;
+    }
+    return `00${parsed.e164.slice(1)}`;
+  }
+
   /**
    * Initiate outbound call with timeout handling
    */
@@ -123,11 +140,10 @@ export class SansPBXProvider extends BaseProvider {
       // SansPBX team confirmed format requirements (2026-02-17):
       // - caller_id (fromPhone/DID): 7-digit format ONLY (e.g., 6745647)
       //   No country codes, no prefixes, just 7 digits
-      // - call_to (toPhone): 10-digit format (e.g., 9876543210)
-      //   No leading 0, no country code prefix
+      // - call_to (toPhone): see formatDialNumber()
 
       let normalizedFrom = fromPhone.replace(/[\D]/g, ''); // Remove all non-digits
-      let normalizedTo = toPhone.replace(/[\D]/g, ''); // Remove all non-digits
+      const normalizedTo = this.formatDialNumber(toPhone);
 
       // For caller_id (fromPhone/DID): Extract 7-digit format ONLY
       // CRITICAL: If DID was stored with leading 0 (e.g., 08888888888), remove it first!
@@ -145,19 +161,9 @@ export class SansPBXProvider extends BaseProvider {
         console.warn(`   ⚠️  SansPBX: DID is only ${normalizedFrom.length} digits (expected 7). This may fail.`);
       }
 
-      // For call_to (toPhone): Use 11-digit format with 0 prefix (SansPBX requirement)
-      // Controller should pass 0-prefixed format like 08888888888
-      // Ensure it has leading 0
-      if (!normalizedTo.startsWith('0') && normalizedTo.length === 10) {
-        normalizedTo = '0' + normalizedTo;
-        console.log(`   ℹ️  SansPBX: Added 0 prefix to destination → ${normalizedTo}`);
-      } else if (normalizedTo.startsWith('0') && normalizedTo.length !== 11) {
-        console.warn(`   ⚠️  SansPBX: Destination has unexpected length: ${normalizedTo.length} (expected 11)`);
-      }
-
       console.log(`📞 SansPBX: Initiating call`);
       console.log(`   Input - To: ${toPhone}, From: ${fromPhone}`);
-      console.log(`   Formatted - To: ${normalizedTo} (destination - 11 digits with 0 prefix)`);
+      console.log(`   Formatted - To: ${normalizedTo} (destination)`);
       console.log(`   Formatted - From: ${normalizedFrom} (DID - 7 digits only)`);
 
       // Per SansPBX official API documentation, dial payload:
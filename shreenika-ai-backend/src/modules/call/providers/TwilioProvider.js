@@ -67,7 +67,7 @@ export class TwilioProvider extends BaseProvider {
       console.log(`   Recording: Enabled`);
 
       const callParams = {
-        to: toPhone,
+        to: this.formatDialNumber(toPhone),
         from: fromPhone,
         url: webhookUrl,
         statusCallback: statusCallbackUrl,
@@ -75,10 +75,13 @@ export class TwilioProvider extends BaseProvider {
         statusCallbackMethod: 'POST',
         timeout: 60, // Ring timeout in seconds
         record: true, // Enable recording for transcription
-        recordingChannels: 'mono', // Mono recording
+        recordingChannels: 'dual', // One channel per side, so the post-call transcript knows who spoke
         recordingStatusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/recording-status`,
         recordingStatusCallbackMethod: 'POST',
-        machineDetection: 'Enable', // Enable Answering Machine Detection (AMD)
+        // Async AMD: the call connects immediately and AnsweredBy arrives at /twilio/amd-status
+        // DetectMessageEnd reports machines after the greeting/beep, so a voicemail can be left
+        machineDetection: 'DetectMessageEnd',
+        asyncAmd: 'true',
         asyncAmdStatusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/amd-status`,
         asyncAmdStatusCallbackMethod: 'POST'
       };
@@ -214,6 +217,50 @@ export class TwilioProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Transfer live call: replaces the call's TwiML (ending the media stream) with a <Dial>
+   * The human hears whisperUrl's TwiML before being bridged to the caller
+   */
+  async transferCall({ callSid, target, whisperUrl, callerId }) {
+    if (!callSid || !target) {
+      throw new Error('Missing callSid or transfer target');
+    }
+
+    const response = new Twilio.twiml.VoiceResponse();
+    const dial = response.dial(callerId ? { callerId } : {});
+    const attributes = whisperUrl ? { url: whisperUrl, method: 'POST' } : {};
+
+    if (/^sips?:/i.test(target)) {
+      dial.sip(attributes, target);
+    } else {
+      dial.number(attributes, this.formatDialNumber(target));
+    }
+
+    console.log(`🔀 Twilio: Transferring call ${callSid} → ${target}`);
+    await this.client.calls(callSid).update({ twiml: response.toString() });
+    console.log(`✅ Twilio: Call ${callSid} redirected to ${target}`);
+
+    return true;
+  }
+
+  /**
+   * Send an SMS from one of the account's numbers
+   */
+  async sendSms({ to, from, body }) {
+    if (!to || !from || !body) {
+      throw new Error('Missing to, from or body for SMS');
+    }
+
+    const message = await this.client.messages.create({
+      to: this.formatDialNumber(to),
+      from,
+      body
+    });
+    console.log(`💬 Twilio: SMS ${message.sid} sent to ${to}`);
+
+    return { messageId: message.sid };
+  }
+
   /**
    * Generate TwiML voice response
    */
@@ -0,0 +1,315 @@
+/**
+ * Supervisor Service
+ * Live call monitoring: listen-in, whisper and barge over a WebSocket
+ *
+ * Connect: ws(s)://<host>/supervisor/<callId>?token=<jwt>&mode=listen
+ *          (?apiKey=<key> instead of token - needs the calls:write scope; browsers cannot set WebSocket headers)
+ *
+ * Modes:
+ * - listen:  receive both sides of the call audio and the live transcript
+ * - whisper: listen + WHISPER messages, passed to the AI as hidden guidance
+ * - barge:   take over - the supervisor's microphone goes to the caller, the AI is muted
+ *            and stops hearing the caller; leaving barge hands the call back to the AI
+ *            (barge audio is part of the call recording)
+ *
+ * Server → supervisor:
+ *   { type: 'CONNECTED', callId, mode }
+ *   { type: 'AUDIO', track: 'caller' | 'agent', audio, sampleRate }  (PCM 16-bit mono, base64)
+ *   { type: 'TRANSCRIPT', role, text }
+ *   { type: 'MODE', mode }
+ *   { type: 'BARGE', active }                                         (to every supervisor)
+ *   { type: 'CALL_ENDED' } | { type: 'ERROR', message } | { type: 'PONG' }
+ *
+ * Supervisor → server:
+ *   { type: 'MODE', mode }
+ *   { type: 'WHISPER', text }                                         (whisper mode)
+ *   { type: 'AUDIO', audio }                                          (barge mode, PCM 16-bit 24kHz mono)
+ *   { type: 'PING' }
+ */
+
+import WebSocket from 'ws';
+import mongoose from 'mongoose';
+import Call from './call.model.js';
+import CallLog from './callLog.model.js';
+import { authenticateSocketUser } from '../realtime/realtime.service.js';
+import { getClientIp } from '../../utils/client-ip.js';
+
+export const SUPERVISOR_MODES = ['listen', 'whisper', 'barge'];
+
+// Caller audio is what Gemini hears (16kHz), agent audio is what Gemini speaks (24kHz)
+const CALLER_SAMPLE_RATE = 16000;
+const AGENT_SAMPLE_RATE = 24000;
+
+const MAX_WHISPER_CHARS = 1000;
+
+const HANDBACK_HINT = 'A human supervisor just spoke with the caller directly and you did not hear that part of the call. '
+  + 'Take the conversation back politely: briefly check whether the caller still needs anything.';
+
+/**
+ * Send a JSON message if the socket is still open
+ * @private
+ */
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Log a supervisor event against the call
+ * @private
+ */
+const logSupervisorEvent = (call, event, details, data = {}) => CallLog.create({
+  callId: call._id,
+  campaignId: call.campaignId,
+  userId: call.userId,
+  leadId: call.leadId,
+  leadName: call.leadName,
+  phoneNumber: call.phoneNumber,
+  event,
+  details,
+  data
+}).catch((err) => console.error(`❌ Failed to log ${event}:`, err.message));
+
+/**
+ * Drop buffered AI audio at the provider so a barge is heard immediately
+ * @private
+ */
+const clearProviderAudio = (session) => {
+  if (session.provider === 'SansPBX' || !session.streamSid || !session.ws) return;
+  send(session.ws, { event: 'clear', streamSid: session.streamSid });
+};
+
+/* =========================
+   MEDIA STREAM HOOKS
+========================= */
+
+/**
+ * Stream caller audio to the call's supervisors
+ * Called by the media stream handler for every decoded caller chunk
+ * @param {Object|null} session - Media stream session
+ * @param {Buffer} pcm16k - Caller audio (PCM 16-bit 16kHz)
+ */
+export const streamCallerAudio = (session, pcm16k) => {
+  if (!session?.supervisors?.size) return;
+
+  const message = { type: 'AUDIO', track: 'caller', audio: pcm16k.toString('base64'), sampleRate: CALLER_SAMPLE_RATE };
+  for (const supervisor of session.supervisors) {
+    send(supervisor.ws, message);
+  }
+};
+
+/**
+ * True while a supervisor has taken over the call (AI muted, caller audio not forwarded)
+ * @param {Object|null} session - Media stream session
+ */
+export const isBargedIn = (session) => !!session?.bargeIn;
+
+/* =========================
+   BARGE
+========================= */
+
+/**
+ * @private
+ */
+const startBarge = (session, supervisor) => {
+  if (session.bargeIn && session.bargeIn !== supervisor) {
+    send(supervisor.ws, { type: 'ERROR', message: 'Another supervisor has already taken over this call' });
+    return false;
+  }
+  if (!session.audioRouter) {
+    send(supervisor.ws, { type: 'ERROR', message: 'Barge is not available for this call' });
+    return false;
+  }
+
+  session.bargeIn = supervisor;
+  supervisor.bargeStartedAt = Date.now();
+  clearProviderAudio(session);
+
+  console.log(`🎧 [Supervisor] ${supervisor.userId} barged into call ${supervisor.call._id}`);
+  logSupervisorEvent(supervisor.call, 'SUPERVISOR_BARGE_IN', 'Supervisor took over the call', { supervisorId: supervisor.userId });
+  for (const other of session.supervisors) {
+    send(other.ws, { type: 'BARGE', active: true });
+  }
+  return true;
+};
+
+/**
+ * @private
+ */
+const endBarge = (session, supervisor) => {
+  if (session.bargeIn !== supervisor) return;
+
+  session.bargeIn = null;
+  const seconds = Math.round((Date.now() - supervisor.bargeStartedAt) / 1000);
+  console.log(`🎧 [Supervisor] Call ${supervisor.call._id} handed back to the AI after ${seconds}s`);
+
+  session.voiceService?.sendSupervisorHint(HANDBACK_HINT, { respond: true });
+  for (const other of session.supervisors) {
+    send(other.ws, { type: 'BARGE', active: false });
+  }
+};
+
+/* =========================
+   CONNECTION
+========================= */
+
+/**
+ * Handle one supervisor message
+ * @private
+ */
+const handleMessage = (session, supervisor, message) => {
+  switch (message.type) {
+    case 'MODE': {
+      if (!SUPERVISOR_MODES.includes(message.mode)) {
+        send(supervisor.ws, { type: 'ERROR', message: `Mode must be one of: ${SUPERVISOR_MODES.join(', ')}` });
+        return;
+      }
+      if (message.mode === 'barge' && !startBarge(session, supervisor)) return;
+      if (message.mode !== 'barge') endBarge(session, supervisor);
+
+      supervisor.mode = message.mode;
+      send(supervisor.ws, { type: 'MODE', mode: supervisor.mode });
+      return;
+    }
+
+    case 'WHISPER': {
+      const text = (message.text || '').toString().trim().slice(0, MAX_WHISPER_CHARS);
+      if (supervisor.mode !== 'whisper') {
+        send(supervisor.ws, { type: 'ERROR', message: 'Switch to whisper mode to send guidance' });
+        return;
+      }
+      if (!text) return;
+
+      session.voiceService?.sendSupervisorHint(text);
+      console.log(`🎧 [Supervisor] Whisper on call ${supervisor.call._id}: ${text.substring(0, 80)}`);
+      logSupervisorEvent(supervisor.call, 'SUPERVISOR_WHISPER', text, { supervisorId: supervisor.userId });
+      return;
+    }
+
+    case 'AUDIO': {
+      if (session.bargeIn !== supervisor || !message.audio) return;
+      const pcm24k = Buffer.from(message.audio, 'base64');
+      if (pcm24k.length === 0 || pcm24k.length % 2 !== 0) return;
+      session.audioRouter.routeAudio(pcm24k);
+      session.recorder?.addAgentAudio(pcm24k);
+      return;
+    }
+
+    case 'PING':
+      send(supervisor.ws, { type: 'PONG' });
+      return;
+
+    default:
+      send(supervisor.ws, { type: 'ERROR', message: `Unknown message type: ${message.type}` });
+  }
+};
+
+/**
+ * Attach a supervisor WebSocket to a live call
+ * @param {WebSocket} ws - Upgraded supervisor socket
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {string} callId - Call to monitor
+ * @param {Function} findSession - callId → live media stream session (or null)
+ */
+export const handleSupervisorUpgrade = async (ws, request, callId, findSession) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const bearer = request.headers.authorization?.startsWith('Bearer ')
+    ? request.headers.authorization.split(' ')[1]
+    : null;
+
+  let user = null;
+  try {
+    const auth = await authenticateSocketUser({
+      token: url.searchParams.get('token') || bearer,
+      apiKey: url.searchParams.get('apiKey') || request.headers['x-api-key'],
+      scope: 'calls:write', // Supervisors can whisper and barge in
+      ip: getClientIp(request.headers, request.socket.remoteAddress),
+      path: url.pathname
+    });
+    user = auth?.user || null;
+  } catch (err) {
+    user = null;
+  }
+  if (!user) {
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+
+  const call = mongoose.isValidObjectId(callId)
+    ? await Call.findOne({ _id: callId, userId: user._id }).catch(() => null)
+    : null;
+  if (!call) {
+    ws.close(1008, 'Call not found');
+    return;
+  }
+
+  const session = findSession(callId);
+  if (!session?.voiceService) {
+    ws.close(1008, 'Call is not live');
+    return;
+  }
+
+  const requestedMode = url.searchParams.get('mode') || 'listen';
+  const supervisor = {
+    ws,
+    call,
+    userId: user._id.toString(),
+    mode: 'listen',
+    bargeStartedAt: null
+  };
+
+  session.supervisors = session.supervisors || new Set();
+  session.supervisors.add(supervisor);
+
+  const { voiceService } = session;
+  const onAgentAudio = (audioBuffer) => {
+    if (isBargedIn(session)) return; // AI is muted
+    send(ws, { type: 'AUDIO', track: 'agent', audio: audioBuffer.toString('base64'), sampleRate: AGENT_SAMPLE_RATE });
+  };
+  const onTranscript = (text, role) => send(ws, { type: 'TRANSCRIPT', role, text });
+  const onCallEnded = () => {
+    send(ws, { type: 'CALL_ENDED' });
+    ws.close(1000, 'Call ended');
+  };
+
+  voiceService.on('audio', onAgentAudio);
+  voiceService.on('text', onTranscript);
+  voiceService.once('close', onCallEnded);
+
+  console.log(`🎧 [Supervisor] ${supervisor.userId} joined call ${call._id}`);
+  logSupervisorEvent(call, 'SUPERVISOR_JOINED', 'Supervisor joined the call', { supervisorId: supervisor.userId });
+  send(ws, { type: 'CONNECTED', callId: call._id.toString(), mode: supervisor.mode });
+
+  if (requestedMode !== 'listen') {
+    handleMessage(session, supervisor, { type: 'MODE', mode: requestedMode });
+  }
+
+  ws.on('message', (data) => {
+    try {
+      handleMessage(session, supervisor, JSON.parse(data.toString()));
+    } catch (err) {
+      send(ws, { type: 'ERROR', message: 'Invalid message' });
+    }
+  });
+
+  ws.on('close', () => {
+    endBarge(session, supervisor);
+    session.supervisors.delete(supervisor);
+    voiceService.off('audio', onAgentAudio);
+    voiceService.off('text', onTranscript);
+    voiceService.off('close', onCallEnded);
+    console.log(`🎧 [Supervisor] ${supervisor.userId} left call ${call._id}`);
+  });
+
+  ws.on('error', (error) => {
+    console.error(`❌ Supervisor WebSocket error:`, error.message);
+  });
+};
+
+export default {
+  SUPERVISOR_MODES,
+  streamCallerAudio,
+  isBargedIn,
+  handleSupervisorUpgrade
+};
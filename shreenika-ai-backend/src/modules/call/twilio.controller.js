@@ -1,17 +1,32 @@
 import Call from "./call.model.js";
 import Agent from "../agent/agent.model.js";
 import VoiceSession from "../voice/voice_sessions.model.js";
-import Usage from "../usage/usage.model.js";
 import { getTwilioClient } from "../../config/twilio.client.js";
 import { ProviderFactory } from "./providers/ProviderFactory.js";
 import { getAgentProviderOrFallback, getAgentPhoneNumber } from "./helpers/getAgentProvider.js";
 import { CallControlService, createCallControl } from "./call.control.service.js";
 import { createTTSService, shouldUseTTS } from "../voice/tts.service.js";
 import { VoiceService } from "./voice.service.js";
-
-const getMonthKey = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+import { createInboundCall, extractInboundParties, twilioSignatureVerifier } from "./inbound.service.js";
+import { checkDncBeforeDial } from "../dnc/dnc.service.js";
+import { parsePhone, getPhoneCountry } from "../../utils/phone.js";
+import { MACHINE_ANSWERS, handleAnsweringMachine } from "./answering-machine.service.js";
+import { buildWhisperText } from "./call-transfer.service.js";
+import { emitToCall, REALTIME_EVENTS } from "../realtime/realtime.service.js";
+import { recordUsage } from "../usage/usage.service.js";
+import { webhookEmitter } from "../webhook/webhook.emitter.js";
+
+// Twilio CallStatus → Call.status (Twilio uses hyphenated lowercase values)
+const TWILIO_STATUS_MAP = {
+  queued: "DIALING",
+  initiated: "INITIATED",
+  ringing: "RINGING",
+  "in-progress": "ANSWERED",
+  completed: "COMPLETED",
+  busy: "BUSY",
+  "no-answer": "NO_ANSWER",
+  failed: "FAILED",
+  canceled: "MISSED"
 };
 
 /**
@@ -28,12 +43,28 @@ export const startOutboundCall = async (req, res) => {
       return res.status(400).json({ error: "Missing required fields: agentId and toPhone are required" });
     }
 
-    // Clean up phone number (remove formatting characters)
-    // Provider-specific formatting happens in each provider's initiateCall()
-    // Each provider handles its own format: SansPBX (7 digits), Twilio (E.164), etc.
-    let cleanPhone = toPhone.replace(/[\s\-\(\)\.]/g, '');
+    // Canonical E.164 (read in the tenant's default country)
+    // Provider-specific dial formatting happens in each provider's formatDialNumber()
+    const country = getPhoneCountry(req.user);
+    const phoneCheck = parsePhone(toPhone, country);
+    if (!phoneCheck.valid) {
+      return res.status(400).json({ error: phoneCheck.error, code: "INVALID_PHONE" });
+    }
+    const cleanPhone = phoneCheck.e164;
 
-    console.log(`📱 Phone cleaned: "${toPhone}" → "${cleanPhone}" (provider will format based on its type)`);
+    console.log(`📱 Phone normalized: "${toPhone}" → "${cleanPhone}" (provider will format based on its type)`);
+
+    // Never dial a number on the tenant's Do-Not-Call list
+    const dncEntry = await checkDncBeforeDial({
+      userId: req.user._id,
+      phone: cleanPhone,
+      country,
+      leadId,
+      source: "outbound"
+    });
+    if (dncEntry) {
+      return res.status(403).json({ error: "This number is on your Do-Not-Call list", code: "BLOCKED_DNC" });
+    }
 
     // Get agent's assigned VOIP provider
     console.log(`\n📱 [startOutboundCall] TRACING CALL EXECUTION FOR AGENT: ${agentId}`);
@@ -133,6 +164,9 @@ export const startOutboundCall = async (req, res) => {
       console.error(`❌ [startOutboundCall] Provider creation failed: ${err.message}`);
       call.status = "FAILED";
       await call.save();
+      webhookEmitter.onCallStatusChanged(call.userId, call, err.message).catch((webhookErr) =>
+        console.error("❌ Webhook error:", webhookErr.message)
+      );
       return res.status(500).json({
         error: `VOIP Provider Error: ${err.message}. Please check your VOIP credentials in Settings > VOIP Integration.`
       });
@@ -175,6 +209,9 @@ export const startOutboundCall = async (req, res) => {
     call.providerCallId = callResult.providerCallId;
     call.voipProvider = callResult.provider;
     await call.save();
+    webhookEmitter.onCallInitiated(call.userId, call).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
     console.log(`\n✅ [startOutboundCall] CALL INITIATED SUCCESSFULLY`);
     console.log(`   ├─ Call SID: ${callResult.callSid}`);
@@ -195,6 +232,9 @@ export const startOutboundCall = async (req, res) => {
         if (failedCall) {
           failedCall.status = "FAILED";
           await failedCall.save();
+          webhookEmitter.onCallStatusChanged(failedCall.userId, failedCall, err.message).catch((webhookErr) =>
+            console.error("❌ Webhook error:", webhookErr.message)
+          );
         }
       }
     } catch (saveErr) {
@@ -257,6 +297,19 @@ export const twilioVoice = async (req, res) => {
           if (req.body.recfile) call.recordingUrl = req.body.recfile;
           await call.save();
           console.log(`✅ Call record updated: ${call._id} → ${call.status} (${call.duration}s)`);
+
+          if (call.status === 'NO_ANSWER') {
+            webhookEmitter.onCallStatusChanged(call.userId, call).catch((err) =>
+              console.error("❌ Webhook error:", err.message)
+            );
+          }
+
+          // Trigger AI processing (falls back to transcribing the recording without live turns)
+          if (call.status === 'COMPLETED') {
+            import("../call/call.processor.js").then(({ processCompletedCall }) => {
+              processCompletedCall(call._id);
+            });
+          }
         }
       }
       return res.status(200).json({ status: 'received' });
@@ -277,16 +330,34 @@ export const twilioVoice = async (req, res) => {
     // Find the call to get agent info
     // CRITICAL FIX (2026-02-19): Search by BOTH twilioCallSid (Twilio) and providerCallId (SansPBX)
     // Twilio calls use twilioCallSid, but SansPBX calls use providerCallId
-    const call = await Call.findOne({
+    let call = await Call.findOne({
       $or: [
         { twilioCallSid: actualCallSid },
         { providerCallId: actualCallSid }
       ]
     });
 
+    // No outbound record → this is an inbound call on one of our DIDs
+    // Route it to the agent assigned to the dialled number
+    if (!call) {
+      console.log(`📲 No existing call for SID ${actualCallSid} - treating as INBOUND`);
+      call = await createInboundCall({
+        callSid: actualCallSid,
+        providerCallId: actualCallSid,
+        ...extractInboundParties(req.body),
+        provider: CallSid ? 'Twilio' : 'SansPBX',
+        verifySender: CallSid ? twilioSignatureVerifier(req) : null
+      });
+      if (call) {
+        webhookEmitter.onCallStatusChanged(call.userId, call).catch((err) =>
+          console.error("❌ Webhook error:", err.message)
+        );
+      }
+    }
+
     if (!call) {
       console.error(`❌ Call not found for SID: ${actualCallSid}`);
-      console.error(`   Searched in both twilioCallSid and providerCallId fields`);
+      console.error(`   Searched in both twilioCallSid and providerCallId fields, no inbound DID matched`);
       // Fall back to static response
       return twilioVoiceFallback(req, res);
     }
@@ -469,7 +540,8 @@ export const twilioStatus = async (req, res) => {
     });
     if (!call) return res.sendStatus(200);
 
-    call.status = CallStatus.toUpperCase();
+    const previousStatus = call.status;
+    call.status = TWILIO_STATUS_MAP[CallStatus] || call.status;
 
     // Log Twilio error code if present
     if (ErrorCode) {
@@ -488,35 +560,27 @@ export const twilioStatus = async (req, res) => {
       });
 
       const minutes = Math.ceil(call.durationSeconds / 60);
-      const month = getMonthKey();
-
-      await Usage.findOneAndUpdate(
-        { userId: call.userId, month },
-        { $inc: { voiceMinutesUsed: minutes } },
-        { upsert: true }
-      );
-
-      // If this call is part of a campaign, trigger the next call in the queue
-      if (call.campaignId) {
-        console.log(`[Campaign] Call completed. Triggering next call in queue...`);
-        import("./call.controller.js").then(({ processCampaignNextCall }) => {
-          processCampaignNextCall(call.campaignId, call.agentId, call.userId);
-        });
-      }
-    } else if (CallStatus === "failed" || CallStatus === "no-answer" || CallStatus === "busy" || CallStatus === "canceled") {
-      // Handle failed/no-answer calls
-      await call.save();
-
-      // If this call is part of a campaign, trigger the next call in the queue
-      if (call.campaignId) {
-        console.log(`[Campaign] Call ${CallStatus}. Triggering next call in queue...`);
-        import("./call.controller.js").then(({ processCampaignNextCall }) => {
-          processCampaignNextCall(call.campaignId, call.agentId, call.userId);
-        });
-      }
+      await recordUsage(call.userId, { voiceMinutesUsed: minutes });
     } else {
       await call.save();
     }
+    // Campaign calls need nothing more here: the instance holding the campaign's lease
+    // sees the call end and dials the next lead into the freed slot
+
+    emitToCall(call.userId, call._id, REALTIME_EVENTS.CALL_UPDATED, {
+      userId: call.userId.toString(),
+      callId: call._id.toString(),
+      status: call.status,
+      duration: call.durationSeconds,
+      campaignId: call.campaignId?.toString() || null
+    });
+
+    // Ringing / answered / failed (providers can repeat a status - only changes are sent)
+    if (call.status !== previousStatus) {
+      webhookEmitter.onCallStatusChanged(call.userId, call).catch((err) =>
+        console.error("❌ Webhook error:", err.message)
+      );
+    }
 
     res.sendStatus(200);
   } catch (err) {
@@ -526,8 +590,8 @@ export const twilioStatus = async (req, res) => {
 };
 
 /**
- * AMD STATUS CALLBACK - Handles Answering Machine Detection results from Twilio
- * Updates call outcome to 'voicemail' if machine is detected
+ * AMD STATUS CALLBACK - Handles async Answering Machine Detection results from Twilio
+ * Machines run the agent's voicemail action (leave message / hang up) and mark outcome 'voicemail'
  */
 export const twilioAmdStatus = async (req, res) => {
   try {
@@ -542,23 +606,49 @@ export const twilioAmdStatus = async (req, res) => {
     });
     if (!call) return res.sendStatus(200);
 
-    if (AnsweredBy === 'machine_start') {
-      // Voicemail/answering machine detected
-      call.dialStatus = 'Voicemail detected';
-      call.outcome = 'voicemail';
-      console.log(`📱 [AMD] Voicemail detected for call ${CallSid}`);
+    // Acknowledge right away - the voicemail action can take as long as the message
+    res.sendStatus(200);
+
+    const { activeSessions } = await import('./mediastream.handler.js');
+    const session = activeSessions.get(CallSid) || null;
+
+    if (MACHINE_ANSWERS.includes(AnsweredBy)) {
+      console.log(`📱 [AMD] Voicemail detected for call ${CallSid} (${AnsweredBy})`);
+      await handleAnsweringMachine({ call, session, source: "provider", answeredBy: AnsweredBy });
     } else if (AnsweredBy === 'human') {
-      // Human answered
-      call.dialStatus = 'Human answered';
       console.log(`📱 [AMD] Human answered for call ${CallSid}`);
+      session?.amdDetector?.decide('human');
+      await Call.updateOne(
+        { _id: call._id, "amd.result": null },
+        { $set: { dialStatus: "Human answered", amd: { result: "human", source: "provider", answeredBy: AnsweredBy, detectedAt: new Date() } } }
+      );
     }
-
-    await call.save();
-    res.sendStatus(200);
   } catch (err) {
     console.error("AMD status error:", err.message);
-    res.sendStatus(200);
+    if (!res.headersSent) res.sendStatus(200);
+  }
+};
+
+/**
+ * TRANSFER WHISPER - Played to the human taking a transferred call before bridging
+ * Twilio fetches this when the transfer target answers (Dial > Number url)
+ */
+export const twilioTransferWhisper = async (req, res) => {
+  let whisper = "";
+  try {
+    const call = await Call.findById(req.params.callId).select("leadName phoneNumber transfer").lean();
+    if (call) {
+      const text = buildWhisperText(call)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+      whisper = `<Say voice="alice">${text}</Say>`;
+    }
+  } catch (err) {
+    console.error("Transfer whisper error:", err.message);
   }
+  res.type("text/xml");
+  res.send(`<Response>${whisper}</Response>`);
 };
 
 /**
@@ -4,7 +4,8 @@ import {
   twilioVoice,
   twilioStatus,
   twilioAmdStatus,
-  twilioRecordingStatus
+  twilioRecordingStatus,
+  twilioTransferWhisper
 } from "./twilio.controller.js";
 import { requireAuth } from "../auth/auth.middleware.js";
 
@@ -15,5 +16,6 @@ router.post("/voice", twilioVoice);
 router.post("/status", express.urlencoded({ extended: false }), twilioStatus);
 router.post("/amd-status", express.urlencoded({ extended: false }), twilioAmdStatus);
 router.post("/recording-status", express.urlencoded({ extended: false }), twilioRecordingStatus);
+router.post("/transfer-whisper/:callId", twilioTransferWhisper);
 
 export default router;
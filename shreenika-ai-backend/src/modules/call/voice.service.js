@@ -22,7 +22,8 @@ import { sharedCachingService } from '../voice/context-caching.service.js';
 import LatencyTracker from '../voice/latency-tracker.service.js';
 import { enhanceResponseForLatency } from '../voice/response-enhancer.service.js';
 import HedgeEngine from '../voice/hedge-engine.service.js';
-import { io } from '../../server.js';
+import { emitToCall, REALTIME_EVENTS } from '../realtime/realtime.service.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
 import VoiceServiceAdapter from './state-machine/voice-service-adapter.js';
 import MediaStreamStateMachineIntegration from './state-machine/mediastream-integration.js';
 // 🔴 PHASE 2 INTEGRATION: Import all audio quality services
@@ -32,8 +33,8 @@ import NoiseSuppressor from './noise-suppression.service.js';
 import { JitterBuffer } from './jitter-buffer.service.js';
 import { InterruptHandler } from './interrupt-handler.service.js';
 import { CallTimeout } from './call-timeout.service.js';
-import { WebhookEmitter } from './webhook-emitter.service.js';
 import { AudioQualityMonitor } from './audio-quality-monitor.service.js';
+import { executeToolCall } from './agent-tools.service.js';
 
 /**
  * VoiceService class
@@ -66,7 +67,6 @@ export class VoiceService extends EventEmitter {
     this.jitterBuffer = null; // Gap 10: Jitter buffer
     this.interruptHandler = null; // Gap 21: Interrupt detection
     this.callTimeout = null; // Gap 22: Call timeout enforcement
-    this.webhookEmitter = null; // Gap 24: Webhook notifications
     this.qualityMonitor = null; // Gap 26: Audio quality monitoring
 
     this.conversationTurns = [];
@@ -135,7 +135,7 @@ export class VoiceService extends EventEmitter {
       let knowledgeDocs = [];
       try {
         knowledgeDocs = await Knowledge.find({ agentId: this.agentId })
-          .select('title rawText sourceType');
+          .select('title rawText sourceType indexStatus');
         if (knowledgeDocs.length > 0) {
           console.log(`📚 Knowledge loaded: ${knowledgeDocs.length} documents, ${knowledgeDocs.reduce((s, d) => s + (d.rawText?.length || 0), 0)} chars total`);
         }
@@ -216,23 +216,10 @@ export class VoiceService extends EventEmitter {
         this.callTimeout.start();
         console.log(`✅ Call timeout initialized`);
 
-        // Gap 24: Webhook emitter
-        this.webhookEmitter = new WebhookEmitter(process.env.WEBHOOK_URL || null);
-        console.log(`✅ Webhook emitter initialized`);
-
         // Gap 26: Audio quality monitor
         this.qualityMonitor = new AudioQualityMonitor(this.callId);
         this.qualityMonitor.onAlert((alert) => {
           console.warn(`⚠️  QUALITY ALERT [${alert.severity}]: ${alert.message}`);
-          if (this.webhookEmitter) {
-            this.webhookEmitter.emitQualityAlert({
-              callId: this.callId,
-              severity: alert.severity,
-              type: alert.type,
-              value: alert.value,
-              threshold: process.env.QUALITY_THRESHOLD || 50
-            });
-          }
         });
         console.log(`✅ Audio quality monitor initialized`);
 
@@ -299,7 +286,6 @@ export class VoiceService extends EventEmitter {
       console.log(`   │  ├─ Jitter Buffer: ${this.jitterBuffer ? '✅' : '❌'}`);
       console.log(`   │  ├─ Interrupt Handler: ${this.interruptHandler ? '✅' : '❌'}`);
       console.log(`   │  ├─ Call Timeout: ${this.callTimeout ? '✅' : '❌'}`);
-      console.log(`   │  ├─ Webhook Emitter: ${this.webhookEmitter ? '✅' : '❌'}`);
       console.log(`   │  └─ Quality Monitor: ${this.qualityMonitor ? '✅' : '❌'}`);
       console.log(`   └─ Status: READY TO RECEIVE AUDIO`);
 
@@ -456,10 +442,12 @@ export class VoiceService extends EventEmitter {
       }
     });
 
-    // Tool call (for knowledge base)
+    // Tool call (function calling)
     this.geminiSession.on('toolCall', async (toolCall) => {
       console.log(`🔧 Tool call:`, toolCall);
-      // TODO: Handle knowledge base queries
+      for (const functionCall of toolCall?.functionCalls || []) {
+        await this._handleFunctionCall(functionCall);
+      }
     });
 
     // Error
@@ -642,6 +630,23 @@ export class VoiceService extends EventEmitter {
     this.geminiSession.sendText(text);
   }
 
+  /**
+   * Pass supervisor guidance to the model as a hidden hint (not a caller turn)
+   * @param {string} text - Guidance
+   * @param {Object} [options]
+   * @param {boolean} [options.respond=false] - Prompt the model to speak now instead of on its next turn
+   */
+  sendSupervisorHint(text, { respond = false } = {}) {
+    if (!this.isReady || this.isClosed) {
+      return;
+    }
+
+    this.geminiSession.sendText(
+      `[Supervisor guidance - follow it, but never read it aloud or mention a supervisor] ${text}`,
+      { turnComplete: respond }
+    );
+  }
+
   /**
    * Add a conversation turn with optional latency enhancement
    * @private
@@ -678,19 +683,47 @@ export class VoiceService extends EventEmitter {
     // Emit for real-time transcript
     this.emit('text', enhancedContent, role);
 
-    // Emit via Socket.IO for frontend updates
+    // Emit via Socket.IO for frontend updates and to call.transcript.turn webhooks
     if (this.call && this.call.userId) {
-      io.emit('call:transcript', {
+      emitToCall(this.call.userId, this.callId, REALTIME_EVENTS.CALL_TRANSCRIPT, {
         userId: this.call.userId.toString(),
         callId: this.callId.toString(),
         turn
       });
+      webhookEmitter.onCallTranscriptTurn(this.call.userId, this.call, turn, this.conversationTurns.length).catch((err) =>
+        console.error('❌ Webhook error:', err.message)
+      );
     }
 
     // Log
     console.log(`💬 [${role.toUpperCase()}]: ${enhancedContent.substring(0, 100)}${enhancedContent.length > 100 ? '...' : ''}`);
   }
 
+  /**
+   * Run a function the model called and send the result back
+   * @private
+   * @param {Object} functionCall - { id, name, args }
+   */
+  async _handleFunctionCall(functionCall) {
+    const { id, name, args = {} } = functionCall;
+
+    const { response, afterResponse } = await executeToolCall({
+      name,
+      args,
+      agent: this.agent,
+      call: this.call,
+      // Straight to the model: these are instructions, not caller turns for the transcript
+      notify: (text) => {
+        if (!this.isClosed) this.geminiSession.sendText(text);
+      }
+    });
+
+    if (this.isClosed) return;
+    this.geminiSession.sendToolResponse(id, response, name);
+    // Hang-up / transfer wait for the model to finish speaking - don't hold up other calls
+    afterResponse();
+  }
+
   /**
    * Handle session end
    * @private
@@ -762,39 +795,6 @@ export class VoiceService extends EventEmitter {
       if (this.qualityMonitor) {
         const qualityReport = this.qualityMonitor.getReport();
         console.log(`📊 QUALITY REPORT:`, JSON.stringify(qualityReport, null, 2));
-
-        // Emit quality alert for any SLA violations
-        if (this.webhookEmitter && qualityReport.activeAlerts > 0) {
-          for (const alert of qualityReport.alerts) {
-            await this.webhookEmitter.emitQualityAlert({
-              callId: this.callId,
-              severity: alert.severity,
-              type: alert.type,
-              value: alert.value,
-              threshold: this.qualityMonitor.thresholds[
-                ['maxPacketLoss', 'maxJitter', 'maxLatency', 'maxNoise', 'minAudioLevel'][
-                  ['PACKET_LOSS', 'HIGH_JITTER', 'HIGH_LATENCY', 'HIGH_NOISE', 'LOW_AUDIO'].indexOf(alert.type)
-                ]
-              ]
-            });
-          }
-        }
-      }
-
-      // Close webhook emitter with call ended event
-      if (this.webhookEmitter) {
-        const callDuration = this.startTime ? Math.round((Date.now() - this.startTime) / 1000) : 0;
-        await this.webhookEmitter.emitCallEnded({
-          callId: this.callId,
-          duration: callDuration,
-          endReason: 'call_completed',
-          status: 'ENDED',
-          metrics: {
-            audioChunksSent: this.audioChunksSent,
-            audioChunksReceived: this.audioChunksReceived,
-            conversationTurns: this.conversationTurns.length
-          }
-        });
       }
 
       // Flush remaining audio from jitter buffer
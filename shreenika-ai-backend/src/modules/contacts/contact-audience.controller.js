@@ -0,0 +1,301 @@
+import mongoose from "mongoose";
+import Contact from "./contact.model.js";
+import ContactList from "./contactList.model.js";
+import ContactSegment from "./contactSegment.model.js";
+import {
+  validateSegmentRules,
+  previewAudience,
+  updateContactTags,
+  listTags
+} from "./contact-audience.service.js";
+
+const MAX_BULK_CONTACTS = 5000;
+
+/**
+ * Validate body.contactIds for bulk operations
+ * @returns {string|null} - Validation error
+ */
+const checkContactIds = (contactIds) => {
+  if (!Array.isArray(contactIds) || contactIds.length === 0) {
+    return "contactIds must be a non-empty array";
+  }
+  if (contactIds.length > MAX_BULK_CONTACTS) {
+    return `At most ${MAX_BULK_CONTACTS} contacts per request`;
+  }
+  if (!contactIds.every((id) => mongoose.isValidObjectId(id))) {
+    return "contactIds contains an invalid id";
+  }
+  return null;
+};
+
+const isDuplicateName = (err) => err.code === 11000;
+
+const formatList = (list, count = 0) => ({
+  ...list,
+  id: list._id.toString(),
+  contactCount: count
+});
+
+const formatSegment = (segment) => ({
+  ...segment,
+  id: segment._id.toString()
+});
+
+/* =========================
+   CONTACT LISTS
+========================= */
+export const getContactLists = async (req, res) => {
+  try {
+    const lists = await ContactList.find({ ownerUserId: req.user.id }).sort({ name: 1 }).lean();
+
+    const counts = await Contact.aggregate([
+      { $match: { ownerUserId: new mongoose.Types.ObjectId(String(req.user.id)), lists: { $in: lists.map((l) => l._id) } } },
+      { $unwind: "$lists" },
+      { $group: { _id: "$lists", count: { $sum: 1 } } }
+    ]);
+    const countByList = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    return res.json(lists.map((list) => formatList(list, countByList.get(list._id.toString()) || 0)));
+  } catch (err) {
+    console.error("GET CONTACT LISTS ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch contact lists" });
+  }
+};
+
+export const createContactList = async (req, res) => {
+  try {
+    const { name, description, contactIds } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: "name is required" });
+    }
+    if (contactIds !== undefined) {
+      const idsError = checkContactIds(contactIds);
+      if (idsError) return res.status(400).json({ message: idsError });
+    }
+
+    const list = await ContactList.create({ ownerUserId: req.user.id, name, description });
+
+    let count = 0;
+    if (contactIds?.length) {
+      const result = await Contact.updateMany(
+        { _id: { $in: contactIds }, ownerUserId: req.user.id },
+        { $addToSet: { lists: list._id } }
+      );
+      count = result.modifiedCount;
+    }
+
+    return res.status(201).json(formatList(list.toObject(), count));
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: "A list with this name already exists" });
+    }
+    console.error("CREATE CONTACT LIST ERROR:", err);
+    return res.status(500).json({ message: "Unable to create contact list" });
+  }
+};
+
+export const updateContactList = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+
+    const list = await ContactList.findOneAndUpdate(
+      { _id: req.params.listId, ownerUserId: req.user.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!list) {
+      return res.status(404).json({ message: "Contact list not found" });
+    }
+
+    const count = await Contact.countDocuments({ ownerUserId: req.user.id, lists: list._id });
+    return res.json(formatList(list, count));
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: "A list with this name already exists" });
+    }
+    console.error("UPDATE CONTACT LIST ERROR:", err);
+    return res.status(500).json({ message: "Unable to update contact list" });
+  }
+};
+
+export const deleteContactList = async (req, res) => {
+  try {
+    const list = await ContactList.findOneAndDelete({ _id: req.params.listId, ownerUserId: req.user.id });
+    if (!list) {
+      return res.status(404).json({ message: "Contact list not found" });
+    }
+
+    // Contacts stay; only the membership goes
+    await Contact.updateMany({ ownerUserId: req.user.id, lists: list._id }, { $pull: { lists: list._id } });
+
+    return res.json({ message: "Contact list deleted successfully" });
+  } catch (err) {
+    console.error("DELETE CONTACT LIST ERROR:", err);
+    return res.status(500).json({ message: "Unable to delete contact list" });
+  }
+};
+
+/* =========================
+   LIST MEMBERSHIP
+========================= */
+const changeMembership = (action) => async (req, res) => {
+  try {
+    const { contactIds } = req.body;
+    const idsError = checkContactIds(contactIds);
+    if (idsError) return res.status(400).json({ message: idsError });
+
+    const list = await ContactList.exists({ _id: req.params.listId, ownerUserId: req.user.id });
+    if (!list) {
+      return res.status(404).json({ message: "Contact list not found" });
+    }
+
+    const result = await Contact.updateMany(
+      { _id: { $in: contactIds }, ownerUserId: req.user.id },
+      action === "add" ? { $addToSet: { lists: list._id } } : { $pull: { lists: list._id } }
+    );
+
+    return res.json({ [action === "add" ? "added" : "removed"]: result.modifiedCount });
+  } catch (err) {
+    console.error("CONTACT LIST MEMBERSHIP ERROR:", err);
+    return res.status(500).json({ message: "Unable to update list members" });
+  }
+};
+
+export const addContactsToList = changeMembership("add");
+export const removeContactsFromList = changeMembership("remove");
+
+/* =========================
+   TAGS
+========================= */
+export const getContactTags = async (req, res) => {
+  try {
+    return res.json(await listTags(req.user.id));
+  } catch (err) {
+    console.error("GET CONTACT TAGS ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch tags" });
+  }
+};
+
+// Body: { contactIds, add: [tags], remove: [tags] }
+export const tagContacts = async (req, res) => {
+  try {
+    const { contactIds, add, remove } = req.body;
+    const idsError = checkContactIds(contactIds);
+    if (idsError) return res.status(400).json({ message: idsError });
+    if (!add?.length && !remove?.length) {
+      return res.status(400).json({ message: "Send tags to add and/or remove" });
+    }
+
+    const updated = await updateContactTags(req.user.id, contactIds, { add, remove });
+    return res.json({ updated });
+  } catch (err) {
+    console.error("TAG CONTACTS ERROR:", err);
+    return res.status(500).json({ message: "Unable to update tags" });
+  }
+};
+
+/* =========================
+   SEGMENTS
+========================= */
+export const getSegments = async (req, res) => {
+  try {
+    const segments = await ContactSegment.find({ ownerUserId: req.user.id }).sort({ name: 1 }).lean();
+    return res.json(segments.map(formatSegment));
+  } catch (err) {
+    console.error("GET SEGMENTS ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch segments" });
+  }
+};
+
+export const createSegment = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: "name is required" });
+    }
+
+    let definition;
+    try {
+      definition = validateSegmentRules(req.body);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const segment = await ContactSegment.create({ ownerUserId: req.user.id, name, description, ...definition });
+    return res.status(201).json(formatSegment(segment.toObject()));
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: "A segment with this name already exists" });
+    }
+    console.error("CREATE SEGMENT ERROR:", err);
+    return res.status(500).json({ message: "Unable to create segment" });
+  }
+};
+
+export const updateSegment = async (req, res) => {
+  try {
+    const { name, description, rules, match } = req.body;
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+
+    if (rules !== undefined || match !== undefined) {
+      const current = await ContactSegment.findOne({ _id: req.params.segmentId, ownerUserId: req.user.id }).lean();
+      if (!current) {
+        return res.status(404).json({ message: "Segment not found" });
+      }
+      try {
+        Object.assign(update, validateSegmentRules({ rules: rules ?? current.rules, match: match ?? current.match }));
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+
+    const segment = await ContactSegment.findOneAndUpdate(
+      { _id: req.params.segmentId, ownerUserId: req.user.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!segment) {
+      return res.status(404).json({ message: "Segment not found" });
+    }
+    return res.json(formatSegment(segment));
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: "A segment with this name already exists" });
+    }
+    console.error("UPDATE SEGMENT ERROR:", err);
+    return res.status(500).json({ message: "Unable to update segment" });
+  }
+};
+
+export const deleteSegment = async (req, res) => {
+  try {
+    const deleted = await ContactSegment.findOneAndDelete({ _id: req.params.segmentId, ownerUserId: req.user.id });
+    if (!deleted) {
+      return res.status(404).json({ message: "Segment not found" });
+    }
+    return res.json({ message: "Segment deleted successfully" });
+  } catch (err) {
+    console.error("DELETE SEGMENT ERROR:", err);
+    return res.status(500).json({ message: "Unable to delete segment" });
+  }
+};
+
+/* =========================
+   AUDIENCE PREVIEW
+========================= */
+// Body: { type: "list", listId } | { type: "segment", segmentId } | { rules, match } (unsaved segment)
+export const previewContactAudience = async (req, res) => {
+  try {
+    return res.json(await previewAudience(req.user.id, req.body));
+  } catch (err) {
+    // Unknown list / segment and invalid rules
+    return res.status(400).json({ message: err.message });
+  }
+};
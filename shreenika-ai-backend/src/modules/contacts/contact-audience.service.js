@@ -0,0 +1,322 @@
+/**
+ * Contact Audience Service
+ * Lists, tags and saved segments, and resolving them into campaign leads
+ *
+ * Segment rule: { field, operator, value }
+ * - status           eq | ne | in | nin                 (new, contacted, qualified, closed)
+ * - tag              in (any of) | all | nin (none of)
+ * - list             in | nin                           (ContactList ids)
+ * - lastCallOutcome  eq | ne | in | nin                 (call outcomes, "no_outcome", "never_called")
+ * - createdAt        gte | lte (ISO date) | within_days | older_than_days (number)
+ * - customFields.<key>  eq | ne | gt | gte | lt | lte | in | exists (true | false)
+ * Rules combine with match "all" (default) or "any". Archived contacts are never included.
+ */
+
+import mongoose from 'mongoose';
+import Contact from './contact.model.js';
+import ContactList from './contactList.model.js';
+import ContactSegment from './contactSegment.model.js';
+import { CONTACT_STATUSES, STATUS_RULE_OUTCOMES } from './contact-status.service.js';
+
+// Campaign.leads lives in one document - keep it far below the 16 MB limit
+export const MAX_AUDIENCE_SIZE = 100000;
+const MAX_RULES = 20;
+const PREVIEW_SAMPLE_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// customFields.<key> (also used for import column mappings)
+export const CUSTOM_FIELD_PATTERN = /^customFields\.([a-zA-Z0-9_][a-zA-Z0-9_ -]{0,63})$/;
+const CALL_OUTCOMES = [...STATUS_RULE_OUTCOMES, 'never_called'];
+
+const FIELD_OPERATORS = {
+  status: ['eq', 'ne', 'in', 'nin'],
+  tag: ['in', 'all', 'nin'],
+  list: ['in', 'nin'],
+  lastCallOutcome: ['eq', 'ne', 'in', 'nin'],
+  createdAt: ['gte', 'lte', 'within_days', 'older_than_days'],
+  customFields: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists']
+};
+
+/* =========================
+   SEGMENT RULES
+========================= */
+
+const asArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const requireValues = (rule, allowed) => {
+  const values = asArray(rule.value);
+  if (values.length === 0 || values.some((v) => !allowed.includes(v))) {
+    throw new Error(`${rule.field} values must be among: ${allowed.join(', ')}`);
+  }
+  return values;
+};
+
+/**
+ * Validate one rule and normalize its value
+ * @private
+ */
+const normalizeRule = (rule) => {
+  const field = rule?.field;
+  const operator = rule?.operator;
+  const key = CUSTOM_FIELD_PATTERN.test(field || '') ? 'customFields' : field;
+  const operators = FIELD_OPERATORS[key];
+
+  if (!operators) {
+    throw new Error(`Unknown segment field "${field}" (use: status, tag, list, lastCallOutcome, createdAt, customFields.<key>)`);
+  }
+  if (!operators.includes(operator)) {
+    throw new Error(`Operator for ${field} must be one of: ${operators.join(', ')}`);
+  }
+
+  const multi = ['in', 'nin', 'all'].includes(operator);
+  let value = rule.value;
+
+  switch (key) {
+    case 'status':
+      value = requireValues(rule, CONTACT_STATUSES);
+      break;
+
+    case 'lastCallOutcome':
+      value = requireValues(rule, CALL_OUTCOMES);
+      break;
+
+    case 'tag': {
+      value = asArray(value).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+      if (value.length === 0) throw new Error('tag rules need at least one tag');
+      break;
+    }
+
+    case 'list': {
+      value = asArray(value).map(String);
+      if (value.length === 0 || !value.every((id) => mongoose.isValidObjectId(id))) {
+        throw new Error('list rules need valid list ids');
+      }
+      break;
+    }
+
+    case 'createdAt': {
+      if (operator === 'within_days' || operator === 'older_than_days') {
+        value = Number(value);
+        if (!Number.isFinite(value) || value < 0) throw new Error(`${operator} needs a number of days`);
+      } else if (Number.isNaN(new Date(value).getTime())) {
+        throw new Error('createdAt rules need an ISO date');
+      }
+      break;
+    }
+
+    default: {
+      if (operator === 'exists') {
+        value = value === true || value === 'true';
+      } else if (multi) {
+        value = asArray(value);
+      } else if (value === undefined || (typeof value === 'object' && value !== null)) {
+        throw new Error(`${field} needs a value`);
+      }
+    }
+  }
+
+  // Single-value operators take the first value when a list was sent
+  if (!multi && Array.isArray(value)) value = value[0];
+  return { field, operator, value };
+};
+
+/**
+ * Validate a segment definition (throws on the first invalid rule)
+ * @param {Object} segment - { rules, match }
+ * @returns {Object} - { rules, match } normalized
+ */
+export const validateSegmentRules = ({ rules, match = 'all' } = {}) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('A segment needs at least one rule');
+  }
+  if (rules.length > MAX_RULES) {
+    throw new Error(`A segment can have at most ${MAX_RULES} rules`);
+  }
+  if (!['all', 'any'].includes(match)) {
+    throw new Error('match must be "all" or "any"');
+  }
+  return { rules: rules.map(normalizeRule), match };
+};
+
+const MONGO_OPERATORS = { eq: '$eq', ne: '$ne', in: '$in', nin: '$nin', all: '$all', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+/**
+ * Mongo condition for one normalized rule (relative dates are evaluated now)
+ * @private
+ */
+const ruleToCondition = ({ field, operator, value }) => {
+  switch (field) {
+    case 'status':
+      return { status: { [MONGO_OPERATORS[operator]]: value } };
+
+    case 'tag':
+      return { tags: { [MONGO_OPERATORS[operator]]: value } };
+
+    case 'list':
+      return { lists: { [MONGO_OPERATORS[operator]]: value.map((id) => new mongoose.Types.ObjectId(id)) } };
+
+    case 'lastCallOutcome': {
+      const values = asArray(value);
+      const outcomes = values.filter((v) => v !== 'never_called');
+      const conditions = [];
+      if (outcomes.length) conditions.push({ 'lastCall.outcome': { $in: outcomes } });
+      if (values.includes('never_called')) conditions.push({ 'lastCall.outcome': null });
+
+      const matchAny = conditions.length === 1 ? conditions[0] : { $or: conditions };
+      return operator === 'eq' || operator === 'in' ? matchAny : { $nor: [matchAny] };
+    }
+
+    case 'createdAt': {
+      if (operator === 'within_days') return { createdAt: { $gte: new Date(Date.now() - value * DAY_MS) } };
+      if (operator === 'older_than_days') return { createdAt: { $lt: new Date(Date.now() - value * DAY_MS) } };
+      return { createdAt: { [MONGO_OPERATORS[operator]]: new Date(value) } };
+    }
+
+    default: {
+      if (operator === 'exists') {
+        return { [field]: value ? { $exists: true, $ne: null } : { $in: [null] } };
+      }
+      return { [field]: { [MONGO_OPERATORS[operator]]: value } };
+    }
+  }
+};
+
+/**
+ * Mongo filter for a tenant's segment
+ * @param {string} ownerUserId
+ * @param {Object} segment - { rules, match } (already validated)
+ */
+export const buildSegmentFilter = (ownerUserId, { rules, match = 'all' }) => {
+  const conditions = rules.map(ruleToCondition);
+  return {
+    ownerUserId,
+    isArchived: { $ne: true },
+    [match === 'any' ? '$or' : '$and']: conditions
+  };
+};
+
+/* =========================
+   AUDIENCES
+========================= */
+
+/**
+ * Contact filter for a list, saved segment or ad-hoc rules
+ * @param {string} ownerUserId
+ * @param {Object} audience - { type: 'list', listId } | { type: 'segment', segmentId } | { rules, match }
+ * @returns {Promise<Object>} - Mongo filter (throws when the list / segment does not exist)
+ */
+export const getAudienceFilter = async (ownerUserId, audience = {}) => {
+  if (audience.type === 'list') {
+    const list = mongoose.isValidObjectId(audience.listId)
+      ? await ContactList.exists({ _id: audience.listId, ownerUserId })
+      : null;
+    if (!list) throw new Error('Contact list not found');
+    return { ownerUserId, isArchived: { $ne: true }, lists: new mongoose.Types.ObjectId(String(audience.listId)) };
+  }
+
+  if (audience.type === 'segment') {
+    const segment = mongoose.isValidObjectId(audience.segmentId)
+      ? await ContactSegment.findOne({ _id: audience.segmentId, ownerUserId }).lean()
+      : null;
+    if (!segment) throw new Error('Segment not found');
+    return buildSegmentFilter(ownerUserId, segment);
+  }
+
+  if (audience.rules) {
+    return buildSegmentFilter(ownerUserId, validateSegmentRules(audience));
+  }
+
+  throw new Error('audience must be { type: "list", listId } or { type: "segment", segmentId }');
+};
+
+/**
+ * Count an audience and show a few of its contacts
+ * @param {string} ownerUserId
+ * @param {Object} audience - See getAudienceFilter
+ * @returns {Promise<Object>} - { count, sample: [{ id, name, phone, status, tags }] }
+ */
+export const previewAudience = async (ownerUserId, audience) => {
+  const filter = await getAudienceFilter(ownerUserId, audience);
+  const [count, sample] = await Promise.all([
+    Contact.countDocuments(filter),
+    Contact.find(filter).sort({ createdAt: 1 }).limit(PREVIEW_SAMPLE_SIZE)
+  ]);
+
+  return {
+    count,
+    sample: sample.map((contact) => ({
+      id: contact._id.toString(),
+      name: contact.fullName,
+      phone: contact.phone,
+      status: contact.status,
+      tags: contact.tags
+    }))
+  };
+};
+
+/**
+ * Contact ids for a campaign audience (oldest contacts first)
+ * @param {string} ownerUserId
+ * @param {Object} audience - See getAudienceFilter
+ * @returns {Promise<Array>} - Contact ObjectIds (at most MAX_AUDIENCE_SIZE)
+ */
+export const resolveAudience = async (ownerUserId, audience) => {
+  const filter = { ...(await getAudienceFilter(ownerUserId, audience)), phone: { $nin: [null, ''] } };
+  const contacts = await Contact.find(filter)
+    .sort({ createdAt: 1 })
+    .limit(MAX_AUDIENCE_SIZE)
+    .select('_id')
+    .lean();
+  return contacts.map((contact) => contact._id);
+};
+
+/* =========================
+   TAGS
+========================= */
+
+/**
+ * Add and/or remove tags on many contacts
+ * @param {string} ownerUserId
+ * @param {Array} contactIds
+ * @param {Object} changes - { add: [tags], remove: [tags] }
+ * @returns {Promise<number>} - Contacts modified
+ */
+export const updateContactTags = async (ownerUserId, contactIds, { add = [], remove = [] } = {}) => {
+  const clean = (tags) => [...new Set(asArray(tags).map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+  const filter = { ownerUserId, _id: { $in: contactIds } };
+  let modified = 0;
+
+  // Two updates: Mongo cannot $addToSet and $pull the same array in one
+  if (clean(add).length) {
+    modified += (await Contact.updateMany(filter, { $addToSet: { tags: { $each: clean(add) } } })).modifiedCount;
+  }
+  if (clean(remove).length) {
+    modified += (await Contact.updateMany(filter, { $pull: { tags: { $in: clean(remove) } } })).modifiedCount;
+  }
+  return modified;
+};
+
+/**
+ * Tags in use with their contact counts
+ * @param {string} ownerUserId
+ */
+export const listTags = (ownerUserId) =>
+  Contact.aggregate([
+    { $match: { ownerUserId: new mongoose.Types.ObjectId(String(ownerUserId)) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+
+export default {
+  MAX_AUDIENCE_SIZE,
+  CUSTOM_FIELD_PATTERN,
+  validateSegmentRules,
+  buildSegmentFilter,
+  getAudienceFilter,
+  previewAudience,
+  resolveAudience,
+  updateContactTags,
+  listTags
+};
@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import ContactImport from "./contactImport.model.js";
+import {
+  IMPORT_FIELDS,
+  createContactImport,
+  startContactImport,
+  buildImportReport
+} from "./contact-import.service.js";
+import { getPhoneCountry } from "../../utils/phone.js";
+
+// Status responses leave the per-row report out (see /report)
+const formatImport = (job) => {
+  const { rowErrors, ...rest } = job;
+  return {
+    ...rest,
+    id: job._id.toString(),
+    progress: job.totalRows ? Math.round((job.processedRows / job.totalRows) * 100) : 0
+  };
+};
+
+const findImport = (req, projection = "-rowErrors") =>
+  mongoose.isValidObjectId(req.params.importId)
+    ? ContactImport.findOne({ _id: req.params.importId, ownerUserId: req.user.id }).select(projection).lean()
+    : null;
+
+// Multipart sends mapping / tags as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error("mapping and tags must be valid JSON");
+  }
+};
+
+/**
+ * Start the import, answering 400 (invalid options) / 409 (busy or already started)
+ * @returns {Promise<Object|null>} - The started job, or null when a response was sent
+ */
+const startOrReject = async (req, res, job, body) => {
+  const running = await ContactImport.exists({ ownerUserId: req.user.id, status: "PROCESSING" });
+  if (running) {
+    res.status(409).json({ message: "Another import is still running; try again when it finishes" });
+    return null;
+  }
+
+  let started;
+  try {
+    started = await startContactImport(job, {
+      mapping: parseJsonField(body.mapping),
+      duplicateStrategy: body.duplicateStrategy,
+      listId: body.listId,
+      tags: parseJsonField(body.tags),
+      country: getPhoneCountry(req.user)
+    });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+    return null;
+  }
+
+  if (!started) {
+    res.status(409).json({ message: "This import has already been started" });
+    return null;
+  }
+  return started;
+};
+
+/* =========================
+   UPLOAD (CSV / XLSX)
+   With a mapping in the form the import starts right away;
+   otherwise the headers, samples and a suggested mapping come back
+========================= */
+export const uploadContactImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Upload a .csv or .xlsx file" });
+    }
+
+    let upload;
+    try {
+      upload = await createContactImport(req.user.id, req.file);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    let job = upload.job;
+    if (req.body.mapping) {
+      job = await startOrReject(req, res, job, req.body);
+      if (!job) return;
+    }
+
+    return res.status(201).json({
+      import: formatImport(job.toObject()),
+      headers: upload.headers,
+      sampleRows: upload.sampleRows,
+      suggestedMapping: upload.suggestedMapping,
+      fields: [...IMPORT_FIELDS, "customFields.<key>"]
+    });
+  } catch (err) {
+    console.error("UPLOAD CONTACT IMPORT ERROR:", err);
+    return res.status(500).json({ message: "Unable to read the import file" });
+  }
+};
+
+/* =========================
+   START (MAPPING + OPTIONS)
+   Body: { mapping: { column: field }, duplicateStrategy: "skip" | "merge", listId?, tags? }
+========================= */
+export const startContactImportJob = async (req, res) => {
+  try {
+    const job = await findImport(req);
+    if (!job) {
+      return res.status(404).json({ message: "Import not found" });
+    }
+    if (job.status !== "PENDING") {
+      return res.status(409).json({ message: `This import is already ${job.status.toLowerCase()}` });
+    }
+
+    const started = await startOrReject(req, res, job, req.body);
+    if (!started) return;
+
+    return res.status(202).json(formatImport(started.toObject()));
+  } catch (err) {
+    console.error("START CONTACT IMPORT ERROR:", err);
+    return res.status(500).json({ message: "Unable to start the import" });
+  }
+};
+
+/* =========================
+   STATUS / PROGRESS
+========================= */
+export const getContactImports = async (req, res) => {
+  try {
+    const jobs = await ContactImport.find({ ownerUserId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select("-rowErrors")
+      .lean();
+    return res.json(jobs.map(formatImport));
+  } catch (err) {
+    console.error("GET CONTACT IMPORTS ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch imports" });
+  }
+};
+
+export const getContactImport = async (req, res) => {
+  try {
+    const job = await findImport(req);
+    if (!job) {
+      return res.status(404).json({ message: "Import not found" });
+    }
+    return res.json(formatImport(job));
+  } catch (err) {
+    console.error("GET CONTACT IMPORT ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch import" });
+  }
+};
+
+/* =========================
+   ERROR REPORT (CSV DOWNLOAD)
+========================= */
+export const downloadContactImportReport = async (req, res) => {
+  try {
+    const job = await findImport(req, "headers rowErrors fileName");
+    if (!job) {
+      return res.status(404).json({ message: "Import not found" });
+    }
+
+    const name = (job.fileName || "contacts").replace(/\.[^.]+$/, "").replace(/[^\w.-]+/g, "_");
+    res.header("Content-Type", "text/csv");
+    res.header("Content-Disposition", `attachment; filename="${name}-import-report.csv"`);
+    return res.send(buildImportReport(job));
+  } catch (err) {
+    console.error("CONTACT IMPORT REPORT ERROR:", err);
+    return res.status(500).json({ message: "Unable to build the import report" });
+  }
+};
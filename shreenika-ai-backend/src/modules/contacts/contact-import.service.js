@@ -0,0 +1,725 @@
+/**
+ * Contact Import Service
+ * CSV / XLSX contact imports with column mapping, validation and duplicate handling
+ *
+ * Flow:
+ * 1. createContactImport - the upload is stored in MongoDB (ContactImportFile) so any
+ *    instance can run it; headers, sample rows and a suggested mapping are returned (job PENDING)
+ * 2. startContactImport - the mapping is validated and rows are processed in the
+ *    background in batches; progress is saved on the job and sent over realtime
+ * 3. buildImportReport - CSV of every row that was not imported, with the reason
+ *
+ * Rows: the phone is required and stored as E.164 (tenant's default country); an email,
+ * when mapped, must be valid. A row matches an existing contact of the tenant by phone,
+ * then email: "skip" leaves that contact as it is, "merge" writes the row's non-empty
+ * values onto it (status is only set on new contacts). A phone or email already seen
+ * earlier in the same file is skipped - the first row wins.
+ */
+
+import path from 'path';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import mongoose from 'mongoose';
+import { Parser } from 'json2csv';
+import Contact from './contact.model.js';
+import ContactImport from './contactImport.model.js';
+import ContactImportFile from './contactImportFile.model.js';
+import ContactList from './contactList.model.js';
+import { normalizeLegacyStatus } from './contact-status.service.js';
+import { CUSTOM_FIELD_PATTERN } from './contact-audience.service.js';
+import { parsePhone, DEFAULT_PHONE_COUNTRY } from '../../utils/phone.js';
+import { parseXlsxRows } from '../../utils/xlsx.parser.js';
+import { emitToUser, REALTIME_EVENTS } from '../realtime/realtime.service.js';
+
+const BATCH_SIZE = 500;
+const SAMPLE_ROWS = 5;
+// rowErrors live in the job document - keep the report well below the 16 MB limit
+const MAX_REPORT_ROWS = 5000;
+// A PROCESSING import whose heartbeat is older than this was interrupted (restart / crash)
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+// Uploads waiting for a mapping are discarded after a day
+const PENDING_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+export const IMPORT_FIELDS = [
+  'firstName',
+  'lastName',
+  'fullName',
+  'email',
+  'phone',
+  'address',
+  'companyName',
+  'companyEmployees',
+  'companyWebsite',
+  'status',
+  'tags'
+];
+
+// Normalized header → field, for the suggested mapping
+const HEADER_ALIASES = {
+  firstname: 'firstName', first: 'firstName', givenname: 'firstName', fname: 'firstName',
+  lastname: 'lastName', last: 'lastName', surname: 'lastName', familyname: 'lastName', lname: 'lastName',
+  name: 'fullName', fullname: 'fullName', contactname: 'fullName',
+  email: 'email', emailaddress: 'email', mail: 'email',
+  phone: 'phone', phonenumber: 'phone', phoneno: 'phone', mobile: 'phone', mobilenumber: 'phone',
+  mobileno: 'phone', cell: 'phone', telephone: 'phone', tel: 'phone', contactnumber: 'phone', whatsapp: 'phone',
+  address: 'address',
+  company: 'companyName', companyname: 'companyName', organization: 'companyName', organisation: 'companyName',
+  employees: 'companyEmployees', totalemployees: 'companyEmployees', companyemployees: 'companyEmployees', companysize: 'companyEmployees',
+  website: 'companyWebsite', companywebsite: 'companyWebsite', url: 'companyWebsite', web: 'companyWebsite',
+  status: 'status',
+  tags: 'tags', tag: 'tags', labels: 'tags'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const cleanTags = (tags) => [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+
+/* =========================
+   FILE READING
+========================= */
+
+/**
+ * csv / xlsx from the file name (xlsx must also look like a zip)
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {string|null}
+ */
+export const detectImportFormat = (file) => {
+  const extension = path.extname(file?.originalname || '').toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.xlsx') {
+    return file.buffer?.subarray(0, 2).toString() === 'PK' ? 'xlsx' : null;
+  }
+  return null;
+};
+
+/**
+ * Rows of the file as { rowNumber, values: [string] } - the first one is the header row
+ * @private
+ */
+async function* readFileRows(data, format) {
+  if (format === 'xlsx') {
+    yield* parseXlsxRows(data);
+    return;
+  }
+
+  let rowNumber = 0;
+  // headers: false → records keyed by column index, header row included
+  for await (const record of Readable.from([data]).pipe(csv({ headers: false }))) {
+    rowNumber++;
+    const values = Object.keys(record).map((key) => String(record[key] ?? ''));
+    if (values.some((value) => value.trim() !== '')) yield { rowNumber, values };
+  }
+}
+
+/**
+ * Header names: trimmed, blanks named "Column N", repeats suffixed " (2)"
+ * @private
+ */
+const nameHeaders = (values) => {
+  const seen = new Map();
+  return values.map((value, index) => {
+    const name = String(value ?? '').replace(/^\uFEFF/, '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+};
+
+/**
+ * Headers, a few sample rows and the data row count
+ * @private
+ */
+const inspectFile = async (data, format) => {
+  let headers = null;
+  const sampleRows = [];
+  let totalRows = 0;
+
+  for await (const row of readFileRows(data, format)) {
+    if (!headers) {
+      headers = nameHeaders(row.values);
+      continue;
+    }
+    totalRows++;
+    if (sampleRows.length < SAMPLE_ROWS) {
+      sampleRows.push(Object.fromEntries(headers.map((header, i) => [header, row.values[i] ?? ''])));
+    }
+  }
+
+  if (!headers) throw new Error('The file is empty');
+  return { headers, sampleRows, totalRows };
+};
+
+const removeImportFile = (importId) =>
+  ContactImportFile.deleteOne({ importId }).catch((err) =>
+    console.error(`❌ [Import] Could not remove the file of ${importId}:`, err.message)
+  );
+
+/* =========================
+   MAPPING
+========================= */
+
+/**
+ * Mapping guess from the header names (unknown columns become custom fields)
+ * @param {Array} headers
+ * @returns {Object} - { column: field }
+ */
+export const suggestMapping = (headers) => {
+  const used = new Set();
+  const mapping = {};
+
+  for (const header of headers) {
+    const field = HEADER_ALIASES[header.toLowerCase().replace(/[^a-z]/g, '')];
+    if (field && !used.has(field)) {
+      used.add(field);
+      mapping[header] = field;
+      continue;
+    }
+
+    const key = header.replace(/[^a-zA-Z0-9_ -]/g, '').trim().slice(0, 64);
+    mapping[header] = CUSTOM_FIELD_PATTERN.test(`customFields.${key}`) ? `customFields.${key}` : null;
+  }
+  return mapping;
+};
+
+/**
+ * Validate a column mapping against the file's headers (throws on the first problem)
+ * @param {Object|Array} mapping - { column: field } or [{ column, field }]; null / "" / "ignore" skips a column
+ * @param {Array} headers
+ * @returns {Array} - [{ column, field }] for mapped columns only
+ */
+export const validateMapping = (mapping, headers) => {
+  const entries = Array.isArray(mapping)
+    ? mapping.map((entry) => [entry?.column, entry?.field])
+    : Object.entries(mapping || {});
+  const result = [];
+  const used = new Set();
+
+  for (const [column, field] of entries) {
+    if (!headers.includes(column)) {
+      throw new Error(`Unknown column "${column}"`);
+    }
+    if (field === null || field === undefined || field === '' || field === 'ignore') continue;
+
+    if (!IMPORT_FIELDS.includes(field) && !CUSTOM_FIELD_PATTERN.test(field)) {
+      throw new Error(`Column "${column}": field must be one of ${IMPORT_FIELDS.join(', ')} or customFields.<key>`);
+    }
+    // Several columns may feed tags; every other field comes from one column
+    if (field !== 'tags' && used.has(field)) {
+      throw new Error(`${field} is mapped to more than one column`);
+    }
+    used.add(field);
+    result.push({ column, field });
+  }
+
+  if (!used.has('phone')) {
+    throw new Error('Map a column to phone');
+  }
+  return result;
+};
+
+/* =========================
+   ROWS → CONTACTS
+========================= */
+
+/**
+ * Shared state for one import (also used by the legacy /contacts/import)
+ * @param {string} ownerUserId
+ * @param {Object} options - { headers, mapping (validated), duplicateStrategy, listId, tags, source, country }
+ */
+export const createImportContext = (ownerUserId, { headers, mapping, duplicateStrategy = 'skip', listId, tags = [], source = 'csv', country }) => ({
+  ownerUserId,
+  country: country || DEFAULT_PHONE_COUNTRY,
+  columns: mapping.map(({ column, field }) => ({ index: headers.indexOf(column), field })),
+  duplicateStrategy,
+  listId: listId || null,
+  tags: cleanTags(tags),
+  source,
+  // "p:<phone>" / "e:<email>" → first row number, for duplicates inside the file
+  seen: new Map()
+});
+
+/**
+ * Contact fields from one row
+ * @private
+ * @returns {Object} - { contact } or { error }
+ */
+const buildContact = (values, context) => {
+  const contact = { tags: [], company: {}, customFields: {} };
+
+  for (const { index, field } of context.columns) {
+    const value = String(values[index] ?? '').trim();
+    if (!value) continue;
+
+    switch (field) {
+      case 'fullName': {
+        // Separate first / last name columns take precedence
+        const [first, ...rest] = value.split(/\s+/);
+        contact.firstName ??= first;
+        if (rest.length) contact.lastName ??= rest.join(' ');
+        break;
+      }
+      case 'firstName':
+      case 'lastName':
+      case 'address':
+        contact[field] = value;
+        break;
+      case 'email':
+        if (!EMAIL_PATTERN.test(value)) return { error: `Invalid email: ${value}` };
+        contact.email = value.toLowerCase();
+        break;
+      case 'phone': {
+        const parsed = parsePhone(value, context.country);
+        if (!parsed.valid) return { error: parsed.error };
+        contact.phone = parsed.e164;
+        break;
+      }
+      case 'status': {
+        const status = normalizeLegacyStatus(value);
+        if (!status) return { error: `Unknown status: ${value} (use new, contacted, qualified or closed)` };
+        contact.status = status;
+        break;
+      }
+      case 'tags':
+        contact.tags.push(...value.split(/[,;|]/));
+        break;
+      case 'companyName':
+        contact.company.name = value;
+        break;
+      case 'companyWebsite':
+        contact.company.website = value;
+        break;
+      case 'companyEmployees': {
+        const employees = Number(value.replace(/[,\s]/g, ''));
+        if (!Number.isInteger(employees) || employees < 0) return { error: `Invalid employee count: ${value}` };
+        contact.company.employees = employees;
+        break;
+      }
+      default: {
+        // customFields.<key>; numeric text is stored as a number so segments can compare it
+        const key = field.slice('customFields.'.length);
+        contact.customFields[key] = NUMBER_PATTERN.test(value) ? Number(value) : value;
+      }
+    }
+  }
+
+  if (!contact.phone) return { error: 'Phone number is required' };
+  contact.tags = cleanTags(contact.tags);
+  return { contact };
+};
+
+/**
+ * Update for an existing contact in "merge" mode
+ * @private
+ */
+const buildMergeUpdate = (match, contact, context) => {
+  const $set = {};
+  for (const field of ['firstName', 'lastName', 'address']) {
+    if (contact[field] !== undefined) $set[field] = contact[field];
+  }
+  // Identity fields are only filled in, never replaced
+  if (!match.phone) $set.phone = contact.phone;
+  if (contact.email && !match.email) $set.email = contact.email;
+  for (const [key, value] of Object.entries(contact.company)) $set[`company.${key}`] = value;
+  for (const [key, value] of Object.entries(contact.customFields)) $set[`customFields.${key}`] = value;
+
+  const $addToSet = {};
+  const tags = cleanTags([...contact.tags, ...context.tags]);
+  if (tags.length) $addToSet.tags = { $each: tags };
+  if (context.listId) $addToSet.lists = context.listId;
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($addToSet).length) update.$addToSet = $addToSet;
+  return Object.keys(update).length ? update : null;
+};
+
+/**
+ * Import one batch of rows
+ * @param {Array} rows - [{ rowNumber, values }]
+ * @param {Object} context - From createImportContext (its duplicate tracking carries across batches)
+ * @returns {Promise<Object>} - { created: [Contact], merged, issues: [{ row, result: 'failed'|'skipped', error, values }] }
+ */
+export const importContactBatch = async (rows, context) => {
+  const { ownerUserId, seen } = context;
+  const issues = [];
+  const candidates = [];
+  const issue = (row, result, error) => issues.push({ row: row.rowNumber, result, error, values: row.values });
+
+  for (const row of rows) {
+    const { contact, error } = buildContact(row.values, context);
+    if (error) {
+      issue(row, 'failed', error);
+      continue;
+    }
+
+    const firstRow = seen.get(`p:${contact.phone}`) ?? (contact.email && seen.get(`e:${contact.email}`));
+    if (firstRow) {
+      issue(row, 'skipped', `Duplicate of row ${firstRow} in this file`);
+      continue;
+    }
+    seen.set(`p:${contact.phone}`, row.rowNumber);
+    if (contact.email) seen.set(`e:${contact.email}`, row.rowNumber);
+    candidates.push({ row, contact });
+  }
+
+  if (candidates.length === 0) {
+    return { created: [], merged: 0, issues };
+  }
+
+  // Existing contacts with the same phone or email
+  const phones = candidates.map(({ contact }) => contact.phone);
+  const emails = candidates.map(({ contact }) => contact.email).filter(Boolean);
+  const existing = await Contact.find({
+    ownerUserId,
+    $or: [{ phone: { $in: phones } }, ...(emails.length ? [{ email: { $in: emails } }] : [])]
+  })
+    .select('phone email')
+    .lean();
+
+  const byPhone = new Map();
+  const byEmail = new Map();
+  for (const match of existing) {
+    if (match.phone && !byPhone.has(match.phone)) byPhone.set(match.phone, match);
+    if (match.email && !byEmail.has(match.email)) byEmail.set(match.email, match);
+  }
+
+  const inserts = [];
+  const merges = [];
+  let merged = 0;
+
+  for (const { row, contact } of candidates) {
+    const match = byPhone.get(contact.phone) || (contact.email && byEmail.get(contact.email));
+
+    if (!match) {
+      const doc = new Contact({
+        ...contact,
+        company: Object.keys(contact.company).length ? contact.company : undefined,
+        customFields: Object.keys(contact.customFields).length ? contact.customFields : undefined,
+        tags: [...contact.tags, ...context.tags],
+        lists: context.listId ? [context.listId] : [],
+        ownerUserId,
+        source: context.source
+      });
+      const invalid = doc.validateSync();
+      if (invalid) issue(row, 'failed', invalid.message);
+      else inserts.push({ row, doc });
+    } else if (context.duplicateStrategy === 'merge') {
+      const update = buildMergeUpdate(match, contact, context);
+      if (update) merges.push({ row, op: { updateOne: { filter: { _id: match._id, ownerUserId }, update } } });
+      else merged++;
+    } else {
+      issue(row, 'skipped', `Matches existing contact ${match._id}`);
+    }
+  }
+
+  let created = [];
+  if (inserts.length) {
+    try {
+      created = await Contact.insertMany(inserts.map(({ doc }) => doc), { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      created = err.insertedDocs || [];
+      for (const writeError of err.writeErrors) {
+        issue(inserts[writeError.index].row, 'failed', writeError.errmsg || 'Could not be saved');
+      }
+    }
+  }
+
+  if (merges.length) {
+    try {
+      merged += (await Contact.bulkWrite(merges.map(({ op }) => op), { ordered: false })).matchedCount;
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      merged += err.result?.matchedCount || 0;
+      for (const writeError of err.writeErrors) {
+        issue(merges[writeError.index].row, 'failed', writeError.errmsg || 'Could not be merged');
+      }
+    }
+  }
+
+  // Report in file order
+  issues.sort((a, b) => a.row - b.row);
+  return { created, merged, issues };
+};
+
+/* =========================
+   IMPORT JOBS
+========================= */
+
+const progressPayload = (job, counts) => ({
+  importId: job._id.toString(),
+  status: counts.status || job.status,
+  totalRows: job.totalRows,
+  processedRows: counts.processedRows,
+  created: counts.created,
+  merged: counts.merged,
+  skipped: counts.skipped,
+  failed: counts.failed
+});
+
+/**
+ * Store an uploaded file as a PENDING import
+ * @param {string} ownerUserId
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} - { job, headers, sampleRows, suggestedMapping } (throws on unreadable files)
+ */
+export const createContactImport = async (ownerUserId, file) => {
+  const format = detectImportFormat(file);
+  if (!format) {
+    throw new Error('Upload a .csv or .xlsx file');
+  }
+
+  let inspected;
+  try {
+    inspected = await inspectFile(file.buffer, format);
+  } catch (err) {
+    throw new Error(`Could not read the file: ${err.message}`);
+  }
+
+  const job = await ContactImport.create({
+    ownerUserId,
+    fileName: file.originalname,
+    format,
+    headers: inspected.headers,
+    totalRows: inspected.totalRows
+  });
+  try {
+    await ContactImportFile.create({ importId: job._id, ownerUserId, data: file.buffer });
+  } catch (err) {
+    await ContactImport.deleteOne({ _id: job._id });
+    throw err;
+  }
+
+  return {
+    job,
+    headers: inspected.headers,
+    sampleRows: inspected.sampleRows,
+    suggestedMapping: suggestMapping(inspected.headers)
+  };
+};
+
+/**
+ * Validate the import options and start processing in the background
+ * @param {Object} job - PENDING ContactImport
+ * @param {Object} options - { mapping, duplicateStrategy, listId, tags, country (owner's default phone country) }
+ * @returns {Promise<Object|null>} - The PROCESSING job, or null when it was already started
+ */
+export const startContactImport = async (job, { mapping, duplicateStrategy = 'skip', listId, tags, country } = {}) => {
+  const columns = validateMapping(mapping, job.headers);
+
+  if (!['skip', 'merge'].includes(duplicateStrategy)) {
+    throw new Error('duplicateStrategy must be "skip" or "merge"');
+  }
+  if (tags !== undefined && !Array.isArray(tags)) {
+    throw new Error('tags must be an array');
+  }
+  if (listId) {
+    const list = mongoose.isValidObjectId(listId)
+      ? await ContactList.exists({ _id: listId, ownerUserId: job.ownerUserId })
+      : null;
+    if (!list) throw new Error('Contact list not found');
+  }
+
+  const now = new Date();
+  const started = await ContactImport.findOneAndUpdate(
+    { _id: job._id, status: 'PENDING' },
+    {
+      $set: {
+        status: 'PROCESSING',
+        mapping: columns,
+        duplicateStrategy,
+        listId: listId || undefined,
+        tags: cleanTags(tags || []),
+        startedAt: now,
+        heartbeatAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!started) return null;
+
+  runImport(started, country).catch((err) =>
+    console.error(`❌ [Import] ${started._id} crashed:`, err.message)
+  );
+  return started;
+};
+
+/**
+ * Work through the file in batches, saving progress after each
+ * @private
+ */
+const runImport = async (job, country) => {
+  const counts = { processedRows: 0, created: 0, merged: 0, skipped: 0, failed: 0 };
+  let reported = 0;
+  let truncated = false;
+  console.log(`📥 [Import] ${job._id}: ${job.totalRows} rows from ${job.fileName}`);
+
+  try {
+    const file = await ContactImportFile.findOne({ importId: job._id });
+    if (!file) throw new Error('The uploaded file is no longer available; upload it again');
+
+    const context = createImportContext(job.ownerUserId, {
+      headers: job.headers,
+      mapping: job.mapping,
+      duplicateStrategy: job.duplicateStrategy,
+      listId: job.listId,
+      tags: job.tags,
+      source: job.format,
+      country
+    });
+
+    const flush = async (batch) => {
+      const { created, merged, issues } = await importContactBatch(batch, context);
+
+      counts.processedRows += batch.length;
+      counts.created += created.length;
+      counts.merged += merged;
+      counts.skipped += issues.filter((i) => i.result === 'skipped').length;
+      counts.failed += issues.filter((i) => i.result === 'failed').length;
+
+      const toReport = issues.slice(0, Math.max(0, MAX_REPORT_ROWS - reported));
+      reported += toReport.length;
+      truncated ||= toReport.length < issues.length;
+
+      await ContactImport.updateOne(
+        { _id: job._id },
+        {
+          $set: { ...counts, heartbeatAt: new Date(), reportTruncated: truncated },
+          ...(toReport.length && { $push: { rowErrors: { $each: toReport } } })
+        }
+      );
+      emitToUser(job.ownerUserId, REALTIME_EVENTS.CONTACT_IMPORT_PROGRESS, progressPayload(job, counts));
+    };
+
+    let isHeader = true;
+    let batch = [];
+    for await (const row of readFileRows(file.data, job.format)) {
+      if (isHeader) {
+        isHeader = false;
+        continue;
+      }
+      batch.push(row);
+      if (batch.length >= BATCH_SIZE) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+    if (batch.length) await flush(batch);
+
+    await ContactImport.updateOne(
+      { _id: job._id },
+      { $set: { status: 'COMPLETED', completedAt: new Date() } }
+    );
+    console.log(`✅ [Import] ${job._id}: ${counts.created} created, ${counts.merged} merged, ${counts.skipped} skipped, ${counts.failed} failed`);
+    emitToUser(job.ownerUserId, REALTIME_EVENTS.CONTACT_IMPORT_FINISHED, progressPayload(job, { ...counts, status: 'COMPLETED' }));
+  } catch (err) {
+    console.error(`❌ [Import] ${job._id} failed:`, err.message);
+    await ContactImport.updateOne(
+      { _id: job._id },
+      { $set: { status: 'FAILED', error: err.message, completedAt: new Date() } }
+    );
+    emitToUser(job.ownerUserId, REALTIME_EVENTS.CONTACT_IMPORT_FINISHED, {
+      ...progressPayload(job, { ...counts, status: 'FAILED' }),
+      error: err.message
+    });
+  } finally {
+    await removeImportFile(job._id);
+  }
+};
+
+// Spreadsheet apps run cells starting with these as formulas - prefix them with a quote
+const escapeFormula = (value) => {
+  const text = String(value ?? '');
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+/**
+ * CSV of the rows that were not imported: row, result, error, then the original columns
+ * Text cells (headers, errors, file values) are escaped against formula injection
+ * @param {Object} job - ContactImport with rowErrors
+ * @returns {string}
+ */
+export const buildImportReport = (job) => {
+  const fields = [
+    { label: 'row', value: 'row' },
+    { label: 'result', value: 'result' },
+    { label: 'error', value: (entry) => escapeFormula(entry.error) },
+    ...job.headers.map((header, index) => ({
+      label: escapeFormula(header),
+      value: (entry) => escapeFormula(entry.values?.[index])
+    }))
+  ];
+  return new Parser({ fields }).parse(job.rowErrors || []);
+};
+
+/* =========================
+   CLEANUP
+========================= */
+
+/**
+ * Fail imports interrupted by a restart and discard uploads that were never started
+ * @returns {Promise<number>} - Imports closed
+ */
+export const sweepContactImports = async () => {
+  const now = Date.now();
+  const stale = await ContactImport.find({
+    $or: [
+      { status: 'PROCESSING', heartbeatAt: { $lt: new Date(now - STALE_IMPORT_MS) } },
+      { status: 'PENDING', createdAt: { $lt: new Date(now - PENDING_EXPIRY_MS) } }
+    ]
+  });
+
+  for (const job of stale) {
+    const error = job.status === 'PROCESSING'
+      ? 'The import was interrupted; upload the file again to import the remaining rows'
+      : 'The upload expired before the import was started';
+
+    const closed = await ContactImport.updateOne(
+      { _id: job._id, status: job.status },
+      { $set: { status: 'FAILED', error, completedAt: new Date() } }
+    );
+    if (closed.modifiedCount) await removeImportFile(job._id);
+  }
+  return stale.length;
+};
+
+let sweepTimer = null;
+
+/**
+ * Run the cleanup periodically (call once MongoDB is connected)
+ */
+export const startContactImportSweep = () => {
+  if (sweepTimer) return;
+
+  const sweep = () => sweepContactImports().catch((err) =>
+    console.error('❌ [Import] Cleanup sweep failed:', err.message)
+  );
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+};
+
+export const stopContactImportSweep = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+export default {
+  IMPORT_FIELDS,
+  detectImportFormat,
+  suggestMapping,
+  validateMapping,
+  createImportContext,
+  importContactBatch,
+  createContactImport,
+  startContactImport,
+  buildImportReport,
+  sweepContactImports,
+  startContactImportSweep,
+  stopContactImportSweep
+};
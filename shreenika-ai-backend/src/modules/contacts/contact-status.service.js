@@ -0,0 +1,212 @@
+/**
+ * Contact Status Service
+ * Moves the called contact along its pipeline when a call is processed,
+ * and keeps the contact's activity timeline
+ *
+ * Rules (User.outcomeStatusRules, DEFAULT_STATUS_RULES when unset):
+ *   { outcome, contactStatus, fromStatuses }
+ * - outcome: Call.outcome, or "no_outcome" for a completed call without one
+ * - contactStatus: new Contact.status (null leaves it alone)
+ * - fromStatuses: only apply while the current status is one of these
+ *   (empty = any) - keeps a voicemail from un-qualifying a contact
+ *
+ * Every change fires lead.updated with changedFields: ['status'].
+ */
+
+import Contact from './contact.model.js';
+import ContactActivity from './contactActivity.model.js';
+import User from '../auth/user.model.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
+
+export const STATUS_RULE_OUTCOMES = ['meeting_booked', 'callback_requested', 'not_interested', 'voicemail', 'no_outcome'];
+export const CONTACT_STATUSES = ['new', 'contacted', 'qualified', 'closed'];
+
+export const DEFAULT_STATUS_RULES = [
+  { outcome: 'meeting_booked', contactStatus: 'qualified', fromStatuses: [] },
+  { outcome: 'callback_requested', contactStatus: 'contacted', fromStatuses: ['new', 'contacted'] },
+  { outcome: 'not_interested', contactStatus: 'closed', fromStatuses: [] },
+  { outcome: 'voicemail', contactStatus: 'contacted', fromStatuses: ['new'] },
+  { outcome: 'no_outcome', contactStatus: 'contacted', fromStatuses: ['new'] }
+];
+
+// Free-text statuses of the former Lead model (and the old update_lead_status values)
+const LEGACY_STATUSES = {
+  new: 'new',
+  contacted: 'contacted',
+  callback: 'contacted',
+  interested: 'contacted',
+  qualified: 'qualified',
+  'not interested': 'closed',
+  closed: 'closed',
+  lost: 'closed',
+  won: 'closed'
+};
+
+/**
+ * Map a legacy lead status ("New", "Not Interested", ...) to a contact status
+ * @param {string} status
+ * @returns {string|undefined} - Contact status, or undefined when it has no equivalent
+ */
+export const normalizeLegacyStatus = (status) =>
+  LEGACY_STATUSES[String(status ?? '').trim().toLowerCase()];
+
+/* =========================
+   RULES
+========================= */
+
+/**
+ * Validate and normalize a rule list (throws on the first invalid rule)
+ * @param {Array} rules
+ * @returns {Array} - Normalized rules
+ */
+export const validateStatusRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new Error('rules must be an array');
+  }
+
+  const seen = new Set();
+  return rules.map((rule) => {
+    const outcome = rule?.outcome;
+    if (!STATUS_RULE_OUTCOMES.includes(outcome)) {
+      throw new Error(`Rule outcome must be one of: ${STATUS_RULE_OUTCOMES.join(', ')}`);
+    }
+    if (seen.has(outcome)) {
+      throw new Error(`Duplicate rule for outcome "${outcome}"`);
+    }
+    seen.add(outcome);
+
+    const contactStatus = rule.contactStatus ?? null;
+    if (contactStatus !== null && !CONTACT_STATUSES.includes(contactStatus)) {
+      throw new Error(`contactStatus for "${outcome}" must be one of: ${CONTACT_STATUSES.join(', ')} (or null)`);
+    }
+
+    const fromStatuses = rule.fromStatuses ?? [];
+    if (!Array.isArray(fromStatuses) || fromStatuses.some((s) => !CONTACT_STATUSES.includes(s))) {
+      throw new Error(`fromStatuses for "${outcome}" must only contain: ${CONTACT_STATUSES.join(', ')}`);
+    }
+
+    return { outcome, contactStatus, fromStatuses };
+  });
+};
+
+/**
+ * Tenant's rules (defaults when never configured)
+ * @param {string} userId
+ */
+export const getStatusRules = async (userId) => {
+  const user = await User.findById(userId).select('outcomeStatusRules').lean();
+  return user?.outcomeStatusRules ?? DEFAULT_STATUS_RULES;
+};
+
+const ruleAllows = (rule, currentStatus) =>
+  !rule.fromStatuses?.length || rule.fromStatuses.includes(currentStatus || 'new');
+
+/* =========================
+   TIMELINE
+========================= */
+
+/**
+ * Append an entry to a contact's timeline (failures are logged, never thrown)
+ * @param {Object} entry - { ownerUserId, contactId, type, callId, outcome, summary, fromStatus, toStatus, source }
+ */
+export const recordContactActivity = (entry) =>
+  ContactActivity.create(entry).catch((err) =>
+    console.error(`❌ Failed to record activity for contact ${entry.contactId}:`, err.message)
+  );
+
+/**
+ * A contact's timeline, newest first
+ * @param {string} ownerUserId
+ * @param {string} contactId
+ * @param {Object} options - { before, limit }
+ */
+export const listContactActivity = (ownerUserId, contactId, { before, limit = 50 } = {}) => {
+  const query = { ownerUserId, contactId };
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  return ContactActivity.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.max(1, Math.min(200, parseInt(limit) || 50)))
+    .lean();
+};
+
+/* =========================
+   CALL OUTCOME → STATUS
+========================= */
+
+/**
+ * @private
+ */
+const updateContactFromCall = async (contact, call, rule) => {
+  const fromStatus = contact.status;
+  const toStatus = rule?.contactStatus;
+  if (!toStatus || toStatus === fromStatus || !ruleAllows(rule, fromStatus)) return;
+
+  // Guard on the status we read so a concurrent edit is not overwritten
+  const updated = await Contact.findOneAndUpdate(
+    { _id: contact._id, ownerUserId: call.userId, status: fromStatus ?? null },
+    { $set: { status: toStatus } },
+    { new: true }
+  );
+  if (!updated) return;
+
+  console.log(`📇 Contact ${contact._id}: ${fromStatus} → ${toStatus} (${call.outcome || 'no_outcome'})`);
+  await recordContactActivity({
+    ownerUserId: call.userId,
+    contactId: contact._id,
+    type: 'status_change',
+    callId: call._id,
+    outcome: call.outcome || null,
+    fromStatus,
+    toStatus,
+    source: 'call_outcome'
+  });
+
+  webhookEmitter.onLeadUpdated(call.userId, { ...updated.toObject(), id: updated._id.toString() }, ['status']).catch((err) =>
+    console.error('❌ Webhook error:', err.message)
+  );
+};
+
+/**
+ * Apply the tenant's outcome rules to the called contact, log the call on the timeline
+ * and keep Contact.lastCall current (segments filter on it)
+ * @param {Object} call - Processed Call document
+ */
+export const applyCallOutcome = async (call) => {
+  if (!call.leadId) return;
+
+  const rules = await getStatusRules(call.userId);
+  const rule = rules.find((r) => r.outcome === (call.outcome || 'no_outcome'));
+
+  const contact = await Contact.findOne({ _id: call.leadId, ownerUserId: call.userId }).select('status').lean();
+  if (!contact) return;
+
+  // A late-processed older call must not replace a newer one
+  const at = call.endedAt || call.updatedAt || new Date();
+  await Contact.updateOne(
+    { _id: contact._id, $or: [{ 'lastCall.at': null }, { 'lastCall.at': { $lte: at } }] },
+    { $set: { lastCall: { callId: call._id, outcome: call.outcome || 'no_outcome', at } } }
+  );
+
+  await recordContactActivity({
+    ownerUserId: call.userId,
+    contactId: contact._id,
+    type: 'call',
+    callId: call._id,
+    outcome: call.outcome || null,
+    summary: call.summary
+  });
+  await updateContactFromCall(contact, call, rule);
+};
+
+export default {
+  STATUS_RULE_OUTCOMES,
+  CONTACT_STATUSES,
+  DEFAULT_STATUS_RULES,
+  normalizeLegacyStatus,
+  validateStatusRules,
+  getStatusRules,
+  recordContactActivity,
+  listContactActivity,
+  applyCallOutcome
+};
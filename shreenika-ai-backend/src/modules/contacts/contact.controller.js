@@ -1,22 +1,55 @@
+import mongoose from "mongoose";
 import Contact from "./contact.model.js";
+import ContactActivity from "./contactActivity.model.js";
+import User from "../auth/user.model.js";
 import {
   createContactService,
   getContactsService,
   importContactsService
 } from "./contact.service.js";
+import {
+  DEFAULT_STATUS_RULES,
+  validateStatusRules,
+  getStatusRules,
+  recordContactActivity,
+  listContactActivity
+} from "./contact-status.service.js";
 import { webhookEmitter } from "../webhook/webhook.emitter.js";
+import { parsePhone, getPhoneCountry } from "../../utils/phone.js";
+
+/**
+ * Replace body.phone with its E.164 form
+ * @returns {string|null} - Validation error, or null when the phone is valid/absent
+ */
+const normalizeBodyPhone = async (req) => {
+  if (req.body.phone === undefined || req.body.phone === "") return null;
+
+  const parsed = parsePhone(req.body.phone, getPhoneCountry(req.user));
+  if (!parsed.valid) return parsed.error;
+
+  req.body.phone = parsed.e164;
+  return null;
+};
 
 /* =========================
    CREATE CONTACT (MANUAL)
 ========================= */
 export const createContact = async (req, res) => {
   try {
+    const phoneError = await normalizeBodyPhone(req);
+    if (phoneError) {
+      return res.status(400).json({ message: phoneError });
+    }
+
     const contact = await createContactService(req.user.id, req.body);
 
-    // Trigger webhook event
+    // Trigger webhook events (contacts are the CRM leads)
     webhookEmitter.onContactCreated(req.user.id, contact).catch((err) =>
       console.error("❌ Webhook error:", err.message)
     );
+    webhookEmitter.onLeadCreated(req.user.id, contact).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
     return res.status(201).json(contact);
   } catch (err) {
@@ -30,8 +63,11 @@ export const createContact = async (req, res) => {
 ========================= */
 export const getContacts = async (req, res) => {
   try {
-    const { search } = req.query;
-    const contacts = await getContactsService(req.user.id, search);
+    const { search, tag, listId } = req.query;
+    if (listId && !mongoose.isValidObjectId(listId)) {
+      return res.status(400).json({ message: "Invalid listId" });
+    }
+    const contacts = await getContactsService(req.user.id, search, { tag, listId });
     return res.json(contacts);
   } catch (err) {
     console.error("GET CONTACTS ERROR:", err);
@@ -46,7 +82,14 @@ export const updateContact = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const updated = await Contact.findOneAndUpdate(
+    const phoneError = await normalizeBodyPhone(req);
+    if (phoneError) {
+      return res.status(400).json({ message: phoneError });
+    }
+
+    const previous = await Contact.findOne({ _id: id, ownerUserId: req.user.id }).select("status").lean();
+
+    const updated = previous && await Contact.findOneAndUpdate(
       { _id: id, ownerUserId: req.user.id },
       req.body,
       { new: true, runValidators: true }
@@ -56,6 +99,22 @@ export const updateContact = async (req, res) => {
       return res.status(404).json({ message: "Contact not found" });
     }
 
+    // Status edits go on the contact's timeline next to call-driven changes
+    if (updated.status !== previous.status) {
+      await recordContactActivity({
+        ownerUserId: req.user.id,
+        contactId: updated._id,
+        type: "status_change",
+        fromStatus: previous.status,
+        toStatus: updated.status,
+        source: "manual"
+      });
+    }
+
+    webhookEmitter.onLeadUpdated(req.user.id, updated.toObject(), Object.keys(req.body)).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
+
     // Map MongoDB _id to id for frontend compatibility
     return res.json({
       ...updated.toObject(),
@@ -83,6 +142,8 @@ export const deleteContact = async (req, res) => {
       return res.status(404).json({ message: "Contact not found" });
     }
 
+    await ContactActivity.deleteMany({ ownerUserId: req.user.id, contactId: deleted._id });
+
     return res.json({ message: "Contact deleted successfully" });
   } catch (err) {
     console.error("DELETE CONTACT ERROR:", err);
@@ -90,17 +151,82 @@ export const deleteContact = async (req, res) => {
   }
 };
 
+/* =========================
+   CONTACT ACTIVITY TIMELINE
+========================= */
+export const getContactActivity = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: "Contact not found" });
+    }
+
+    const exists = await Contact.exists({ _id: id, ownerUserId: req.user.id });
+    if (!exists) {
+      return res.status(404).json({ message: "Contact not found" });
+    }
+
+    const activity = await listContactActivity(req.user.id, id, req.query);
+    return res.json(activity.map((entry) => ({ ...entry, id: entry._id.toString() })));
+  } catch (err) {
+    console.error("GET CONTACT ACTIVITY ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch contact activity" });
+  }
+};
+
+/* =========================
+   OUTCOME → STATUS RULES
+========================= */
+export const getOutcomeStatusRules = async (req, res) => {
+  try {
+    const rules = await getStatusRules(req.user.id);
+    return res.json({ rules, defaults: DEFAULT_STATUS_RULES });
+  } catch (err) {
+    console.error("GET STATUS RULES ERROR:", err);
+    return res.status(500).json({ message: "Unable to fetch status rules" });
+  }
+};
+
+// Body: { rules: [...] }, or { rules: null } to go back to the defaults
+export const updateOutcomeStatusRules = async (req, res) => {
+  try {
+    let rules = null;
+    if (req.body.rules !== null) {
+      try {
+        rules = validateStatusRules(req.body.rules);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+
+    await User.updateOne(
+      { _id: req.user.id },
+      rules ? { $set: { outcomeStatusRules: rules } } : { $unset: { outcomeStatusRules: 1 } },
+      { runValidators: true }
+    );
+
+    return res.json({ rules: rules || DEFAULT_STATUS_RULES, defaults: DEFAULT_STATUS_RULES });
+  } catch (err) {
+    console.error("UPDATE STATUS RULES ERROR:", err);
+    return res.status(500).json({ message: "Unable to update status rules" });
+  }
+};
+
 /* =========================
    IMPORT CONTACTS (CSV)
 ========================= */
 export const importContactsCSV = async (req, res) => {
   try {
     const contacts = req.file.parsedContacts;
-    const result = await importContactsService(req.user.id, contacts);
+    const { inserted, errors } = await importContactsService(req.user.id, contacts, getPhoneCountry(req.user));
 
     return res.status(201).json({
-      message: "Contacts imported successfully",
-      count: result.length
+      message: errors.length
+        ? `${inserted.length} contacts imported, ${errors.length} rows rejected`
+        : "Contacts imported successfully",
+      count: inserted.length,
+      failed: errors.length,
+      errors
     });
   } catch (err) {
     console.error("IMPORT CONTACTS ERROR:", err);
@@ -49,19 +49,72 @@ const contactSchema = new mongoose.Schema(
 
     source: {
       type: String,
-      enum: ["manual", "csv"],
+      // "lead": migrated from the former Lead collection (scripts/migrate-leads-to-contacts.js)
+      enum: ["manual", "csv", "xlsx", "api", "inbound", "lead"],
       default: "manual"
+    },
+
+    // Tenant-defined fields ({ key: value }, keys as in CSV headers / API payloads)
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+
+    tags: {
+      type: [String],
+      default: [],
+      set: (tags) => [...new Set((tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))]
+    },
+
+    lists: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ContactList"
+      }
+    ],
+
+    // Latest processed call (set by contact-status.service.js; used by segments)
+    lastCall: {
+      callId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Call"
+      },
+      // Call.outcome, or "no_outcome"
+      outcome: String,
+      at: Date
+    },
+
+    // Soft-delete tracking
+    isArchived: {
+      type: Boolean,
+      default: false
+    },
+    archivedAt: Date,
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toObject: { virtuals: true, flattenMaps: true },
+    toJSON: { virtuals: true, flattenMaps: true }
   }
 );
 
+// Display name for calls, logs and webhooks (either part may be missing)
+contactSchema.virtual("fullName").get(function () {
+  return [this.firstName, this.lastName].filter(Boolean).join(" ") || this.phone || "Unknown";
+});
+
 /* =========================
    INDEXES (USER ISOLATION)
 ========================= */
 contactSchema.index({ ownerUserId: 1 });
 contactSchema.index({ ownerUserId: 1, email: 1 });
+contactSchema.index({ ownerUserId: 1, phone: 1 });
+contactSchema.index({ ownerUserId: 1, tags: 1 });
+contactSchema.index({ ownerUserId: 1, lists: 1 });
 
 export default mongoose.model("Contact", contactSchema);
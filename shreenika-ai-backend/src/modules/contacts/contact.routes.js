@@ -2,7 +2,8 @@ import express from "express";
 import { requireAuth } from "../auth/auth.middleware.js";
 
 import upload, {
-  csvUploadMiddleware
+  csvUploadMiddleware,
+  importUpload
 } from "../../middlewares/csvUpload.middleware.js";
 
 import {
@@ -10,8 +11,33 @@ import {
   getContacts,
   updateContact,
   deleteContact,
-  importContactsCSV
+  importContactsCSV,
+  getContactActivity,
+  getOutcomeStatusRules,
+  updateOutcomeStatusRules
 } from "./contact.controller.js";
+import {
+  getContactLists,
+  createContactList,
+  updateContactList,
+  deleteContactList,
+  addContactsToList,
+  removeContactsFromList,
+  getContactTags,
+  tagContacts,
+  getSegments,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  previewContactAudience
+} from "./contact-audience.controller.js";
+import {
+  uploadContactImport,
+  startContactImportJob,
+  getContactImports,
+  getContactImport,
+  downloadContactImportReport
+} from "./contact-import.controller.js";
 
 const router = express.Router();
 
@@ -33,6 +59,151 @@ router.get(
   getContacts
 );
 
+/* =========================
+   OUTCOME → STATUS RULES
+========================= */
+router.get(
+  "/status-rules",
+  requireAuth,
+  getOutcomeStatusRules
+);
+
+router.put(
+  "/status-rules",
+  requireAuth,
+  updateOutcomeStatusRules
+);
+
+/* =========================
+   CONTACT LISTS
+========================= */
+router.get(
+  "/lists",
+  requireAuth,
+  getContactLists
+);
+
+router.post(
+  "/lists",
+  requireAuth,
+  createContactList
+);
+
+router.put(
+  "/lists/:listId",
+  requireAuth,
+  updateContactList
+);
+
+router.delete(
+  "/lists/:listId",
+  requireAuth,
+  deleteContactList
+);
+
+router.post(
+  "/lists/:listId/members",
+  requireAuth,
+  addContactsToList
+);
+
+router.delete(
+  "/lists/:listId/members",
+  requireAuth,
+  removeContactsFromList
+);
+
+/* =========================
+   TAGS
+========================= */
+router.get(
+  "/tags",
+  requireAuth,
+  getContactTags
+);
+
+router.post(
+  "/tags",
+  requireAuth,
+  tagContacts
+);
+
+/* =========================
+   SEGMENTS + AUDIENCE PREVIEW
+========================= */
+router.get(
+  "/segments",
+  requireAuth,
+  getSegments
+);
+
+router.post(
+  "/segments",
+  requireAuth,
+  createSegment
+);
+
+router.put(
+  "/segments/:segmentId",
+  requireAuth,
+  updateSegment
+);
+
+router.delete(
+  "/segments/:segmentId",
+  requireAuth,
+  deleteSegment
+);
+
+router.post(
+  "/audience/preview",
+  requireAuth,
+  previewContactAudience
+);
+
+/* =========================
+   IMPORT JOBS (CSV / XLSX)
+========================= */
+router.get(
+  "/imports",
+  requireAuth,
+  getContactImports
+);
+
+router.post(
+  "/imports",
+  requireAuth,
+  importUpload.single("file"),
+  uploadContactImport
+);
+
+router.get(
+  "/imports/:importId",
+  requireAuth,
+  getContactImport
+);
+
+router.post(
+  "/imports/:importId/start",
+  requireAuth,
+  startContactImportJob
+);
+
+router.get(
+  "/imports/:importId/report",
+  requireAuth,
+  downloadContactImportReport
+);
+
+/* =========================
+   CONTACT ACTIVITY TIMELINE
+========================= */
+router.get(
+  "/:id/activity",
+  requireAuth,
+  getContactActivity
+);
+
 /* =========================
    UPDATE CONTACT
 ========================= */
@@ -52,7 +223,8 @@ router.delete(
 );
 
 /* =========================
-   IMPORT CONTACTS (CSV)
+   IMPORT CONTACTS (CSV, FIXED COLUMNS)
+   Small files in one request - see /imports for mapped / large imports
 ========================= */
 router.post(
   "/import",
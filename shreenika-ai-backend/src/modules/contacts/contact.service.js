@@ -1,4 +1,5 @@
 import Contact from "./contact.model.js";
+import { createImportContext, importContactBatch } from "./contact-import.service.js";
 
 /* =========================
    CREATE CONTACT
@@ -20,9 +21,16 @@ export const createContactService = async (ownerUserId, data) => {
 /* =========================
    GET CONTACTS (LIST + SEARCH)
 ========================= */
-export const getContactsService = async (ownerUserId, search) => {
+export const getContactsService = async (ownerUserId, search, { tag, listId } = {}) => {
   const query = { ownerUserId };
 
+  if (tag) {
+    query.tags = String(tag).trim().toLowerCase();
+  }
+  if (listId) {
+    query.lists = listId;
+  }
+
   if (search) {
     query.$or = [
       { firstName: { $regex: search, $options: "i" } },
@@ -42,29 +50,55 @@ export const getContactsService = async (ownerUserId, search) => {
 };
 
 /* =========================
-   BULK IMPORT CONTACTS
+   BULK IMPORT CONTACTS (LEGACY CSV)
+   Same validation and duplicate skipping as import jobs (contact-import.service.js),
+   run inline for the fixed-column CSV of /contacts/import
 ========================= */
-export const importContactsService = async (ownerUserId, contacts) => {
-  const formattedContacts = contacts.map((contact) => {
-    // Transform flat CSV fields to nested schema structure
-    const { companyName, totalEmployees, website, ...rest } = contact;
-    return {
-      ...rest,
-      company: {
-        name: companyName || "",
-        employees: totalEmployees || undefined,
-        website: website || ""
-      },
-      ownerUserId,
-      source: "csv"
-    };
+const LEGACY_COLUMNS = {
+  firstName: "firstName",
+  lastName: "lastName",
+  email: "email",
+  phone: "phone",
+  companyName: "companyName",
+  totalEmployees: "companyEmployees",
+  address: "address",
+  website: "companyWebsite"
+};
+
+const LEGACY_BATCH_SIZE = 1000;
+
+export const importContactsService = async (ownerUserId, contacts, country) => {
+  const headers = Object.keys(LEGACY_COLUMNS);
+  const context = createImportContext(ownerUserId, {
+    headers,
+    mapping: headers.map((column) => ({ column, field: LEGACY_COLUMNS[column] })),
+    country
   });
 
-  const inserted = await Contact.insertMany(formattedContacts);
+  // Row numbers are 1-based and skip the header line
+  const rows = contacts.map((contact, index) => ({
+    rowNumber: index + 2,
+    values: headers.map((column) => (contact[column] == null ? "" : String(contact[column])))
+  }));
+
+  const created = [];
+  const issues = [];
+  for (let i = 0; i < rows.length; i += LEGACY_BATCH_SIZE) {
+    const result = await importContactBatch(rows.slice(i, i + LEGACY_BATCH_SIZE), context);
+    created.push(...result.created);
+    issues.push(...result.issues);
+  }
 
   // Map MongoDB _id to id for frontend compatibility
-  return inserted.map(contact => ({
-    ...contact.toObject(),
-    id: contact._id.toString()
-  }));
+  return {
+    inserted: created.map(contact => ({
+      ...contact.toObject(),
+      id: contact._id.toString()
+    })),
+    errors: issues.map(({ row, values, error }) => ({
+      row,
+      phone: values[headers.indexOf("phone")] || null,
+      error
+    }))
+  };
 };
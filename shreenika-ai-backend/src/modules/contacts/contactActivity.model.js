@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const contactActivitySchema = new mongoose.Schema(
+  {
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true
+    },
+
+    type: {
+      type: String,
+      enum: ["call", "status_change"],
+      required: true
+    },
+
+    // call: the call it describes / status_change: the call that caused it (if any)
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Call"
+    },
+
+    outcome: String,
+    summary: String,
+
+    fromStatus: String,
+    toStatus: String,
+
+    // What made the change: an outcome rule, a user edit or the AI (update_lead_status tool)
+    source: {
+      type: String,
+      enum: ["call_outcome", "manual", "agent_tool"]
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+/* =========================
+   INDEXES (TIMELINE)
+========================= */
+contactActivitySchema.index({ ownerUserId: 1, contactId: 1, createdAt: -1 });
+
+export default mongoose.model("ContactActivity", contactActivitySchema);
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * Contact Import
+ * One uploaded CSV / XLSX file and its progress (see contact-import.service.js).
+ * PENDING waits for a column mapping, PROCESSING rows are worked through in batches
+ * (the file itself is a ContactImportFile); rows that were not imported are kept for the report.
+ */
+const contactImportSchema = new mongoose.Schema(
+  {
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    fileName: String,
+
+    format: {
+      type: String,
+      enum: ["csv", "xlsx"],
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "COMPLETED", "FAILED"],
+      default: "PENDING"
+    },
+
+    headers: [String],
+
+    // Column → contact field: firstName, lastName, fullName, email, phone, address,
+    // companyName, companyEmployees, companyWebsite, status, tags, customFields.<key>
+    mapping: [
+      {
+        _id: false,
+        column: { type: String, required: true },
+        field: { type: String, required: true }
+      }
+    ],
+
+    // "skip": leave existing contacts as they are / "merge": update them with the row's values
+    duplicateStrategy: {
+      type: String,
+      enum: ["skip", "merge"],
+      default: "skip"
+    },
+
+    // Added to every imported contact
+    listId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ContactList"
+    },
+    tags: [String],
+
+    /* ===== PROGRESS ===== */
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    merged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+
+    // Rows not imported (invalid or duplicate), capped - see reportTruncated
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        // failed: invalid data / skipped: duplicate
+        result: { type: String, enum: ["failed", "skipped"] },
+        error: String,
+        // Original cell values, in headers order
+        values: [String]
+      }
+    ],
+    reportTruncated: {
+      type: Boolean,
+      default: false
+    },
+
+    error: String,
+    startedAt: Date,
+    heartbeatAt: Date,
+    completedAt: Date
+  },
+  { timestamps: true }
+);
+
+/* =========================
+   INDEXES (USER ISOLATION)
+========================= */
+contactImportSchema.index({ ownerUserId: 1, createdAt: -1 });
+contactImportSchema.index({ status: 1, heartbeatAt: 1 });
+
+export default mongoose.model("ContactImport", contactImportSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Uploaded file of a contact import, kept in MongoDB so whichever backend
+ * instance starts the import can read it (uploads are capped at 10 MB, well
+ * under the document limit). Removed when the import ends; the TTL only
+ * catches files whose import was never closed.
+ */
+const contactImportFileSchema = new mongoose.Schema(
+  {
+    importId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ContactImport",
+      required: true,
+      unique: true
+    },
+
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    data: {
+      type: Buffer,
+      required: true
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 3 * 24 * 60 * 60
+    }
+  },
+  { versionKey: false }
+);
+
+export default mongoose.model("ContactImportFile", contactImportFileSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Named static list of contacts; membership lives on Contact.lists
+const contactListSchema = new mongoose.Schema(
+  {
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* =========================
+   INDEXES (USER ISOLATION)
+========================= */
+contactListSchema.index({ ownerUserId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("ContactList", contactListSchema);
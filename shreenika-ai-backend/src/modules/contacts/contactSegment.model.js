@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Saved contact filter; rules are evaluated on use (see contact-audience.service.js)
+const contactSegmentSchema = new mongoose.Schema(
+  {
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+
+    // "all": every rule must match / "any": at least one
+    match: {
+      type: String,
+      enum: ["all", "any"],
+      default: "all"
+    },
+
+    rules: [
+      {
+        _id: false,
+        // status | tag | list | lastCallOutcome | createdAt | customFields.<key>
+        field: {
+          type: String,
+          required: true
+        },
+        operator: {
+          type: String,
+          required: true
+        },
+        value: mongoose.Schema.Types.Mixed
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* =========================
+   INDEXES (USER ISOLATION)
+========================= */
+contactSegmentSchema.index({ ownerUserId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("ContactSegment", contactSegmentSchema);
@@ -0,0 +1,181 @@
+import DncEntry from "./dnc.model.js";
+import CallLog from "../call/callLog.model.js";
+import {
+  toPhoneKey,
+  findDncEntry,
+  upsertDncEntry,
+  importDncCsvService
+} from "./dnc.service.js";
+import { parsePhone, getPhoneCountry } from "../../utils/phone.js";
+
+/* =========================
+   LIST ENTRIES (SEARCH / FILTER / PAGINATE)
+========================= */
+export const listDncEntries = async (req, res) => {
+  try {
+    const { search, status, source, page = 1, limit = 50 } = req.query;
+    const query = { userId: req.user._id };
+
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (search) {
+      const key = toPhoneKey(search, getPhoneCountry(req.user));
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.$or = [
+        { phoneNumber: { $regex: pattern, $options: "i" } },
+        { notes: { $regex: pattern, $options: "i" } },
+        ...(key ? [{ phoneKey: key }] : [])
+      ];
+    }
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit)));
+
+    const [entries, total] = await Promise.all([
+      DncEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      DncEntry.countDocuments(query)
+    ]);
+
+    return res.json({ entries, total, page: pageNum, limit: limitNum });
+  } catch (err) {
+    console.error("LIST DNC ERROR:", err);
+    return res.status(500).json({ error: "Unable to fetch DNC list" });
+  }
+};
+
+/* =========================
+   ADD / UPDATE ENTRY (opt-out or consent)
+========================= */
+export const addDncEntry = async (req, res) => {
+  try {
+    const { phoneNumber, status, reason, notes } = req.body;
+
+    const country = getPhoneCountry(req.user);
+    const parsed = parsePhone(phoneNumber, country);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const entry = await upsertDncEntry(req.user._id, phoneNumber, {
+      country,
+      status,
+      reason,
+      notes,
+      source: req.headers["x-api-key"] ? "api" : "manual"
+    });
+
+    return res.status(201).json(entry);
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("ADD DNC ERROR:", err);
+    return res.status(500).json({ error: "Unable to save DNC entry" });
+  }
+};
+
+/* =========================
+   REMOVE ENTRY
+========================= */
+export const removeDncEntry = async (req, res) => {
+  try {
+    const deleted = await DncEntry.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: "DNC entry not found" });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("REMOVE DNC ERROR:", err);
+    return res.status(500).json({ error: "Unable to remove DNC entry" });
+  }
+};
+
+/* =========================
+   CHECK A NUMBER
+========================= */
+export const checkDncNumber = async (req, res) => {
+  try {
+    const { phone } = req.query;
+
+    const country = getPhoneCountry(req.user);
+    if (!phone || !toPhoneKey(phone, country)) {
+      return res.status(400).json({ error: "A valid phone query parameter is required" });
+    }
+
+    const entry = await findDncEntry(req.user._id, phone, country);
+
+    return res.json({
+      phone,
+      blocked: !!entry,
+      entry: entry || null
+    });
+  } catch (err) {
+    console.error("CHECK DNC ERROR:", err);
+    return res.status(500).json({ error: "Unable to check number" });
+  }
+};
+
+/* =========================
+   IMPORT CSV
+========================= */
+export const importDncCSV = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "CSV file is required" });
+    }
+
+    const result = await importDncCsvService(req.user._id, req.file.path, getPhoneCountry(req.user));
+
+    return res.json({
+      message: `${result.imported} numbers added to the DNC list`,
+      ...result
+    });
+  } catch (err) {
+    console.error("IMPORT DNC ERROR:", err);
+    return res.status(500).json({ error: "DNC import failed" });
+  }
+};
+
+/* =========================
+   DASHBOARD STATS
+========================= */
+export const getDncStats = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [byStatus, bySource, blockedLast30Days] = await Promise.all([
+      DncEntry.aggregate([
+        { $match: { userId } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ]),
+      DncEntry.aggregate([
+        { $match: { userId, status: "OPTED_OUT" } },
+        { $group: { _id: "$source", count: { $sum: 1 } } }
+      ]),
+      CallLog.countDocuments({ userId, event: "BLOCKED_DNC", timestamp: { $gte: since } })
+    ]);
+
+    const toMap = (rows) => Object.fromEntries(rows.map((r) => [r._id, r.count]));
+    const statusCounts = toMap(byStatus);
+
+    return res.json({
+      optedOut: statusCounts.OPTED_OUT || 0,
+      optedIn: statusCounts.OPTED_IN || 0,
+      optedOutBySource: toMap(bySource),
+      blockedLast30Days
+    });
+  } catch (err) {
+    console.error("DNC STATS ERROR:", err);
+    return res.status(500).json({ error: "Unable to fetch DNC stats" });
+  }
+};
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+/**
+ * Do-Not-Call / consent registry entry (per tenant, per phone number)
+ * OPTED_OUT blocks every dial path; OPTED_IN records explicit consent to be called.
+ */
+const dncEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    // Match key: E.164 form of the number (see dnc.service.js toPhoneKey)
+    phoneKey: {
+      type: String,
+      required: true
+    },
+
+    // Canonical E.164 form of the number
+    phoneNumber: {
+      type: String,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ["OPTED_OUT", "OPTED_IN"],
+      default: "OPTED_OUT",
+      index: true
+    },
+
+    reason: {
+      type: String,
+      enum: ["caller_request", "not_interested", "complaint", "regulatory", "manual", "consent_given"],
+      default: "manual"
+    },
+
+    source: {
+      type: String,
+      enum: ["manual", "csv", "api", "call_outcome"],
+      default: "manual"
+    },
+
+    // Call that produced the entry (auto opt-outs)
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Call"
+    },
+
+    // How/when consent or opt-out was captured
+    capturedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    notes: String
+  },
+  { timestamps: true }
+);
+
+dncEntrySchema.index({ userId: 1, phoneKey: 1 }, { unique: true });
+dncEntrySchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("DncEntry", dncEntrySchema);
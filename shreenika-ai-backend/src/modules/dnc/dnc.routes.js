@@ -0,0 +1,35 @@
+import express from "express";
+import { requireAuth } from "../auth/auth.middleware.js";
+import upload from "../../middlewares/csvUpload.middleware.js";
+import {
+  listDncEntries,
+  addDncEntry,
+  removeDncEntry,
+  checkDncNumber,
+  importDncCSV,
+  getDncStats
+} from "./dnc.controller.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/* =========================
+   DASHBOARD
+========================= */
+router.get("/stats", getDncStats);
+router.get("/check", checkDncNumber);
+
+/* =========================
+   ENTRIES
+========================= */
+router.get("/", listDncEntries);
+router.post("/", addDncEntry);
+router.delete("/:id", removeDncEntry);
+
+/* =========================
+   IMPORT (CSV)
+========================= */
+router.post("/import", upload.single("file"), importDncCSV);
+
+export default router;
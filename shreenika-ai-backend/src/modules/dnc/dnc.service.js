@@ -0,0 +1,148 @@
+import fs from "fs";
+import csv from "csv-parser";
+import DncEntry from "./dnc.model.js";
+import CallLog from "../call/callLog.model.js";
+import User from "../auth/user.model.js";
+import { parsePhone, getPhoneCountry } from "../../utils/phone.js";
+
+/* =========================
+   PHONE MATCH KEY
+   Numbers arrive as +91XXXXXXXXXX, 0XXXXXXXXXX, XXXXXXXXXX...
+   The full E.164 form identifies the subscriber (national formats are read in the tenant's country)
+========================= */
+export const toPhoneKey = (phone, country) => {
+  const parsed = parsePhone(phone, country);
+  return parsed.valid ? parsed.e164 : null;
+};
+
+/* =========================
+   LOOKUP
+========================= */
+export const findDncEntry = async (userId, phone, country) => {
+  const phoneKey = toPhoneKey(phone, country);
+  if (!phoneKey) return null;
+
+  return DncEntry.findOne({ userId, phoneKey, status: "OPTED_OUT" });
+};
+
+/* =========================
+   ADD / UPDATE (upsert per number)
+========================= */
+export const upsertDncEntry = async (userId, phone, options = {}) => {
+  const parsed = parsePhone(phone, options.country);
+  if (!parsed.valid) {
+    throw new Error(parsed.error);
+  }
+  const phoneKey = parsed.e164;
+
+  const {
+    status = "OPTED_OUT",
+    reason = status === "OPTED_IN" ? "consent_given" : "manual",
+    source = "manual",
+    callId,
+    notes
+  } = options;
+
+  return DncEntry.findOneAndUpdate(
+    { userId, phoneKey },
+    {
+      $set: {
+        phoneNumber: parsed.e164,
+        status,
+        reason,
+        source,
+        capturedAt: new Date(),
+        ...(callId && { callId }),
+        ...(notes !== undefined && { notes })
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/* =========================
+   DIAL-TIME GUARD
+   Returns the blocking entry (and logs BLOCKED_DNC) or null if the number may be dialed
+   A campaign lead is logged once, even when a resumed campaign checks it again
+========================= */
+export const checkDncBeforeDial = async ({ userId, phone, country, callId, campaignId, leadId, leadName, source }) => {
+  const entry = await findDncEntry(userId, phone, country);
+  if (!entry) return null;
+
+  console.warn(`🚫 [DNC] Blocked dial to ${phone} for user ${userId} (${entry.reason}, via ${source})`);
+
+  if (campaignId && leadId && await CallLog.exists({ campaignId, leadId, event: "BLOCKED_DNC" })) {
+    return entry;
+  }
+
+  await CallLog.create({
+    callId,
+    campaignId,
+    userId,
+    leadId,
+    leadName,
+    phoneNumber: phone,
+    event: "BLOCKED_DNC",
+    details: `Dial blocked: number is on the Do-Not-Call list (${entry.reason})`,
+    data: { dncEntryId: entry._id, dialPath: source }
+  }).catch((err) => console.error("❌ Failed to log BLOCKED_DNC:", err.message));
+
+  return entry;
+};
+
+/* =========================
+   IMPORT CSV
+   Columns: phone (or phoneNumber/number), optional reason, notes
+========================= */
+export const importDncCsvService = (userId, filePath, country) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("data", (data) => rows.push(data))
+      .on("error", reject)
+      .on("end", async () => {
+        fs.unlink(filePath, () => {}); // cleanup temp file
+
+        let imported = 0;
+        const errors = [];
+
+        for (const [index, row] of rows.entries()) {
+          const phone = row.phone || row.Phone || row.phoneNumber || row.number;
+          try {
+            await upsertDncEntry(userId, phone, {
+              reason: row.reason || "manual",
+              source: "csv",
+              notes: row.notes,
+              country
+            });
+            imported++;
+          } catch (err) {
+            // Row numbers are 1-based and skip the header line
+            errors.push({ row: index + 2, phone: phone || null, error: err.message });
+          }
+        }
+
+        resolve({ imported, failed: errors.length, errors });
+      });
+  });
+};
+
+/* =========================
+   AUTO OPT-OUT FROM CALL OUTCOME
+========================= */
+export const optOutFromCall = async (call, reason) => {
+  if (!call?.userId || !call.phoneNumber) return null;
+
+  const owner = await User.findById(call.userId).select("defaultPhoneCountry").lean();
+  const entry = await upsertDncEntry(call.userId, call.phoneNumber, {
+    reason,
+    source: "call_outcome",
+    callId: call._id,
+    country: getPhoneCountry(owner)
+  });
+
+  console.log(`🚫 [DNC] ${call.phoneNumber} added to DNC list from call ${call._id} (${reason})`);
+  return entry;
+};
@@ -0,0 +1,299 @@
+/**
+ * Knowledge Index Service
+ * Retrieval-augmented knowledge base for live calls
+ *
+ * Ingestion: Knowledge.rawText → overlapping chunks → Gemini embeddings → KnowledgeChunk
+ * Retrieval: embed the question, rank the agent's chunks by cosine similarity, return top-k
+ *
+ * Search uses Atlas Vector Search when KNOWLEDGE_VECTOR_INDEX is set (see knowledgeChunk.model.js),
+ * otherwise an in-process scan of the agent's chunks, cached per agent so a live-call lookup
+ * costs one embedding request.
+ *
+ * Only the top passages reach the model (search_knowledge tool in agent-tools.service.js),
+ * so large document sets no longer inflate the system instruction.
+ */
+
+import mongoose from 'mongoose';
+import { TaskType } from '@google/generative-ai';
+import Knowledge from './knowledge.model.js';
+import KnowledgeChunk from './knowledgeChunk.model.js';
+import { getGeminiClient } from '../../config/google.client.js';
+
+const EMBEDDING_MODEL = 'text-embedding-004';
+const CHUNK_CHARS = parseInt(process.env.KNOWLEDGE_CHUNK_CHARS) || 1200;
+const CHUNK_OVERLAP_CHARS = 200;
+// batchEmbedContents accepts at most 100 requests
+const EMBED_BATCH_SIZE = 100;
+
+const DEFAULT_TOP_K = 4;
+// Below this cosine similarity a passage is noise, not an answer
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.5;
+
+// Per-agent chunk cache for the in-process search
+const AGENT_CACHE_TTL_MS = 5 * 60 * 1000;
+const agentChunkCache = new Map(); // agentId → { loadedAt, chunks }
+
+/* =========================
+   CHUNKING
+========================= */
+
+/**
+ * Split text into overlapping chunks on paragraph / sentence boundaries
+ * @param {string} text - Document text
+ * @param {Object} options - { chunkChars, overlapChars }
+ * @returns {string[]}
+ */
+export const chunkText = (text, { chunkChars = CHUNK_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}) => {
+  const clean = (text || '').replace(/\r\n/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  if (!clean) return [];
+
+  // Paragraphs, then sentences for paragraphs that are too long on their own
+  const pieces = [];
+  for (const paragraph of clean.split(/\n\n/)) {
+    if (paragraph.length <= chunkChars) {
+      pieces.push(paragraph);
+      continue;
+    }
+    for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+      for (let i = 0; i < sentence.length; i += chunkChars) {
+        pieces.push(sentence.slice(i, i + chunkChars));
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > chunkChars) {
+      chunks.push(current.trim());
+      // Carry the tail over so answers spanning a boundary stay retrievable
+      current = current.slice(-overlapChars);
+    }
+    current += (current ? '\n' : '') + piece;
+  }
+  if (current.trim()) chunks.push(current.trim());
+
+  return chunks;
+};
+
+/* =========================
+   EMBEDDINGS
+========================= */
+
+/**
+ * Embed texts with the Gemini embedding model
+ * @param {string[]} texts
+ * @param {string} taskType - TaskType.RETRIEVAL_DOCUMENT | TaskType.RETRIEVAL_QUERY
+ * @returns {Promise<number[][]>}
+ */
+export const embedTexts = async (texts, taskType = TaskType.RETRIEVAL_DOCUMENT) => {
+  const { embedding } = getGeminiClient();
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+    const result = await embedding.batchEmbedContents({
+      requests: batch.map((text) => ({
+        content: { role: 'user', parts: [{ text }] },
+        taskType
+      }))
+    });
+    vectors.push(...result.embeddings.map((e) => e.values));
+  }
+
+  return vectors;
+};
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+
+const cosineSimilarity = (a, aNorm, b, bNorm) => {
+  if (!aNorm || !bNorm) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot / (aNorm * bNorm);
+};
+
+/* =========================
+   INGESTION
+========================= */
+
+/**
+ * Drop cached chunks for an agent after its index changes
+ * @param {string} agentId
+ */
+export const invalidateAgentKnowledge = (agentId) => {
+  if (agentId) agentChunkCache.delete(agentId.toString());
+};
+
+/**
+ * (Re)build the chunk index of one Knowledge document
+ * @param {string} knowledgeId
+ * @returns {Promise<Object>} - { success, chunkCount?, error? }
+ */
+export const indexKnowledgeDoc = async (knowledgeId) => {
+  const doc = await Knowledge.findByIdAndUpdate(
+    knowledgeId,
+    { $set: { indexStatus: 'INDEXING', indexError: null } },
+    { new: true }
+  );
+  if (!doc) return { success: false, error: 'Document not found' };
+
+  try {
+    const chunks = chunkText(doc.rawText);
+    if (chunks.length === 0) {
+      throw new Error('Document has no text to index');
+    }
+
+    // Prefix the title so short passages keep their context
+    const vectors = await embedTexts(chunks.map((text) => `${doc.title || ''}\n${text}`.trim()));
+
+    await KnowledgeChunk.deleteMany({ knowledgeId: doc._id });
+    await KnowledgeChunk.insertMany(chunks.map((text, index) => ({
+      userId: doc.userId,
+      agentId: doc.agentId,
+      knowledgeId: doc._id,
+      title: doc.title,
+      index,
+      text,
+      embedding: vectors[index],
+      embeddingModel: EMBEDDING_MODEL
+    })));
+
+    const centroid = vectors[0].map((_, d) => vectors.reduce((sum, v) => sum + v[d], 0) / vectors.length);
+
+    await Knowledge.updateOne(
+      { _id: doc._id },
+      { $set: { indexStatus: 'READY', chunkCount: chunks.length, indexedAt: new Date(), embedding: centroid } }
+    );
+    invalidateAgentKnowledge(doc.agentId);
+
+    console.log(`📚 [Knowledge] Indexed ${doc._id}: ${chunks.length} chunks`);
+    return { success: true, chunkCount: chunks.length };
+  } catch (err) {
+    console.error(`❌ [Knowledge] Indexing failed for ${doc._id}: ${err.message}`);
+    await Knowledge.updateOne(
+      { _id: doc._id },
+      { $set: { indexStatus: 'FAILED', indexError: err.message } }
+    );
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Remove a document's chunks
+ * @param {Knowledge} doc - Knowledge document (needs _id, agentId)
+ */
+export const removeKnowledgeIndex = async (doc) => {
+  await KnowledgeChunk.deleteMany({ knowledgeId: doc._id });
+  invalidateAgentKnowledge(doc.agentId);
+};
+
+/**
+ * True if the agent has searchable knowledge
+ * @param {string} agentId
+ * @returns {Promise<boolean>}
+ */
+export const hasIndexedKnowledge = async (agentId) =>
+  !!(await Knowledge.exists({ agentId, indexStatus: 'READY' }));
+
+/* =========================
+   RETRIEVAL
+========================= */
+
+/**
+ * Load (or reuse) an agent's chunks for the in-process search
+ * @private
+ */
+const getAgentChunks = async (agentId) => {
+  const key = agentId.toString();
+  const cached = agentChunkCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < AGENT_CACHE_TTL_MS) {
+    return cached.chunks;
+  }
+
+  const rows = await KnowledgeChunk.find({ agentId })
+    .select('knowledgeId title text embedding')
+    .lean();
+  const chunks = rows.map((row) => ({
+    knowledgeId: row.knowledgeId,
+    title: row.title,
+    text: row.text,
+    embedding: row.embedding,
+    norm: norm(row.embedding)
+  }));
+
+  agentChunkCache.set(key, { loadedAt: Date.now(), chunks });
+  return chunks;
+};
+
+/**
+ * Atlas Vector Search
+ * @private
+ */
+const vectorSearch = async (agentId, queryVector, topK) => {
+  const rows = await KnowledgeChunk.aggregate([
+    {
+      $vectorSearch: {
+        index: process.env.KNOWLEDGE_VECTOR_INDEX,
+        path: 'embedding',
+        queryVector,
+        numCandidates: topK * 20,
+        limit: topK,
+        filter: { agentId: new mongoose.Types.ObjectId(agentId.toString()) }
+      }
+    },
+    { $project: { knowledgeId: 1, title: 1, text: 1, score: { $meta: 'vectorSearchScore' } } }
+  ]);
+  // vectorSearchScore for cosine is (1 + cosine) / 2
+  return rows.map((row) => ({ ...row, score: row.score * 2 - 1 }));
+};
+
+/**
+ * Find the passages of an agent's knowledge base that best answer a question
+ * @param {string} agentId
+ * @param {string} query - Caller's question
+ * @param {Object} options - { topK, minScore }
+ * @returns {Promise<Array>} - [{ knowledgeId, title, text, score }]
+ */
+export const searchKnowledge = async (agentId, query, { topK = DEFAULT_TOP_K, minScore = MIN_SCORE } = {}) => {
+  const question = (query || '').toString().trim();
+  if (!question) return [];
+
+  const [queryVector] = await embedTexts([question], TaskType.RETRIEVAL_QUERY);
+
+  let results = null;
+  if (process.env.KNOWLEDGE_VECTOR_INDEX) {
+    try {
+      results = await vectorSearch(agentId, queryVector, topK);
+    } catch (err) {
+      console.warn(`⚠️ [Knowledge] Vector search unavailable, using in-process search: ${err.message}`);
+    }
+  }
+
+  if (!results) {
+    const queryNorm = norm(queryVector);
+    results = (await getAgentChunks(agentId))
+      .map((chunk) => ({
+        knowledgeId: chunk.knowledgeId,
+        title: chunk.title,
+        text: chunk.text,
+        score: cosineSimilarity(queryVector, queryNorm, chunk.embedding, chunk.norm)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  return results
+    .filter((r) => r.score >= minScore)
+    .map((r) => ({ ...r, score: Math.round(r.score * 1000) / 1000 }));
+};
+
+export default {
+  chunkText,
+  embedTexts,
+  indexKnowledgeDoc,
+  removeKnowledgeIndex,
+  invalidateAgentKnowledge,
+  hasIndexedKnowledge,
+  searchKnowledge
+};
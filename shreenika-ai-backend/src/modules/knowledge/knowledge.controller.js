@@ -7,6 +7,7 @@ const require = createRequire(import.meta.url);
 const pdfParse = require("pdf-parse");
 import Knowledge from "./knowledge.model.js";
 import Agent from "../agent/agent.model.js";
+import { indexKnowledgeDoc, removeKnowledgeIndex } from "./knowledge-index.service.js";
 
 /**
  * Extract text from a file based on its type
@@ -175,6 +176,11 @@ export const uploadKnowledgeFile = async (req, res) => {
 
     console.log(`✅ Knowledge saved: ${doc._id} (${extractedText.length} chars, ${extractedText.split(/\s+/).length} words)`);
 
+    // Chunk + embed in the background; the document is searchable once indexStatus is READY
+    indexKnowledgeDoc(doc._id).catch((err) =>
+      console.error(`❌ Knowledge indexing error for ${doc._id}:`, err.message)
+    );
+
     // If agentId provided, link this doc to the agent's knowledgeBase array
     if (agentId) {
       await Agent.findByIdAndUpdate(agentId, {
@@ -202,6 +208,7 @@ export const uploadKnowledgeFile = async (req, res) => {
       charCount: extractedText.length,
       wordCount: extractedText.split(/\s+/).length,
       status: "synced",
+      indexStatus: "INDEXING",
       createdAt: doc.createdAt
     });
   } catch (err) {
@@ -224,7 +231,7 @@ export const listKnowledge = async (req, res) => {
     if (req.query.agentId) filter.agentId = req.query.agentId;
 
     const docs = await Knowledge.find(filter)
-      .select("title sourceType meta createdAt agentId")
+      .select("title sourceType meta createdAt agentId indexStatus chunkCount indexError")
       .sort({ createdAt: -1 });
 
     res.json(docs.map(d => ({
@@ -237,6 +244,9 @@ export const listKnowledge = async (req, res) => {
       fileSize: d.meta?.fileSize || 0,
       agentId: d.agentId,
       status: "synced",
+      indexStatus: d.indexStatus || "PENDING",
+      chunkCount: d.chunkCount || 0,
+      indexError: d.indexError || null,
       createdAt: d.createdAt
     })));
   } catch (err) {
@@ -273,6 +283,7 @@ export const deleteKnowledge = async (req, res) => {
       { $pull: { knowledgeBase: { id: doc._id.toString() } } }
     );
 
+    await removeKnowledgeIndex(doc);
     await Knowledge.findByIdAndDelete(doc._id);
 
     console.log(`🗑️ Knowledge deleted: ${doc._id}`);
@@ -283,6 +294,56 @@ export const deleteKnowledge = async (req, res) => {
   }
 };
 
+/**
+ * Rebuild the retrieval index of a knowledge document
+ * POST /knowledge/:id/reindex
+ */
+export const reindexKnowledge = async (req, res) => {
+  try {
+    const doc = await Knowledge.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select("_id");
+
+    if (!doc) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const result = await indexKnowledgeDoc(doc._id);
+    if (!result.success) {
+      return res.status(422).json({ error: "Indexing failed: " + result.error });
+    }
+
+    res.json({ success: true, indexStatus: "READY", chunkCount: result.chunkCount });
+  } catch (err) {
+    console.error("❌ Reindex knowledge error:", err.message);
+    res.status(500).json({ error: "Failed to reindex document" });
+  }
+};
+
+/**
+ * Index every document of the user that is not searchable yet (e.g. uploaded before retrieval existed)
+ * POST /knowledge/reindex
+ */
+export const reindexPendingKnowledge = async (req, res) => {
+  try {
+    const docs = await Knowledge.find({
+      userId: req.user.id,
+      indexStatus: { $ne: "READY" }
+    }).select("_id");
+
+    res.json({ success: true, queued: docs.length });
+
+    // One document at a time keeps embedding requests under the API rate limit
+    for (const doc of docs) {
+      await indexKnowledgeDoc(doc._id);
+    }
+  } catch (err) {
+    console.error("❌ Reindex pending knowledge error:", err.message);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to reindex documents" });
+  }
+};
+
 /**
  * Get full text of a knowledge document (for agent training injection)
  * GET /knowledge/:id/content
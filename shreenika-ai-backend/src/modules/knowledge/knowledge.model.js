@@ -25,11 +25,23 @@ const knowledgeSchema = new mongoose.Schema(
 
     rawText: { type: String },
 
+    // Document centroid (mean of its chunk embeddings) - passages live in KnowledgeChunk
     embedding: {
-      type: [Number], // OpenAI embedding vector
+      type: [Number],
       index: false
     },
 
+    // Retrieval indexing (knowledge-index.service.js)
+    indexStatus: {
+      type: String,
+      enum: ["PENDING", "INDEXING", "READY", "FAILED"],
+      default: "PENDING",
+      index: true
+    },
+    chunkCount: { type: Number, default: 0 },
+    indexedAt: { type: Date },
+    indexError: { type: String },
+
     meta: {
       type: Object
     }
@@ -6,7 +6,9 @@ import {
   listKnowledge,
   deleteKnowledge,
   getKnowledgeContent,
-  getAgentKnowledgeContent
+  getAgentKnowledgeContent,
+  reindexKnowledge,
+  reindexPendingKnowledge
 } from "./knowledge.controller.js";
 
 const router = express.Router();
@@ -15,6 +17,8 @@ router.use(requireAuth);
 
 router.post("/upload", upload.single("file"), uploadKnowledgeFile);
 router.get("/", listKnowledge);
+router.post("/reindex", reindexPendingKnowledge);
+router.post("/:id/reindex", reindexKnowledge);
 router.delete("/:id", deleteKnowledge);
 router.get("/:id/content", getKnowledgeContent);
 router.get("/agent/:agentId/content", getAgentKnowledgeContent);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+/**
+ * A retrievable passage of a Knowledge document with its embedding
+ * Written by knowledge-index.service.js; searched during live calls (search_knowledge tool)
+ *
+ * Optional Atlas Vector Search index (set KNOWLEDGE_VECTOR_INDEX to its name):
+ * { "fields": [
+ *   { "type": "vector", "path": "embedding", "numDimensions": 768, "similarity": "cosine" },
+ *   { "type": "filter", "path": "agentId" }
+ * ] }
+ */
+const knowledgeChunkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agent",
+      index: true
+    },
+
+    knowledgeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Knowledge",
+      required: true,
+      index: true
+    },
+
+    // Denormalized so search results can cite their source
+    title: { type: String },
+
+    // Position of the chunk within the document
+    index: { type: Number, required: true },
+
+    text: { type: String, required: true },
+
+    embedding: {
+      type: [Number],
+      required: true
+    },
+
+    embeddingModel: { type: String }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("KnowledgeChunk", knowledgeChunkSchema);
@@ -1,19 +1,93 @@
-import Lead from "./lead.model.js";
+import mongoose from "mongoose";
+import Contact from "../contacts/contact.model.js";
+import ContactList from "../contacts/contactList.model.js";
+import ContactActivity from "../contacts/contactActivity.model.js";
+import { normalizeLegacyStatus } from "../contacts/contact-status.service.js";
 import { webhookEmitter } from "../webhook/webhook.emitter.js";
+import { parsePhone, getPhoneCountry } from "../../utils/phone.js";
+
+/*
+ * /leads is kept for existing clients. Leads are contacts: every route
+ * reads and writes the Contact collection (see contacts/contact.model.js).
+ */
+
+// Former Lead JSON shape: id instead of _id, no owner
+const toLeadJSON = (contact) => {
+  const { _id, __v, ownerUserId, ...rest } = contact.toJSON();
+  return { ...rest, id: _id.toString() };
+};
+
+// Fields a client may set; owner, source, lastCall and archive state are server-managed
+const LEAD_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "company",
+  "address",
+  "status",
+  "customFields",
+  "tags",
+  "lists"
+];
+
+/**
+ * Validate a create/update body against the lead fields
+ * Phone is normalized to E.164, legacy statuses ("New", "Not Interested") are mapped
+ * and list ids must be the user's own lists
+ * @returns {Promise<Object>} - { data, error } - data holds only fields present in the body
+ */
+const parseLeadBody = async (body, user) => {
+  const data = {};
+  for (const field of LEAD_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  if (data.phone !== undefined) {
+    const parsed = parsePhone(data.phone, getPhoneCountry(user));
+    if (!parsed.valid) return { error: parsed.error };
+    data.phone = parsed.e164;
+  }
+
+  if (data.status !== undefined) {
+    const status = normalizeLegacyStatus(data.status);
+    if (!status) return { error: `Unknown status: ${data.status}` };
+    data.status = status;
+  }
+
+  if (data.lists !== undefined) {
+    const listIds = Array.isArray(data.lists) ? [...new Set(data.lists.map(String))] : null;
+    if (!listIds || !listIds.every((id) => mongoose.isValidObjectId(id))) {
+      return { error: "lists must be an array of list ids" };
+    }
+    const owned = await ContactList.countDocuments({ _id: { $in: listIds }, ownerUserId: user._id });
+    if (owned !== listIds.length) return { error: "Contact list not found" };
+    data.lists = listIds;
+  }
+
+  return { data, error: null };
+};
 
 export const createLead = async (req, res) => {
   try {
-    const lead = await Lead.create({
-      userId: req.user._id,
-      ...req.body
+    const { data, error } = await parseLeadBody({ ...req.body, phone: req.body.phone ?? "" }, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const lead = await Contact.create({
+      ...data,
+      source: "api",
+      ownerUserId: req.user._id
     });
 
-    // Trigger webhook event
+    // Trigger webhook events
     webhookEmitter.onLeadCreated(req.user._id, lead.toObject()).catch((err) =>
       console.error("❌ Webhook error:", err.message)
     );
+    webhookEmitter.onContactCreated(req.user._id, lead.toObject()).catch((err) =>
+      console.error("❌ Webhook error:", err.message)
+    );
 
-    res.json(lead);
+    res.json(toLeadJSON(lead));
   } catch (err) {
     console.error("Create lead error:", err);
     res.status(500).json({ error: err.message });
@@ -22,8 +96,8 @@ export const createLead = async (req, res) => {
 
 export const listLeads = async (req, res) => {
   try {
-    const leads = await Lead.find({ userId: req.user._id }).sort({ createdAt: -1 });
-    res.json(leads);
+    const leads = await Contact.find({ ownerUserId: req.user._id }).sort({ createdAt: -1 });
+    res.json(leads.map(toLeadJSON));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -31,9 +105,9 @@ export const listLeads = async (req, res) => {
 
 export const getLead = async (req, res) => {
   try {
-    const lead = await Lead.findOne({ _id: req.params.id, userId: req.user._id });
+    const lead = await Contact.findOne({ _id: req.params.id, ownerUserId: req.user._id });
     if (!lead) return res.status(404).json({ error: "Not found" });
-    res.json(lead);
+    res.json(toLeadJSON(lead));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -41,19 +115,22 @@ export const getLead = async (req, res) => {
 
 export const updateLead = async (req, res) => {
   try {
-    const lead = await Lead.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
-      req.body,
-      { new: true }
+    const { data: update, error } = await parseLeadBody(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const lead = await Contact.findOneAndUpdate(
+      { _id: req.params.id, ownerUserId: req.user._id },
+      update,
+      { new: true, runValidators: true }
     );
     if (!lead) return res.status(404).json({ error: "Not found" });
 
     // Trigger webhook event for updated lead
-    webhookEmitter.onLeadUpdated(req.user._id, lead.toObject(), Object.keys(req.body)).catch((err) =>
+    webhookEmitter.onLeadUpdated(req.user._id, lead.toObject(), Object.keys(update)).catch((err) =>
       console.error("❌ Webhook error:", err.message)
     );
 
-    res.json(lead);
+    res.json(toLeadJSON(lead));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -61,9 +138,12 @@ export const updateLead = async (req, res) => {
 
 export const deleteLead = async (req, res) => {
   try {
-    await Lead.deleteOne({ _id: req.params.id, userId: req.user._id });
+    const deleted = await Contact.findOneAndDelete({ _id: req.params.id, ownerUserId: req.user._id });
+    if (deleted) {
+      await ContactActivity.deleteMany({ ownerUserId: req.user._id, contactId: deleted._id });
+    }
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
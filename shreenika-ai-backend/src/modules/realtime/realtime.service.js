@@ -0,0 +1,279 @@
+/**
+ * Realtime Service
+ * Tenant-scoped Socket.IO: authenticated handshake, per-user / per-campaign / per-call rooms
+ *
+ * Handshake (either):
+ * - JWT:     io(url, { auth: { token } })   or   Authorization: Bearer <jwt>
+ * - API key: io(url, { auth: { apiKey } })  or   x-api-key: <key>   (key needs at least one scope of
+ *            EVENT_SCOPES; expiry, IP allow-list and rate limit apply as on REST, and the connection is logged)
+ *
+ * Rooms:
+ * - user:<userId>         JWT connections, joined automatically; every event for the tenant
+ * - user:<userId>:<scope> API key connections, one per scope the key carries; only events of
+ *                         that scope (EVENT_SCOPES) - a calls:read key gets no import or usage events
+ * - campaign:<campaignId> "campaign:subscribe" { campaignId } - one campaign's events only
+ * - call:<callId>         "call:subscribe" { callId } - live transcript / call control of one call
+ *                         (API keys need calls:read to subscribe to either)
+ *
+ * Never emit on the bare io instance: use emitToUser / emitToCampaign / emitToCall
+ * with an event from REALTIME_EVENTS so payloads only reach the owning tenant.
+ */
+
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../auth/user.model.js';
+import Call from '../call/call.model.js';
+import Campaign from '../call/campaign.model.js';
+import { checkApiKey, hasScope, logApiKeyRequest } from '../apikey/apikey.middleware.js';
+import { getClientIp } from '../../utils/client-ip.js';
+
+/**
+ * Event catalogue - everything the server pushes to clients
+ */
+export const REALTIME_EVENTS = {
+  // Calls (user room + call room)
+  CALL_STARTED: 'call:started',             // { userId, callId, phone }
+  CALL_UPDATED: 'call:updated',             // { userId, callId, status, leadName?, duration?, campaignId? }
+  CALL_STATUS_UPDATE: 'call:status-update', // call control timers (call room only)
+  CALL_ENDED: 'call:ended',                 // { callId, reason, duration, metrics }
+  CALL_TRANSCRIPT: 'call:transcript',       // { userId, callId, turn }
+
+  // Campaigns (user room + campaign room)
+  CAMPAIGN_STARTED: 'campaign:started',
+  CAMPAIGN_WAITING: 'campaign:waiting',
+  CAMPAIGN_PROGRESS: 'campaign:progress',
+  CAMPAIGN_PAUSED: 'campaign:paused',
+  CAMPAIGN_RESUMED: 'campaign:resumed',
+  CAMPAIGN_STOPPED: 'campaign:stopped',
+  CAMPAIGN_COMPLETED: 'campaign:completed',
+  CAMPAIGN_FAILED: 'campaign:failed',
+
+  // Contact imports (user room)
+  CONTACT_IMPORT_PROGRESS: 'contact-import:progress', // { importId, status, totalRows, processedRows, created, merged, skipped, failed }
+  CONTACT_IMPORT_FINISHED: 'contact-import:finished', // same payload; status COMPLETED | FAILED (+ error)
+
+  // Webhooks (user room)
+  WEBHOOK_DISABLED: 'webhook:disabled',     // { webhookId, name, url, reason } - auto-disabled after repeated failures
+
+  // Billing (user room)
+  USAGE_ALERT: 'usage:alert'                // { userId, level, metric, used, limit, percent }
+};
+
+// API key scope needed to receive each tenant event (unlisted: JWT connections only)
+const EVENT_SCOPES = {
+  [REALTIME_EVENTS.CALL_STARTED]: 'calls:read',
+  [REALTIME_EVENTS.CALL_UPDATED]: 'calls:read',
+  [REALTIME_EVENTS.CALL_STATUS_UPDATE]: 'calls:read',
+  [REALTIME_EVENTS.CALL_ENDED]: 'calls:read',
+  [REALTIME_EVENTS.CALL_TRANSCRIPT]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_STARTED]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_WAITING]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_PROGRESS]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_PAUSED]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_RESUMED]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_STOPPED]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_COMPLETED]: 'calls:read',
+  [REALTIME_EVENTS.CAMPAIGN_FAILED]: 'calls:read',
+  [REALTIME_EVENTS.CONTACT_IMPORT_PROGRESS]: 'contacts:read',
+  [REALTIME_EVENTS.CONTACT_IMPORT_FINISHED]: 'contacts:read',
+  [REALTIME_EVENTS.USAGE_ALERT]: 'usage:read'
+};
+const REALTIME_SCOPES = [...new Set(Object.values(EVENT_SCOPES))];
+
+const userRoom = (userId) => `user:${userId}`;
+const scopedUserRoom = (userId, scope) => `user:${userId}:${scope}`;
+const campaignRoom = (campaignId) => `campaign:${campaignId}`;
+const callRoom = (callId) => `call:${callId}`;
+
+let ioInstance = null;
+
+/* =========================
+   HANDSHAKE AUTH
+========================= */
+
+/**
+ * Resolve a user from a JWT or an API key
+ * Shared with raw WebSocket endpoints (e.g. supervisor monitoring). An API key gets the
+ * same checks as a REST request (checkApiKey) and the connection goes in its request log.
+ * @param {Object} credentials - { token, apiKey, scope, ip, path }
+ *   scope: scope an API key must carry, or a list of which it needs any one (default: any realtime scope)
+ *   ip: client address (getClientIp); path: logged endpoint
+ * @returns {Promise<Object|null>} - { user, apiKey } (apiKey null with a JWT), or null when refused
+ */
+export const authenticateSocketUser = async ({ token, apiKey, scope = REALTIME_SCOPES, ip, path }) => {
+  if (token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+    return user ? { user, apiKey: null } : null;
+  }
+  if (!apiKey) return null;
+
+  const startedAt = Date.now();
+  const check = await checkApiKey(apiKey, ip);
+  const missingScope = check.user && ![].concat(scope).some((required) => hasScope(check.apiKey, required));
+  const accepted = Boolean(check.user) && !missingScope;
+
+  if (check.apiKey) {
+    logApiKeyRequest(check.apiKey, {
+      method: 'GET',
+      endpoint: path,
+      path,
+      // 101: connection accepted (switching protocols)
+      status: accepted ? 101 : missingScope ? 403 : check.status,
+      latencyMs: Date.now() - startedAt,
+      ip,
+      rejectedReason: missingScope ? 'scope' : check.rejectedReason
+    });
+  }
+  return accepted ? { user: check.user, apiKey: check.apiKey } : null;
+};
+
+/**
+ * Resolve the user from the Socket.IO handshake
+ * @private
+ */
+const authenticateHandshake = (handshake) => {
+  const bearer = handshake.headers?.authorization?.startsWith('Bearer ')
+    ? handshake.headers.authorization.split(' ')[1]
+    : null;
+
+  return authenticateSocketUser({
+    token: handshake.auth?.token || bearer,
+    apiKey: handshake.auth?.apiKey || handshake.headers?.['x-api-key'],
+    ip: getClientIp(handshake.headers, handshake.address),
+    path: '/socket.io'
+  });
+};
+
+/**
+ * Join a room after checking the tenant owns the resource
+ * @private
+ */
+const handleSubscribe = (socket, Model, idField, roomFor) => async (payload = {}, ack) => {
+  const reply = typeof ack === 'function' ? ack : () => {};
+  const id = payload[idField];
+
+  try {
+    // Campaign and call rooms carry call data
+    if (socket.data.scopes && !socket.data.scopes.includes('calls:read')) {
+      return reply({ ok: false, error: 'API key lacks the calls:read scope' });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return reply({ ok: false, error: `Invalid ${idField}` });
+    }
+    const owned = await Model.exists({ _id: id, userId: socket.data.userId });
+    if (!owned) {
+      return reply({ ok: false, error: 'Not found' });
+    }
+    socket.join(roomFor(id));
+    reply({ ok: true });
+  } catch (err) {
+    console.error(`❌ Socket subscribe error (${idField}):`, err.message);
+    reply({ ok: false, error: 'Subscribe failed' });
+  }
+};
+
+/**
+ * Attach auth and room handling to the Socket.IO server
+ * @param {Server} io - Socket.IO server
+ */
+export const initRealtime = (io) => {
+  ioInstance = io;
+
+  io.use(async (socket, next) => {
+    try {
+      const auth = await authenticateHandshake(socket.handshake);
+      if (!auth) {
+        return next(new Error('Unauthorized'));
+      }
+      socket.data.userId = auth.user._id.toString();
+      // null: JWT connection, every tenant event
+      socket.data.scopes = auth.apiKey ? [...auth.apiKey.scopes] : null;
+      next();
+    } catch (err) {
+      next(new Error('Unauthorized'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, scopes } = socket.data;
+    if (scopes) {
+      scopes.filter((scope) => REALTIME_SCOPES.includes(scope)).forEach((scope) => socket.join(scopedUserRoom(userId, scope)));
+    } else {
+      socket.join(userRoom(userId));
+    }
+    console.log(`✅ WebSocket client connected: ${socket.id} (user ${userId})`);
+
+    socket.on('campaign:subscribe', handleSubscribe(socket, Campaign, 'campaignId', campaignRoom));
+    socket.on('campaign:unsubscribe', ({ campaignId } = {}) => socket.leave(campaignRoom(campaignId)));
+    socket.on('call:subscribe', handleSubscribe(socket, Call, 'callId', callRoom));
+    socket.on('call:unsubscribe', ({ callId } = {}) => socket.leave(callRoom(callId)));
+
+    socket.on('disconnect', () => {
+      console.log('❌ WebSocket client disconnected:', socket.id);
+    });
+  });
+};
+
+/* =========================
+   EMITTERS
+========================= */
+
+/**
+ * Tenant rooms an event goes to: JWT connections, plus API key connections with its scope
+ * @private
+ */
+const tenantRooms = (userId, event) => {
+  const scope = EVENT_SCOPES[event];
+  const id = userId.toString();
+  return scope ? [userRoom(id), scopedUserRoom(id, scope)] : [userRoom(id)];
+};
+
+/**
+ * Emit to every connection of one tenant
+ * @param {string} userId
+ * @param {string} event - REALTIME_EVENTS value
+ * @param {Object} payload
+ */
+export const emitToUser = (userId, event, payload) => {
+  if (!ioInstance || !userId) return;
+  ioInstance.to(tenantRooms(userId, event)).emit(event, payload);
+};
+
+/**
+ * Emit a campaign event to its tenant and to campaign subscribers (each socket receives it once)
+ * @param {string} userId - Campaign owner
+ * @param {string} campaignId
+ * @param {string} event - REALTIME_EVENTS value
+ * @param {Object} payload
+ */
+export const emitToCampaign = (userId, campaignId, event, payload) => {
+  if (!ioInstance || !userId) return;
+  ioInstance
+    .to(tenantRooms(userId, event))
+    .to(campaignRoom(campaignId.toString()))
+    .emit(event, payload);
+};
+
+/**
+ * Emit a call event to call subscribers, and to its tenant when the owner is known
+ * @param {string|null} userId - Call owner (null: call room only)
+ * @param {string} callId
+ * @param {string} event - REALTIME_EVENTS value
+ * @param {Object} payload
+ */
+export const emitToCall = (userId, callId, event, payload) => {
+  if (!ioInstance || !callId) return;
+  let target = ioInstance.to(callRoom(callId.toString()));
+  if (userId) target = target.to(tenantRooms(userId, event));
+  target.emit(event, payload);
+};
+
+export default {
+  REALTIME_EVENTS,
+  authenticateSocketUser,
+  initRealtime,
+  emitToUser,
+  emitToCampaign,
+  emitToCall
+};
@@ -0,0 +1,180 @@
+/**
+ * Recording Storage Service
+ * Pluggable object storage for call recordings
+ *
+ * Drivers (RECORDING_STORAGE):
+ * - local (default): files under RECORDING_LOCAL_DIR (./storage/recordings)
+ * - s3:              any S3-compatible store (AWS S3, Cloudflare R2, MinIO, GCS interop)
+ *                    RECORDING_S3_BUCKET, RECORDING_S3_REGION, RECORDING_S3_ACCESS_KEY_ID,
+ *                    RECORDING_S3_SECRET_ACCESS_KEY, optional RECORDING_S3_ENDPOINT (path-style)
+ *
+ * Every driver implements:
+ *   put(key, body, contentType, { size }) → Promise<void>   (body: Buffer or Readable of `size` bytes)
+ *   getStream(key, { start, end })  → Promise<Readable>   (inclusive byte range, optional)
+ *   remove(key)                     → Promise<void>       (missing objects are not an error)
+ *
+ * The driver name is stored with each recording, so switching RECORDING_STORAGE
+ * keeps older recordings readable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { Readable } from 'stream';
+
+/* =========================
+   LOCAL DISK
+========================= */
+
+const localRoot = () => path.resolve(process.env.RECORDING_LOCAL_DIR || './storage/recordings');
+
+/**
+ * Resolve a key under the storage root (keys never escape it)
+ * @private
+ */
+const localPath = (key) => {
+  const root = localRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid recording key: ${key}`);
+  }
+  return filePath;
+};
+
+const localStorage = {
+  name: 'local',
+
+  async put(key, body) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+
+  async getStream(key, range = {}) {
+    const filePath = localPath(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range);
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+/* =========================
+   S3-COMPATIBLE (SigV4)
+========================= */
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Signed request against the bucket (path-style addressing)
+ * @private
+ */
+const s3Request = (method, key, { body, headers = {}, responseType } = {}) => {
+  const bucket = process.env.RECORDING_S3_BUCKET;
+  const region = process.env.RECORDING_S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.RECORDING_S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.RECORDING_S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 recording storage is not configured (RECORDING_S3_BUCKET / credentials)');
+  }
+
+  const endpoint = new URL(process.env.RECORDING_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const objectPath = `${endpoint.pathname.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  // A streamed body can't be hashed up front
+  const payloadHash = body instanceof Readable ? 'UNSIGNED-PAYLOAD' : sha256(body || '');
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: endpoint.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    objectPath,
+    '',
+    headerNames.map((name) => `${name}:${signed[name].trim()}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...requestHeaders } = signed;
+  return axios.request({
+    method,
+    url: `${endpoint.origin}${objectPath}`,
+    data: body,
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    },
+    responseType,
+    maxBodyLength: Infinity,
+    validateStatus: (status) => status < 300 || (method === 'DELETE' && status === 404)
+  });
+};
+
+const s3Storage = {
+  name: 's3',
+
+  async put(key, body, contentType, { size } = {}) {
+    await s3Request('PUT', key, {
+      body,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Length': size ?? body.length
+      }
+    });
+  },
+
+  async getStream(key, { start, end } = {}) {
+    const headers = start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {};
+    const response = await s3Request('GET', key, { headers, responseType: 'stream' });
+    return response.data;
+  },
+
+  async remove(key) {
+    await s3Request('DELETE', key);
+  }
+};
+
+/* =========================
+   REGISTRY
+========================= */
+
+const DRIVERS = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+export const RECORDING_STORAGE_DRIVERS = Object.keys(DRIVERS);
+
+/**
+ * Get a storage driver
+ * @param {string} [name] - Driver stored with a recording; defaults to RECORDING_STORAGE
+ * @returns {Object} - Driver ({ name, put, getStream, remove })
+ */
+export const getRecordingStorage = (name = process.env.RECORDING_STORAGE || 'local') => {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown recording storage "${name}" (expected: ${RECORDING_STORAGE_DRIVERS.join(', ')})`);
+  }
+  return driver;
+};
+
+export default {
+  RECORDING_STORAGE_DRIVERS,
+  getRecordingStorage
+};
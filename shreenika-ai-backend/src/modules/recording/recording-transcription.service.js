@@ -0,0 +1,285 @@
+/**
+ * Recording Transcription Service
+ * Post-call transcript for calls whose live conversationTurns are missing
+ *
+ * Source audio: the backend recording (Call.recording) first, then the provider's
+ * recordingUrl (Twilio dual-channel WAV). Each side of the call is on its own channel,
+ * so every channel is transcribed on its own and its turns take that side's role -
+ * recordings without a channel per side (mono) are not transcribed. Channels are
+ * converted to 8kHz LINEAR16 - telephone bandwidth - and sent in windows that fit an
+ * inline STT request.
+ *
+ * Provider recordings are only fetched from the provider's own hosts, and never from a
+ * private address (utils/outbound-http.js).
+ *
+ * Providers (TRANSCRIPTION_PROVIDER, default "google") implement:
+ *   transcribe(pcm, { sampleRateHertz, agent })
+ *     → Promise<[{ text, startSeconds, endSeconds }]>   (one speaker, in order)
+ * Register others with registerTranscriptionProvider(name, provider).
+ */
+
+import STTService from '../voice/stt.service.js';
+import { getRecordingStorage } from './recording-storage.service.js';
+import { hasRecording, RECORDING_CHANNELS } from './recording.service.js';
+import { requestPublicUrl } from '../../utils/outbound-http.js';
+
+const STT_SAMPLE_RATE = 8000;
+// 5 minutes of 8kHz 16-bit audio is ~4.8 MB, well under the 10 MB inline limit
+const WINDOW_SECONDS = 300;
+const MAX_DOWNLOAD_BYTES = 200 * 1024 * 1024;
+
+// Role of each channel of a backend recording
+const BACKEND_ROLES = [];
+BACKEND_ROLES[RECORDING_CHANNELS.caller] = 'user';
+BACKEND_ROLES[RECORDING_CHANNELS.agent] = 'agent';
+
+// Provider recordings that are fetched, and the role of each of their channels
+const PROVIDER_RECORDINGS = [
+  {
+    name: 'twilio',
+    matches: (url) => url.protocol === 'https:' && url.hostname === 'api.twilio.com',
+    // Dual-channel call recording: the phone party, then the audio Twilio plays (the agent)
+    roles: ['user', 'agent']
+  }
+];
+
+/* =========================
+   PROVIDERS
+========================= */
+
+const providers = {
+  google: {
+    async transcribe(pcm, { sampleRateHertz, agent }) {
+      const stt = new STTService(agent || {}, { sampleRateHertz });
+      return stt.transcribeWithTimestamps(pcm, { sampleRateHertz });
+    }
+  }
+};
+
+/**
+ * Add (or replace) a transcription provider
+ * @param {string} name - Value of TRANSCRIPTION_PROVIDER
+ * @param {Object} provider - { transcribe(pcm, { sampleRateHertz, agent }) }
+ */
+export const registerTranscriptionProvider = (name, provider) => {
+  if (typeof provider?.transcribe !== 'function') {
+    throw new Error(`Transcription provider "${name}" must implement transcribe()`);
+  }
+  providers[name] = provider;
+};
+
+const getTranscriptionProvider = () => {
+  const name = process.env.TRANSCRIPTION_PROVIDER || 'google';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+};
+
+/* =========================
+   AUDIO
+========================= */
+
+/**
+ * Read PCM from a WAV file, one buffer per channel (16-bit PCM only)
+ * @param {Buffer} wav
+ * @returns {Object} - { channels: [Buffer], sampleRate }
+ */
+export const parseWav = (wav) => {
+  if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Recording is not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV recordings can be transcribed');
+      }
+      const data = wav.subarray(body, Math.min(body + size, wav.length));
+      if (format.channels === 1) {
+        return { channels: [data], sampleRate: format.sampleRate };
+      }
+
+      const frames = Math.floor(data.length / (2 * format.channels));
+      const channels = Array.from({ length: format.channels }, () => Buffer.alloc(frames * 2));
+      for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < format.channels; c++) {
+          channels[c].writeInt16LE(data.readInt16LE((i * format.channels + c) * 2), i * 2);
+        }
+      }
+      return { channels, sampleRate: format.sampleRate };
+    }
+
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+
+  throw new Error('WAV recording has no audio data');
+};
+
+/**
+ * Linear-interpolation resample of 16-bit mono PCM
+ * @private
+ */
+const resample = (pcm, fromRate, toRate) => {
+  if (fromRate === toRate) return pcm;
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * fromRate / toRate;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = pcm.readInt16LE(index * 2);
+    const b = index + 1 < inputSamples ? pcm.readInt16LE((index + 1) * 2) : a;
+    output.writeInt16LE(Math.round(a + (b - a) * fraction), i * 2);
+  }
+
+  return output;
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download a Twilio recording (served as WAV when asked for .wav; the media is a redirect away)
+ * @private
+ */
+const downloadTwilioRecording = async (url) => {
+  if (!/\.\w+$/.test(url.pathname)) url.pathname += '.wav';
+
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+  const response = await requestPublicUrl({
+    url: url.toString(),
+    method: 'GET',
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    maxContentLength: MAX_DOWNLOAD_BYTES,
+    maxRedirects: 3,
+    auth: TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
+      ? { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN }
+      : undefined
+  });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Load a call's recording as PCM
+ * @param {Object} call - Call document
+ * @returns {Promise<Object|null>} - { channels, sampleRate, roles, source } or null without a usable recording
+ */
+export const loadRecordingAudio = async (call) => {
+  if (hasRecording(call)) {
+    const stream = await getRecordingStorage(call.recording.storage).getStream(call.recording.key);
+    return { ...parseWav(await streamToBuffer(stream)), roles: BACKEND_ROLES, source: 'backend' };
+  }
+  if (!call.recordingUrl) return null;
+
+  let url;
+  try {
+    url = new URL(call.recordingUrl);
+  } catch {
+    return null;
+  }
+  const provider = PROVIDER_RECORDINGS.find((entry) => entry.matches(url));
+  if (!provider) {
+    console.warn(`⚠️ [Transcription] Call ${call._id}: recordings on ${url.hostname} are not fetched`);
+    return null;
+  }
+  return { ...parseWav(await downloadTwilioRecording(url)), roles: provider.roles, source: 'provider' };
+};
+
+/* =========================
+   TRANSCRIPTION
+========================= */
+
+/**
+ * Transcribe one channel, window by window
+ * @private
+ */
+const transcribeChannel = async (pcm, provider, agent) => {
+  const windowBytes = WINDOW_SECONDS * STT_SAMPLE_RATE * 2;
+  const segments = [];
+
+  for (let offset = 0; offset < pcm.length; offset += windowBytes) {
+    const windowStart = offset / (STT_SAMPLE_RATE * 2);
+    const windowSegments = await provider.transcribe(pcm.subarray(offset, offset + windowBytes), {
+      sampleRateHertz: STT_SAMPLE_RATE,
+      agent
+    });
+    for (const segment of windowSegments) {
+      segments.push({ text: segment.text, startSeconds: windowStart + segment.startSeconds });
+    }
+  }
+  return segments;
+};
+
+/**
+ * Transcribe a call's recording into turns, one channel per side
+ * @param {Object} call - Call document
+ * @param {Object} [agent] - Agent (for the STT language)
+ * @returns {Promise<Object|null>} - { turns: [{ role, content, timestamp }], source } or null without a usable recording
+ */
+export const transcribeCallRecording = async (call, agent = null) => {
+  const audio = await loadRecordingAudio(call);
+  if (!audio || audio.channels[0].length === 0) return null;
+
+  if (audio.channels.length !== audio.roles.length) {
+    console.warn(`⚠️ [Transcription] Call ${call._id}: ${audio.source} recording has ${audio.channels.length} channel(s), not one per side - not transcribed`);
+    return null;
+  }
+
+  const provider = getTranscriptionProvider();
+  const startedAt = new Date(call.answeredAt || call.createdAt || Date.now()).getTime();
+
+  const segments = [];
+  for (const [index, channel] of audio.channels.entries()) {
+    const pcm = resample(channel, audio.sampleRate, STT_SAMPLE_RATE);
+    for (const segment of await transcribeChannel(pcm, provider, agent)) {
+      segments.push({ ...segment, role: audio.roles[index] });
+    }
+  }
+  segments.sort((a, b) => a.startSeconds - b.startSeconds);
+
+  const turns = [];
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === segment.role) {
+      last.content += ` ${segment.text}`;
+      continue;
+    }
+    turns.push({
+      role: segment.role,
+      content: segment.text,
+      timestamp: new Date(startedAt + segment.startSeconds * 1000)
+    });
+  }
+
+  console.log(`📝 [Transcription] Call ${call._id}: ${turns.length} turns from ${audio.source} recording`);
+  return { turns, source: audio.source };
+};
+
+export default {
+  registerTranscriptionProvider,
+  parseWav,
+  loadRecordingAudio,
+  transcribeCallRecording
+};
@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import Call from "../call/call.model.js";
+import User from "../auth/user.model.js";
+import { requireAuth } from "../auth/auth.middleware.js";
+import { getRecordingStorage } from "./recording-storage.service.js";
+import {
+  hasRecording,
+  deleteCallRecording,
+  createRecordingLink,
+  verifyRecordingLink
+} from "./recording.service.js";
+
+/**
+ * Parse a single-range "Range: bytes=..." header
+ * @returns {Object|null|false} - { start, end } | null (no header) | false (unsatisfiable)
+ */
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return false;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: last N bytes
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
+/**
+ * Load the call and check the caller may hear it
+ */
+const findRecordingCall = (callId, userId) => {
+  if (!mongoose.isValidObjectId(callId)) return null;
+  const filter = userId ? { _id: callId, userId } : { _id: callId };
+  return Call.findOne(filter).select("userId recording").lean();
+};
+
+/* =========================
+   ACCESS (JWT OR SIGNED LINK)
+========================= */
+export const authorizeRecordingAccess = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (!signature) {
+    return requireAuth(req, res, next);
+  }
+  if (!verifyRecordingLink(req.params.callId, expires, signature)) {
+    return res.status(403).json({ error: "Invalid or expired recording link" });
+  }
+  req.recordingLink = true;
+  next();
+};
+
+/* =========================
+   STREAM RECORDING (RANGE-CAPABLE)
+========================= */
+export const streamRecording = async (req, res) => {
+  try {
+    const call = await findRecordingCall(req.params.callId, req.recordingLink ? null : req.user._id);
+    if (!call || !hasRecording(call)) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+
+    const { storage, key, contentType, sizeBytes } = call.recording;
+    const range = parseRange(req.headers.range, sizeBytes);
+
+    if (range === false) {
+      res.set("Content-Range", `bytes */${sizeBytes}`);
+      return res.status(416).json({ error: "Requested range not satisfiable" });
+    }
+
+    const stream = await getRecordingStorage(storage).getStream(key, range || {});
+
+    res.set({
+      "Content-Type": contentType || "audio/wav",
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, max-age=0"
+    });
+    if (range) {
+      res.status(206);
+      res.set("Content-Range", `bytes ${range.start}-${range.end}/${sizeBytes}`);
+      res.set("Content-Length", range.end - range.start + 1);
+    } else {
+      res.set("Content-Length", sizeBytes);
+    }
+
+    stream.on("error", (err) => {
+      console.error("❌ Recording stream error:", err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("❌ Stream recording error:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
+
+/* =========================
+   SIGNED PLAYBACK LINK
+========================= */
+export const getRecordingLink = async (req, res) => {
+  try {
+    const call = await findRecordingCall(req.params.callId, req.user._id);
+    if (!call || !hasRecording(call)) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+
+    res.json({
+      ...createRecordingLink(call._id.toString()),
+      durationSeconds: call.recording.durationSeconds,
+      sizeBytes: call.recording.sizeBytes,
+      format: call.recording.format
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* =========================
+   DELETE RECORDING
+========================= */
+export const deleteRecording = async (req, res) => {
+  try {
+    const call = await findRecordingCall(req.params.callId, req.user._id);
+    if (!call || !hasRecording(call)) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+
+    await deleteCallRecording(call, "user");
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* =========================
+   TENANT RECORDING SETTINGS
+========================= */
+export const getRecordingSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("recordingSettings").lean();
+    res.json({
+      enabled: user?.recordingSettings?.enabled !== false,
+      retentionDays: user?.recordingSettings?.retentionDays ?? null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const updateRecordingSettings = async (req, res) => {
+  try {
+    const { enabled, retentionDays } = req.body;
+    const update = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+      }
+      update["recordingSettings.enabled"] = enabled;
+    }
+
+    if (retentionDays !== undefined) {
+      const days = retentionDays === null ? null : Number(retentionDays);
+      if (days !== null && (!Number.isInteger(days) || days < 1 || days > 3650)) {
+        return res.status(400).json({ error: "retentionDays must be a whole number of days (1-3650) or null to keep forever" });
+      }
+      update["recordingSettings.retentionDays"] = days;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("recordingSettings");
+
+    res.json({
+      enabled: user.recordingSettings?.enabled !== false,
+      retentionDays: user.recordingSettings?.retentionDays ?? null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
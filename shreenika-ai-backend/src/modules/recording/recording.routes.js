@@ -0,0 +1,28 @@
+import express from "express";
+import { requireAuth } from "../auth/auth.middleware.js";
+import {
+  authorizeRecordingAccess,
+  streamRecording,
+  getRecordingLink,
+  deleteRecording,
+  getRecordingSettings,
+  updateRecordingSettings
+} from "./recording.controller.js";
+
+const router = express.Router();
+
+/* =========================
+   TENANT SETTINGS
+========================= */
+router.get("/settings", requireAuth, getRecordingSettings);
+router.put("/settings", requireAuth, updateRecordingSettings);
+
+/* =========================
+   PLAYBACK (Bearer token or signed link from /link)
+========================= */
+router.get("/:callId/audio", authorizeRecordingAccess, streamRecording);
+router.get("/:callId/link", requireAuth, getRecordingLink);
+
+router.delete("/:callId", requireAuth, deleteRecording);
+
+export default router;
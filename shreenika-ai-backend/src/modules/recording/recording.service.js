@@ -0,0 +1,463 @@
+/**
+ * Recording Service
+ * Backend call recordings: capture, storage, signed playback links and retention
+ *
+ * Capture: the media stream handler feeds the audio it already relays into a CallRecorder -
+ * caller audio (PCM 16kHz) and agent audio (Gemini PCM 24kHz, or a supervisor's barge-in),
+ * as a 16kHz stereo WAV: the caller on the left channel, the agent on the right, so the
+ * post-call transcript knows who said what. Each track is laid on the call timeline at its arrival time; agent
+ * audio arrives faster than real time, so its chunks queue back-to-back like provider playback.
+ * Finished audio is streamed to a temp file, so a long call does not sit in memory.
+ *
+ * Storage: WAV through the pluggable driver in recording-storage.service.js, described by Call.recording.
+ *
+ * Retention: tenants set User.recordingSettings.retentionDays; a periodic sweep deletes older recordings.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import Call from '../call/call.model.js';
+import User from '../auth/user.model.js';
+import { getRecordingStorage } from './recording-storage.service.js';
+
+const SAMPLE_RATE = 16000;
+// In-memory window: audio not yet final (agent audio queued ahead of "now")
+const INITIAL_SECONDS = 10;
+// Bounds the file for runaway calls (16kHz stereo = ~3.8 MB per minute)
+const MAX_SECONDS = parseInt(process.env.RECORDING_MAX_SECONDS) || 3600;
+
+const LINK_TTL_MS = 15 * 60 * 1000;
+export const PENDING_RECORDING_MAX_MS = 5 * 60 * 1000;
+// WAV channel of each track
+export const RECORDING_CHANNELS = { caller: 0, agent: 1 };
+const CHANNEL_COUNT = 2;
+
+const RETENTION_INTERVAL_MS = parseInt(process.env.RECORDING_RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+const RETENTION_BATCH_SIZE = 200;
+let retentionTimer = null;
+
+/* =========================
+   CAPTURE
+========================= */
+
+/**
+ * Downsample Gemini 24kHz PCM to 16kHz (linear interpolation)
+ * @private
+ */
+const downsample24kTo16k = (pcm24k) => {
+  const inputSamples = Math.floor(pcm24k.length / 2);
+  const outputSamples = Math.floor(inputSamples * 2 / 3);
+  const output = new Int16Array(outputSamples);
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * 1.5;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = pcm24k.readInt16LE(index * 2);
+    const b = index + 1 < inputSamples ? pcm24k.readInt16LE((index + 1) * 2) : a;
+    output[i] = Math.round(a + (b - a) * fraction);
+  }
+
+  return output;
+};
+
+/**
+ * Records a call's caller and agent audio on separate channels (RECORDING_CHANNELS)
+ *
+ * No chunk is ever placed before "now", so everything older is final: it is appended
+ * to a temp file about once a second and only the recent window stays in memory.
+ */
+export class CallRecorder {
+  constructor({ sampleRate = SAMPLE_RATE, maxSeconds = MAX_SECONDS, tmpDir = os.tmpdir() } = {}) {
+    this.sampleRate = sampleRate;
+    this.maxSamples = maxSeconds * sampleRate;
+    this.startedAt = Date.now();
+    // Interleaved frames from `flushed` on (the rest is in the temp file)
+    this.window = new Int16Array(INITIAL_SECONDS * sampleRate * CHANNEL_COUNT);
+    this.flushed = 0;
+    this.length = 0;
+    this.cursors = { caller: 0, agent: 0 };
+    this.truncated = false;
+    // false once the tenant's settings turn out to have recording off
+    this.enabled = true;
+    this.ready = Promise.resolve();
+
+    this.filePath = path.join(tmpDir, `call-recording-${crypto.randomUUID()}.pcm`);
+    this.file = fs.createWriteStream(this.filePath);
+    this.fileError = null;
+    this.file.on('error', (err) => {
+      this.fileError = err;
+    });
+  }
+
+  /**
+   * @param {Buffer} pcm16k - Caller audio (PCM 16-bit 16kHz)
+   */
+  addCallerAudio(pcm16k) {
+    const samples = Math.floor(pcm16k.length / 2);
+    // Pooled Buffers can sit at an odd offset, which an Int16Array view cannot
+    const chunk = pcm16k.byteOffset % 2 === 0
+      ? new Int16Array(pcm16k.buffer, pcm16k.byteOffset, samples)
+      : Int16Array.from({ length: samples }, (_, i) => pcm16k.readInt16LE(i * 2));
+    this._mix('caller', chunk);
+  }
+
+  /**
+   * @param {Buffer} pcm24k - Agent audio (PCM 16-bit 24kHz)
+   */
+  addAgentAudio(pcm24k) {
+    this._mix('agent', downsample24kTo16k(pcm24k));
+  }
+
+  /**
+   * Add a track's chunk to its channel at max(track cursor, now)
+   * Saturating mix, for a supervisor barging in while the AI talks
+   * @private
+   */
+  _mix(track, chunk) {
+    if (chunk.length === 0 || !this.enabled || this.file.writableEnded) return;
+
+    const now = Math.floor((Date.now() - this.startedAt) / 1000 * this.sampleRate);
+    const offset = Math.max(this.cursors[track], now);
+    const end = Math.min(offset + chunk.length, this.maxSamples);
+    if (end <= offset) {
+      this.truncated = true;
+      return;
+    }
+
+    this._ensureCapacity(end - this.flushed);
+    const channel = RECORDING_CHANNELS[track];
+    for (let i = offset; i < end; i++) {
+      const index = (i - this.flushed) * CHANNEL_COUNT + channel;
+      const mixed = this.window[index] + chunk[i - offset];
+      this.window[index] = mixed > 32767 ? 32767 : mixed < -32768 ? -32768 : mixed;
+    }
+
+    this.cursors[track] = end;
+    this.length = Math.max(this.length, end);
+
+    if (now - this.flushed >= this.sampleRate) {
+      this._flush(Math.min(now, this.length));
+    }
+  }
+
+  /**
+   * Append frames up to `until` to the temp file and drop them from the window
+   * @private
+   */
+  _flush(until) {
+    const count = (until - this.flushed) * CHANNEL_COUNT;
+    if (count <= 0) return;
+
+    const used = (this.length - this.flushed) * CHANNEL_COUNT;
+    this.file.write(Buffer.from(this.window.slice(0, count).buffer));
+    this.window.copyWithin(0, count, used);
+    this.window.fill(0, used - count, used);
+    this.flushed = until;
+  }
+
+  /**
+   * @private
+   */
+  _ensureCapacity(frames) {
+    const size = frames * CHANNEL_COUNT;
+    if (size <= this.window.length) return;
+    let capacity = this.window.length;
+    while (capacity < size) capacity *= 2;
+    const grown = new Int16Array(Math.min(capacity, this.maxSamples * CHANNEL_COUNT));
+    grown.set(this.window.subarray(0, (this.length - this.flushed) * CHANNEL_COUNT));
+    this.window = grown;
+  }
+
+  get durationSeconds() {
+    return Math.round(this.length / this.sampleRate);
+  }
+
+  get sizeBytes() {
+    return 44 + this.length * CHANNEL_COUNT * 2;
+  }
+
+  /**
+   * Write the rest of the audio and close the temp file
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    if (!this.file.writableEnded) {
+      this._flush(this.length);
+      await new Promise((resolve) => this.file.end(resolve));
+    }
+    if (this.fileError) throw this.fileError;
+  }
+
+  /**
+   * Delete the temp file
+   */
+  async discard() {
+    if (!this.file.writableEnded) this.file.end();
+    await fs.promises.rm(this.filePath, { force: true }).catch(() => {});
+  }
+
+  /**
+   * 16-bit stereo WAV header for the recorded length
+   * @private
+   */
+  _wavHeader() {
+    const blockAlign = CHANNEL_COUNT * 2;
+    const dataBytes = this.length * blockAlign;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);                  // fmt chunk size
+    header.writeUInt16LE(1, 20);                   // PCM
+    header.writeUInt16LE(CHANNEL_COUNT, 22);
+    header.writeUInt32LE(this.sampleRate, 24);
+    header.writeUInt32LE(this.sampleRate * blockAlign, 28); // byte rate
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(16, 34);                  // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+  }
+
+  /**
+   * The finished recording as a WAV stream (call finish() first)
+   * @returns {Readable}
+   */
+  toWavStream() {
+    const header = this._wavHeader();
+    const filePath = this.filePath;
+    return Readable.from((async function* () {
+      yield header;
+      yield* fs.createReadStream(filePath);
+    })());
+  }
+}
+
+/**
+ * Start a recorder for a call, unless its tenant turned recording off
+ * Returns at once so no audio is missed; the tenant's settings are checked in the
+ * background (recorder.ready) and a disabled recorder keeps nothing
+ * @param {Object} call - Call document (needs userId)
+ * @returns {CallRecorder|null}
+ */
+export const createCallRecorder = (call) => {
+  if (!call?.userId || process.env.RECORDING_ENABLED === 'false') return null;
+
+  const recorder = new CallRecorder();
+  recorder.ready = (async () => {
+    try {
+      const user = await User.findById(call.userId).select('recordingSettings').lean();
+      if (user?.recordingSettings?.enabled === false) {
+        recorder.enabled = false;
+        await recorder.discard();
+        return;
+      }
+    } catch (err) {
+      console.warn(`⚠️ [Recording] Could not load recording settings, recording anyway: ${err.message}`);
+    }
+
+    // Lets post-call processing wait for the file instead of finding no transcript source
+    await Call.updateOne({ _id: call._id }, { $set: { 'recording.status': 'RECORDING' } })
+      .catch((err) => console.warn(`⚠️ [Recording] Could not mark call ${call._id} as recording: ${err.message}`));
+  })();
+
+  return recorder;
+};
+
+/**
+ * Store a finished recording and attach it to the call
+ * @param {Object} call - Call document (needs _id, userId)
+ * @param {CallRecorder} recorder
+ * @returns {Promise<Object|null>} - Call.recording, or null if nothing was captured
+ */
+export const saveCallRecording = async (call, recorder) => {
+  if (!recorder) return null;
+  await recorder.ready;
+  if (!recorder.enabled) return null;
+
+  try {
+    if (recorder.length === 0) {
+      await Call.updateOne({ _id: call._id }, { $set: { 'recording.status': 'EMPTY' } });
+      return null;
+    }
+
+    const storage = getRecordingStorage();
+    const key = `${call.userId}/${call._id}.wav`;
+
+    try {
+      await recorder.finish();
+      await storage.put(key, recorder.toWavStream(), 'audio/wav', { size: recorder.sizeBytes });
+    } catch (err) {
+      await Call.updateOne({ _id: call._id }, { $set: { 'recording.status': 'FAILED' } });
+      throw err;
+    }
+
+    const recording = {
+      status: 'READY',
+      storage: storage.name,
+      key,
+      format: 'wav',
+      contentType: 'audio/wav',
+      sampleRate: recorder.sampleRate,
+      channels: CHANNEL_COUNT,
+      durationSeconds: recorder.durationSeconds,
+      sizeBytes: recorder.sizeBytes,
+      recordedAt: new Date(recorder.startedAt),
+      deletedAt: null,
+      deleteReason: null
+    };
+    await Call.updateOne({ _id: call._id }, { $set: { recording } });
+
+    console.log(`🎙️ [Recording] Saved ${key} (${recording.durationSeconds}s, ${(recording.sizeBytes / 1024).toFixed(0)} KB${recorder.truncated ? ', truncated' : ''})`);
+    return recording;
+  } finally {
+    await recorder.discard();
+  }
+};
+
+/**
+ * True while a live call's recording has not been stored yet
+ * (ignored after a few minutes, e.g. when the instance recording it died)
+ * @param {Object} call
+ */
+export const isRecordingPending = (call) =>
+  call?.recording?.status === 'RECORDING' &&
+  Date.now() - new Date(call.endedAt || call.updatedAt || Date.now()).getTime() < PENDING_RECORDING_MAX_MS;
+
+/**
+ * True if the call has a stored, not-yet-deleted recording
+ * @param {Object} call
+ */
+export const hasRecording = (call) => !!(call?.recording?.key && !call.recording.deletedAt);
+
+/**
+ * Delete a call's stored recording
+ * @param {Object} call - Call document
+ * @param {string} reason - 'retention' | 'user'
+ */
+export const deleteCallRecording = async (call, reason) => {
+  if (!hasRecording(call)) return;
+
+  await getRecordingStorage(call.recording.storage).remove(call.recording.key);
+  await Call.updateOne(
+    { _id: call._id },
+    { $set: { 'recording.deletedAt': new Date(), 'recording.deleteReason': reason } }
+  );
+};
+
+/* =========================
+   PLAYBACK LINKS
+========================= */
+
+const signLink = (callId, expires) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`recording:${callId}:${expires}`).digest('hex');
+
+/**
+ * Short-lived link for players that cannot send an Authorization header (<audio src>)
+ * @param {string} callId
+ * @returns {Object} - { url, expiresAt }
+ */
+export const createRecordingLink = (callId) => {
+  const expires = Date.now() + LINK_TTL_MS;
+  const base = process.env.PUBLIC_BASE_URL || '';
+  return {
+    url: `${base}/recordings/${callId}/audio?expires=${expires}&signature=${signLink(callId, expires)}`,
+    expiresAt: new Date(expires)
+  };
+};
+
+/**
+ * Check a playback link signature
+ * @param {string} callId
+ * @param {string} expires - ms timestamp from the link
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export const verifyRecordingLink = (callId, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now()) return false;
+  const expected = Buffer.from(signLink(callId, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/* =========================
+   RETENTION
+========================= */
+
+/**
+ * Delete recordings past each tenant's retention window
+ * @returns {Promise<number>} - Recordings deleted
+ */
+export const applyRecordingRetention = async () => {
+  const tenants = await User.find({ 'recordingSettings.retentionDays': { $gte: 1 } })
+    .select('recordingSettings.retentionDays')
+    .lean();
+
+  let deleted = 0;
+  for (const tenant of tenants) {
+    const cutoff = new Date(Date.now() - tenant.recordingSettings.retentionDays * 24 * 60 * 60 * 1000);
+    const expired = await Call.find({
+      userId: tenant._id,
+      'recording.recordedAt': { $lt: cutoff },
+      'recording.key': { $exists: true },
+      'recording.deletedAt': null
+    })
+      .select('recording')
+      .limit(RETENTION_BATCH_SIZE)
+      .lean();
+
+    for (const call of expired) {
+      try {
+        await deleteCallRecording(call, 'retention');
+        deleted++;
+      } catch (err) {
+        console.error(`❌ [Recording] Retention delete failed for call ${call._id}: ${err.message}`);
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`🧹 [Recording] Retention sweep deleted ${deleted} recording(s)`);
+  }
+  return deleted;
+};
+
+/**
+ * Run the retention sweep periodically (call once MongoDB is connected)
+ */
+export const startRecordingRetention = () => {
+  if (retentionTimer) return;
+
+  const sweep = () => applyRecordingRetention().catch((err) =>
+    console.error('❌ [Recording] Retention sweep failed:', err.message)
+  );
+  retentionTimer = setInterval(sweep, RETENTION_INTERVAL_MS);
+  retentionTimer.unref();
+  sweep();
+};
+
+export const stopRecordingRetention = () => {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+};
+
+export default {
+  CallRecorder,
+  createCallRecorder,
+  saveCallRecording,
+  isRecordingPending,
+  hasRecording,
+  deleteCallRecording,
+  createRecordingLink,
+  verifyRecordingLink,
+  applyRecordingRetention,
+  startRecordingRetention,
+  stopRecordingRetention
+};
@@ -0,0 +1,94 @@
+/**
+ * Usage Service
+ * Monthly usage counters with real-time alerts
+ *
+ * recordUsage() increments the tenant's Usage document and, when the increment
+ * crosses a threshold of the subscription's monthly limit, pushes a usage:alert
+ * to the tenant's sockets and a usage.threshold_reached webhook:
+ * - warning:       80% of the limit
+ * - limit_reached: 100% (enforceUsageLimits hard-stops the next request)
+ */
+
+import Usage from './usage.model.js';
+import Subscription from '../billing/subscription.model.js';
+import { emitToUser, REALTIME_EVENTS } from '../realtime/realtime.service.js';
+import { webhookEmitter } from '../webhook/webhook.emitter.js';
+
+const ALERT_THRESHOLDS = [
+  { level: 'limit_reached', ratio: 1 },
+  { level: 'warning', ratio: 0.8 }
+];
+
+// Usage counter → Subscription limit field
+const LIMIT_FIELDS = {
+  voiceMinutesUsed: 'monthlyMinuteLimit',
+  llmTokensUsed: 'monthlyTokenLimit'
+};
+
+export const getMonthKey = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Highest threshold crossed by going from before to after
+ * @private
+ */
+const crossedThreshold = (before, after, limit) => {
+  for (const threshold of ALERT_THRESHOLDS) {
+    const mark = limit * threshold.ratio;
+    if (before < mark && after >= mark) return threshold.level;
+  }
+  return null;
+};
+
+/**
+ * Increment this month's usage counters and alert the tenant on threshold crossings
+ * @param {string} userId
+ * @param {Object} inc - e.g. { voiceMinutesUsed: 3, callsCount: 1 }
+ * @returns {Promise<void>}
+ */
+export const recordUsage = async (userId, inc) => {
+  const month = getMonthKey();
+
+  const before = await Usage.findOneAndUpdate(
+    { userId, month },
+    { $inc: inc },
+    { upsert: true, new: false }
+  ).lean();
+
+  const metrics = Object.keys(inc).filter((field) => LIMIT_FIELDS[field] && inc[field] > 0);
+  if (metrics.length === 0) return;
+
+  const sub = await Subscription.findOne({ userId }).select('monthlyMinuteLimit monthlyTokenLimit').lean();
+  if (!sub) return;
+
+  for (const metric of metrics) {
+    const limit = sub[LIMIT_FIELDS[metric]];
+    if (!limit) continue;
+
+    const used = (before?.[metric] || 0) + inc[metric];
+    const level = crossedThreshold(before?.[metric] || 0, used, limit);
+    if (!level) continue;
+
+    const alert = {
+      level,
+      metric,
+      used,
+      limit,
+      percent: Math.round((used / limit) * 100),
+      month
+    };
+
+    console.log(`📈 [Usage] ${userId} ${metric} ${used}/${limit} → ${level}`);
+    emitToUser(userId, REALTIME_EVENTS.USAGE_ALERT, { userId: userId.toString(), ...alert });
+    webhookEmitter.onUsageThresholdReached(userId, alert).catch((err) =>
+      console.error('❌ Webhook error:', err.message)
+    );
+  }
+};
+
+export default {
+  getMonthKey,
+  recordUsage
+};
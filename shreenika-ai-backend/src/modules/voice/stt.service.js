@@ -221,6 +221,49 @@ export class STTService {
     }
   }
 
+  /**
+   * Transcribe one speaker's audio with timings (post-call, one recording channel)
+   * Words are grouped into segments wherever the speaker pauses
+   * @param {Buffer} audioBuffer - LINEAR16 mono audio (inline requests are capped at 10 MB)
+   * @param {Object} options - { sampleRateHertz, pauseSeconds }
+   * @returns {Promise<Array>} - [{ text, startSeconds, endSeconds }] in spoken order
+   */
+  async transcribeWithTimestamps(audioBuffer, { sampleRateHertz = this.options.sampleRateHertz, pauseSeconds = 1 } = {}) {
+    const [operation] = await client.longRunningRecognize({
+      config: {
+        encoding: 'LINEAR16',
+        sampleRateHertz,
+        languageCode: this.languageCode,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        // The telephony model only covers a few languages
+        model: this.languageCode.startsWith('en') ? 'phone_call' : 'default',
+        useEnhanced: true
+      },
+      audio: {
+        content: audioBuffer
+      }
+    });
+    const [response] = await operation.promise();
+
+    const words = (response.results || []).flatMap((result) => result.alternatives?.[0]?.words || []);
+    const toSeconds = (t) => Number(t?.seconds || 0) + (t?.nanos || 0) / 1e9;
+
+    const segments = [];
+    for (const word of words) {
+      const startSeconds = toSeconds(word.startTime);
+      const last = segments[segments.length - 1];
+      if (last && startSeconds - last.endSeconds < pauseSeconds) {
+        last.text += ` ${word.word}`;
+        last.endSeconds = toSeconds(word.endTime);
+      } else {
+        segments.push({ text: word.word, startSeconds, endSeconds: toSeconds(word.endTime) });
+      }
+    }
+
+    return segments;
+  }
+
   /**
    * Get language code
    */
@@ -1,6 +1,14 @@
 import { VoipProvider, VoipNumber } from "./voip.model.js";
 import Agent from "../agent/agent.model.js";
 import Twilio from "twilio";
+import { webhookEmitter } from "../webhook/webhook.emitter.js";
+import { validateAgentProviderSupport } from "../call/agent-tools.service.js";
+
+// Send voip.number.assigned without ever failing the request
+const notifyNumberAssigned = (userId, number, agent, options) =>
+  webhookEmitter.onVoipNumberAssigned(userId, number, agent, options).catch((err) =>
+    console.error("❌ Webhook error:", err.message)
+  );
 
 /**
  * Get current VOIP provider configuration
@@ -255,7 +263,7 @@ export const addVoipProvider = async (req, res) => {
         const numbers = await twilioClient.incomingPhoneNumbers.list({ limit: 50 });
         for (let idx = 0; idx < numbers.length; idx++) {
           const number = numbers[idx];
-          await VoipNumber.findOneAndUpdate(
+          const voipNumber = await VoipNumber.findOneAndUpdate(
             {
               userId: req.user._id,
               phoneNumber: number.phoneNumber,
@@ -286,6 +294,7 @@ export const addVoipProvider = async (req, res) => {
           );
           if (idx === 0 && agentId) {
             console.log(`✅ Auto-assigned first number ${number.phoneNumber} to agent ${agentId}`);
+            notifyNumberAssigned(req.user._id, voipNumber, agentId, { provider, source: "auto" });
           }
         }
         console.log(`✅ Imported ${numbers.length} numbers from Twilio`);
@@ -321,6 +330,7 @@ export const addVoipProvider = async (req, res) => {
         );
         if (idx === 0 && agentId) {
           console.log(`✅ Auto-assigned first DID ${voipNumber.phoneNumber} to agent ${agentId}`);
+          notifyNumberAssigned(req.user._id, voipNumber, agentId, { provider, source: "auto" });
         }
       }
       console.log(`✅ Imported ${didList.length} DIDs from SansPBX provider`);
@@ -330,7 +340,7 @@ export const addVoipProvider = async (req, res) => {
     if (provider === "Other" && isVerified && didList.length > 0) {
       for (let idx = 0; idx < didList.length; idx++) {
         const did = didList[idx];
-        await VoipNumber.findOneAndUpdate(
+        const voipNumber = await VoipNumber.findOneAndUpdate(
           {
             userId: req.user._id,
             phoneNumber: did.number || did.did || did,
@@ -353,6 +363,7 @@ export const addVoipProvider = async (req, res) => {
         );
         if (idx === 0 && agentId) {
           console.log(`✅ Auto-assigned first DID ${did.number || did.did || did} to agent ${agentId}`);
+          notifyNumberAssigned(req.user._id, voipNumber, agentId, { provider, source: "auto" });
         }
       }
       console.log(`✅ Imported ${didList.length} DIDs from Other provider`);
@@ -540,10 +551,41 @@ export const assignNumberToAgent = async (req, res) => {
       });
     }
 
+    // The agent's transfer settings must work on the number's provider
+    const numberProvider = await VoipProvider.findById(number.providerId).select("provider").lean();
+    try {
+      validateAgentProviderSupport(agent, numberProvider?.provider || null);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
     // Assign number to agent
     number.assignedAgentId = agentId;
     await number.save();
 
+    notifyNumberAssigned(req.user._id, number, agent, { provider: numberProvider?.provider || null });
+
+    // Point the Twilio number's voice webhook at us so inbound calls reach the agent
+    // Non-fatal: the assignment stands even if Twilio can't be updated
+    if (number.providerData?.sid && process.env.PUBLIC_BASE_URL) {
+      try {
+        const provider = await VoipProvider.findById(number.providerId);
+        if (provider?.provider === "Twilio") {
+          const { accountSid, authToken } = provider.getDecryptedCredentials();
+          const twilioClient = new Twilio(accountSid, authToken);
+          await twilioClient.incomingPhoneNumbers(number.providerData.sid).update({
+            voiceUrl: `${process.env.PUBLIC_BASE_URL}/twilio/voice`,
+            voiceMethod: "POST",
+            statusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/status`,
+            statusCallbackMethod: "POST",
+          });
+          console.log(`📲 Inbound webhook configured for ${number.phoneNumber}`);
+        }
+      } catch (webhookError) {
+        console.warn(`⚠️ Failed to configure inbound webhook for ${number.phoneNumber}:`, webhookError.message);
+      }
+    }
+
     res.json({
       success: true,
       message: "Number assigned successfully",
@@ -859,6 +901,7 @@ export const setupVoipForRegistration = async (req, res) => {
             firstDID.assignedAgentId = defaultAgent._id;
             await firstDID.save();
             console.log(`✅ Auto-assigned to agent ${defaultAgent.name}`);
+            notifyNumberAssigned(req.user._id, firstDID, defaultAgent, { provider: newProvider.provider, source: "auto" });
           }
         }
       } catch (err) {
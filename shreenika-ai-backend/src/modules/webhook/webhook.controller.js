@@ -1,5 +1,56 @@
-import { Webhook, WebhookLog } from './webhook.model.js';
+import { Webhook, WebhookLog, WebhookDelivery } from './webhook.model.js';
 import { WebhookService } from './webhook.service.js';
+import { webhookQueue } from './webhook.queue.js';
+import { WEBHOOK_EVENT_NAMES, listWebhookEvents, buildSampleEvent } from './webhook.events.js';
+import { validateTransformations, applyTransformations } from './webhook.transform.js';
+
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 168;
+
+const findUnknownEvents = (events) => [].concat(events).filter((event) => !WEBHOOK_EVENT_NAMES.includes(event));
+
+/**
+ * List the event catalogue (versions and payload JSON Schemas)
+ */
+export const listEvents = async (req, res) => {
+  res.json({ events: listWebhookEvents() });
+};
+
+/**
+ * Dry-run transformations on a sample (or supplied) event payload - nothing is saved or sent
+ * Body: { event, transformations?, payload?, webhookId? } - without transformations the webhook's saved ones are used
+ */
+export const dryRunTransformations = async (req, res) => {
+  try {
+    const { event, payload, webhookId } = req.body;
+    let { transformations } = req.body;
+
+    if (!WEBHOOK_EVENT_NAMES.includes(event)) {
+      return res.status(400).json({ error: `Unknown event: ${event}` });
+    }
+
+    if (transformations === undefined && webhookId) {
+      const webhook = await Webhook.findOne({ _id: webhookId, userId: req.user.id }).select('transformations');
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      transformations = webhook.transformations.map((t) => t.toObject());
+    }
+
+    const invalid = validateTransformations(transformations);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid transformations', details: invalid });
+    }
+
+    const input = payload ?? buildSampleEvent(event);
+    const { payload: output, errors, failed } = applyTransformations(input, transformations);
+
+    res.json({ event, input, output, errors, failed });
+  } catch (error) {
+    console.error('❌ Error dry-running webhook transformations:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
 
 /**
  * Create new webhook
@@ -13,6 +64,16 @@ export const createWebhook = async (req, res) => {
       return res.status(400).json({ error: 'URL and at least one event are required' });
     }
 
+    const unknownEvents = findUnknownEvents(events);
+    if (unknownEvents.length > 0) {
+      return res.status(400).json({ error: `Unknown events: ${unknownEvents.join(', ')}` });
+    }
+
+    const invalidTransformations = validateTransformations(transformations);
+    if (invalidTransformations.length > 0) {
+      return res.status(400).json({ error: 'Invalid transformations', details: invalidTransformations });
+    }
+
     const webhook = new Webhook({
       userId,
       name: name || new URL(url).hostname,
@@ -25,13 +86,17 @@ export const createWebhook = async (req, res) => {
       retryPolicy: retryPolicy || { maxRetries: 3, retryDelay: 5000 },
       isActive: true,
     });
+    const signingSecret = webhook.rotateSigningSecret();
 
     await webhook.save();
+    WebhookService.clearSubscriptionCache(userId);
 
     console.log(`✅ Webhook created: ${webhook._id}`);
     res.status(201).json({
       message: 'Webhook created successfully',
       webhook: webhook.toJSON(),
+      // Shown only once - used to verify X-Webhook-Signature
+      signingSecret,
     });
   } catch (error) {
     console.error('❌ Error creating webhook:', error.message);
@@ -110,6 +175,16 @@ export const updateWebhook = async (req, res) => {
     const userId = req.user.id;
     const { name, description, url, events, headers, auth, transformations, retryPolicy, isActive } = req.body;
 
+    const unknownEvents = events ? findUnknownEvents(events) : [];
+    if (unknownEvents.length > 0) {
+      return res.status(400).json({ error: `Unknown events: ${unknownEvents.join(', ')}` });
+    }
+
+    const invalidTransformations = validateTransformations(transformations);
+    if (invalidTransformations.length > 0) {
+      return res.status(400).json({ error: 'Invalid transformations', details: invalidTransformations });
+    }
+
     const webhook = await Webhook.findOneAndUpdate(
       { _id: webhookId, userId },
       {
@@ -122,6 +197,11 @@ export const updateWebhook = async (req, res) => {
         transformations,
         retryPolicy,
         isActive,
+        // Re-enabled (possibly after an auto-disable) - same reset as toggleWebhookStatus
+        ...(isActive === true && {
+          consecutiveFailures: 0,
+          $unset: { disabledAt: 1, disabledReason: 1 },
+        }),
       },
       { new: true, runValidators: true }
     );
@@ -129,6 +209,7 @@ export const updateWebhook = async (req, res) => {
     if (!webhook) {
       return res.status(404).json({ error: 'Webhook not found' });
     }
+    WebhookService.clearSubscriptionCache(userId);
 
     console.log(`✅ Webhook updated: ${webhookId}`);
     res.json({
@@ -158,8 +239,11 @@ export const deleteWebhook = async (req, res) => {
       return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    // Also delete related logs
+    WebhookService.clearSubscriptionCache(userId);
+
+    // Also delete related logs and queued deliveries
     await WebhookLog.deleteMany({ webhookId });
+    await WebhookDelivery.deleteMany({ webhookId });
 
     console.log(`✅ Webhook deleted: ${webhookId}`);
     res.json({ message: 'Webhook deleted successfully' });
@@ -233,6 +317,133 @@ export const getWebhookLogs = async (req, res) => {
   }
 };
 
+/**
+ * List queued / finished deliveries (?status=DEAD for the dead-letter queue)
+ */
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const userId = req.user.id;
+    const { status, limit = 50, skip = 0 } = req.query;
+
+    const webhook = await Webhook.findOne({
+      _id: webhookId,
+      userId,
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const filter = { webhookId };
+    if (status) {
+      filter.status = String(status).toUpperCase();
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .select('-payload -leaseOwner -leaseExpiresAt'),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      total,
+      deliveries,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching deliveries:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Redeliver the event of a log entry (same X-Webhook-Delivery ID)
+ */
+export const redeliverWebhookLog = async (req, res) => {
+  try {
+    const { webhookId, logId } = req.params;
+    const userId = req.user.id;
+
+    const webhook = await Webhook.findOne({
+      _id: webhookId,
+      userId,
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const log = await WebhookLog.findOne({ _id: logId, webhookId });
+    if (!log) {
+      return res.status(404).json({ error: 'Log not found' });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(409).json({ error: 'Enable the webhook before redelivering' });
+    }
+
+    const delivery = await webhookQueue.redeliver(webhook, log);
+    if (!delivery) {
+      return res.status(409).json({ error: 'This delivery is already queued' });
+    }
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery: {
+        id: delivery._id,
+        deliveryId: delivery.deliveryId,
+        event: delivery.event,
+        status: delivery.status,
+        nextAttemptAt: delivery.nextAttemptAt,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error redelivering webhook:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Rotate the signing secret
+ * Body: { graceHours } - how long the old secret keeps signing deliveries (default 24, 0 = revoke now)
+ */
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const userId = req.user.id;
+    const graceHours = Number(req.body?.graceHours ?? DEFAULT_ROTATION_GRACE_HOURS);
+
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_ROTATION_GRACE_HOURS) {
+      return res.status(400).json({ error: `graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}` });
+    }
+
+    const webhook = await Webhook.findOne({
+      _id: webhookId,
+      userId,
+    }).select('+signingSecret');
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const signingSecret = webhook.rotateSigningSecret(graceHours * 60 * 60 * 1000);
+    await webhook.save();
+
+    console.log(`✅ Webhook signing secret rotated: ${webhookId}`);
+    res.json({
+      message: 'Signing secret rotated',
+      signingSecret,
+      previousSecretExpiresAt: webhook.previousSecretExpiresAt || null,
+    });
+  } catch (error) {
+    console.error('❌ Error rotating webhook secret:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Toggle webhook active status
  */
@@ -251,7 +462,14 @@ export const toggleWebhookStatus = async (req, res) => {
     }
 
     webhook.isActive = !webhook.isActive;
+    if (webhook.isActive) {
+      // Re-enabled (possibly after an auto-disable) - start counting failures again
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    }
     await webhook.save();
+    WebhookService.clearSubscriptionCache(userId);
 
     console.log(`✅ Webhook toggled: ${webhookId} -> ${webhook.isActive ? 'active' : 'inactive'}`);
     res.json({
@@ -1,87 +1,228 @@
 import { WebhookService } from './webhook.service.js';
+import { WEBHOOK_EVENTS } from './webhook.events.js';
 
 /**
  * Webhook Event Emitter
- * Used to trigger webhooks from various modules
- * Example: webhookEmitter.emit('lead.created', userId, leadData)
+ * Used to trigger webhooks from various modules - the only way events reach a user's webhooks
+ * Payloads follow the versioned catalogue in webhook.events.js
+ * Example: webhookEmitter.onLeadCreated(userId, leadData)
  */
 
+// Call statuses that end a call without a conversation
+const CALL_FAILED_STATUSES = ['FAILED', 'BUSY', 'NO_ANSWER', 'MISSED'];
+
+/**
+ * Queue an event for the user's subscribed webhooks
+ * @private
+ */
+const emitEvent = async (userId, event, fields) => {
+  try {
+    await WebhookService.triggerEvent(userId, event, {
+      event,
+      version: WEBHOOK_EVENTS[event].version,
+      timestamp: new Date().toISOString(),
+      ...fields,
+    });
+  } catch (error) {
+    console.error(`❌ Error emitting ${event} webhook:`, error.message);
+  }
+};
+
+const idOrNull = (value) => (value ? value.toString() : null);
+
+/**
+ * Call fields shared by every call.* event
+ * @private
+ */
+const toCallData = (call) => ({
+  callId: call._id.toString(),
+  campaignId: idOrNull(call.campaignId),
+  leadId: idOrNull(call.leadId),
+  agentId: idOrNull(call.agentId),
+  direction: call.direction,
+  status: call.status,
+  phoneNumber: call.phoneNumber || null,
+  leadName: call.leadName || null,
+  provider: call.voipProvider || null,
+  providerCallId: call.providerCallId || null,
+});
+
+const toCampaignData = (campaign) => ({
+  campaignId: campaign._id.toString(),
+  name: campaign.name || null,
+});
+
 export const webhookEmitter = {
   /**
    * Emit lead.created event
    */
   async onLeadCreated(userId, leadData) {
-    try {
-      await WebhookService.triggerEvent(userId, 'lead.created', {
-        event: 'lead.created',
-        timestamp: new Date().toISOString(),
-        data: leadData,
-      });
-    } catch (error) {
-      console.error('❌ Error emitting lead.created webhook:', error.message);
-    }
+    await emitEvent(userId, 'lead.created', { data: leadData });
   },
 
   /**
    * Emit lead.updated event
    */
   async onLeadUpdated(userId, leadData, changedFields) {
-    try {
-      await WebhookService.triggerEvent(userId, 'lead.updated', {
-        event: 'lead.updated',
-        timestamp: new Date().toISOString(),
-        changedFields,
-        data: leadData,
+    await emitEvent(userId, 'lead.updated', { changedFields, data: leadData });
+  },
+
+  /**
+   * Emit call.initiated event (the provider accepted the dial)
+   */
+  async onCallInitiated(userId, call) {
+    await emitEvent(userId, 'call.initiated', { data: toCallData(call) });
+  },
+
+  /**
+   * Emit the event for a provider status change: call.ringing, call.answered or call.failed
+   * Other statuses (completed, dialing...) have their own events
+   * @param {string} userId
+   * @param {Object} call - Call document, already carrying the new status
+   * @param {string} reason - Why a failed call ended (provider error, timeout...)
+   */
+  async onCallStatusChanged(userId, call, reason = null) {
+    if (call.status === 'RINGING') {
+      await emitEvent(userId, 'call.ringing', { data: toCallData(call) });
+    } else if (call.status === 'ANSWERED') {
+      await emitEvent(userId, 'call.answered', {
+        data: { ...toCallData(call), answeredAt: call.answeredAt?.toISOString() || new Date().toISOString() },
+      });
+    } else if (CALL_FAILED_STATUSES.includes(call.status)) {
+      await emitEvent(userId, 'call.failed', {
+        data: { ...toCallData(call), reason: reason || call.endReason || null },
       });
-    } catch (error) {
-      console.error('❌ Error emitting lead.updated webhook:', error.message);
     }
   },
 
+  /**
+   * Emit call.transcript.turn event (one live transcript turn)
+   * Sent for every turn of every live call, so users without a subscriber are skipped before any query
+   * @param {number} sequence - 1-based position of the turn in the call (receivers reorder by it)
+   */
+  async onCallTranscriptTurn(userId, call, turn, sequence) {
+    const subscribed = await WebhookService.hasSubscribers(userId, 'call.transcript.turn').catch(() => true);
+    if (!subscribed) return;
+
+    await emitEvent(userId, 'call.transcript.turn', {
+      data: {
+        callId: call._id.toString(),
+        campaignId: idOrNull(call.campaignId),
+        sequence,
+        turn: {
+          role: turn.role,
+          content: turn.content,
+          timestamp: turn.timestamp.toISOString(),
+          latency: turn.latency,
+        },
+      },
+    });
+  },
+
   /**
    * Emit call.completed event
    */
   async onCallCompleted(userId, callData) {
-    try {
-      await WebhookService.triggerEvent(userId, 'call.completed', {
-        event: 'call.completed',
-        timestamp: new Date().toISOString(),
-        data: callData,
-      });
-    } catch (error) {
-      console.error('❌ Error emitting call.completed webhook:', error.message);
-    }
+    await emitEvent(userId, 'call.completed', { data: callData });
+  },
+
+  /**
+   * Emit call.analyzed event (post-call analysis stored)
+   */
+  async onCallAnalyzed(userId, call) {
+    await emitEvent(userId, 'call.analyzed', {
+      data: {
+        ...toCallData(call),
+        durationSeconds: call.durationSeconds ?? null,
+        summary: call.summary || null,
+        sentiment: call.sentiment || null,
+        outcome: call.outcome || null,
+        extractedData: call.extractedData || null,
+        recordingUrl: call.recordingUrl || null,
+      },
+    });
+  },
+
+  /**
+   * Emit call.transferred event (AI handoff summary for the human taking over)
+   */
+  async onCallTransferred(userId, transferData) {
+    await emitEvent(userId, 'call.transferred', { data: transferData });
+  },
+
+  /**
+   * Emit campaign.started event
+   */
+  async onCampaignStarted(userId, campaign, totalLeads) {
+    await emitEvent(userId, 'campaign.started', {
+      data: { ...toCampaignData(campaign), totalLeads },
+    });
+  },
+
+  /**
+   * Emit campaign.paused event
+   * @param {string} reason - USER or NO_CALLING_WINDOW
+   */
+  async onCampaignPaused(userId, campaign, reason) {
+    await emitEvent(userId, 'campaign.paused', {
+      data: { ...toCampaignData(campaign), reason },
+    });
+  },
+
+  /**
+   * Emit campaign.completed event
+   */
+  async onCampaignCompleted(userId, campaign) {
+    await emitEvent(userId, 'campaign.completed', {
+      data: {
+        ...toCampaignData(campaign),
+        stats: {
+          total: campaign.totalLeads,
+          successful: campaign.successfulCalls,
+          failed: campaign.failedCalls,
+          missed: campaign.missedCalls,
+          successRate: campaign.successRate ?? null,
+        },
+      },
+    });
+  },
+
+  /**
+   * Emit usage.threshold_reached event
+   */
+  async onUsageThresholdReached(userId, usageData) {
+    await emitEvent(userId, 'usage.threshold_reached', { data: usageData });
+  },
+
+  /**
+   * Emit voip.number.assigned event
+   * @param {Object} agent - Agent document, or just its id
+   * @param {Object} options - { provider, source: manual | auto (assigned while importing numbers) }
+   */
+  async onVoipNumberAssigned(userId, number, agent, { provider = null, source = 'manual' } = {}) {
+    await emitEvent(userId, 'voip.number.assigned', {
+      data: {
+        numberId: number._id.toString(),
+        phoneNumber: number.phoneNumber,
+        agentId: (agent._id || agent).toString(),
+        agentName: agent.name || null,
+        provider,
+        source,
+      },
+    });
   },
 
   /**
    * Emit agent.assigned event
    */
   async onAgentAssigned(userId, leadId, agentId, agentData) {
-    try {
-      await WebhookService.triggerEvent(userId, 'agent.assigned', {
-        event: 'agent.assigned',
-        timestamp: new Date().toISOString(),
-        leadId,
-        agentId,
-        agent: agentData,
-      });
-    } catch (error) {
-      console.error('❌ Error emitting agent.assigned webhook:', error.message);
-    }
+    await emitEvent(userId, 'agent.assigned', { leadId, agentId, agent: agentData });
   },
 
   /**
    * Emit contact.created event
    */
   async onContactCreated(userId, contactData) {
-    try {
-      await WebhookService.triggerEvent(userId, 'contact.created', {
-        event: 'contact.created',
-        timestamp: new Date().toISOString(),
-        data: contactData,
-      });
-    } catch (error) {
-      console.error('❌ Error emitting contact.created webhook:', error.message);
-    }
+    await emitEvent(userId, 'contact.created', { data: contactData });
   },
 };
@@ -0,0 +1,356 @@
+/**
+ * Webhook Event Catalogue
+ * Every event a webhook can subscribe to, with its version and the JSON Schema of its payload.
+ *
+ * All payloads share one envelope:
+ *   { event, version, timestamp, data, ... }
+ * `version` changes only on breaking changes to an event's payload; adding fields is not breaking.
+ * The catalogue is served at GET /webhooks/events so receivers can validate what they get.
+ */
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const id = { type: 'string', description: 'MongoDB ObjectId' };
+const nullableId = { type: ['string', 'null'], description: 'MongoDB ObjectId' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+// Shared by every call.* event (see toCallData in webhook.emitter.js)
+const CALL_PROPERTIES = {
+  callId: id,
+  campaignId: nullableId,
+  leadId: nullableId,
+  agentId: nullableId,
+  direction: { enum: ['INBOUND', 'OUTBOUND'] },
+  status: {
+    enum: ['INITIATED', 'DIALING', 'RINGING', 'ANSWERED', 'COMPLETED', 'FAILED', 'MISSED', 'NO_ANSWER', 'BUSY'],
+  },
+  phoneNumber: { type: ['string', 'null'] },
+  leadName: { type: ['string', 'null'] },
+  provider: { type: ['string', 'null'], description: 'VOIP provider, e.g. Twilio or SansPBX' },
+  providerCallId: { type: ['string', 'null'] },
+};
+
+const callData = (properties = {}) => ({
+  type: 'object',
+  required: ['callId', 'direction', 'status'],
+  properties: { ...CALL_PROPERTIES, ...properties },
+});
+
+// Full documents (contacts, calls) - only the fields receivers usually rely on are listed
+const documentData = (properties) => ({
+  type: 'object',
+  required: ['_id'],
+  properties: { _id: id, ...properties },
+  additionalProperties: true,
+});
+
+const CAMPAIGN_PROPERTIES = {
+  campaignId: id,
+  name: { type: ['string', 'null'] },
+};
+
+/**
+ * Build the JSON Schema of an event's payload
+ * @private
+ */
+const payloadSchema = (event, version, data, fields = {}) => ({
+  $schema: JSON_SCHEMA_DRAFT,
+  $id: `urn:shreenika:webhook:${event}:v${version}`,
+  title: event,
+  type: 'object',
+  required: ['event', 'version', 'timestamp', ...(data ? ['data'] : []), ...Object.keys(fields)],
+  properties: {
+    event: { const: event },
+    version: { const: version },
+    timestamp: dateTime,
+    ...(data && { data }),
+    ...fields,
+  },
+});
+
+/**
+ * Catalogue entry - example holds the payload fields after the envelope (data, ...)
+ * @private
+ */
+const defineEvent = (event, { version = 1, description, data, fields, example }) => ({
+  version,
+  description,
+  schema: payloadSchema(event, version, data, fields),
+  example,
+});
+
+// Sample records shared by the examples
+const SAMPLE_CONTACT = {
+  _id: '65f1c2a9e4b0a1b2c3d4e5f6',
+  firstName: 'John',
+  lastName: 'Doe',
+  fullName: 'John Doe',
+  email: 'john@example.com',
+  phone: '+919876543210',
+  status: 'new',
+  tags: ['webinar'],
+  customFields: { city: 'Pune' },
+};
+
+const SAMPLE_CALL = {
+  callId: '65f1c3b7e4b0a1b2c3d4e5f7',
+  campaignId: '65f1c1d2e4b0a1b2c3d4e5f5',
+  leadId: SAMPLE_CONTACT._id,
+  agentId: '65f1c0aae4b0a1b2c3d4e5f4',
+  direction: 'OUTBOUND',
+  status: 'INITIATED',
+  phoneNumber: SAMPLE_CONTACT.phone,
+  leadName: SAMPLE_CONTACT.fullName,
+  provider: 'Twilio',
+  providerCallId: 'CA0123456789abcdef0123456789abcdef',
+};
+
+const SAMPLE_CAMPAIGN = { campaignId: SAMPLE_CALL.campaignId, name: 'March follow-ups' };
+
+const CONTACT = documentData({
+  firstName: { type: 'string' },
+  lastName: { type: 'string' },
+  fullName: { type: 'string' },
+  email: { type: 'string' },
+  phone: { type: 'string' },
+  status: { type: 'string' },
+  tags: { type: 'array', items: { type: 'string' } },
+  customFields: { type: 'object' },
+});
+
+export const WEBHOOK_EVENTS = {
+  'lead.created': defineEvent('lead.created', {
+    description: 'A contact was created (kept for integrations built on leads).',
+    data: CONTACT,
+    example: { data: SAMPLE_CONTACT },
+  }),
+  'lead.updated': defineEvent('lead.updated', {
+    description: 'A contact was updated; changedFields lists what changed.',
+    data: CONTACT,
+    fields: { changedFields: { type: 'array', items: { type: 'string' } } },
+    example: { changedFields: ['status'], data: { ...SAMPLE_CONTACT, status: 'contacted' } },
+  }),
+  'contact.created': defineEvent('contact.created', {
+    description: 'A contact was created.',
+    data: CONTACT,
+    example: { data: SAMPLE_CONTACT },
+  }),
+  'agent.assigned': defineEvent('agent.assigned', {
+    description: 'An agent was assigned to a lead.',
+    fields: {
+      leadId: id,
+      agentId: id,
+      agent: { type: 'object' },
+    },
+    example: {
+      leadId: SAMPLE_CONTACT._id,
+      agentId: SAMPLE_CALL.agentId,
+      agent: { _id: SAMPLE_CALL.agentId, name: 'Sales Agent' },
+    },
+  }),
+
+  'call.initiated': defineEvent('call.initiated', {
+    description: 'An outbound call was handed to the VOIP provider and is dialing.',
+    data: callData(),
+    example: { data: { ...SAMPLE_CALL, status: 'DIALING' } },
+  }),
+  'call.ringing': defineEvent('call.ringing', {
+    description: 'The called phone is ringing. Not sent for SansPBX calls (SansPBX reports no ringing state).',
+    data: callData(),
+    example: { data: { ...SAMPLE_CALL, status: 'RINGING' } },
+  }),
+  'call.answered': defineEvent('call.answered', {
+    description: 'The call was answered (outbound) or an inbound call reached an agent.',
+    data: callData({ answeredAt: { type: ['string', 'null'], format: 'date-time' } }),
+    example: { data: { ...SAMPLE_CALL, status: 'ANSWERED', answeredAt: '2026-03-12T10:00:05.000Z' } },
+  }),
+  'call.failed': defineEvent('call.failed', {
+    description: 'The call ended without a conversation: failed, busy, no answer or canceled.',
+    data: callData({ reason: { type: ['string', 'null'] } }),
+    example: { data: { ...SAMPLE_CALL, status: 'BUSY', reason: null } },
+  }),
+  'call.transcript.turn': defineEvent('call.transcript.turn', {
+    description: 'One spoken turn of a live call, sent as it happens.',
+    data: {
+      type: 'object',
+      required: ['callId', 'sequence', 'turn'],
+      properties: {
+        callId: id,
+        campaignId: nullableId,
+        sequence: { type: 'integer', minimum: 1, description: 'Position of the turn in the call, starting at 1 - deliveries can arrive out of order' },
+        turn: {
+          type: 'object',
+          required: ['role', 'content', 'timestamp'],
+          properties: {
+            role: { enum: ['agent', 'user'] },
+            content: { type: 'string' },
+            timestamp: dateTime,
+            latency: { type: ['integer', 'null'], description: 'Agent response time in ms' },
+          },
+        },
+      },
+    },
+    example: {
+      data: {
+        callId: SAMPLE_CALL.callId,
+        campaignId: SAMPLE_CALL.campaignId,
+        sequence: 1,
+        turn: { role: 'agent', content: 'Hi John, do you have a minute?', timestamp: '2026-03-12T10:00:08.000Z', latency: 640 },
+      },
+    },
+  }),
+  'call.completed': defineEvent('call.completed', {
+    description: 'A call ended; completed calls are sent once analysis is stored.',
+    data: documentData({
+      status: CALL_PROPERTIES.status,
+      durationSeconds: { type: 'number' },
+      summary: { type: 'string' },
+      outcome: { type: ['string', 'null'] },
+    }),
+    example: {
+      data: { _id: SAMPLE_CALL.callId, leadId: SAMPLE_CONTACT._id, status: 'COMPLETED', durationSeconds: 180, summary: 'Booked a demo for Friday.', outcome: 'meeting_booked' },
+    },
+  }),
+  'call.analyzed': defineEvent('call.analyzed', {
+    description: 'Post-call analysis (summary, sentiment, outcome, extracted data) is ready.',
+    data: callData({
+      durationSeconds: { type: ['number', 'null'] },
+      summary: { type: ['string', 'null'] },
+      sentiment: { enum: ['Positive', 'Neutral', 'Negative', null] },
+      outcome: { enum: ['meeting_booked', 'callback_requested', 'not_interested', 'voicemail', null] },
+      extractedData: { type: ['object', 'null'], description: "Fields from the agent's extraction schema" },
+      recordingUrl: { type: ['string', 'null'] },
+    }),
+    example: {
+      data: {
+        ...SAMPLE_CALL,
+        status: 'COMPLETED',
+        durationSeconds: 180,
+        summary: 'Booked a demo for Friday.',
+        sentiment: 'Positive',
+        outcome: 'meeting_booked',
+        extractedData: { budget: '50k' },
+        recordingUrl: null,
+      },
+    },
+  }),
+  'call.transferred': defineEvent('call.transferred', {
+    description: 'The AI agent handed the call to a human, with a handoff summary.',
+    data: { type: 'object', required: ['callId'], properties: { callId: id }, additionalProperties: true },
+    example: { data: { callId: SAMPLE_CALL.callId, summary: 'Caller wants pricing for 50 seats.' } },
+  }),
+
+  'campaign.started': defineEvent('campaign.started', {
+    description: 'A campaign was started.',
+    data: {
+      type: 'object',
+      required: ['campaignId'],
+      properties: { ...CAMPAIGN_PROPERTIES, totalLeads: { type: 'integer' } },
+    },
+    example: { data: { ...SAMPLE_CAMPAIGN, totalLeads: 120 } },
+  }),
+  'campaign.paused': defineEvent('campaign.paused', {
+    description: 'A campaign was paused by the user or because its schedule has no calling window left.',
+    data: {
+      type: 'object',
+      required: ['campaignId', 'reason'],
+      properties: { ...CAMPAIGN_PROPERTIES, reason: { enum: ['USER', 'NO_CALLING_WINDOW'] } },
+    },
+    example: { data: { ...SAMPLE_CAMPAIGN, reason: 'USER' } },
+  }),
+  'campaign.completed': defineEvent('campaign.completed', {
+    description: 'Every lead of a campaign was attempted.',
+    data: {
+      type: 'object',
+      required: ['campaignId', 'stats'],
+      properties: {
+        ...CAMPAIGN_PROPERTIES,
+        stats: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            successful: { type: 'integer' },
+            failed: { type: 'integer' },
+            missed: { type: 'integer' },
+            successRate: { type: ['number', 'null'] },
+          },
+        },
+      },
+    },
+    example: {
+      data: { ...SAMPLE_CAMPAIGN, stats: { total: 120, successful: 64, failed: 20, missed: 36, successRate: 53 } },
+    },
+  }),
+
+  'usage.threshold_reached': defineEvent('usage.threshold_reached', {
+    description: "This month's usage crossed 80% (warning) or 100% (limit_reached) of the plan limit.",
+    data: {
+      type: 'object',
+      required: ['level', 'metric', 'used', 'limit', 'percent', 'month'],
+      properties: {
+        level: { enum: ['warning', 'limit_reached'] },
+        metric: { enum: ['voiceMinutesUsed', 'llmTokensUsed'] },
+        used: { type: 'number' },
+        limit: { type: 'number' },
+        percent: { type: 'integer' },
+        month: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+      },
+    },
+    example: {
+      data: { level: 'warning', metric: 'voiceMinutesUsed', used: 805, limit: 1000, percent: 81, month: '2026-03' },
+    },
+  }),
+
+  'voip.number.assigned': defineEvent('voip.number.assigned', {
+    description: 'A phone number (DID) was assigned to an agent; inbound calls to it now reach that agent.',
+    data: {
+      type: 'object',
+      required: ['numberId', 'phoneNumber', 'agentId'],
+      properties: {
+        numberId: id,
+        phoneNumber: { type: 'string' },
+        agentId: id,
+        agentName: { type: ['string', 'null'] },
+        provider: { type: ['string', 'null'] },
+        source: { enum: ['manual', 'auto'], description: 'auto: assigned while importing numbers' },
+      },
+    },
+    example: {
+      data: {
+        numberId: '65f1c4c1e4b0a1b2c3d4e5f8',
+        phoneNumber: '+14155550100',
+        agentId: SAMPLE_CALL.agentId,
+        agentName: 'Sales Agent',
+        provider: 'Twilio',
+        source: 'manual',
+      },
+    },
+  }),
+};
+
+export const WEBHOOK_EVENT_NAMES = Object.keys(WEBHOOK_EVENTS);
+
+/**
+ * Full sample payload of an event (for dry runs)
+ * @param {string} event
+ * @returns {Object|null} - null for unknown events
+ */
+export const buildSampleEvent = (event) => {
+  const entry = WEBHOOK_EVENTS[event];
+  if (!entry) return null;
+  return { event, version: entry.version, timestamp: new Date().toISOString(), ...structuredClone(entry.example) };
+};
+
+/**
+ * Catalogue as served to API clients
+ * @returns {Array} - [{ event, version, description, schema, example }]
+ */
+export const listWebhookEvents = () =>
+  WEBHOOK_EVENT_NAMES.map((event) => ({ event, ...WEBHOOK_EVENTS[event] }));
+
+export default {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_NAMES,
+  buildSampleEvent,
+  listWebhookEvents
+};
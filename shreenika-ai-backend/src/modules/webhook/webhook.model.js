@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+import { generateSigningSecret } from './webhook.signature.js';
+import { WEBHOOK_EVENT_NAMES } from './webhook.events.js';
 
 const webhookSchema = new mongoose.Schema(
   {
@@ -22,7 +25,8 @@ const webhookSchema = new mongoose.Schema(
     events: {
       type: [String],
       required: true,
-      enum: ['lead.created', 'lead.updated', 'call.completed', 'agent.assigned', 'contact.created'],
+      // Versioned catalogue with payload schemas: webhook.events.js
+      enum: WEBHOOK_EVENT_NAMES,
       default: [],
     },
     headers: {
@@ -44,6 +48,8 @@ const webhookSchema = new mongoose.Schema(
         apiKeyHeader: { type: String, default: 'X-API-Key' },
       },
     },
+    // direct: copy sourceField to targetField / custom: customScript is an expression
+    // evaluated in the sandbox of webhook.transform.js (never run as JavaScript)
     transformations: [
       {
         sourceField: String,
@@ -61,19 +67,126 @@ const webhookSchema = new mongoose.Schema(
       maxRetries: { type: Number, default: 3 },
       retryDelay: { type: Number, default: 5000 }, // 5 seconds
     },
+    // HMAC signing (see webhook.signature.js) - secrets are stored encrypted
+    signingSecret: { type: String, select: false },
+    signingSecretHint: String, // Last 4 characters, for display
+    secretRotatedAt: Date,
+    // Previous secret keeps signing deliveries until it expires (rotation grace period)
+    previousSigningSecret: { type: String, select: false },
+    previousSecretExpiresAt: Date,
     lastTriggeredAt: Date,
     lastSuccessAt: Date,
     failureCount: { type: Number, default: 0 },
     successCount: { type: Number, default: 0 },
+    // Dead-lettered deliveries since the last success (auto-disable threshold, see webhook.queue.js)
+    consecutiveFailures: { type: Number, default: 0 },
+    disabledAt: Date,
+    disabledReason: String,
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.signingSecret;
+        delete ret.previousSigningSecret;
+        return ret;
+      },
+    },
+  }
 );
 
 webhookSchema.index({ userId: 1, isActive: 1 });
 
+/**
+ * Replace the signing secret (load +signingSecret first to keep the old one valid)
+ * @param {number} graceMs - How long the previous secret keeps signing deliveries
+ * @returns {string} - The new secret, in plain text (only shown once)
+ */
+webhookSchema.methods.rotateSigningSecret = function (graceMs = 0) {
+  const secret = generateSigningSecret();
+
+  if (this.signingSecret && graceMs > 0) {
+    this.previousSigningSecret = this.signingSecret;
+    this.previousSecretExpiresAt = new Date(Date.now() + graceMs);
+  } else {
+    this.previousSigningSecret = undefined;
+    this.previousSecretExpiresAt = undefined;
+  }
+
+  this.signingSecret = encrypt(secret);
+  this.signingSecretHint = secret.slice(-4);
+  this.secretRotatedAt = new Date();
+  return secret;
+};
+
+/**
+ * Secrets that sign deliveries now (current first); empty for webhooks created before signing
+ * @returns {Array}
+ */
+webhookSchema.methods.getSigningSecrets = function () {
+  const secrets = [];
+  if (this.signingSecret) secrets.push(decrypt(this.signingSecret));
+  if (this.previousSigningSecret && this.previousSecretExpiresAt > new Date()) {
+    secrets.push(decrypt(this.previousSigningSecret));
+  }
+  return secrets;
+};
+
 export const Webhook = mongoose.model('Webhook', webhookSchema);
 
-// Webhook Log Schema for debugging
+// Webhook Delivery Schema - durable queue item, one per event sent to a webhook
+// PENDING → DELIVERING (leased by a worker) → SUCCEEDED, or back to PENDING for a retry;
+// DEAD once every attempt failed (dead letter - can be redelivered from its log)
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: String,
+    // X-Webhook-Delivery (kept across retries and redeliveries)
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    // false: payload is the raw event, transformed by the worker before each attempt
+    // true: payload is already transformed and sent as stored (e.g. re-created from a log)
+    transformed: { type: Boolean, default: true },
+    status: {
+      type: String,
+      enum: ['PENDING', 'DELIVERING', 'SUCCEEDED', 'DEAD'],
+      default: 'PENDING',
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 4 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // Worker lease while DELIVERING
+    leaseOwner: String,
+    leaseExpiresAt: Date,
+    lastStatusCode: Number,
+    lastError: String,
+    redeliveryCount: { type: Number, default: 0 },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, status: 1, createdAt: -1 });
+// Finished deliveries are removed after 30 days, like their logs
+webhookDeliverySchema.index({ completedAt: 1 }, { expireAfterSeconds: 2592000 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Webhook Log Schema for debugging - one entry per delivery attempt
 const webhookLogSchema = new mongoose.Schema(
   {
     webhookId: {
@@ -89,11 +202,15 @@ const webhookLogSchema = new mongoose.Schema(
       index: true,
     },
     event: String,
+    // X-Webhook-Delivery sent with the request (same for every retry)
+    deliveryId: String,
     payload: mongoose.Schema.Types.Mixed,
+    // false: not sent because the transformations failed - payload is the raw event
+    transformed: { type: Boolean, default: true },
     statusCode: Number,
     response: mongoose.Schema.Types.Mixed,
     error: String,
-    retryCount: { type: Number, default: 0 },
+    retryCount: { type: Number, default: 0 }, // Attempt number - 1
     success: Boolean,
     duration: Number, // in milliseconds
   },
@@ -0,0 +1,371 @@
+/**
+ * Webhook Delivery Queue
+ * Durable delivery of webhook events - replaces inline setTimeout retries
+ *
+ * Every event sent to a webhook is a WebhookDelivery in MongoDB. Each backend instance
+ * polls for due deliveries, leases one at a time per slot and makes a single attempt
+ * (logged in WebhookLog). The webhook's transformations run in the worker, right before
+ * each attempt; when they all fail the delivery is dead-lettered without being sent,
+ * never sent untransformed. Failures are rescheduled with exponential backoff from the
+ * webhook's retryPolicy; after the last attempt the delivery is dead-lettered (DEAD)
+ * and can be redelivered from its log. A crashed instance's leases expire and the
+ * deliveries are picked up again, so nothing pending is lost on restart.
+ *
+ * A webhook whose deliveries keep dead-lettering is deactivated and its owner is
+ * notified (realtime + email); re-enabling it resets the counter.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { Webhook, WebhookDelivery, WebhookLog } from './webhook.model.js';
+import { WebhookService, SIGNING_FIELDS } from './webhook.service.js';
+import User from '../auth/user.model.js';
+import { sendMail } from '../../utils/mailer.js';
+import { emitToUser, REALTIME_EVENTS } from '../realtime/realtime.service.js';
+
+class WebhookDeliveryQueue {
+  constructor({ leaseMs = 30000, pollMs = 2000, concurrency = 5, disableAfterFailures = 10 } = {}) {
+    this.leaseMs = leaseMs; // Longer than one HTTP attempt (10s timeout)
+    this.pollMs = pollMs; // How often this instance looks for due deliveries
+    this.concurrency = concurrency; // Deliveries in flight per instance
+    this.disableAfterFailures = disableAfterFailures; // Consecutive dead letters before a webhook is deactivated
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.inFlight = 0;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Queue an event for one webhook
+   * @param {Object} webhook - Webhook document
+   * @param {string} event - e.g. "call.completed"
+   * @param {Object} payload - Event payload (transformations are applied by the worker)
+   * @returns {Promise<Object>} - WebhookDelivery
+   */
+  async enqueue(webhook, event, payload) {
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook._id,
+      userId: webhook.userId,
+      event,
+      deliveryId: crypto.randomUUID(),
+      payload,
+      transformed: false,
+      maxAttempts: (webhook.retryPolicy?.maxRetries ?? 3) + 1,
+    });
+
+    this.kick();
+    return delivery;
+  }
+
+  /**
+   * Send a logged delivery again (dead letter, earlier success or a test)
+   * The delivery keeps its X-Webhook-Delivery ID; deliveries that no longer exist are re-created from the log
+   * @param {Object} webhook - Webhook document
+   * @param {Object} log - WebhookLog of any attempt
+   * @returns {Promise<Object|null>} - The queued delivery, or null when it is already queued / in flight
+   */
+  async redeliver(webhook, log) {
+    const existing = log.deliveryId
+      ? await WebhookDelivery.findOne({ deliveryId: log.deliveryId, webhookId: webhook._id })
+      : null;
+
+    let delivery;
+    if (existing) {
+      delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: existing._id, status: { $in: ['SUCCEEDED', 'DEAD'] } },
+        {
+          $set: {
+            status: 'PENDING',
+            attempts: 0,
+            maxAttempts: (webhook.retryPolicy?.maxRetries ?? 3) + 1,
+            nextAttemptAt: new Date(),
+            lastError: null,
+            completedAt: null,
+          },
+          $inc: { redeliveryCount: 1 },
+        },
+        { new: true }
+      );
+      if (!delivery) return null;
+    } else {
+      delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        userId: webhook.userId,
+        event: log.event,
+        deliveryId: log.deliveryId || crypto.randomUUID(),
+        payload: log.payload,
+        transformed: log.transformed !== false,
+        maxAttempts: (webhook.retryPolicy?.maxRetries ?? 3) + 1,
+        redeliveryCount: 1,
+      });
+    }
+
+    console.log(`🔁 Webhook: Delivery ${delivery.deliveryId} queued for redelivery`);
+    this.kick();
+    return delivery;
+  }
+
+  /**
+   * Atomically lease the next due (or abandoned) delivery
+   * @private
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'PENDING', nextAttemptAt: { $lte: now } },
+          { status: 'DELIVERING', leaseExpiresAt: { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'DELIVERING',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs),
+        },
+        // Counted at claim time so a crash mid-attempt still uses one up
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Update a delivery this instance still holds
+   * @private
+   */
+  async settle(delivery, update) {
+    return WebhookDelivery.updateOne(
+      { _id: delivery._id, status: 'DELIVERING', leaseOwner: this.workerId },
+      { $set: { ...update, leaseOwner: null, leaseExpiresAt: null } }
+    );
+  }
+
+  /**
+   * Make one attempt for a leased delivery
+   * @private
+   */
+  async process(delivery) {
+    const webhook = await Webhook.findById(delivery.webhookId).select(SIGNING_FIELDS);
+
+    if (!webhook || !webhook.isActive) {
+      const reason = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+      await this.settle(delivery, { status: 'DEAD', lastError: reason, completedAt: new Date() });
+      return;
+    }
+
+    let payload = delivery.payload;
+    if (!delivery.transformed) {
+      const transformed = WebhookService.transformPayload(payload, webhook.transformations);
+      if (transformed.failed) {
+        await this.failTransformation(webhook, delivery, transformed.error);
+        return;
+      }
+      payload = transformed.payload;
+    }
+
+    const result = await WebhookService.sendDelivery(
+      webhook,
+      { event: delivery.event, deliveryId: delivery.deliveryId, payload },
+      delivery.attempts
+    );
+    const now = new Date();
+
+    if (result.success) {
+      await this.settle(delivery, { status: 'SUCCEEDED', lastStatusCode: result.statusCode, lastError: null, completedAt: now });
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        { $set: { lastSuccessAt: now, lastTriggeredAt: now, consecutiveFailures: 0 }, $inc: { successCount: 1 } }
+      );
+      return;
+    }
+
+    if (delivery.attempts < delivery.maxAttempts) {
+      const delay = (webhook.retryPolicy?.retryDelay ?? 5000) * Math.pow(2, delivery.attempts - 1); // Exponential backoff
+      console.log(`⏳ Webhook: Delivery ${delivery.deliveryId} retrying in ${delay}ms`);
+      await this.settle(delivery, {
+        status: 'PENDING',
+        nextAttemptAt: new Date(now.getTime() + delay),
+        lastStatusCode: result.statusCode,
+        lastError: result.error,
+      });
+      await Webhook.updateOne({ _id: webhook._id }, { $set: { lastTriggeredAt: now } });
+      return;
+    }
+
+    console.error(`❌ Webhook: Delivery ${delivery.deliveryId} dead-lettered after ${delivery.attempts} attempts`);
+    await this.deadLetter(webhook, delivery, result);
+  }
+
+  /**
+   * Dead-letter a delivery whose transformations all failed - retrying gives the same result
+   * The failure is logged like an attempt, so it shows in the webhook's logs and can be
+   * redelivered once the transformations are fixed
+   * @private
+   */
+  async failTransformation(webhook, delivery, error) {
+    console.error(`❌ Webhook: Delivery ${delivery.deliveryId} not sent - ${error}`);
+    await WebhookLog.create({
+      webhookId: webhook._id,
+      userId: webhook.userId,
+      event: delivery.event,
+      deliveryId: delivery.deliveryId,
+      payload: delivery.payload,
+      transformed: false,
+      error,
+      success: false,
+      retryCount: delivery.attempts - 1,
+      duration: 0,
+    });
+    await this.deadLetter(webhook, delivery, { error });
+  }
+
+  /**
+   * Move a delivery to DEAD and count it against the webhook (deactivated after too many in a row)
+   * @private
+   */
+  async deadLetter(webhook, delivery, { statusCode, error }) {
+    const now = new Date();
+    await this.settle(delivery, {
+      status: 'DEAD',
+      lastStatusCode: statusCode,
+      lastError: error,
+      completedAt: now,
+    });
+
+    const updated = await Webhook.findOneAndUpdate(
+      { _id: webhook._id },
+      { $set: { lastTriggeredAt: now }, $inc: { failureCount: 1, consecutiveFailures: 1 } },
+      { new: true }
+    );
+    if (updated?.isActive && updated.consecutiveFailures >= this.disableAfterFailures) {
+      await this.disableWebhook(updated, error);
+    }
+  }
+
+  /**
+   * Deactivate a failing webhook and tell its owner
+   * @private
+   */
+  async disableWebhook(webhook, lastError) {
+    const reason = `Deactivated after ${webhook.consecutiveFailures} failed deliveries in a row (last error: ${lastError})`;
+    const disabled = await Webhook.updateOne(
+      { _id: webhook._id, isActive: true },
+      { $set: { isActive: false, disabledAt: new Date(), disabledReason: reason } }
+    );
+    // Another instance got there first
+    if (disabled.modifiedCount === 0) return;
+
+    console.warn(`⚠️ Webhook: ${webhook._id} (${webhook.url}) auto-disabled - ${reason}`);
+
+    emitToUser(webhook.userId, REALTIME_EVENTS.WEBHOOK_DISABLED, {
+      webhookId: webhook._id.toString(),
+      name: webhook.name,
+      url: webhook.url,
+      reason,
+    });
+
+    try {
+      const owner = await User.findById(webhook.userId).select('email name').lean();
+      if (owner?.email) {
+        await sendMail({
+          to: owner.email,
+          subject: `Webhook "${webhook.name}" was deactivated`,
+          html: `
+            <p>Hi${owner.name ? ` ${owner.name}` : ''},</p>
+            <p>Your webhook <strong>${webhook.name}</strong> (${webhook.url}) kept failing and has been deactivated.</p>
+            <p>${reason}</p>
+            <p>Fix the endpoint, re-enable the webhook on the Integrations page, then redeliver failed events from its logs.</p>
+          `,
+        });
+      }
+    } catch (err) {
+      console.error(`❌ Webhook: Could not email the owner of ${webhook._id}:`, err.message);
+    }
+  }
+
+  /**
+   * Run one leased delivery, then look for more
+   * @private
+   */
+  async run(delivery) {
+    this.inFlight++;
+    try {
+      await this.process(delivery);
+    } catch (err) {
+      console.error(`❌ Webhook: Delivery ${delivery.deliveryId} errored:`, err.message);
+      // The lease expires and another poll retries the same attempt count
+    } finally {
+      this.inFlight--;
+      this.kick();
+    }
+  }
+
+  /**
+   * Lease deliveries until this instance is at capacity
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.pollTimer && this.inFlight < this.concurrency) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+        this.run(delivery);
+      }
+    } catch (err) {
+      console.error('❌ Webhook: Queue poll failed:', err.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Poll now instead of waiting for the timer
+   * @private
+   */
+  kick() {
+    if (this.pollTimer) setImmediate(() => this.poll());
+  }
+
+  /**
+   * Start polling (call once MongoDB is connected)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+    console.log(`📬 Webhook delivery queue started (worker ${this.workerId})`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and hand leased deliveries back for another instance
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    const result = await WebhookDelivery.updateMany(
+      { status: 'DELIVERING', leaseOwner: this.workerId },
+      { $set: { status: 'PENDING', leaseOwner: null, leaseExpiresAt: null, nextAttemptAt: new Date() } }
+    );
+
+    console.log(`📬 Webhook delivery queue stopped - released ${result.modifiedCount} delivery lease(s)`);
+  }
+}
+
+// Create singleton instance
+export const webhookQueue = new WebhookDeliveryQueue({
+  leaseMs: parseInt(process.env.WEBHOOK_LEASE_MS || '30000'),
+  pollMs: parseInt(process.env.WEBHOOK_POLL_MS || '2000'),
+  concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || '5'),
+  disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '10'),
+});
+
+export default WebhookDeliveryQueue;
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import {
+  listEvents,
+  dryRunTransformations,
   createWebhook,
   listWebhooks,
   getWebhook,
@@ -8,6 +10,9 @@ import {
   testWebhook,
   getWebhookLogs,
   toggleWebhookStatus,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  redeliverWebhookLog,
 } from './webhook.controller.js';
 import { requireAuth } from '../auth/auth.middleware.js';
 
@@ -16,6 +21,12 @@ const router = Router();
 // All webhook routes require authentication
 router.use(requireAuth);
 
+/**
+ * Event Catalogue & Transformation Dry Run (before /:webhookId)
+ */
+router.get('/events', listEvents);
+router.post('/dry-run', dryRunTransformations);
+
 /**
  * Webhook Management
  */
@@ -25,11 +36,14 @@ router.get('/:webhookId', getWebhook);
 router.put('/:webhookId', updateWebhook);
 router.delete('/:webhookId', deleteWebhook);
 router.patch('/:webhookId/toggle', toggleWebhookStatus);
+router.post('/:webhookId/rotate-secret', rotateWebhookSecret);
 
 /**
- * Webhook Testing & Logs
+ * Webhook Testing, Logs & Deliveries
  */
 router.post('/:webhookId/test', testWebhook);
 router.get('/:webhookId/logs', getWebhookLogs);
+router.post('/:webhookId/logs/:logId/redeliver', redeliverWebhookLog);
+router.get('/:webhookId/deliveries', listWebhookDeliveries);
 
 export default router;
@@ -1,19 +1,34 @@
 import { Webhook, WebhookLog } from './webhook.model.js';
 import axios from 'axios';
+import crypto from 'crypto';
+import { SIGNATURE_HEADER, DELIVERY_HEADER, buildSignatureHeader } from './webhook.signature.js';
+import { webhookQueue } from './webhook.queue.js';
+import { applyTransformations } from './webhook.transform.js';
+
+// Signing secrets are select: false - load them wherever deliveries are made
+export const SIGNING_FIELDS = '+signingSecret +previousSigningSecret';
+
+// userId → { events: Set, expiresAt } of active webhooks, for high-volume events
+// Changes on this instance clear the entry; other instances see them within the TTL
+const SUBSCRIPTION_CACHE_MS = 30 * 1000;
+const subscriptionCache = new Map();
 
 /**
  * Webhook Service - Handles event triggers and webhook delivery
  */
 export class WebhookService {
   /**
-   * Build request headers with auth
+   * Build request headers with auth and signature
+   * @param {Object} webhook
+   * @param {Object} delivery - { deliveryId, body (serialized payload) }
    */
-  static buildHeaders(webhook) {
+  static buildHeaders(webhook, { deliveryId, body } = {}) {
+    const now = new Date();
     const headers = {
       'Content-Type': 'application/json',
       'X-Webhook-Event': webhook.event || 'unknown',
       'X-Webhook-Id': webhook._id?.toString() || 'unknown',
-      'X-Webhook-Timestamp': new Date().toISOString(),
+      'X-Webhook-Timestamp': now.toISOString(),
       ...Object.fromEntries(webhook.headers || new Map()),
     };
 
@@ -31,141 +46,115 @@ export class WebhookService {
       headers[headerName] = webhook.auth.credentials.apiKey;
     }
 
+    // Set last so custom headers cannot replace them
+    if (deliveryId) {
+      headers[DELIVERY_HEADER] = deliveryId;
+    }
+    const secrets = webhook.getSigningSecrets?.() || [];
+    if (secrets.length && body !== undefined) {
+      headers[SIGNATURE_HEADER] = buildSignatureHeader(secrets, body, Math.floor(now.getTime() / 1000));
+    }
+
     return headers;
   }
 
   /**
-   * Transform payload based on webhook transformations
+   * Transform payload based on webhook transformations (sandboxed - see webhook.transform.js)
+   * Failing transformations are skipped and logged; when all fail there is no payload to send
+   * @returns {Object} - { payload, failed, error } - error summarizes the failures
    */
   static transformPayload(originalPayload, transformations) {
-    if (!transformations || transformations.length === 0) {
-      return originalPayload;
+    const { payload, errors, failed } = applyTransformations(originalPayload, transformations);
+    errors.forEach(({ targetField, error }) =>
+      console.error(`❌ Webhook transform error for ${targetField}:`, error)
+    );
+    const error = errors.length
+      ? `Transformations failed: ${errors.map(({ targetField, error }) => `${targetField}: ${error}`).join('; ')}`
+      : null;
+    return { payload, failed, error };
+  }
+
+  /**
+   * Send one delivery attempt and log it (retries are scheduled by webhook.queue.js)
+   * @param {Object} webhook - Webhook with signing secrets loaded
+   * @param {Object} delivery - { event, deliveryId, payload }
+   * @param {number} attempt - 1-based attempt number
+   * @returns {Promise<Object>} - { success, statusCode, error, deliveryId }
+   */
+  static async sendDelivery(webhook, { event, deliveryId, payload }, attempt = 1) {
+    const startTime = Date.now();
+    // Signed as sent: the exact serialized body; fresh timestamp per attempt
+    const body = JSON.stringify(payload);
+
+    console.log(`📤 Webhook: Sending ${event} to ${webhook.url} (delivery ${deliveryId}, attempt ${attempt})`);
+
+    let result;
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: this.buildHeaders(webhook, { deliveryId, body }),
+        timeout: 10000,
+        transformRequest: [(data) => data],
+      });
+      result = { success: true, statusCode: response.status, response: response.data };
+    } catch (error) {
+      result = {
+        success: false,
+        statusCode: error.response?.status,
+        response: error.response?.data,
+        error: error.message,
+      };
     }
 
-    const transformed = {};
-
-    transformations.forEach((t) => {
-      if (t.transformType === 'direct') {
-        // Direct mapping: sourceField -> targetField
-        const value = this.getNestedValue(originalPayload, t.sourceField);
-        if (value !== undefined) {
-          this.setNestedValue(transformed, t.targetField, value);
-        }
-      } else if (t.transformType === 'custom' && t.customScript) {
-        // Custom transformation using eval (use with caution in production)
-        try {
-          const func = new Function('data', `return ${t.customScript}`);
-          const value = func(originalPayload);
-          this.setNestedValue(transformed, t.targetField, value);
-        } catch (error) {
-          console.error(`❌ Webhook transform error for ${t.targetField}:`, error.message);
-        }
-      }
+    await WebhookLog.create({
+      webhookId: webhook._id,
+      userId: webhook.userId,
+      event,
+      deliveryId,
+      payload,
+      statusCode: result.statusCode,
+      response: result.response,
+      error: result.error,
+      success: result.success,
+      retryCount: attempt - 1,
+      duration: Date.now() - startTime,
     });
 
-    return Object.keys(transformed).length > 0 ? transformed : originalPayload;
-  }
-
-  static getNestedValue(obj, path) {
-    return path.split('.').reduce((current, prop) => current?.[prop], obj);
+    if (result.success) {
+      console.log(`✅ Webhook: Success (${result.statusCode}) on attempt ${attempt}`);
+    } else {
+      console.error(`❌ Webhook attempt ${attempt} failed:`, result.error);
+    }
+    return { success: result.success, statusCode: result.statusCode, error: result.error, deliveryId };
   }
 
-  static setNestedValue(obj, path, value) {
-    const keys = path.split('.');
-    const lastKey = keys.pop();
-    const target = keys.reduce((current, prop) => {
-      if (!current[prop]) current[prop] = {};
-      return current[prop];
-    }, obj);
-    target[lastKey] = value;
+  /**
+   * Does any active webhook of the user subscribe to an event? (cached - see SUBSCRIPTION_CACHE_MS)
+   * Lets frequent events (transcript turns) skip the webhook query when nobody listens
+   * @param {string} userId
+   * @param {string} event
+   * @returns {Promise<boolean>}
+   */
+  static async hasSubscribers(userId, event) {
+    const key = userId.toString();
+    let cached = subscriptionCache.get(key);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      const events = await Webhook.distinct('events', { userId, isActive: true });
+      cached = { events: new Set(events), expiresAt: Date.now() + SUBSCRIPTION_CACHE_MS };
+      subscriptionCache.set(key, cached);
+    }
+    return cached.events.has(event);
   }
 
   /**
-   * Deliver webhook with retry logic
+   * Forget the cached subscriptions of a user (call after creating, changing or removing a webhook)
+   * @param {string} userId
    */
-  static async deliverWebhook(webhook, event, payload) {
-    const startTime = Date.now();
-    const headers = this.buildHeaders(webhook);
-    const transformedPayload = this.transformPayload(payload, webhook.transformations);
-
-    console.log(`📤 Webhook: Sending ${event} to ${webhook.url}`);
-
-    for (let attempt = 0; attempt <= webhook.retryPolicy.maxRetries; attempt++) {
-      try {
-        const response = await axios.post(webhook.url, transformedPayload, {
-          headers,
-          timeout: 10000,
-        });
-
-        const duration = Date.now() - startTime;
-
-        // Log success
-        await WebhookLog.create({
-          webhookId: webhook._id,
-          userId: webhook.userId,
-          event,
-          payload: transformedPayload,
-          statusCode: response.status,
-          response: response.data,
-          success: true,
-          retryCount: attempt,
-          duration,
-        });
-
-        // Update webhook stats
-        await Webhook.updateOne(
-          { _id: webhook._id },
-          {
-            lastSuccessAt: new Date(),
-            lastTriggeredAt: new Date(),
-            $inc: { successCount: 1 },
-          }
-        );
-
-        console.log(`✅ Webhook: Success (${response.status}) after ${attempt} retries`);
-        return { success: true, statusCode: response.status };
-      } catch (error) {
-        console.error(`❌ Webhook attempt ${attempt + 1}/${webhook.retryPolicy.maxRetries + 1} failed:`, error.message);
-
-        if (attempt < webhook.retryPolicy.maxRetries) {
-          const delay = webhook.retryPolicy.retryDelay * Math.pow(2, attempt); // Exponential backoff
-          console.log(`⏳ Retrying in ${delay}ms...`);
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        } else {
-          const duration = Date.now() - startTime;
-
-          // Log failure
-          await WebhookLog.create({
-            webhookId: webhook._id,
-            userId: webhook.userId,
-            event,
-            payload: transformedPayload,
-            statusCode: error.response?.status,
-            response: error.response?.data,
-            error: error.message,
-            success: false,
-            retryCount: attempt,
-            duration,
-          });
-
-          // Update webhook stats
-          await Webhook.updateOne(
-            { _id: webhook._id },
-            {
-              lastTriggeredAt: new Date(),
-              $inc: { failureCount: 1 },
-            }
-          );
-
-          console.error(`❌ Webhook: Failed after all retries`);
-          return { success: false, error: error.message };
-        }
-      }
-    }
+  static clearSubscriptionCache(userId) {
+    subscriptionCache.delete(userId.toString());
   }
 
   /**
-   * Trigger event for all active webhooks
+   * Queue an event for all active webhooks subscribed to it
    */
   static async triggerEvent(userId, event, payload) {
     try {
@@ -177,15 +166,14 @@ export class WebhookService {
 
       console.log(`🔔 Webhook event triggered: ${event} (${webhooks.length} webhooks)`);
 
-      // Trigger all webhooks in parallel
-      const results = await Promise.allSettled(
-        webhooks.map((webhook) => this.deliverWebhook(webhook, event, payload))
+      const deliveries = await Promise.all(
+        webhooks.map((webhook) => webhookQueue.enqueue(webhook, event, payload))
       );
 
       return {
         event,
         total: webhooks.length,
-        results: results.map((r) => (r.status === 'fulfilled' ? r.value : { success: false, error: r.reason })),
+        queued: deliveries.map((d) => d.deliveryId),
       };
     } catch (error) {
       console.error(`❌ Error triggering webhook event:`, error.message);
@@ -194,11 +182,11 @@ export class WebhookService {
   }
 
   /**
-   * Test webhook immediately
+   * Test webhook immediately (one attempt, not queued)
    */
   static async testWebhook(webhookId) {
     try {
-      const webhook = await Webhook.findById(webhookId);
+      const webhook = await Webhook.findById(webhookId).select(SIGNING_FIELDS);
       if (!webhook) {
         throw new Error('Webhook not found');
       }
@@ -210,8 +198,16 @@ export class WebhookService {
         message: 'This is a test payload from Shreenika AI',
       };
 
-      const result = await this.deliverWebhook(webhook, 'test.event', testPayload);
-      return result;
+      const { payload, failed, error } = this.transformPayload(testPayload, webhook.transformations);
+      if (failed) {
+        throw new Error(error);
+      }
+
+      return await this.sendDelivery(webhook, {
+        event: 'test.event',
+        deliveryId: crypto.randomUUID(),
+        payload,
+      });
     } catch (error) {
       console.error(`❌ Test webhook failed:`, error.message);
       throw error;
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+
+/**
+ * Webhook Signatures
+ * Every delivery is signed with the webhook's signing secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * While a rotated secret is still valid the header carries one v1 per secret.
+ * X-Webhook-Delivery is unique per delivery and stays the same across retries,
+ * so receivers can drop duplicates; the timestamp bounds replays.
+ *
+ * verifyWebhookSignature has no dependencies beyond Node's crypto - receivers can copy it.
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const DELIVERY_HEADER = 'X-Webhook-Delivery';
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * New random signing secret
+ * @returns {string} - "whsec_..."
+ */
+export const generateSigningSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string|Buffer} body - Raw request body, exactly as sent
+ * @returns {string} - Hex digest
+ */
+export const computeSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+
+/**
+ * Signature header value for a body
+ * @param {Array} secrets - Valid secrets (current first)
+ * @param {string} body
+ * @param {number} timestamp - Unix seconds (defaults to now)
+ * @returns {string} - "t=...,v1=...[,v1=...]"
+ */
+export const buildSignatureHeader = (secrets, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  [`t=${timestamp}`, ...secrets.map((secret) => `v1=${computeSignature(secret, timestamp, body)}`)].join(',');
+
+/**
+ * Verify a received delivery
+ * @param {string|Buffer} body - Raw request body (before JSON parsing)
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} secret - The webhook's signing secret
+ * @param {Object} options - { toleranceSeconds, now (unix seconds) }
+ * @returns {Object} - { valid, timestamp, error }
+ */
+export const verifyWebhookSignature = (body, header, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now } = {}) => {
+  if (!header || !secret) {
+    return { valid: false, timestamp: null, error: 'Missing signature header or secret' };
+  }
+
+  const parts = String(header).split(',').map((part) => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return { valid: false, timestamp: null, error: 'Malformed signature header' };
+  }
+
+  const current = now ?? Math.floor(Date.now() / 1000);
+  if (Math.abs(current - timestamp) > toleranceSeconds) {
+    return { valid: false, timestamp, error: 'Timestamp outside the tolerance window' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body), 'hex');
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  return matches
+    ? { valid: true, timestamp, error: null }
+    : { valid: false, timestamp, error: 'No signature matches' };
+};
+
+export default {
+  SIGNATURE_HEADER,
+  DELIVERY_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateSigningSecret,
+  computeSignature,
+  buildSignatureHeader,
+  verifyWebhookSignature
+};
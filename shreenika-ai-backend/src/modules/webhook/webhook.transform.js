@@ -0,0 +1,524 @@
+/**
+ * Webhook Payload Transformations
+ * Replaces running tenant scripts with new Function() - expressions are parsed and
+ * interpreted here, so they can only read the event payload and call the functions below.
+ *
+ * Expression language (a small, side-effect-free JavaScript subset):
+ *   paths        data.lead.phone, data.tags[0], data["first name"], $ (whole payload)
+ *   literals     'text', "text", 42, true, false, null, [a, b], { "key": value }
+ *   operators    + - * / %  == != < <= > >=  && || !  a ?? b  cond ? a : b
+ *   functions    upper(data.name), join(data.tags, ';'), round(data.score, 1) - see FUNCTIONS
+ * Top-level payload fields (event, version, timestamp, data...) are in scope by name,
+ * so most expressions written for the old scripts (data.firstName + ' ' + data.lastName) still work.
+ *
+ * Expressions have no loops and are at most MAX_EXPRESSION_LENGTH characters, so the
+ * cost is in functions over large values. All transformations of one delivery share a
+ * wall-clock budget (checked before every node and after every function call) and
+ * strings / lists have size limits, so they cannot hog the CPU or build huge values;
+ * they either return or throw. Transformations run in the delivery worker, not when
+ * the event is emitted.
+ */
+
+export const MAX_EXPRESSION_LENGTH = 2000;
+export const MAX_TRANSFORMATIONS = 50;
+export const TRANSFORM_TIME_BUDGET_MS = 100; // All transformations of one delivery
+const MAX_DEPTH = 64; // Nesting of parentheses / brackets / calls
+const MAX_STRING_LENGTH = 100000; // Longest string an expression may build
+const MAX_LIST_LENGTH = 10000; // Most items split() may return
+
+// Never readable or writable - payloads are plain JSON, these only lead to prototypes
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+/* =========================
+   TOKENIZER
+========================= */
+const PUNCTUATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}'];
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\') {
+          const escaped = source[j + 1];
+          if (!(escaped in ESCAPES)) fail(`Unsupported escape \\${escaped ?? ''} at ${j}`);
+          value += ESCAPES[escaped];
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) fail(`Unterminated string at ${i}`);
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const [name] = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      tokens.push({ type: 'name', value: name, pos: i });
+      i += name.length;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find((p) => source.startsWith(p, i));
+    if (!punctuator) fail(`Unexpected character "${char}" at ${i}`);
+    tokens.push({ type: 'punct', value: punctuator, pos: i });
+    i += punctuator.length;
+  }
+
+  tokens.push({ type: 'end', pos: source.length });
+  return tokens;
+};
+
+/* =========================
+   PARSER (precedence climbing)
+========================= */
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '===': 4, '!=': 4, '!==': 4,
+  '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+};
+const LITERAL_NAMES = { true: true, false: false, null: null };
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) unexpected();
+    index++;
+  };
+  const unexpected = () => {
+    const token = peek();
+    fail(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}" at ${token.pos}`);
+  };
+  const nested = (parseFn) => {
+    if (++depth > MAX_DEPTH) fail(`Expression is nested more than ${MAX_DEPTH} levels deep`);
+    const node = parseFn();
+    depth--;
+    return node;
+  };
+
+  const parseList = (close, parseItem) => {
+    const items = [];
+    while (!isPunct(close)) {
+      if (items.length > 0) expect(',');
+      items.push(parseItem());
+    }
+    index++;
+    return items;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    index++;
+
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+
+    if (token.type === 'name') {
+      if (Object.hasOwn(LITERAL_NAMES, token.value)) return { type: 'literal', value: LITERAL_NAMES[token.value] };
+      if (isPunct('(')) {
+        if (!Object.hasOwn(FUNCTIONS, token.value)) fail(`Unknown function ${token.value}() at ${token.pos}`);
+        index++;
+        return { type: 'call', name: token.value, args: nested(() => parseList(')', parseExpression)) };
+      }
+      return token.value === '$' ? { type: 'root' } : { type: 'field', name: token.value };
+    }
+
+    if (token.type === 'punct') {
+      if (token.value === '(') {
+        const node = nested(parseExpression);
+        expect(')');
+        return node;
+      }
+      if (token.value === '[') {
+        return { type: 'array', items: nested(() => parseList(']', parseExpression)) };
+      }
+      if (token.value === '{') {
+        const entries = nested(() => parseList('}', () => {
+          const key = peek();
+          if (key.type !== 'string' && key.type !== 'name') unexpected();
+          index++;
+          expect(':');
+          return [String(key.value), parseExpression()];
+        }));
+        return { type: 'object', entries };
+      }
+    }
+
+    index--;
+    return unexpected();
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    for (;;) {
+      if (isPunct('.')) {
+        index++;
+        const name = peek();
+        if (name.type !== 'name') unexpected();
+        index++;
+        node = { type: 'member', object: node, key: { type: 'literal', value: name.value } };
+      } else if (isPunct('[')) {
+        index++;
+        const key = nested(parseExpression);
+        expect(']');
+        node = { type: 'member', object: node, key };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (isPunct('!') || isPunct('-')) {
+      const operator = peek().value;
+      index++;
+      return { type: 'unary', operator, operand: nested(parseUnary) };
+    }
+    return parsePostfix();
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'punct' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      index++;
+      const right = nested(() => parseBinary(precedence + 1));
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+  };
+
+  function parseExpression() {
+    const test = parseBinary(1);
+    if (!isPunct('?')) return test;
+    index++;
+    const consequent = nested(parseExpression);
+    expect(':');
+    const alternate = nested(parseExpression);
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') unexpected();
+  return ast;
+};
+
+/* =========================
+   FUNCTIONS
+========================= */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toText = (value) => (value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+const toArray = (value) => (Array.isArray(value) ? value : value === null || value === undefined ? [] : [value]);
+const numbersOf = (args) => (args.length === 1 && Array.isArray(args[0]) ? args[0] : args).map(Number);
+
+// Checked before joining, so oversized strings are never built
+const joinLimited = (parts, separator) => {
+  const size = parts.reduce((total, part) => total + part.length, separator.length * Math.max(parts.length - 1, 0));
+  if (size > MAX_STRING_LENGTH) fail(`Result is longer than ${MAX_STRING_LENGTH} characters`);
+  return parts.join(separator);
+};
+
+const splitLimited = (s, separator) => {
+  const parts = toText(s).split(toText(separator), MAX_LIST_LENGTH + 1);
+  if (parts.length > MAX_LIST_LENGTH) fail(`split() returned more than ${MAX_LIST_LENGTH} items`);
+  return parts;
+};
+
+const FUNCTIONS = {
+  upper: (s) => toText(s).toUpperCase(),
+  lower: (s) => toText(s).toLowerCase(),
+  trim: (s) => toText(s).trim(),
+  substring: (s, start, length) => {
+    const from = Number(start) || 0;
+    return toText(s).slice(from, length === undefined ? undefined : from + Number(length));
+  },
+  replace: (s, find, replacement) => joinLimited(splitLimited(s, find), toText(replacement)),
+  split: (s, separator = ',') => splitLimited(s, separator),
+  join: (list, separator = ',') => joinLimited(toArray(list).map(toText), toText(separator)),
+  contains: (haystack, needle) => (Array.isArray(haystack) ? haystack.includes(needle) : toText(haystack).includes(toText(needle))),
+  startsWith: (s, prefix) => toText(s).startsWith(toText(prefix)),
+  endsWith: (s, suffix) => toText(s).endsWith(toText(suffix)),
+  length: (value) => (isPlainObject(value) ? Object.keys(value).length : typeof value === 'string' || Array.isArray(value) ? value.length : 0),
+  string: (value) => toText(value),
+  number: (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  },
+  boolean: (value) => Boolean(value),
+  exists: (value) => value !== undefined && value !== null,
+  round: (n, digits = 0) => {
+    const factor = 10 ** Math.min(Math.max(Number(digits) || 0, 0), 10);
+    return Math.round(Number(n) * factor) / factor;
+  },
+  floor: (n) => Math.floor(Number(n)),
+  ceil: (n) => Math.ceil(Number(n)),
+  abs: (n) => Math.abs(Number(n)),
+  min: (...args) => Math.min(...numbersOf(args)),
+  max: (...args) => Math.max(...numbersOf(args)),
+  sum: (list) => toArray(list).reduce((total, n) => total + Number(n), 0),
+  count: (list) => toArray(list).length,
+  keys: (obj) => (isPlainObject(obj) ? Object.keys(obj) : []),
+  values: (obj) => (isPlainObject(obj) ? Object.values(obj) : []),
+  now: () => new Date().toISOString(),
+};
+
+/* =========================
+   EVALUATOR
+========================= */
+const readMember = (object, key) => {
+  if (object === null || object === undefined) return undefined;
+  if (typeof key !== 'string' && typeof key !== 'number') fail('Property names must be strings or numbers');
+
+  const name = String(key);
+  if (FORBIDDEN_KEYS.has(name)) fail(`Property "${name}" cannot be read`);
+  if (typeof object === 'string') return name === 'length' || /^\d+$/.test(name) ? object[name] : undefined;
+  if (typeof object !== 'object') return undefined;
+  return Object.hasOwn(object, name) ? object[name] : undefined;
+};
+
+const checkString = (value) => {
+  if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+    fail(`Result is longer than ${MAX_STRING_LENGTH} characters`);
+  }
+  return value;
+};
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => (typeof a === 'string' || typeof b === 'string' ? toText(a) + toText(b) : Number(a) + Number(b)),
+  '-': (a, b) => Number(a) - Number(b),
+  '*': (a, b) => Number(a) * Number(b),
+  '/': (a, b) => Number(a) / Number(b),
+  '%': (a, b) => Number(a) % Number(b),
+  '==': (a, b) => a === b,
+  '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+const checkDeadline = (deadline) => {
+  if (Date.now() > deadline) fail('Transformations exceeded their time budget');
+};
+
+const evaluate = (ast, payload, deadline) => {
+  const run = (node) => {
+    checkDeadline(deadline);
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'root':
+        return payload;
+      case 'field':
+        return readMember(payload, node.name);
+      case 'member':
+        return readMember(run(node.object), run(node.key));
+      case 'array':
+        return node.items.map(run);
+      case 'object': {
+        const result = {};
+        for (const [key, valueNode] of node.entries) {
+          if (FORBIDDEN_KEYS.has(key)) fail(`Property "${key}" cannot be written`);
+          result[key] = run(valueNode);
+        }
+        return result;
+      }
+      case 'call': {
+        const result = FUNCTIONS[node.name](...node.args.map(run));
+        checkDeadline(deadline);
+        return checkString(result);
+      }
+      case 'unary': {
+        const operand = run(node.operand);
+        return node.operator === '!' ? !operand : -Number(operand);
+      }
+      case 'conditional':
+        return run(node.test) ? run(node.consequent) : run(node.alternate);
+      case 'binary': {
+        const left = run(node.left);
+        // Short-circuit operators only evaluate the right side when needed
+        if (node.operator === '&&') return left ? run(node.right) : left;
+        if (node.operator === '||') return left ? left : run(node.right);
+        if (node.operator === '??') return left ?? run(node.right);
+        return checkString(BINARY_OPERATORS[node.operator](left, run(node.right)));
+      }
+      default:
+        return fail(`Unsupported expression node ${node.type}`);
+    }
+  };
+
+  return run(ast);
+};
+
+/* =========================
+   PUBLIC API
+========================= */
+
+/**
+ * Parse an expression, throwing a readable error when it is invalid
+ * @param {string} source
+ * @returns {Object} - AST for evaluateExpression
+ */
+export const compileExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') fail('Expression is empty');
+  if (source.length > MAX_EXPRESSION_LENGTH) fail(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  return parse(source);
+};
+
+/**
+ * Evaluate an expression against a payload
+ * @param {string|Object} expression - Source or a compiled AST
+ * @param {Object} payload - Plain JSON (see toPlainJson)
+ * @param {number} deadline - Timestamp (ms) after which evaluation throws
+ * @returns {*} - JSON value (undefined when a path does not exist)
+ */
+export const evaluateExpression = (expression, payload, deadline = Date.now() + TRANSFORM_TIME_BUDGET_MS) =>
+  evaluate(typeof expression === 'string' ? compileExpression(expression) : expression, payload, deadline);
+
+/**
+ * Dotted field path ("data.lead.phone") as segments, rejecting prototype keys
+ * @private
+ */
+const pathSegments = (path) => {
+  const segments = typeof path === 'string' ? path.split('.') : [];
+  if (segments.length === 0 || segments.some((segment) => segment === '' || FORBIDDEN_KEYS.has(segment))) {
+    fail(`Invalid field path "${path}"`);
+  }
+  return segments;
+};
+
+const setPath = (target, path, value) => {
+  const segments = pathSegments(path);
+  const last = segments.pop();
+  const parent = segments.reduce((current, key) => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    return current[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Drops ObjectIds, Dates and getters to plain JSON so expressions see what receivers get
+const toPlainJson = (payload) => JSON.parse(JSON.stringify(payload ?? null));
+
+/**
+ * Check a webhook's transformations before saving (or dry-running) them
+ * @param {Array} transformations - [{ sourceField, targetField, transformType, customScript }]
+ * @returns {Array} - [{ index, error }] - empty when all are valid
+ */
+export const validateTransformations = (transformations) => {
+  if (transformations === undefined || transformations === null) return [];
+  if (!Array.isArray(transformations)) return [{ index: null, error: 'transformations must be an array' }];
+  if (transformations.length > MAX_TRANSFORMATIONS) {
+    return [{ index: null, error: `At most ${MAX_TRANSFORMATIONS} transformations are allowed` }];
+  }
+
+  const errors = [];
+  transformations.forEach((t, index) => {
+    try {
+      if (!isPlainObject(t)) fail('Each transformation must be an object');
+      pathSegments(t.targetField);
+      if (t.transformType === 'direct') {
+        pathSegments(t.sourceField);
+      } else if (t.transformType === 'custom') {
+        compileExpression(t.customScript);
+      } else {
+        fail('transformType must be "direct" or "custom"');
+      }
+    } catch (error) {
+      errors.push({ index, error: error.message });
+    }
+  });
+  return errors;
+};
+
+/**
+ * Build the payload a webhook receives
+ * Without transformations (or when none produces a value) the original payload is sent.
+ * A failing transformation is skipped and reported in errors; when every one fails or
+ * the time budget runs out, failed is set and there is no payload - the delivery must
+ * not go out untransformed.
+ * @param {Object} originalPayload
+ * @param {Array} transformations
+ * @param {Object} options - { timeBudgetMs } shared by all transformations
+ * @returns {Object} - { payload, errors: [{ index, targetField, error }], failed }
+ */
+export const applyTransformations = (originalPayload, transformations, { timeBudgetMs = TRANSFORM_TIME_BUDGET_MS } = {}) => {
+  if (!transformations || transformations.length === 0) {
+    return { payload: originalPayload, errors: [], failed: false };
+  }
+
+  const deadline = Date.now() + timeBudgetMs;
+  const source = toPlainJson(originalPayload);
+  const transformed = {};
+  const errors = [];
+  let timedOut = false;
+
+  transformations.forEach((t, index) => {
+    try {
+      checkDeadline(deadline);
+      const value = t.transformType === 'direct'
+        ? pathSegments(t.sourceField).reduce(readMember, source)
+        : evaluateExpression(t.customScript, source, deadline);
+      if (value !== undefined) setPath(transformed, t.targetField, value);
+    } catch (error) {
+      timedOut ||= Date.now() > deadline;
+      errors.push({ index, targetField: t.targetField, error: error.message });
+    }
+  });
+
+  if (timedOut || errors.length === transformations.length) {
+    return { payload: null, errors, failed: true };
+  }
+  return {
+    payload: Object.keys(transformed).length > 0 ? transformed : originalPayload,
+    errors,
+    failed: false,
+  };
+};
+
+export default {
+  MAX_EXPRESSION_LENGTH,
+  MAX_TRANSFORMATIONS,
+  TRANSFORM_TIME_BUDGET_MS,
+  compileExpression,
+  evaluateExpression,
+  validateTransformations,
+  applyTransformations
+};
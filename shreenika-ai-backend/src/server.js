@@ -24,15 +24,24 @@ import voipRoutes from "./modules/voip/voip.routes.js";
 import apiKeyRoutes from "./modules/apikey/apikey.routes.js";
 import apiV1Routes from "./modules/apikey/api-v1.routes.js";
 import webhookRoutes from "./modules/webhook/webhook.routes.js";
+import dncRoutes from "./modules/dnc/dnc.routes.js";
 import voiceRoutes from "./modules/voice/voice.routes.js";
+import recordingRoutes from "./modules/recording/recording.routes.js";
 import { createMediaStreamServer, registerUnifiedUpgradeHandler } from "./modules/call/mediastream.handler.js";
+import { campaignScheduler } from "./modules/call/campaign-scheduler.service.js";
+import { initRealtime } from "./modules/realtime/realtime.service.js";
+import { startRecordingRetention, stopRecordingRetention } from "./modules/recording/recording.service.js";
+import { startCallProcessingSweep, stopCallProcessingSweep } from "./modules/call/call.processor.js";
+import { startContactImportSweep, stopContactImportSweep } from "./modules/contacts/contact-import.service.js";
+import { webhookQueue } from "./modules/webhook/webhook.queue.js";
+import { TRUSTED_PROXY_HOPS } from "./utils/client-ip.js";
 import { WebSocketServer } from "ws";
 
 /* =======================
    APP & SERVER CREATION
 ======================= */
 const app = express();
-app.set("trust proxy", 1);
+app.set("trust proxy", TRUSTED_PROXY_HOPS);
 const httpServer = createServer(app);
 initPassport();
 app.use(passport.initialize());
@@ -47,13 +56,8 @@ export const io = new Server(httpServer, {
   },
 });
 
-io.on("connection", (socket) => {
-  console.log("✅ WebSocket client connected:", socket.id);
-
-  socket.on("disconnect", () => {
-    console.log("❌ WebSocket client disconnected:", socket.id);
-  });
-});
+// JWT / API-key handshake + tenant rooms (see modules/realtime/realtime.service.js)
+initRealtime(io);
 
 /* =======================
    MEDIA STREAM WEBSOCKET (Twilio)
@@ -79,7 +83,9 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Range"],
+  // Recording playback (range requests)
+  exposedHeaders: ["Content-Range", "Accept-Ranges", "Content-Length"],
   optionsSuccessStatus: 200,
 };
 
@@ -107,7 +113,19 @@ if (process.env.NODE_ENV !== "production") {
 ======================= */
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    // Pick up queued campaigns and any left behind by a crashed instance
+    campaignScheduler.start();
+    // Delete recordings past each tenant's retention window
+    startRecordingRetention();
+    // Post-call processing left behind by a crashed instance
+    startCallProcessingSweep();
+    // Close imports interrupted by a restart and expired uploads
+    startContactImportSweep();
+    // Send queued webhook deliveries, including retries left by a previous instance
+    webhookQueue.start();
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection failed:", err.message);
     console.log("⚠️ Server will continue running without database");
@@ -143,7 +161,9 @@ app.use("/knowledge", knowledgeRoutes);
 app.use("/ai", aiRoutes);
 app.use("/voip", voipRoutes);
 app.use("/webhooks", webhookRoutes);
+app.use("/dnc", dncRoutes);
 app.use("/voice", voiceRoutes);
+app.use("/recordings", recordingRoutes);
 // Agent routes available at both paths for compatibility
 app.use("/api/agents", agentRoutes);
 app.use("/api/voice/agents", agentRoutes); // Voice agents endpoint
@@ -198,12 +218,12 @@ app.use((err, req, res, next) => {
 });
 
 /* =======================
-   WEBSOCKET SERVER FOR MEDIA STREAMS (Twilio Voice + Test Agent)
+   WEBSOCKET SERVER FOR MEDIA STREAMS (Twilio Voice + Supervisor + Test Agent)
 ======================= */
 // Create media stream server with proper WebSocket handling
 const wss = createMediaStreamServer(httpServer);
 
-// Register unified upgrade handler for BOTH media streams and test agent
+// Register unified upgrade handler for media streams, supervisor monitoring and test agent
 // This prevents duplicate handlers from overwriting each other (Node.js only calls the last registered)
 registerUnifiedUpgradeHandler(httpServer, wss);
 
@@ -227,8 +247,26 @@ httpServer.listen(PORT, "0.0.0.0", () => {
 /* =======================
    GRACEFUL SHUTDOWN
 ======================= */
-const gracefulShutdown = () => {
+const gracefulShutdown = async () => {
   console.log("\n🛑 Shutting down gracefully...");
+
+  stopRecordingRetention();
+  stopCallProcessingSweep();
+  stopContactImportSweep();
+
+  // Hand campaign leases back so another instance resumes them without waiting for expiry
+  try {
+    await campaignScheduler.stop();
+  } catch (err) {
+    console.error("❌ Failed to release campaign leases:", err.message);
+  }
+
+  try {
+    await webhookQueue.stop();
+  } catch (err) {
+    console.error("❌ Failed to release webhook delivery leases:", err.message);
+  }
+
   httpServer.close(() => {
     console.log("✅ HTTP server closed");
     mongoose.connection.close(false, () => {
@@ -0,0 +1,36 @@
+/**
+ * client-ip.js
+ * ============================================================
+ * Client address of a request that came through our proxies
+ *
+ * Express works out req.ip from the "trust proxy" setting; raw WebSocket
+ * upgrades and Socket.IO handshakes don't go through Express, so they use
+ * getClientIp() with the same number of trusted hops. server.js sets
+ * "trust proxy" from TRUSTED_PROXY_HOPS so the two can't drift apart.
+ */
+
+// Proxies in front of the backend (the load balancer) - each appends one X-Forwarded-For entry
+export const TRUSTED_PROXY_HOPS = 1;
+
+/**
+ * Client IP the way Express computes req.ip with "trust proxy" = TRUSTED_PROXY_HOPS
+ * Walks back from the socket address through X-Forwarded-For, one entry per trusted hop;
+ * entries further left were written by the client and are not trusted.
+ * @param {Object} headers - Request headers
+ * @param {string} remoteAddress - Address of the TCP peer (our proxy when behind one)
+ * @returns {string}
+ */
+export const getClientIp = (headers = {}, remoteAddress) => {
+  const forwarded = (headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const addresses = [remoteAddress, ...forwarded.reverse()];
+  return addresses[Math.min(TRUSTED_PROXY_HOPS, addresses.length - 1)];
+};
+
+export default {
+  TRUSTED_PROXY_HOPS,
+  getClientIp
+};
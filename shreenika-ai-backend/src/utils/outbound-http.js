@@ -0,0 +1,171 @@
+/**
+ * outbound-http.js
+ * ============================================================
+ * HTTP requests to URLs chosen by tenants or sent by providers
+ *
+ * Such a URL must never reach the backend's own network: loopback,
+ * private, link-local (incl. the 169.254.169.254 cloud metadata service),
+ * CGNAT, multicast and reserved addresses are refused. The host is
+ * resolved before every request, the connection itself re-checks the
+ * address it dials (so a DNS answer can't change in between) and
+ * redirects are only followed when asked for, each hop checked again.
+ */
+
+import axios from "axios";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([address, bits]) => BLOCKED_ADDRESSES.addSubnet(address, bits, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([address, bits]) => BLOCKED_ADDRESSES.addSubnet(address, bits, "ipv6"));
+
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+  }
+}
+
+/**
+ * Is an IP address on the public internet?
+ * @param {string} ip - IPv4 or IPv6 (IPv4-mapped IPv6 addresses are unwrapped)
+ * @returns {boolean}
+ */
+export const isPublicAddress = (ip) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || "");
+  const address = mapped ? mapped[1] : ip;
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  return !BLOCKED_ADDRESSES.check(address, version === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Check an outbound URL: http(s) only, and every address its host resolves to is public
+ * @param {string} url
+ * @returns {Promise<URL>}
+ * @throws {BlockedUrlError}
+ */
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError(`Invalid URL: ${url}`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new BlockedUrlError("Only http(s) URLs are allowed");
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [host]
+    : await dns.promises.lookup(host, { all: true }).then(
+        (results) => results.map((result) => result.address),
+        () => { throw new BlockedUrlError(`Cannot resolve ${host}`); }
+      );
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new BlockedUrlError(`${host} resolves to a private or reserved address`);
+  }
+  return parsed;
+};
+
+/**
+ * dns.lookup that refuses non-public answers - used for the connection itself
+ * @private
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new BlockedUrlError(`${hostname} resolves to a private or reserved address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: publicLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: publicLookup });
+
+/**
+ * axios.request for an untrusted URL (same config and response)
+ * Environment proxies are disabled so the checked host is the one contacted. Redirects
+ * are off unless maxRedirects is given; each hop is checked again, and credentials are
+ * not sent on to another origin.
+ * @param {Object} config - axios request config (url required), maxRedirects defaults to 0
+ * @returns {Promise<Object>} - axios response
+ * @throws {BlockedUrlError} - When the URL (or a redirect) points at a non-public address
+ */
+export const requestPublicUrl = async ({ maxRedirects = 0, validateStatus, ...config }) => {
+  const accept = validateStatus === undefined ? (status) => status >= 200 && status < 300 : validateStatus;
+  let request = config;
+
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(request.url);
+
+    const response = await axios.request({
+      ...request,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true
+    });
+
+    const location = response.headers?.location;
+    if (response.status >= 300 && response.status < 400 && location && hop < maxRedirects) {
+      const next = new URL(location, request.url);
+      const sameOrigin = next.origin === new URL(request.url).origin;
+      const { Authorization, authorization, ...headers } = request.headers || {};
+      request = {
+        ...request,
+        url: next.toString(),
+        method: "GET",
+        data: undefined,
+        ...(sameOrigin ? {} : { auth: undefined, headers })
+      };
+      continue;
+    }
+
+    if (accept && !accept(response.status)) {
+      throw new Error(`Request failed with status code ${response.status}`);
+    }
+    return response;
+  }
+};
+
+export default {
+  BlockedUrlError,
+  isPublicAddress,
+  assertPublicUrl,
+  requestPublicUrl
+};
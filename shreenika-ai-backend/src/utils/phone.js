@@ -0,0 +1,83 @@
+/**
+ * phone.js
+ * ============================================================
+ * Phone number parsing, validation and canonical E.164 storage
+ *
+ * Every number entering the system (CSV import, Contact, Lead, API, DNC)
+ * goes through normalizePhone() with the tenant's default country, so
+ * numbers are stored once as E.164 and providers format their own dial
+ * strings from that (see BaseProvider.formatDialNumber).
+ */
+
+import { parsePhoneNumberFromString, isSupportedCountry } from "libphonenumber-js";
+
+export const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || "IN";
+
+/**
+ * Validate an ISO 3166-1 alpha-2 country code supported for phone parsing
+ * @param {string} country - e.g. "IN", "US"
+ * @returns {boolean}
+ */
+export const isValidPhoneCountry = (country) =>
+  typeof country === "string" && isSupportedCountry(country.toUpperCase());
+
+/**
+ * Parse a number in any common format
+ * National formats (0XXXXXXXXXX, XXXXXXXXXX) are read in defaultCountry
+ * @param {string} input - Raw number
+ * @param {string} defaultCountry - Tenant's default country
+ * @returns {Object} - { valid, e164, country, nationalNumber, error }
+ */
+export const parsePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const raw = (input ?? "").toString().trim();
+  if (!raw) {
+    return { valid: false, e164: null, country: null, nationalNumber: null, error: "Phone number is required" };
+  }
+
+  // "00" international prefix → "+"
+  const cleaned = raw.replace(/^00/, "+");
+  const parsed = parsePhoneNumberFromString(cleaned, (defaultCountry || DEFAULT_PHONE_COUNTRY).toUpperCase());
+
+  if (!parsed || !parsed.isValid()) {
+    return { valid: false, e164: null, country: null, nationalNumber: null, error: `Invalid phone number: ${raw}` };
+  }
+
+  return {
+    valid: true,
+    e164: parsed.number,
+    country: parsed.country || null,
+    nationalNumber: parsed.nationalNumber,
+    error: null
+  };
+};
+
+/**
+ * Canonical E.164 form of a number
+ * @param {string} input - Raw number
+ * @param {string} defaultCountry - Tenant's default country
+ * @returns {string} - e.g. "+919876543210"
+ * @throws {Error} - When the number is invalid
+ */
+export const normalizePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const result = parsePhone(input, defaultCountry);
+  if (!result.valid) {
+    throw new Error(result.error);
+  }
+  return result.e164;
+};
+
+/**
+ * Tenant's default country for reading national-format numbers
+ * Callers that only hold a user ID load the user (defaultPhoneCountry is enough) first
+ * @param {Object} user - User document (req.user) or { defaultPhoneCountry }
+ * @returns {string}
+ */
+export const getPhoneCountry = (user) => user?.defaultPhoneCountry || DEFAULT_PHONE_COUNTRY;
+
+export default {
+  DEFAULT_PHONE_COUNTRY,
+  isValidPhoneCountry,
+  parsePhone,
+  normalizePhone,
+  getPhoneCountry
+};
@@ -0,0 +1,242 @@
+/**
+ * xlsx.parser.js
+ * ============================================================
+ * Minimal reader for the first worksheet of an .xlsx workbook
+ *
+ * An .xlsx file is a zip of XML parts; this reads the zip directory with
+ * zlib and pulls cell values out of the sheet XML. Supported: shared and
+ * inline strings, numbers, booleans, formula results and date-formatted
+ * numbers (returned as YYYY-MM-DD). Not supported: zip64 archives,
+ * encrypted workbooks and the binary .xls format.
+ *
+ * Every part is inflated with an output cap, so a small zip that expands
+ * to gigabytes (a zip bomb) is refused instead of filling memory.
+ */
+
+import zlib from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Largest uncompressed part (sheet, shared strings, styles) that is read
+const MAX_PART_BYTES = 32 * 1024 * 1024;
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Excel serial day 0 (1899-12-30, accounting for the 1900 leap-year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* =========================
+   ZIP
+========================= */
+
+/**
+ * Map of entry name → reader for every file in the archive
+ * @private
+ */
+const readZipEntries = (buffer) => {
+  // End of central directory: last 22 bytes plus an optional comment (max 64 KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a valid .xlsx file");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("zip64 workbooks are not supported");
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt .xlsx file");
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error("Corrupt .xlsx file");
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+
+      if (method !== 0 && method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+      let content = data;
+      if (method === 8) {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES });
+        } catch (err) {
+          if (err.code !== "ERR_BUFFER_TOO_LARGE") throw err;
+          content = null;
+        }
+      }
+      if (!content || content.length > MAX_PART_BYTES) {
+        throw new Error(`${name} is larger than ${MAX_PART_BYTES / (1024 * 1024)} MB uncompressed`);
+      }
+      return content.toString("utf8");
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/* =========================
+   XML HELPERS
+========================= */
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, code) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[code.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+
+const attribute = (attrs, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attrs);
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Concatenated <t> runs (rich text is split into several)
+const textContent = (xml) => {
+  let text = "";
+  for (const match of xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>|<t\b[^>]*\/>/g)) {
+    text += decodeXml(match[1] || "");
+  }
+  return text;
+};
+
+/* =========================
+   WORKBOOK PARTS
+========================= */
+
+/**
+ * Path of the first worksheet (workbook order, not file name)
+ * @private
+ */
+const firstSheetPath = (entries) => {
+  const workbook = entries.get("xl/workbook.xml")?.();
+  const rels = entries.get("xl/_rels/workbook.xml.rels")?.();
+  const sheet = workbook && /<sheet\b([^>]*)\/?>/.exec(workbook);
+  const relId = sheet && attribute(sheet[1], "r:id");
+
+  if (relId && rels) {
+    for (const match of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (attribute(match[1], "Id") !== relId) continue;
+      const target = attribute(match[1], "Target");
+      const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+      if (entries.has(path)) return path;
+    }
+  }
+  if (entries.has("xl/worksheets/sheet1.xml")) return "xl/worksheets/sheet1.xml";
+  throw new Error("The workbook has no worksheet");
+};
+
+const readSharedStrings = (entries) => {
+  const xml = entries.get("xl/sharedStrings.xml")?.();
+  if (!xml) return [];
+  return [...xml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>|<si\b[^>]*\/>/g)].map((match) => textContent(match[1] || ""));
+};
+
+/**
+ * Style indexes (cellXfs order) whose number format is a date
+ * @private
+ */
+const readDateStyles = (entries) => {
+  const xml = entries.get("xl/styles.xml")?.();
+  const dateStyles = new Set();
+  if (!xml) return dateStyles;
+
+  const customDateFormats = new Set();
+  for (const match of xml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+    // Strip quoted literals and [colour]/[$-locale] sections before looking for d / m / y
+    const code = (attribute(match[1], "formatCode") || "").replace(/"[^"]*"|\[[^\]]*\]/g, "");
+    if (/[dmy]/i.test(code)) customDateFormats.add(Number(attribute(match[1], "numFmtId")));
+  }
+
+  const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+  if (!cellXfs) return dateStyles;
+
+  [...cellXfs[1].matchAll(/<xf\b([^>]*)\/?>/g)].forEach((match, index) => {
+    const id = Number(attribute(match[1], "numFmtId"));
+    if (DATE_FORMAT_IDS.has(id) || customDateFormats.has(id)) dateStyles.add(index);
+  });
+  return dateStyles;
+};
+
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0];
+  if (!letters) return null;
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const formatNumber = (raw, isDate) => {
+  const value = Number(raw);
+  if (!Number.isFinite(value)) return raw;
+  if (isDate) return new Date(EXCEL_EPOCH_MS + Math.round(value * DAY_MS)).toISOString().slice(0, 10);
+  // Stored forms such as 9.19876543210E11 come back as plain digits (phones)
+  return String(value);
+};
+
+/* =========================
+   PUBLIC API
+========================= */
+
+/**
+ * Read the rows of the first worksheet
+ * @param {Buffer} buffer - .xlsx file contents
+ * @returns {Array} - [{ rowNumber, values: [string] }] for every non-empty row (rowNumber as shown in Excel)
+ */
+export const parseXlsxRows = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sheet = entries.get(firstSheetPath(entries))();
+  const sharedStrings = readSharedStrings(entries);
+  const dateStyles = readDateStyles(entries);
+
+  const rows = [];
+  let lastRowNumber = 0;
+
+  for (const row of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(row[1], "r")) || lastRowNumber + 1;
+    lastRowNumber = rowNumber;
+    if (!row[2]) continue;
+
+    const values = [];
+    let nextColumn = 0;
+
+    for (const cell of row[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const column = columnIndex(attribute(cell[1], "r")) ?? nextColumn;
+      nextColumn = column + 1;
+
+      const type = attribute(cell[1], "t") || "n";
+      const inner = cell[2] || "";
+      const raw = /<v\b[^>]*>([\s\S]*?)<\/v>/.exec(inner)?.[1];
+      let value = "";
+
+      if (type === "s") value = raw !== undefined ? sharedStrings[Number(raw)] ?? "" : "";
+      else if (type === "inlineStr") value = textContent(inner);
+      else if (type === "b") value = raw === "1" ? "TRUE" : raw === "0" ? "FALSE" : "";
+      else if (type === "n" && raw !== undefined) {
+        value = formatNumber(raw, dateStyles.has(Number(attribute(cell[1], "s"))));
+      } else if (raw !== undefined) value = decodeXml(raw); // str, e, d
+
+      values[column] = value;
+    }
+
+    const filled = Array.from(values, (value) => value ?? "");
+    if (filled.some((value) => value.trim() !== "")) rows.push({ rowNumber, values: filled });
+  }
+
+  return rows;
+};
+
+export default { parseXlsxRows };
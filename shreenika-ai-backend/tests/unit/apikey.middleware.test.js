@@ -0,0 +1,136 @@
+/**
+ * apikey.middleware.test.js
+ * ============================================================
+ * API key checks shared by REST and the realtime sockets:
+ * scopes, IP allow-lists, the per-minute rate window and the
+ * forwarded client IP
+ *
+ * Run: npm test
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  parseIpRule,
+  isIpAllowed,
+  hasScope,
+  checkApiKey,
+} from '../../src/modules/apikey/apikey.middleware.js';
+import ApiKey from '../../src/modules/apikey/apikey.model.js';
+import User from '../../src/modules/auth/user.model.js';
+import { getClientIp } from '../../src/utils/client-ip.js';
+
+const RAW_KEY = 'sk_live_test';
+
+/**
+ * Mock the key lookup; returns the rate window update mock
+ */
+const mockKey = ({ key = {}, user = { _id: 'u1', isActive: true }, count = 1 } = {}) => {
+  const apiKey = { _id: 'k1', userId: 'u1', allowedIps: [], rateLimitPerMinute: 2, ...key };
+  mock.method(ApiKey, 'findOne', async () => apiKey);
+  mock.method(ApiKey, 'updateOne', () => Promise.resolve({}));
+  mock.method(User, 'findById', async () => user);
+  const rate = mock.method(ApiKey, 'findOneAndUpdate', () => ({ lean: async () => ({ rateWindow: { count } }) }));
+  return { apiKey, rate };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('parses addresses and CIDR ranges', () => {
+  assert.deepEqual(parseIpRule('203.0.113.7'), { address: '203.0.113.7', bits: null, family: 'ipv4' });
+  assert.deepEqual(parseIpRule(' 203.0.113.0/24 '), { address: '203.0.113.0', bits: 24, family: 'ipv4' });
+  assert.deepEqual(parseIpRule('2001:db8::/32'), { address: '2001:db8::', bits: 32, family: 'ipv6' });
+  for (const entry of ['203.0.113.0/33', '2001:db8::/129', '10.0.0.0/8/1', '10.0.0.0/x', 'example.com', 42]) {
+    assert.equal(parseIpRule(entry), null, String(entry));
+  }
+});
+
+test('allows only addresses on the allow-list', () => {
+  const allowedIps = ['203.0.113.0/24', '198.51.100.7', '2001:db8::/32'];
+  assert.equal(isIpAllowed('203.0.113.200', allowedIps), true);
+  assert.equal(isIpAllowed('198.51.100.7', allowedIps), true);
+  assert.equal(isIpAllowed('198.51.100.8', allowedIps), false);
+  assert.equal(isIpAllowed('2001:db8::1', allowedIps), true);
+  assert.equal(isIpAllowed('2001:db9::1', allowedIps), false);
+  // IPv4-mapped IPv6 from a dual-stack socket
+  assert.equal(isIpAllowed('::ffff:203.0.113.9', allowedIps), true);
+  assert.equal(isIpAllowed(undefined, allowedIps), false);
+  // No list: any address
+  assert.equal(isIpAllowed('192.0.2.1', []), true);
+});
+
+test('checks scopes on the key', () => {
+  assert.equal(hasScope({ scopes: ['calls:read'] }, 'calls:read'), true);
+  assert.equal(hasScope({ scopes: ['calls:read'] }, 'calls:write'), false);
+  assert.equal(hasScope(null, 'calls:read'), false);
+});
+
+test('accepts a valid key and counts the request', async () => {
+  const { apiKey, rate } = mockKey();
+
+  const result = await checkApiKey(RAW_KEY, '192.0.2.1');
+
+  assert.equal(result.status, 200);
+  assert.equal(result.apiKey, apiKey);
+  assert.deepEqual(result.user, { _id: 'u1', isActive: true });
+  assert.equal(result.rate.remaining, 1);
+  const keyHash = crypto.createHash('sha256').update(RAW_KEY).digest('hex');
+  assert.deepEqual(ApiKey.findOne.mock.calls[0].arguments[0], { keyHash, isActive: true });
+  assert.deepEqual(rate.mock.calls[0].arguments[0], { _id: 'k1' });
+});
+
+test('rejects unknown and expired keys and suspended owners', async () => {
+  mock.method(ApiKey, 'findOne', async () => null);
+  assert.deepEqual(await checkApiKey(RAW_KEY, '192.0.2.1'), {
+    apiKey: null, user: null, rate: null, status: 401, error: 'Invalid or revoked API key.', rejectedReason: null
+  });
+  mock.restoreAll();
+
+  mockKey({ key: { expiresAt: new Date(Date.now() - 1000) } });
+  assert.equal((await checkApiKey(RAW_KEY, '192.0.2.1')).error, 'API key has expired.');
+  mock.restoreAll();
+
+  mockKey({ user: { _id: 'u1', isActive: false } });
+  const suspended = await checkApiKey(RAW_KEY, '192.0.2.1');
+  assert.equal(suspended.status, 401);
+  assert.equal(suspended.apiKey, null);
+});
+
+test('rejects addresses outside the allow-list before counting the request', async () => {
+  const { apiKey, rate } = mockKey({ key: { allowedIps: ['203.0.113.0/24'] } });
+
+  const result = await checkApiKey(RAW_KEY, '192.0.2.1');
+
+  assert.equal(result.status, 403);
+  assert.equal(result.rejectedReason, 'ip');
+  assert.equal(result.apiKey, apiKey);
+  assert.equal(result.user, null);
+  assert.equal(rate.mock.callCount(), 0);
+});
+
+test('restarts the rate window each minute and rejects over the limit', async () => {
+  const { rate } = mockKey({ count: 3 });
+
+  const result = await checkApiKey(RAW_KEY, '192.0.2.1');
+
+  assert.equal(result.status, 429);
+  assert.equal(result.rejectedReason, 'rate_limit');
+  assert.equal(result.rate.remaining, 0);
+  assert.equal(result.rate.resetAt % 60000, 0);
+
+  const [, [stage]] = rate.mock.calls[0].arguments;
+  const [sameWindow, increment, restart] = stage.$set.rateWindow.$cond;
+  const windowStart = sameWindow.$eq[1];
+  assert.equal(windowStart.getTime() % 60000, 0);
+  assert.equal(result.rate.resetAt, windowStart.getTime() + 60000);
+  assert.deepEqual(increment.count, { $add: ['$rateWindow.count', 1] });
+  assert.equal(restart.count, 1);
+});
+
+test('takes the client IP from the hop our proxy appended', () => {
+  assert.equal(getClientIp({}, '10.0.0.5'), '10.0.0.5');
+  assert.equal(getClientIp({ 'x-forwarded-for': '198.51.100.7' }, '10.0.0.5'), '198.51.100.7');
+  // Entries further left were written by the client
+  assert.equal(getClientIp({ 'x-forwarded-for': '203.0.113.9, 198.51.100.7' }, '10.0.0.5'), '198.51.100.7');
+});
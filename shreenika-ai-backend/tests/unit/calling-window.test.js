@@ -0,0 +1,94 @@
+/**
+ * calling-window.test.js
+ * ============================================================
+ * Campaign calling windows: local hours in IANA time zones,
+ * DST changes, blackout dates and schedule validation
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSchedule,
+  isWithinCallingWindow,
+  getNextWindowStart,
+  getWindowEnd,
+} from '../../src/modules/call/calling-window.service.js';
+
+// Mon-Fri 09:00-17:00 New York (EST -05:00, EDT -04:00 from 2026-03-08 to 2026-11-01)
+const newYork = { timezone: 'America/New_York', days: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' };
+const at = (iso) => new Date(iso);
+
+test('fills a partial schedule with the defaults', () => {
+  const schedule = normalizeSchedule({ timezone: 'Europe/London' });
+  assert.equal(schedule.timezone, 'Europe/London');
+  assert.equal(schedule.startTime, '09:00');
+  assert.deepEqual(schedule.days, [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(schedule.blackoutDates, []);
+});
+
+test('rejects invalid time zones, hours and days', () => {
+  assert.throws(() => normalizeSchedule({ timezone: 'Mars/Base' }), /timezone/);
+  for (const time of ['25:99', '24:00', '9:00', '09:60', '0900']) {
+    assert.throws(() => normalizeSchedule({ startTime: time }), /HH:mm/, time);
+  }
+  assert.throws(() => normalizeSchedule({ startTime: '18:00', endTime: '09:00' }), /before endTime/);
+  assert.throws(() => normalizeSchedule({ days: [7] }), /weekday numbers/);
+});
+
+test('rejects blackout dates that are not YYYY-MM-DD', () => {
+  for (const date of ['2026-1-5', '05/01/2026', '2026-02-30', '2026-13-01', '']) {
+    assert.throws(() => normalizeSchedule({ blackoutDates: [date] }), /blackout date/, date);
+  }
+  assert.throws(() => normalizeSchedule({ blackoutDates: '2026-01-26' }), /list of YYYY-MM-DD/);
+  assert.deepEqual(normalizeSchedule({ blackoutDates: ['2028-02-29'] }).blackoutDates, ['2028-02-29']);
+});
+
+test('checks local hours on both sides of a DST change', () => {
+  // Friday before the spring change: 08:30 EST, then 09:00 EST
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-06T13:30:00Z')), false);
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-06T14:00:00Z')), true);
+  // Monday after: 09:00 EDT is 13:00 UTC
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-09T12:59:00Z')), false);
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-09T13:00:00Z')), true);
+  // Closes at 17:00 local
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-09T20:59:00Z')), true);
+  assert.equal(isWithinCallingWindow(newYork, at('2026-03-09T21:00:00Z')), false);
+});
+
+test('finds the next opening across a weekend with a DST change', () => {
+  // Friday 18:00 EST -> Monday 09:00 EDT
+  assert.deepEqual(getNextWindowStart(newYork, at('2026-03-06T23:00:00Z')), at('2026-03-09T13:00:00Z'));
+  // Friday 18:00 EDT -> Monday 09:00 EST
+  assert.deepEqual(getNextWindowStart(newYork, at('2026-10-30T22:00:00Z')), at('2026-11-02T14:00:00Z'));
+  // Already open: unchanged
+  const open = at('2026-11-02T15:00:00Z');
+  assert.equal(getNextWindowStart(newYork, open), open);
+});
+
+test('skips blackout days in local time', () => {
+  const schedule = { ...newYork, blackoutDates: ['2026-11-02'] };
+  assert.equal(isWithinCallingWindow(schedule, at('2026-11-02T15:00:00Z')), false);
+  assert.deepEqual(getNextWindowStart(schedule, at('2026-10-30T22:00:00Z')), at('2026-11-03T14:00:00Z'));
+
+  // 01:30 IST on the 26th is still the 25th in UTC
+  const india = { timezone: 'Asia/Kolkata', days: [0, 1, 2, 3, 4, 5, 6], startTime: '00:00', endTime: '23:59', blackoutDates: ['2026-01-26'] };
+  assert.equal(isWithinCallingWindow(india, at('2026-01-25T20:00:00Z')), false);
+  assert.equal(isWithinCallingWindow(india, at('2026-01-25T18:00:00Z')), true);
+});
+
+test('reports when no window will ever open', () => {
+  assert.equal(getNextWindowStart({ ...newYork, days: [] }, at('2026-03-06T23:00:00Z')), null);
+});
+
+test('dials at any time when the schedule is disabled', () => {
+  const sunday = at('2026-03-08T07:00:00Z');
+  assert.equal(isWithinCallingWindow({ ...newYork, enabled: false }, sunday), true);
+  assert.equal(getNextWindowStart({ ...newYork, enabled: false }, sunday), sunday);
+});
+
+test('closes the window at the local end time', () => {
+  assert.deepEqual(getWindowEnd(newYork, at('2026-03-09T15:00:00Z')), at('2026-03-09T21:00:00Z'));
+  assert.equal(getWindowEnd(newYork, at('2026-03-08T15:00:00Z')), null);
+});
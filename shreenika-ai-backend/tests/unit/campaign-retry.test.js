@@ -0,0 +1,171 @@
+/**
+ * campaign-retry.test.js
+ * ============================================================
+ * Campaign retry policy: which rule applies to an attempt, the
+ * attempt limit, and the DISPATCHING lease on claimed retries
+ *
+ * Run: npm test
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  scheduleRetry,
+  claimDueRetries,
+  getNextRetryDueAt,
+} from '../../src/modules/call/campaign-retry.service.js';
+import Call from '../../src/modules/call/call.model.js';
+import CallLog from '../../src/modules/call/callLog.model.js';
+import CampaignRetry from '../../src/modules/call/campaignRetry.model.js';
+
+const campaign = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  retryPolicy: { maxAttempts: 3, delayMinutes: { NO_ANSWER: 60, BUSY: 10, voicemail: 240 }, neverRetryOutcomes: ['not_interested'] },
+};
+const attempt = (fields) => ({ _id: new mongoose.Types.ObjectId(), leadId: new mongoose.Types.ObjectId(), ...fields });
+
+/**
+ * Mock the models scheduleRetry touches; returns the create / log mocks
+ */
+const mockScheduling = ({ attempts = 1, pending = null } = {}) => {
+  mock.method(Call, 'countDocuments', async () => attempts);
+  mock.method(CampaignRetry, 'findOne', async () => pending);
+  mock.method(console, 'log', () => {});
+  return {
+    create: mock.method(CampaignRetry, 'create', async (retry) => ({ _id: 'retry', ...retry })),
+    log: mock.method(CallLog, 'create', async () => ({})),
+  };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('merges a partial policy with the defaults and validates it', () => {
+  assert.deepEqual(normalizeRetryPolicy(undefined), DEFAULT_RETRY_POLICY);
+  assert.equal(normalizeRetryPolicy({ maxAttempts: 5 }).delayMinutes.BUSY, DEFAULT_RETRY_POLICY.delayMinutes.BUSY);
+  assert.deepEqual(normalizeRetryPolicy({ delayMinutes: new Map([['BUSY', 5]]) }).delayMinutes, { BUSY: 5 });
+
+  assert.throws(() => normalizeRetryPolicy({ maxAttempts: 0 }), /maxAttempts/);
+  assert.throws(() => normalizeRetryPolicy({ maxAttempts: 2.5 }), /maxAttempts/);
+  assert.throws(() => normalizeRetryPolicy({ delayMinutes: { BUSY: -1 } }), /delayMinutes.BUSY/);
+  assert.throws(() => normalizeRetryPolicy({ neverRetryOutcomes: 'not_interested' }), /neverRetryOutcomes/);
+});
+
+test('schedules a retry after the delay for the call status', async () => {
+  const { create, log } = mockScheduling({ attempts: 1 });
+  const before = Date.now();
+
+  const retry = await scheduleRetry(campaign, attempt({ status: 'BUSY' }));
+
+  assert.equal(retry.reason, 'BUSY');
+  assert.equal(retry.attempt, 2);
+  const delay = retry.dueAt.getTime() - before;
+  assert.ok(delay >= 10 * 60000 && delay < 10 * 60000 + 5000);
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(log.mock.calls[0].arguments[0].event, 'RETRY_SCHEDULED');
+});
+
+test('prefers an outcome rule over the status rule', async () => {
+  mockScheduling();
+  const retry = await scheduleRetry(campaign, attempt({ status: 'COMPLETED', outcome: 'voicemail' }));
+  assert.equal(retry.reason, 'voicemail');
+});
+
+test('never retries closing outcomes or results without a rule', async () => {
+  const { create } = mockScheduling();
+  assert.equal(await scheduleRetry(campaign, attempt({ status: 'NO_ANSWER', outcome: 'not_interested' })), null);
+  assert.equal(await scheduleRetry(campaign, attempt({ status: 'COMPLETED' })), null);
+  assert.equal(await scheduleRetry(campaign, attempt({ status: 'FAILED' })), null);
+  assert.equal(await scheduleRetry(campaign, { status: 'BUSY' }), null);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('logs a cancelled retry once the lead used its attempts', async () => {
+  const { create, log } = mockScheduling({ attempts: 3 });
+
+  assert.equal(await scheduleRetry(campaign, attempt({ status: 'NO_ANSWER' })), null);
+
+  assert.equal(create.mock.callCount(), 0);
+  const entry = log.mock.calls[0].arguments[0];
+  assert.equal(entry.event, 'RETRY_CANCELLED');
+  assert.deepEqual(entry.data, { reason: 'NO_ANSWER', attempts: 3, maxAttempts: 3 });
+});
+
+test('keeps a single pending retry per lead', async () => {
+  const pending = { _id: 'existing' };
+  const { create } = mockScheduling({ pending });
+  assert.equal(await scheduleRetry(campaign, attempt({ status: 'NO_ANSWER' })), pending);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('claims due retries and lapsed claims under a dispatch lease', async () => {
+  const retry = { _id: 'r1', leadId: 'l1', attempt: 2 };
+  const claim = mock.method(CampaignRetry, 'findOneAndUpdate', async () => (claim.mock.callCount() === 0 ? retry : null));
+  mock.method(Call, 'exists', async () => null);
+  mock.method(Call, 'findOne', async () => null);
+
+  const claimed = await claimDueRetries(campaign, 5);
+
+  assert.deepEqual(claimed, [retry]);
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.equal(filter.campaignId, campaign._id);
+  assert.equal(filter.$or[0].status, 'PENDING');
+  assert.equal(filter.$or[1].status, 'DISPATCHING');
+  assert.ok(filter.$or[1].leaseExpiresAt.$lt instanceof Date);
+  assert.equal(update.$set.status, 'DISPATCHING');
+  const lease = update.$set.leaseExpiresAt.getTime() - filter.$or[0].dueAt.$lte.getTime();
+  assert.equal(lease, 10 * 60 * 1000);
+});
+
+test('stops claiming at the limit', async () => {
+  const claim = mock.method(CampaignRetry, 'findOneAndUpdate', async () => ({ _id: 'r', leadId: 'l', attempt: 2 }));
+  mock.method(Call, 'exists', async () => null);
+  mock.method(Call, 'findOne', async () => null);
+
+  assert.equal((await claimDueRetries(campaign, 2)).length, 2);
+  assert.equal(claim.mock.callCount(), 2);
+});
+
+test('does not redial a lapsed claim whose attempt was already placed', async () => {
+  const retry = { _id: 'r1', leadId: 'l1', attempt: 2 };
+  const claim = mock.method(CampaignRetry, 'findOneAndUpdate', async () => (claim.mock.callCount() === 0 ? retry : null));
+  const dialed = mock.method(Call, 'exists', async () => ({ _id: 'call' }));
+  const done = mock.method(CampaignRetry, 'updateOne', async () => ({}));
+
+  assert.deepEqual(await claimDueRetries(campaign, 5), []);
+
+  assert.equal(dialed.mock.calls[0].arguments[0].attempt, 2);
+  assert.deepEqual(done.mock.calls[0].arguments[0], { _id: 'r1', status: 'DISPATCHING' });
+  assert.equal(done.mock.calls[0].arguments[1].$set.status, 'DISPATCHED');
+});
+
+test('cancels a claimed retry when the lead reached a closing outcome', async () => {
+  const retry = { _id: 'r1', leadId: 'l1', attempt: 2, save: mock.fn(async () => {}) };
+  const claim = mock.method(CampaignRetry, 'findOneAndUpdate', async () => (claim.mock.callCount() === 0 ? retry : null));
+  mock.method(Call, 'exists', async () => null);
+  mock.method(Call, 'findOne', async () => attempt({ outcome: 'not_interested' }));
+  const log = mock.method(CallLog, 'create', async () => ({}));
+
+  assert.deepEqual(await claimDueRetries(campaign, 5), []);
+
+  assert.equal(retry.status, 'CANCELLED');
+  assert.equal(retry.save.mock.callCount(), 1);
+  assert.equal(log.mock.calls[0].arguments[0].event, 'RETRY_CANCELLED');
+});
+
+test('wakes up for the earliest pending retry or lapsing claim', async () => {
+  const pending = new Date('2026-05-01T10:00:00Z');
+  const lapsing = new Date('2026-05-01T09:30:00Z');
+  const query = (result) => ({ sort: () => ({ select: () => ({ lean: async () => result }) }) });
+  const findOne = mock.method(CampaignRetry, 'findOne', (filter) =>
+    query(filter.status === 'PENDING' ? { dueAt: pending } : { leaseExpiresAt: lapsing })
+  );
+
+  assert.deepEqual(await getNextRetryDueAt(campaign._id), lapsing);
+
+  findOne.mock.mockImplementation(() => query(null));
+  assert.equal(await getNextRetryDueAt(campaign._id), null);
+});
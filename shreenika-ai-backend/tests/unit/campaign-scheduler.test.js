@@ -0,0 +1,136 @@
+/**
+ * campaign-scheduler.test.js
+ * ============================================================
+ * Lease handling of the campaign job scheduler: claim filter,
+ * attempt cap on abandoned jobs, heartbeats and lease loss
+ *
+ * Run: npm test
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CampaignScheduler from '../../src/modules/call/campaign-scheduler.service.js';
+import CampaignJob from '../../src/modules/call/campaignJob.model.js';
+import Campaign from '../../src/modules/call/campaign.model.js';
+
+const newScheduler = () => new CampaignScheduler({ leaseMs: 60000, heartbeatMs: 15000, maxAttempts: 3 });
+const noExhaustedJobs = () => mock.method(CampaignJob, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+afterEach(() => mock.restoreAll());
+
+test('claims due queued jobs and expired leases under the attempt cap', async () => {
+  noExhaustedJobs();
+  const claim = mock.method(CampaignJob, 'findOneAndUpdate', async () => null);
+  const scheduler = newScheduler();
+
+  const before = Date.now();
+  await scheduler.claimNext();
+
+  const [filter, update, options] = claim.mock.calls[0].arguments;
+  assert.equal(filter.$or[0].status, 'QUEUED');
+  assert.ok(filter.$or[0].runAfter.$lte.getTime() >= before);
+  assert.equal(filter.$or[1].status, 'LEASED');
+  assert.deepEqual(filter.$or[1].attempts, { $lt: 3 });
+  assert.equal(update.$set.leaseOwner, scheduler.workerId);
+  assert.equal(update.$set.leaseExpiresAt.getTime() - update.$set.heartbeatAt.getTime(), 60000);
+  assert.deepEqual(update.$inc, { attempts: 1 });
+  assert.deepEqual(options.sort, { runAfter: 1 });
+});
+
+test('fails a job abandoned maxAttempts times, and its campaign', async () => {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    campaignId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    attempts: 3
+  };
+  const find = mock.method(CampaignJob, 'find', () => ({ select: () => ({ lean: async () => [job] }) }));
+  const failJob = mock.method(CampaignJob, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const failCampaign = mock.method(Campaign, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(CampaignJob, 'findOneAndUpdate', async () => null);
+
+  await newScheduler().claimNext();
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].attempts, { $gte: 3 });
+  const [jobFilter, jobUpdate] = failJob.mock.calls[0].arguments;
+  assert.equal(jobFilter._id, job._id);
+  assert.equal(jobUpdate.$set.status, 'FAILED');
+  assert.match(jobUpdate.$set.lastError, /abandoned 3 times/);
+  const [campaignFilter, campaignUpdate] = failCampaign.mock.calls[0].arguments;
+  assert.deepEqual(campaignFilter, { _id: job.campaignId, status: 'RUNNING' });
+  assert.equal(campaignUpdate.$set.status, 'FAILED');
+});
+
+test('leaves the campaign alone when another instance failed the job first', async () => {
+  const job = { _id: 1, campaignId: 2, userId: 3, attempts: 3 };
+  mock.method(CampaignJob, 'find', () => ({ select: () => ({ lean: async () => [job] }) }));
+  mock.method(CampaignJob, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const failCampaign = mock.method(Campaign, 'updateOne', async () => ({}));
+  mock.method(CampaignJob, 'findOneAndUpdate', async () => null);
+
+  await newScheduler().claimNext();
+
+  assert.equal(failCampaign.mock.callCount(), 0);
+});
+
+test('queues a campaign with a fresh attempt count', async () => {
+  const upsert = mock.method(CampaignJob, 'findOneAndUpdate', async () => ({}));
+  const campaign = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+  const runAfter = new Date(Date.now() + 3600000);
+
+  await newScheduler().enqueue(campaign, runAfter);
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { campaignId: campaign._id });
+  assert.equal(update.$set.status, 'QUEUED');
+  assert.equal(update.$set.leaseOwner, null);
+  assert.equal(update.$set.runAfter, runAfter);
+  assert.equal(update.$set.attempts, 0);
+  assert.equal(options.upsert, true);
+});
+
+test('renews only its own lease and notices when it is lost', async () => {
+  const scheduler = newScheduler();
+  const entry = { leaseLost: false, heartbeatTimer: null };
+  scheduler.runningJobs.set('c1', entry);
+
+  const renew = mock.method(CampaignJob, 'updateOne', async () => ({ matchedCount: 1 }));
+  await scheduler.heartbeat('c1');
+  const [filter, update] = renew.mock.calls[0].arguments;
+  assert.deepEqual(filter, { campaignId: 'c1', status: 'LEASED', leaseOwner: scheduler.workerId });
+  assert.equal(update.$set.leaseExpiresAt.getTime() - update.$set.heartbeatAt.getTime(), 60000);
+  assert.equal(scheduler.holdsLease('c1'), true);
+
+  renew.mock.mockImplementation(async () => ({ matchedCount: 0 }));
+  await scheduler.heartbeat('c1');
+  assert.equal(entry.leaseLost, true);
+  assert.equal(scheduler.holdsLease('c1'), false);
+  assert.equal(scheduler.holdsLease('other'), false);
+});
+
+test('keeps the lease through a failed heartbeat', async () => {
+  const scheduler = newScheduler();
+  scheduler.runningJobs.set('c1', { leaseLost: false, heartbeatTimer: null });
+  mock.method(CampaignJob, 'updateOne', async () => { throw new Error('connection reset'); });
+  mock.method(console, 'error', () => {});
+
+  await scheduler.heartbeat('c1');
+
+  assert.equal(scheduler.holdsLease('c1'), true);
+});
+
+test('hands leases back on stop without counting an attempt', async () => {
+  const scheduler = newScheduler();
+  scheduler.runningJobs.set('c1', { leaseLost: false, heartbeatTimer: null });
+  const release = mock.method(CampaignJob, 'updateMany', async () => ({ modifiedCount: 1 }));
+  mock.method(console, 'log', () => {});
+
+  await scheduler.stop();
+
+  const [filter, update] = release.mock.calls[0].arguments;
+  assert.deepEqual(filter, { status: 'LEASED', leaseOwner: scheduler.workerId });
+  assert.equal(update.$set.status, 'QUEUED');
+  assert.deepEqual(update.$inc, { attempts: -1 });
+  assert.equal(scheduler.holdsLease('c1'), false);
+});
@@ -0,0 +1,87 @@
+/**
+ * dnc.test.js
+ * ============================================================
+ * Do-Not-Call matching: every format of a number resolves to the
+ * same E.164 key, and blocked campaign leads are logged once
+ *
+ * Run: npm test
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toPhoneKey,
+  findDncEntry,
+  upsertDncEntry,
+  checkDncBeforeDial,
+} from '../../src/modules/dnc/dnc.service.js';
+import DncEntry from '../../src/modules/dnc/dnc.model.js';
+import CallLog from '../../src/modules/call/callLog.model.js';
+
+afterEach(() => mock.restoreAll());
+
+test('matches national and international formats of the same number', () => {
+  for (const phone of ['+91 98765 43210', '09876543210', '9876543210', '0091-98765-43210']) {
+    assert.equal(toPhoneKey(phone, 'IN'), '+919876543210', phone);
+  }
+  assert.equal(toPhoneKey('(212) 555-0123', 'US'), '+12125550123');
+});
+
+test('keeps numbers from different countries apart', () => {
+  // Same national digits, different subscribers
+  assert.notEqual(toPhoneKey('2025550123', 'US'), toPhoneKey('2025550123', 'IN'));
+  assert.equal(toPhoneKey('not a number', 'IN'), null);
+  assert.equal(toPhoneKey('', 'IN'), null);
+});
+
+test('looks up opted-out entries by E.164 key', async () => {
+  const findOne = mock.method(DncEntry, 'findOne', async () => ({ _id: 'entry' }));
+
+  assert.deepEqual(await findDncEntry('u1', '09876543210', 'IN'), { _id: 'entry' });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { userId: 'u1', phoneKey: '+919876543210', status: 'OPTED_OUT' });
+
+  assert.equal(await findDncEntry('u1', '123', 'IN'), null);
+  assert.equal(findOne.mock.callCount(), 1);
+});
+
+test('upserts one entry per number and rejects invalid numbers', async () => {
+  const upsert = mock.method(DncEntry, 'findOneAndUpdate', async () => ({}));
+
+  await upsertDncEntry('u1', '+91 98765 43210', { reason: 'opt_out_request' });
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { userId: 'u1', phoneKey: '+919876543210' });
+  assert.equal(update.$set.phoneNumber, '+919876543210');
+  assert.equal(update.$set.status, 'OPTED_OUT');
+  assert.equal(update.$set.reason, 'opt_out_request');
+  assert.equal(options.upsert, true);
+
+  await assert.rejects(upsertDncEntry('u1', '12345'), /Invalid phone number/);
+  assert.equal(upsert.mock.callCount(), 1);
+});
+
+test('lets a number that is not on the list be dialed', async () => {
+  mock.method(DncEntry, 'findOne', async () => null);
+  const log = mock.method(CallLog, 'create', async () => ({}));
+
+  assert.equal(await checkDncBeforeDial({ userId: 'u1', phone: '+919876543210', source: 'single' }), null);
+  assert.equal(log.mock.callCount(), 0);
+});
+
+test('logs a blocked campaign lead only once', async () => {
+  const entry = { _id: 'entry', reason: 'manual' };
+  mock.method(DncEntry, 'findOne', async () => entry);
+  mock.method(console, 'warn', () => {});
+  const logged = mock.method(CallLog, 'exists', async () => null);
+  const log = mock.method(CallLog, 'create', async () => ({}));
+  const dial = { userId: 'u1', phone: '9876543210', country: 'IN', campaignId: 'c1', leadId: 'l1', source: 'campaign' };
+
+  assert.equal(await checkDncBeforeDial(dial), entry);
+  assert.deepEqual(logged.mock.calls[0].arguments[0], { campaignId: 'c1', leadId: 'l1', event: 'BLOCKED_DNC' });
+  assert.equal(log.mock.calls[0].arguments[0].event, 'BLOCKED_DNC');
+  assert.deepEqual(log.mock.calls[0].arguments[0].data, { dncEntryId: 'entry', dialPath: 'campaign' });
+
+  logged.mock.mockImplementation(async () => ({ _id: 'log' }));
+  assert.equal(await checkDncBeforeDial(dial), entry);
+  assert.equal(log.mock.callCount(), 1);
+});
@@ -0,0 +1,66 @@
+/**
+ * phone.test.js
+ * ============================================================
+ * Phone number parsing: national and international formats to
+ * canonical E.164, country handling and invalid input
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PHONE_COUNTRY,
+  isValidPhoneCountry,
+  parsePhone,
+  normalizePhone,
+  getPhoneCountry,
+} from '../../src/utils/phone.js';
+
+test('reads national formats in the default country', () => {
+  assert.equal(normalizePhone('9876543210', 'IN'), '+919876543210');
+  assert.equal(normalizePhone('09876543210', 'IN'), '+919876543210');
+  assert.equal(normalizePhone('(212) 555-0123', 'US'), '+12125550123');
+  assert.equal(normalizePhone('020 7946 0958', 'gb'), '+442079460958');
+});
+
+test('keeps the country of international numbers', () => {
+  assert.equal(normalizePhone('+1 212 555 0123', 'IN'), '+12125550123');
+  // "00" international prefix
+  assert.equal(normalizePhone('0044 20 7946 0958', 'IN'), '+442079460958');
+  // Already canonical
+  assert.equal(normalizePhone('+919876543210', 'US'), '+919876543210');
+});
+
+test('describes a parsed number', () => {
+  assert.deepEqual(parsePhone(' +91 98765-43210 '), {
+    valid: true,
+    e164: '+919876543210',
+    country: 'IN',
+    nationalNumber: '9876543210',
+    error: null
+  });
+});
+
+test('reports invalid and missing numbers', () => {
+  assert.equal(parsePhone('').error, 'Phone number is required');
+  assert.equal(parsePhone(null).error, 'Phone number is required');
+  for (const input of ['12345', 'call me', '+91 12345']) {
+    const result = parsePhone(input, 'IN');
+    assert.equal(result.valid, false, input);
+    assert.equal(result.e164, null);
+    assert.match(result.error, /Invalid phone number/);
+  }
+  assert.throws(() => normalizePhone('12345', 'IN'), /Invalid phone number: 12345/);
+});
+
+test('validates country codes and falls back to the default', () => {
+  assert.equal(isValidPhoneCountry('US'), true);
+  assert.equal(isValidPhoneCountry('in'), true);
+  assert.equal(isValidPhoneCountry('XX'), false);
+  assert.equal(isValidPhoneCountry(undefined), false);
+
+  assert.equal(getPhoneCountry({ defaultPhoneCountry: 'US' }), 'US');
+  assert.equal(getPhoneCountry({}), DEFAULT_PHONE_COUNTRY);
+  assert.equal(getPhoneCountry(null), DEFAULT_PHONE_COUNTRY);
+});
@@ -0,0 +1,78 @@
+/**
+ * webhook.signature.test.js
+ * ============================================================
+ * Webhook delivery signatures: HMAC over "<t>.<body>", rotated
+ * secrets, replay window and malformed headers
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  DEFAULT_TOLERANCE_SECONDS,
+  generateSigningSecret,
+  computeSignature,
+  buildSignatureHeader,
+  verifyWebhookSignature,
+} from '../../src/modules/webhook/webhook.signature.js';
+
+const secret = 'whsec_current';
+const body = JSON.stringify({ event: 'call.completed', data: { callId: 'c1' } });
+const t = 1780000000;
+
+test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  assert.equal(computeSignature(secret, t, body), expected);
+  assert.equal(computeSignature(secret, t, Buffer.from(body)), expected);
+  assert.equal(buildSignatureHeader([secret], body, t), `t=${t},v1=${expected}`);
+});
+
+test('accepts a delivery signed with the secret', () => {
+  const header = buildSignatureHeader([secret], body, t);
+  assert.deepEqual(verifyWebhookSignature(body, header, secret, { now: t + 10 }), { valid: true, timestamp: t, error: null });
+  assert.equal(verifyWebhookSignature(Buffer.from(body), header, secret, { now: t }).valid, true);
+});
+
+test('accepts either secret while one is being rotated', () => {
+  const header = buildSignatureHeader(['whsec_new', secret], body, t);
+  assert.equal(header.split(',').length, 3);
+  assert.equal(verifyWebhookSignature(body, header, secret, { now: t }).valid, true);
+  assert.equal(verifyWebhookSignature(body, header, 'whsec_new', { now: t }).valid, true);
+  assert.equal(verifyWebhookSignature(body, header, 'whsec_other', { now: t }).error, 'No signature matches');
+});
+
+test('rejects a modified body or timestamp', () => {
+  const header = buildSignatureHeader([secret], body, t);
+  assert.equal(verifyWebhookSignature(`${body} `, header, secret, { now: t }).error, 'No signature matches');
+
+  const replayed = header.replace(`t=${t}`, `t=${t + 60}`);
+  assert.equal(verifyWebhookSignature(body, replayed, secret, { now: t }).error, 'No signature matches');
+});
+
+test('rejects deliveries outside the tolerance window', () => {
+  const header = buildSignatureHeader([secret], body, t);
+  const late = verifyWebhookSignature(body, header, secret, { now: t + DEFAULT_TOLERANCE_SECONDS + 1 });
+  assert.deepEqual(late, { valid: false, timestamp: t, error: 'Timestamp outside the tolerance window' });
+  assert.equal(verifyWebhookSignature(body, header, secret, { now: t - DEFAULT_TOLERANCE_SECONDS - 1 }).valid, false);
+  assert.equal(verifyWebhookSignature(body, header, secret, { now: t + 500, toleranceSeconds: 600 }).valid, true);
+});
+
+test('rejects missing and malformed headers', () => {
+  const signature = computeSignature(secret, t, body);
+  assert.equal(verifyWebhookSignature(body, '', secret).error, 'Missing signature header or secret');
+  assert.equal(verifyWebhookSignature(body, `t=${t},v1=${signature}`, '').error, 'Missing signature header or secret');
+  for (const header of [`v1=${signature}`, `t=${t}`, `t=soon,v1=${signature}`, 'garbage']) {
+    assert.equal(verifyWebhookSignature(body, header, secret, { now: t }).error, 'Malformed signature header', header);
+  }
+  // Wrong-length or non-hex signatures fail without throwing
+  assert.equal(verifyWebhookSignature(body, `t=${t},v1=abc`, secret, { now: t }).error, 'No signature matches');
+  assert.equal(verifyWebhookSignature(body, `t=${t},v1=${'z'.repeat(64)}`, secret, { now: t }).valid, false);
+});
+
+test('generates distinct whsec_ secrets', () => {
+  const first = generateSigningSecret();
+  assert.match(first, /^whsec_[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(first, generateSigningSecret());
+});
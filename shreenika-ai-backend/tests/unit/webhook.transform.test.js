@@ -0,0 +1,115 @@
+/**
+ * webhook.transform.test.js
+ * ============================================================
+ * Sandbox guarantees of webhook payload transformations:
+ * no prototype or global access, size / time limits, and no
+ * untransformed payload when every transformation fails
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_EXPRESSION_LENGTH,
+  MAX_TRANSFORMATIONS,
+  compileExpression,
+  evaluateExpression,
+  validateTransformations,
+  applyTransformations,
+} from '../../src/modules/webhook/webhook.transform.js';
+
+const payload = {
+  event: 'lead.created',
+  version: 1,
+  data: { firstName: 'Asha', lastName: 'Rao', tags: ['vip', 'hot'], phone: '+919876543210' },
+};
+
+const custom = (targetField, customScript) => ({ targetField, transformType: 'custom', customScript });
+
+test('evaluates expressions against the payload', () => {
+  assert.equal(evaluateExpression("data.firstName + ' ' + data.lastName", payload), 'Asha Rao');
+  assert.equal(evaluateExpression("join(data.tags, ';')", payload), 'vip;hot');
+  assert.equal(evaluateExpression('data.missing ?? "none"', payload), 'none');
+});
+
+test('refuses prototype keys on read and write', () => {
+  for (const expression of ['data.constructor', '$.__proto__', 'data["constructor"]', "data['__proto__']", 'data.tags.constructor', 'data.firstName["constructor"]']) {
+    assert.throws(() => evaluateExpression(expression, payload), /cannot be read/, expression);
+  }
+  assert.throws(() => evaluateExpression('{ "__proto__": 1 }', payload), /cannot be written/);
+  assert.throws(() => evaluateExpression('{ constructor: 1 }', payload), /cannot be written/);
+  // Bare names are payload fields, never inherited object members
+  assert.throws(() => evaluateExpression('constructor', payload), /cannot be read/);
+  assert.throws(() => evaluateExpression('__proto__', payload), /cannot be read/);
+  assert.equal(evaluateExpression('toString', payload), undefined);
+});
+
+test('only reads own properties of the payload', () => {
+  assert.equal(evaluateExpression('data.toString', payload), undefined);
+  assert.equal(evaluateExpression('data.tags.map', payload), undefined);
+  assert.equal(evaluateExpression('data.hasOwnProperty', payload), undefined);
+  assert.equal(evaluateExpression('data.firstName.toUpperCase', payload), undefined);
+});
+
+test('has no globals and no way to call outside the function list', () => {
+  assert.equal(evaluateExpression('process', payload), undefined);
+  assert.equal(evaluateExpression('globalThis', payload), undefined);
+  assert.equal(evaluateExpression('this', payload), undefined);
+  assert.throws(() => compileExpression('require("fs")'), /Unknown function require/);
+  assert.throws(() => compileExpression('constructor("return process")()'), /Unknown function constructor/);
+  assert.throws(() => compileExpression('data.firstName.constructor("x")'), /Unexpected "\("/);
+  assert.throws(() => compileExpression('return data.firstName'), /Unexpected/);
+  assert.throws(() => compileExpression('x = 1'), /Unexpected character "="|Unexpected/);
+});
+
+test('rejects prototype keys in field paths', () => {
+  const errors = validateTransformations([
+    { targetField: '__proto__.polluted', transformType: 'direct', sourceField: 'data.firstName' },
+    { targetField: 'name', transformType: 'direct', sourceField: 'data.constructor.name' },
+  ]);
+  assert.deepEqual(errors.map((e) => e.index), [0, 1]);
+  assert.equal({}.polluted, undefined);
+});
+
+test('enforces expression length, nesting and transformation count', () => {
+  assert.throws(() => compileExpression(`'${'a'.repeat(MAX_EXPRESSION_LENGTH)}'`), /longer than/);
+  assert.throws(() => compileExpression(`${'('.repeat(100)}1${')'.repeat(100)}`), /nested more than/);
+
+  const tooMany = Array.from({ length: MAX_TRANSFORMATIONS + 1 }, () => custom('x', '1'));
+  assert.match(validateTransformations(tooMany)[0].error, /At most/);
+});
+
+test('limits the size of built strings and lists', () => {
+  const big = { data: { text: 'a'.repeat(50000), marked: `${'a'.repeat(60000)}|` } };
+  assert.throws(() => evaluateExpression('data.text + data.text + data.text', big), /longer than/);
+  assert.throws(() => evaluateExpression("replace(data.marked, '|', data.text)", big), /longer than/);
+  assert.throws(() => evaluateExpression("split(data.text, '')", big), /more than/);
+  assert.throws(() => evaluateExpression("join([data.text, data.text, data.text], '')", big), /longer than/);
+});
+
+test('stops when the time budget runs out', () => {
+  const result = applyTransformations(payload, [custom('name', 'upper(data.firstName)')], { timeBudgetMs: -1 });
+  assert.equal(result.failed, true);
+  assert.equal(result.payload, null);
+  assert.match(result.errors[0].error, /time budget/);
+});
+
+test('sends nothing when every transformation fails', () => {
+  const result = applyTransformations(payload, [custom('a', 'data.constructor'), custom('b', 'upper(data.__proto__)')]);
+  assert.equal(result.failed, true);
+  assert.equal(result.payload, null);
+  assert.equal(result.errors.length, 2);
+});
+
+test('keeps the transformations that succeed', () => {
+  const result = applyTransformations(payload, [custom('name', 'upper(data.firstName)'), custom('bad', 'data.constructor')]);
+  assert.equal(result.failed, false);
+  assert.deepEqual(result.payload, { name: 'ASHA' });
+  assert.deepEqual(result.errors.map((e) => e.targetField), ['bad']);
+});
+
+test('sends the original payload without transformations', () => {
+  assert.equal(applyTransformations(payload, []).payload, payload);
+  assert.equal(applyTransformations(payload, undefined).failed, false);
+});